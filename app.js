@@ -21,7 +21,17 @@ app.use(
 
 app.use(timeout("600s"));
 
-app.use(express.json({ limit: "50mb" }));
+app.use(
+  express.json({
+    limit: "50mb",
+    // QuickBooks webhooks are signed over the exact bytes sent.
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/quickbooks/webhooks")) {
+        req.rawBody = buf;
+      }
+    },
+  }),
+);
 app.use(
   express.urlencoded({
     limit: "50mb",
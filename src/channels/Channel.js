@@ -0,0 +1,181 @@
+// Base class for the accounting systems documents are pushed to. A channel
+// wraps one Integration row, `options` are passed to its API client (e.g. the
+// URLs of a mock server, or the Zoho region to sign in to).
+//
+// Contacts, invoices, expenses and bills are referred to by their id in the
+// accounting system (EntityMapping.external_id). Contact `details` are
+// { name, email, phone, billingAddress, shippingAddress } with addresses as
+// stored locally ({ Line1, City, State, ZipCode, Country }).
+const DOCUMENT_KEYS = {
+  Invoice: "invoice",
+  Receipt: "receipt",
+  Bill: "bill",
+};
+
+class Channel {
+  constructor(name, integration, options = {}) {
+    this.name = name;
+    this.integration = integration || {};
+    this.options = options;
+  }
+
+  get credentials() {
+    let credentials = this.integration.credentials || {};
+    if (typeof credentials === "string") {
+      credentials = JSON.parse(credentials);
+    }
+    return credentials;
+  }
+
+  // Accounts bills and expenses are booked to when the document does not
+  // say: { expense_account_id, paid_through_account_id }.
+  get defaultAccounts() {
+    return this.credentials.default_accounts || {};
+  }
+
+  notImplemented(method) {
+    return new Error(`${this.name} channel does not implement ${method}`);
+  }
+
+  // URL of the consent screen, `state` comes back to the callback.
+  async authorizationUrl(state) {
+    throw this.notImplemented("authorizationUrl");
+  }
+
+  // Exchanges the OAuth callback ({ url, query }) for the credentials stored
+  // on the Integration.
+  async connect(callback) {
+    throw this.notImplemented("connect");
+  }
+
+  // Refreshes an expired access token, returns the current credentials.
+  async refreshCredentials() {
+    throw this.notImplemented("refreshCredentials");
+  }
+
+  // Imports customers and vendors into Customer/Vendor with EntityMapping.
+  async importContacts() {
+    throw this.notImplemented("importContacts");
+  }
+
+  // Applies the changes made in the accounting system since `since` (a Date)
+  // to the imported records and EntityMapping, returns a summary of the
+  // changed and deleted records by entity.
+  async importChanges(since) {
+    throw this.notImplemented("importChanges");
+  }
+
+  // Applies one change notified by the accounting system, { entity, id,
+  // operation, deletedId }. Returns false when nothing was applied.
+  async refreshEntity(event) {
+    throw this.notImplemented("refreshEntity");
+  }
+
+  // Returns the chart of accounts as [{ id, code, name, type, active }].
+  async importAccounts() {
+    throw this.notImplemented("importAccounts");
+  }
+
+  // entityType is "Customer" or "Vendor". The find and create methods return
+  // the external id. findOrCreateContact should also accept a contact whose
+  // name is spelled differently, see services/contacts.
+  async findOrCreateContact(entityType, details) {
+    throw this.notImplemented("findOrCreateContact");
+  }
+
+  async createContact(entityType, details) {
+    throw this.notImplemented("createContact");
+  }
+
+  async updateContact(entityType, externalId, details) {
+    throw this.notImplemented("updateContact");
+  }
+
+  // Finds the item named `details.name` or creates a service item
+  // ({ name, description, unitPrice, incomeAccountId }), returns its
+  // external id.
+  async findOrCreateItem(details) {
+    throw this.notImplemented("findOrCreateItem");
+  }
+
+  // Document-specific transform/validate of the channel's Class.js, keyed by
+  // Document.type. `contactId` is the external customer (Invoice) or vendor
+  // (Receipt, Bill) id.
+  transform(type, json, contactId, accounts = this.defaultAccounts) {
+    return this.documents[DOCUMENT_KEYS[type]].transform(
+      json,
+      contactId,
+      accounts,
+    );
+  }
+
+  // Returns false, or throws with the reason, when the payload is invalid.
+  validate(type, payload) {
+    return this.documents[DOCUMENT_KEYS[type]].validate(payload);
+  }
+
+  // Pushes a transformed payload, returns the external id.
+  async push(type, payload) {
+    const push = {
+      Invoice: () => this.pushInvoice(payload),
+      Receipt: () => this.pushExpense(payload),
+      Bill: () => this.pushBill(payload),
+    }[type];
+    if (!push) {
+      throw new Error(`Unsupported document type: ${type}`);
+    }
+    return push();
+  }
+
+  async pushInvoice(payload) {
+    throw this.notImplemented("pushInvoice");
+  }
+
+  async pushExpense(payload) {
+    throw this.notImplemented("pushExpense");
+  }
+
+  async pushBill(payload) {
+    throw this.notImplemented("pushBill");
+  }
+
+  // `invoice` holds the edited Invoice fields (invoice_number, date,
+  // due_date, notes, bill_address, ship_address), `customerId` is external.
+  async updateInvoice(externalId, invoice, customerId) {
+    throw this.notImplemented("updateInvoice");
+  }
+
+  // `expense` holds the edited Purchase fields (txn_date, total_amount,
+  // account_ref) and its edited lines as `items`, in the order they were
+  // pushed; `vendorId` is external.
+  async updateExpense(externalId, expense, vendorId) {
+    throw this.notImplemented("updateExpense");
+  }
+
+  // `bill` holds the edited Bill fields (bill_number, txn_date, due_date,
+  // notes), `vendorId` is external.
+  async updateBill(externalId, bill, vendorId) {
+    throw this.notImplemented("updateBill");
+  }
+
+  async voidInvoice(externalId) {
+    throw this.notImplemented("voidInvoice");
+  }
+
+  async voidExpense(externalId) {
+    throw this.notImplemented("voidExpense");
+  }
+
+  async voidBill(externalId) {
+    throw this.notImplemented("voidBill");
+  }
+
+  // Attaches the source file ({ buffer, fileName, contentType }) to a pushed
+  // transaction, entityType being the EntityMapping type. Returns the id of
+  // the attachment.
+  async attachFile(entityType, externalId, file) {
+    throw this.notImplemented("attachFile");
+  }
+}
+
+module.exports = Channel;
@@ -0,0 +1,48 @@
+const Channel = require("./Channel");
+const QuickBooksChannel = require("./quickbooks/Channel");
+const XeroChannel = require("./xero/Channel");
+const ZohoChannel = require("./zoho/Channel");
+const { Integration } = require("../db/models");
+
+// Keyed by Integration.service_type. "Quickbooks" is what /quickbooks/auth
+// stores, "QuickBooks" is in use as well.
+const channels = {
+  QuickBooks: QuickBooksChannel,
+  Quickbooks: QuickBooksChannel,
+  Xero: XeroChannel,
+  Zoho: ZohoChannel,
+};
+
+const getChannel = (integration, options = {}) => {
+  const serviceType = integration && integration.service_type;
+
+  const ChannelClass = channels[serviceType];
+  if (!ChannelClass) {
+    throw new Error(`Unknown accounting channel: ${serviceType}`);
+  }
+  return new ChannelClass(integration, options);
+};
+
+// The connected integration a company's documents are pushed to.
+const getActiveIntegration = async (companyId) => {
+  const integration = await Integration.findOne({
+    where: { CompanyId: companyId, status: "Connected" },
+    order: [["createdAt", "DESC"]],
+  });
+  if (!integration) {
+    throw new Error(
+      "No active accounting integration found. Please connect to QuickBooks, Xero or Zoho Books first.",
+    );
+  }
+  return integration;
+};
+
+module.exports = {
+  Channel,
+  QuickBooksChannel,
+  XeroChannel,
+  ZohoChannel,
+  channels,
+  getChannel,
+  getActiveIntegration,
+};
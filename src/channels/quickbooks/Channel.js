@@ -0,0 +1,371 @@
+const Channel = require("../Channel");
+const QuickBooks = require("./Class");
+const QuickBooksSync = require("./index");
+const quickbooksApiClient = require("./apiClient/quickbooksApiClient");
+const {
+  CONTACT_MATCH_THRESHOLD,
+  normalizeName,
+  rankContacts,
+} = require("../../services/contacts");
+const {
+  quickbooksAddress,
+  transformInvoiceForQuickBooks,
+  validateInvoiceData,
+} = require("./services/transform");
+
+// The pushed account-based `line` with the refs of its edited Purchase line
+// `item` (account_ref, class_ref, tax_code_ref, customer_ref,
+// billable_status). Other lines are kept as they are.
+const editedExpenseLine = (line, item) => {
+  if (!item || !line.AccountBasedExpenseLineDetail) return line;
+
+  const detail = { ...line.AccountBasedExpenseLineDetail };
+  if (item.account_ref) detail.AccountRef = { value: String(item.account_ref) };
+  if (item.class_ref) detail.ClassRef = { value: String(item.class_ref) };
+  if (item.tax_code_ref) {
+    detail.TaxCodeRef = { value: String(item.tax_code_ref) };
+  }
+  if (item.customer_ref) {
+    detail.CustomerRef = { value: String(item.customer_ref) };
+  }
+  if (item.billable_status) detail.BillableStatus = item.billable_status;
+  return { ...line, AccountBasedExpenseLineDetail: detail };
+};
+
+class QuickBooksChannel extends Channel {
+  constructor(integration, options = {}) {
+    super("QuickBooks", integration, options);
+    this.documents = new QuickBooks();
+  }
+
+  get api() {
+    if (!this.apiClient) {
+      this.apiClient = new quickbooksApiClient(
+        this.credentials,
+        this.integration.id,
+        this.options,
+      );
+    }
+    return this.apiClient;
+  }
+
+  async authorizationUrl(state) {
+    return this.api.getOAuthRedirectURL(state);
+  }
+
+  // intuit-oauth parses the code and realmId from the callback URL.
+  async connect({ url }) {
+    const { token } = await this.api.createToken(url);
+
+    return {
+      realmId: token.realmId,
+      token_type: token.token_type,
+      access_token: token.access_token,
+      expires_in: token.expires_in,
+      x_refresh_token_expires_in: token.x_refresh_token_expires_in,
+      refresh_token: token.refresh_token,
+      id_token: token.id_token,
+      latency: token.latency,
+      createdAt: token.createdAt,
+    };
+  }
+
+  async refreshCredentials() {
+    await this.api.refreshOrSetToken();
+    return this.api.config;
+  }
+
+  quickbooksSync() {
+    return new QuickBooksSync(
+      this.credentials,
+      this.integration.CompanyId,
+      this.integration.id,
+      this.integration.UserId,
+      this.options,
+    );
+  }
+
+  async importContacts() {
+    await this.quickbooksSync().sync();
+  }
+
+  async importChanges(since) {
+    return this.quickbooksSync().syncChanges(since);
+  }
+
+  async refreshEntity(event) {
+    return this.quickbooksSync().syncEntity(event);
+  }
+
+  async importAccounts() {
+    const pageSize = 100;
+    let accounts = [];
+    let page = 1;
+    let hasMore = true;
+
+    while (hasMore) {
+      const response = await this.api.accounts.list(page, pageSize);
+      accounts = accounts.concat(response.accounts);
+      hasMore = response.accounts.length === pageSize;
+      page++;
+    }
+
+    return accounts.map((account) => ({
+      id: account.Id,
+      code: account.AcctNum,
+      name: account.FullyQualifiedName || account.Name,
+      type: account.AccountType,
+      active: account.Active !== false,
+    }));
+  }
+
+  contactPayload(entityType, details) {
+    const payload = {
+      DisplayName: details.name,
+      PrimaryEmailAddr: details.email ? { Address: details.email } : undefined,
+      PrimaryPhone: details.phone
+        ? { FreeFormNumber: details.phone }
+        : undefined,
+      BillAddr: quickbooksAddress(details.billingAddress),
+    };
+
+    if (entityType === "Vendor") {
+      return {
+        ...payload,
+        CompanyName: details.name,
+        Mobile: details.phone ? { FreeFormNumber: details.phone } : undefined,
+      };
+    }
+    return {
+      ...payload,
+      FullyQualifiedName: details.name,
+      ShipAddr: quickbooksAddress(details.shippingAddress),
+    };
+  }
+
+  async findOrCreateContact(entityType, details) {
+    const resource =
+      entityType === "Vendor" ? this.api.vendors : this.api.customers;
+
+    const existingContact = await resource.findByName(details.name);
+    if (existingContact) return existingContact.Id;
+
+    const similarContact = await this.findSimilarContact(entityType, details);
+    if (similarContact) return similarContact.Id;
+
+    return this.createContact(entityType, details);
+  }
+
+  // The QuickBooks contact most like `details` when it scores
+  // CONTACT_MATCH_THRESHOLD, so "GOOGLE IRELAND LIMITED" finds "Google
+  // Ireland Ltd". Candidates share the longest word of the name.
+  async findSimilarContact(entityType, details) {
+    const words = normalizeName(details.name).split(" ");
+    const term = words.reduce(
+      (longest, word) => (word.length > longest.length ? word : longest),
+      "",
+    );
+    if (term.length < 3) return null;
+
+    const contacts = await this.api.search(entityType, "DisplayName", term);
+    const [best] = rankContacts(details, contacts, (contact) => ({
+      name: contact.DisplayName,
+      email: contact.PrimaryEmailAddr?.Address,
+      address: contact.BillAddr && {
+        Line1: contact.BillAddr.Line1,
+        ZipCode: contact.BillAddr.PostalCode,
+      },
+    }));
+    if (!best || best.score < CONTACT_MATCH_THRESHOLD) return null;
+
+    console.log(
+      `${entityType} "${details.name}" matched "${best.contact.DisplayName}" in QuickBooks (${best.score})`,
+    );
+    return best.contact;
+  }
+
+  async createContact(entityType, details) {
+    if (entityType === "Vendor") {
+      const response = await this.api.vendors.create(
+        this.contactPayload(entityType, details),
+      );
+      return response.body.Vendor.Id;
+    }
+
+    const response = await this.api.customers.create(
+      this.contactPayload(entityType, details),
+    );
+    return response.body.Customer.Id;
+  }
+
+  async updateContact(entityType, externalId, details) {
+    const current =
+      entityType === "Vendor"
+        ? (await this.api.vendors.getVendor(externalId)).Vendor[0]
+        : (await this.api.customers.getCustomer(externalId)).body.QueryResponse
+            .Customer[0];
+
+    const changes = {
+      ...this.contactPayload(entityType, details),
+      Id: externalId,
+      SyncToken: current.SyncToken,
+      sparse: true,
+    };
+
+    if (entityType === "Vendor") {
+      await this.api.vendors.update(changes);
+    } else {
+      await this.api.customers.update(changes);
+    }
+  }
+
+  async findOrCreateItem(details) {
+    const existingItem = await this.api.items.findByName(details.name);
+    if (existingItem) return existingItem.Id;
+
+    const item = await this.api.items.create({
+      Name: details.name,
+      Description: details.description,
+      Type: "Service",
+      UnitPrice: details.unitPrice,
+      IncomeAccountRef: { value: details.incomeAccountId },
+    });
+    return item.Id;
+  }
+
+  transform(type, json, contactId, accounts = this.defaultAccounts) {
+    if (type !== "Invoice") {
+      return super.transform(type, json, contactId, accounts);
+    }
+
+    return {
+      ...transformInvoiceForQuickBooks(json),
+      CustomerRef: { value: contactId },
+    };
+  }
+
+  validate(type, payload) {
+    if (type === "Invoice") {
+      return validateInvoiceData(payload);
+    }
+    if (!payload) return false;
+
+    const accountIds = (payload.Line || []).map(
+      (line) => line.AccountBasedExpenseLineDetail?.AccountRef?.value,
+    );
+    if (type === "Receipt") accountIds.push(payload.AccountRef?.value);
+    if (accountIds.some((accountId) => !accountId)) {
+      throw new Error(
+        `${type} has no account to book to, reconnect QuickBooks to import the chart of accounts`,
+      );
+    }
+    return super.validate(type, payload);
+  }
+
+  async pushInvoice(payload) {
+    const response = await this.api.invoices.create(payload);
+    return response.body.Invoice.Id;
+  }
+
+  async pushExpense(payload) {
+    const response = await this.api.expenses.create(payload);
+    return response.Purchase.Id;
+  }
+
+  async pushBill(payload) {
+    const response = await this.api.bills.create(payload);
+    return response.Bill.Id;
+  }
+
+  // Sparse updates, the lines stay as they were pushed but for the refs of
+  // edited expense lines.
+  async updateInvoice(externalId, invoice, customerId) {
+    const current = await this.api.invoices.get(externalId);
+
+    await this.api.invoices.update({
+      Id: externalId,
+      SyncToken: current.SyncToken,
+      DocNumber: invoice.invoice_number,
+      TxnDate: invoice.date,
+      DueDate: invoice.due_date,
+      BillAddr: quickbooksAddress(invoice.bill_address),
+      ShipAddr: quickbooksAddress(invoice.ship_address),
+      CustomerMemo:
+        invoice.notes !== undefined
+          ? { value: invoice.notes ?? "" }
+          : undefined,
+      CustomerRef: customerId ? { value: customerId } : undefined,
+      sparse: true,
+    });
+  }
+
+  async updateExpense(externalId, expense, vendorId) {
+    const current = await this.api.expenses.get(externalId);
+
+    await this.api.expenses.update({
+      Id: externalId,
+      SyncToken: current.SyncToken,
+      Line: current.Line.map((line, index) =>
+        editedExpenseLine(line, (expense.items || [])[index]),
+      ),
+      PaymentType: current.PaymentType,
+      TotalAmt: expense.total_amount,
+      TxnDate: expense.txn_date,
+      AccountRef: expense.account_ref
+        ? { value: expense.account_ref }
+        : undefined,
+      EntityRef: vendorId ? { value: vendorId } : undefined,
+      sparse: true,
+    });
+  }
+
+  async updateBill(externalId, bill, vendorId) {
+    const current = await this.api.bills.get(externalId);
+
+    await this.api.bills.update({
+      Id: externalId,
+      SyncToken: current.SyncToken,
+      DocNumber: bill.bill_number,
+      TxnDate: bill.txn_date,
+      DueDate: bill.due_date,
+      PrivateNote: bill.notes,
+      VendorRef: vendorId ? { value: vendorId } : undefined,
+      sparse: true,
+    });
+  }
+
+  async voidInvoice(externalId) {
+    const current = await this.api.invoices.get(externalId);
+    await this.api.invoices.void({
+      Id: externalId,
+      SyncToken: current.SyncToken,
+    });
+  }
+
+  async voidExpense(externalId) {
+    const current = await this.api.expenses.get(externalId);
+    await this.api.expenses.delete({
+      Id: externalId,
+      SyncToken: current.SyncToken,
+    });
+  }
+
+  async voidBill(externalId) {
+    const current = await this.api.bills.get(externalId);
+    await this.api.bills.delete({
+      Id: externalId,
+      SyncToken: current.SyncToken,
+    });
+  }
+
+  // Receipts are pushed as Purchases.
+  async attachFile(entityType, externalId, file) {
+    const attachable = await this.api.attachables.upload(file, {
+      type: entityType === "Receipt" ? "Purchase" : entityType,
+      value: externalId,
+    });
+    return attachable.Id;
+  }
+}
+
+module.exports = QuickBooksChannel;
@@ -1,5 +1,18 @@
 const Ajv = require("ajv");
 const ajv = new Ajv();
+const {
+  lineItemRef,
+  lineTaxCodeRef,
+  valueRef,
+  quickbooksTax,
+} = require("./services/transform");
+
+// The account a line was categorized to (see src/services/categorization),
+// or the integration's default account.
+const lineAccountRef = (item, accountId) =>
+  item.AccountRef && item.AccountRef.value
+    ? { value: item.AccountRef.value, name: item.AccountRef.name }
+    : { value: accountId };
 
 class QuickBooks {
   constructor() {}
@@ -28,10 +41,7 @@ class QuickBooks {
             DetailType: "SalesItemLineDetail",
             Amount: amount,
             SalesItemLineDetail: {
-              ItemRef: {
-                name: item.Description,
-                value: "1", // Assuming a default value for ItemRef due to lack of specific mapping
-              },
+              ItemRef: lineItemRef(item),
             },
           };
         }),
@@ -70,7 +80,9 @@ class QuickBooks {
   };
 
   receipt = {
-    transform(sourceReceipt, vendorId) {
+    // accounts: { expense_account_id, paid_through_account_id }, used for
+    // the lines and payment the document was not categorized for.
+    transform(sourceReceipt, vendorId, accounts = {}) {
       // Validate the source receipt format first
       if (
         !sourceReceipt ||
@@ -89,28 +101,26 @@ class QuickBooks {
             Amount: item.Amount,
 
             AccountBasedExpenseLineDetail: {
-              AccountRef: {
-                value: "92",
-              },
-              // TaxCodeRef: {
-              //   value: "NON",
-              // },
-              // ProjectRef: {
-              //   value: item.ProjectRef.value,
-              // },
-              BillableStatus: "NotBillable",
+              AccountRef: lineAccountRef(item, accounts.expense_account_id),
+              TaxCodeRef: lineTaxCodeRef(item),
+              ClassRef: valueRef(item.ClassRef),
+              CustomerRef: valueRef(item.CustomerRef),
+              BillableStatus: item.BillableStatus || "NotBillable",
             },
           };
         }),
         PaymentType: sourceReceipt.PaymentType,
-        AccountRef: {
-          value: "93",
-        },
+        AccountRef: lineAccountRef(
+          { AccountRef: sourceReceipt.PaymentAccountRef },
+          accounts.paid_through_account_id,
+        ),
         TxnDate: sourceReceipt.TransactionDate,
         TotalAmt: sourceReceipt.TotalAmount,
         EntityRef: {
           value: vendorId,
         },
+        DepartmentRef: valueRef(sourceReceipt.DepartmentRef),
+        ...quickbooksTax(sourceReceipt.TaxDetail),
       };
 
       return transformedReceipt;
@@ -128,6 +138,59 @@ class QuickBooks {
       return true;
     },
   };
+
+  bill = {
+    transform(sourceBill, vendorId, accounts = {}) {
+      if (!sourceBill || !sourceBill.Items || !sourceBill.VendorDetails) {
+        console.error("Missing required fields in source bill.");
+        return false;
+      }
+
+      const transformedBill = {
+        Line: sourceBill.Items.map((item) => {
+          return {
+            DetailType: "AccountBasedExpenseLineDetail",
+            Amount: Number(item.TotalAmount),
+            Description: item.Description,
+            AccountBasedExpenseLineDetail: {
+              AccountRef: lineAccountRef(item, accounts.expense_account_id),
+              TaxCodeRef: lineTaxCodeRef(item),
+              ClassRef: valueRef(item.ClassRef),
+              CustomerRef: valueRef(item.CustomerRef),
+              BillableStatus: item.BillableStatus || "NotBillable",
+            },
+          };
+        }),
+        VendorRef: {
+          value: vendorId,
+        },
+        DocNumber: sourceBill.BillNumber,
+        TxnDate: sourceBill.BillDate,
+        DueDate: sourceBill.DueDate,
+        TotalAmt: Number(sourceBill.TotalAmount),
+        DepartmentRef: valueRef(sourceBill.DepartmentRef),
+        ...quickbooksTax(sourceBill.TaxDetail),
+      };
+
+      if (sourceBill.Currency) {
+        transformedBill.CurrencyRef = { value: sourceBill.Currency };
+      }
+
+      return transformedBill;
+    },
+
+    validate(input) {
+      const validate = ajv.compile(
+        require("./services/transform/schemas/bill"),
+      );
+      const isValid = validate(input);
+      if (!isValid) {
+        console.error("Validation failed:", validate.errors);
+        return false;
+      }
+      return true;
+    },
+  };
 }
 
 module.exports = QuickBooks;
@@ -6,15 +6,34 @@ const { Integration } = require("../../../db/models");
 const redirectUri =
   process.env.quickbooksRedirectUri ||
   "https://api.kounto.ai/api/quickbooks/callback";
-const oauthClient = new OAuthClient({
-  clientId: process.env.quickbooksClientId,
-  clientSecret: process.env.quickbooksClientSec,
-  environment: "production",
-  redirectUri: redirectUri,
-});
+
+// "sandbox" or "production", picks the QuickBooks Online API host. The API
+// and token URLs can be overridden to run against
+// tests/mocks/quickbooksServer.js.
+const environment = process.env.quickbooksEnvironment || "production";
+const apiUrl = process.env.quickbooksApiUrl;
+const tokenUrl = process.env.quickbooksTokenUrl;
+
+// Wraps an error from makeApiCall so callers can inspect the HTTP status and
+// the QuickBooks Fault (e.g. ValidationFault) to decide whether to retry.
+function apiError(message, error) {
+  const fault = error?.response?.data?.Fault;
+  const detail = fault?.Error?.[0]?.Detail || fault?.Error?.[0]?.Message;
+
+  const wrapped = new Error(detail ? `${message}: ${detail}` : message);
+  wrapped.status = error?.response?.status;
+  wrapped.code = error?.code;
+  wrapped.fault = fault;
+  wrapped.intuit_tid =
+    error?.intuit_tid || error?.response?.headers?.intuit_tid;
+  wrapped.cause = error;
+  return wrapped;
+}
 
 class quickbooksApiClient {
-  constructor(config, integrationId) {
+  // options: { environment, apiUrl, tokenUrl, clientId, clientSecret,
+  // redirectUri }, each defaulting to the environment variables.
+  constructor(config, integrationId, options = {}) {
     console.log("Constructor config received:", config);
 
     if (typeof config === "string") {
@@ -25,12 +44,31 @@ class quickbooksApiClient {
     //   throw new Error("Invalid config: missing realmId");
     // }
 
+    this.environment = options.environment || environment;
+    if (!OAuthClient.environment[this.environment]) {
+      throw new Error(`Unknown QuickBooks environment: ${this.environment}`);
+    }
+
     this.realmId = config.realmId;
     this.config = config;
-    this.baseUrl = `https://quickbooks.api.intuit.com/v3/company/${config.realmId}`;
+    this.apiUrl = (
+      options.apiUrl ||
+      apiUrl ||
+      OAuthClient.environment[this.environment]
+    ).replace(/\/$/, "");
+    this.baseUrl = `${this.apiUrl}/v3/company/${config.realmId}`;
     this.integrationId = integrationId;
 
-    oauthClient.setToken(this.config); // Set token immediately
+    this.oauthClient = new OAuthClient({
+      clientId: options.clientId || process.env.quickbooksClientId,
+      clientSecret: options.clientSecret || process.env.quickbooksClientSec,
+      environment: this.environment,
+      redirectUri: options.redirectUri || redirectUri,
+    });
+
+    this.tokenEndpoint = options.tokenUrl || tokenUrl;
+
+    this.oauthClient.setToken(this.config); // Set token immediately
   }
 
   // QuickBook API credentials validation
@@ -49,7 +87,7 @@ class quickbooksApiClient {
   // async get(endpoint) {
   //   try {
   //     await this.refreshOrSetToken();
-  //     const response = await oauthClient.makeApiCall({
+  //     const response = await this.oauthClient.makeApiCall({
   //       url: `${this.baseUrl}${endpoint}`,
   //       method: "GET",
   //       headers: {
@@ -64,7 +102,7 @@ class quickbooksApiClient {
   // }
 
   async getOAuthRedirectURL(state) {
-    const authUri = oauthClient.authorizeUri({
+    const authUri = this.oauthClient.authorizeUri({
       scope: [OAuthClient.scopes.Accounting, OAuthClient.scopes.OpenId],
       state: state,
     });
@@ -72,12 +110,26 @@ class quickbooksApiClient {
     return authUri;
   }
 
+  // intuit-oauth keeps its token endpoint on the class and reads it when a
+  // token call starts, so this client's endpoint is only set for the call.
+  withTokenEndpoint(call) {
+    const defaultEndpoint = OAuthClient.tokenEndpoint;
+    OAuthClient.tokenEndpoint = this.tokenEndpoint || defaultEndpoint;
+    try {
+      return call();
+    } finally {
+      OAuthClient.tokenEndpoint = defaultEndpoint;
+    }
+  }
+
   async createToken(token) {
-    const res_token = await oauthClient.createToken(token);
+    const res_token = await this.withTokenEndpoint(() =>
+      this.oauthClient.createToken(token),
+    );
     return res_token;
   }
   async refreshOrSetToken() {
-    const isValid = oauthClient.isAccessTokenValid();
+    const isValid = this.oauthClient.isAccessTokenValid();
     console.log("isTokenValid ---->>>>", isValid);
     console.log("Current config:", JSON.stringify(this.config, null, 2)); // Added logging
 
@@ -92,12 +144,12 @@ class quickbooksApiClient {
         throw new Error("No refresh token found in config");
       }
 
-      oauthClient.setToken(this.config);
+      this.oauthClient.setToken(this.config);
 
       if (!isValid) {
         console.log("About to refresh token with:", this.config.refresh_token); // Added logging
-        const authResponse = await oauthClient.refreshUsingToken(
-          this.config.refresh_token,
+        const authResponse = await this.withTokenEndpoint(() =>
+          this.oauthClient.refreshUsingToken(this.config.refresh_token),
         );
 
         console.log(
@@ -115,6 +167,7 @@ class quickbooksApiClient {
           refresh_token: refreshToken.refresh_token,
           id_token: this.config.id_token,
           latency: this.config.latency,
+          createdAt: Date.now(),
         };
 
         console.log(
@@ -123,14 +176,16 @@ class quickbooksApiClient {
         );
 
         // Fixed version - don't double stringify
-        await Integration.update(
-          { credentials: credentials }, // Or JSON.stringify(credentials) only once if needed
-          { where: { id: this.integrationId } }, // Use this.integrationId
-        );
+        if (this.integrationId) {
+          await Integration.update(
+            { credentials: credentials }, // Or JSON.stringify(credentials) only once if needed
+            { where: { id: this.integrationId } }, // Use this.integrationId
+          );
+        }
 
         // Update the current instance config
         this.config = credentials;
-        oauthClient.setToken(credentials);
+        this.oauthClient.setToken(credentials);
       }
     } catch (error) {
       console.error("Error in refreshOrSetToken:", error.message);
@@ -143,7 +198,7 @@ class quickbooksApiClient {
     const query = `SELECT COUNT(*) FROM ${entity}`;
 
     try {
-      const response = await oauthClient.makeApiCall({
+      const response = await this.oauthClient.makeApiCall({
         url: `${this.baseUrl}/query?query=${encodeURIComponent(query)}&minorversion=70`,
         method: "GET",
         headers: {
@@ -158,13 +213,86 @@ class quickbooksApiClient {
     }
   }
 
+  // Records of `entity` whose `field` contains `term`, e.g. the customers
+  // with a DisplayName like "%google%".
+  async search(entity, field, term, maxResults = 20) {
+    const pattern = String(term).replace(/\\/g, "\\\\").replace(/'/g, "\\'");
+    const query = `SELECT * FROM ${entity} WHERE ${field} LIKE '%${pattern}%' MAXRESULTS ${maxResults}`;
+
+    try {
+      await this.refreshOrSetToken();
+      const response = await this.oauthClient.makeApiCall({
+        url: `${this.baseUrl}/query?query=${encodeURIComponent(query)}&minorversion=70`,
+        method: "GET",
+        headers: {
+          "Content-Type": "application/json",
+        },
+      });
+      return response.body.QueryResponse[entity] || [];
+    } catch (error) {
+      console.error(`Error searching ${entity}:`, error);
+      throw apiError(`failed to search ${entity.toLowerCase()}s`, error);
+    }
+  }
+
+  // Change Data Capture: the `entities` changed since `changedSince` (at
+  // most 30 days back), by entity name. Deleted records only carry their Id
+  // and `status: "Deleted"`.
+  async cdc(entities, changedSince) {
+    try {
+      await this.refreshOrSetToken();
+      const response = await this.oauthClient.makeApiCall({
+        url: `${this.baseUrl}/cdc?entities=${entities.join(",")}&changedSince=${encodeURIComponent(new Date(changedSince).toISOString())}&minorversion=70`,
+        method: "GET",
+        headers: {
+          "Content-Type": "application/json",
+        },
+      });
+
+      const changes = {};
+      for (const cdc of response.body.CDCResponse || []) {
+        for (const queryResponse of cdc.QueryResponse || []) {
+          for (const entity of entities) {
+            if (queryResponse[entity]) {
+              changes[entity] = (changes[entity] || []).concat(
+                queryResponse[entity],
+              );
+            }
+          }
+        }
+      }
+      return changes;
+    } catch (error) {
+      console.error("Error fetching changes:", error);
+      throw apiError("failed to fetch changes", error);
+    }
+  }
+
+  // Reads one record of any entity, e.g. read("Vendor", "56").
+  async read(entity, id) {
+    try {
+      await this.refreshOrSetToken();
+      const response = await this.oauthClient.makeApiCall({
+        url: `${this.baseUrl}/${entity.toLowerCase()}/${id}?minorversion=70`,
+        method: "GET",
+        headers: {
+          "Content-Type": "application/json",
+        },
+      });
+      return response.body[entity];
+    } catch (error) {
+      console.error(`Error fetching ${entity} ${id}:`, error);
+      throw apiError(`failed to fetch ${entity.toLowerCase()}`, error);
+    }
+  }
+
   invoices = {
     list: async (page = 1, pageSize = 10) => {
       try {
         const startPosition = (page - 1) * pageSize + 1;
         const endPosition = page * pageSize;
         const query = `select * from Invoice startPosition ${startPosition} maxResults ${pageSize}`;
-        const response = await oauthClient.makeApiCall({
+        const response = await this.oauthClient.makeApiCall({
           url: `${this.baseUrl}/query?query=${encodeURIComponent(query)}`,
           method: "GET",
           headers: {
@@ -187,7 +315,7 @@ class quickbooksApiClient {
     create: async (invoiceData) => {
       try {
         await this.refreshOrSetToken();
-        const response = await oauthClient.makeApiCall({
+        const response = await this.oauthClient.makeApiCall({
           url: `${this.baseUrl}/invoice?minorversion=70`,
           method: "POST",
           headers: {
@@ -203,7 +331,7 @@ class quickbooksApiClient {
           "invoiceCreateError --->>>",
           JSON.stringify(error?.response?.data),
         );
-        throw "failed to create invoice";
+        throw apiError("failed to create invoice", error);
       }
     },
 
@@ -213,7 +341,7 @@ class quickbooksApiClient {
 
         const query = `select * from Invoice where Id = '${id}'`;
 
-        const response = await oauthClient.makeApiCall({
+        const response = await this.oauthClient.makeApiCall({
           url: `${this.baseUrl}/query?query=${encodeURIComponent(query)}`,
           method: "GET",
           headers: {
@@ -233,7 +361,7 @@ class quickbooksApiClient {
 
       try {
         await this.refreshOrSetToken();
-        const response = await oauthClient.makeApiCall({
+        const response = await this.oauthClient.makeApiCall({
           url: `${this.baseUrl}/invoice?minorversion=70`,
           method: "POST",
           headers: {
@@ -245,7 +373,27 @@ class quickbooksApiClient {
         return response;
       } catch (error) {
         console.error("Error updating invoice:", error);
-        throw error;
+        throw apiError("failed to update invoice", error);
+      }
+    },
+
+    // invoiceData must include Id and the current SyncToken
+    void: async (invoiceData) => {
+      try {
+        await this.refreshOrSetToken();
+        const response = await this.oauthClient.makeApiCall({
+          url: `${this.baseUrl}/invoice?operation=void&minorversion=70`,
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify(invoiceData),
+        });
+
+        return response.body;
+      } catch (error) {
+        console.error("Error voiding invoice:", error);
+        throw apiError("failed to void invoice", error);
       }
     },
   };
@@ -255,7 +403,7 @@ class quickbooksApiClient {
       try {
         await this.refreshOrSetToken();
         const query = `SELECT * FROM Customer WHERE DisplayName = '${name}'`;
-        const response = await oauthClient.makeApiCall({
+        const response = await this.oauthClient.makeApiCall({
           url: `${this.baseUrl}/query?query=${encodeURIComponent(query)}`,
           method: "GET",
           headers: {
@@ -280,7 +428,7 @@ class quickbooksApiClient {
       try {
         const startPosition = (page - 1) * pageSize + 1;
         const query = `SELECT *  FROM Customer STARTPOSITION ${startPosition} MAXRESULTS ${pageSize}`;
-        const response = await oauthClient.makeApiCall({
+        const response = await this.oauthClient.makeApiCall({
           url: `${this.baseUrl}/query?query=${encodeURIComponent(query)}`,
           method: "GET",
           headers: {
@@ -289,7 +437,7 @@ class quickbooksApiClient {
         });
 
         return {
-          customers: response.body.QueryResponse.Customer,
+          customers: response.body.QueryResponse.Customer || [],
           currentPage: page,
           pageSize: pageSize,
         };
@@ -302,7 +450,7 @@ class quickbooksApiClient {
     create: async (customerData) => {
       try {
         await this.refreshOrSetToken();
-        const response = await oauthClient.makeApiCall({
+        const response = await this.oauthClient.makeApiCall({
           url: `${this.baseUrl}/customer?minorversion=70`,
           method: "POST",
           headers: {
@@ -316,7 +464,7 @@ class quickbooksApiClient {
           "customerCreateError",
           JSON.stringify(error?.response?.data),
         );
-        throw "failed to create customer";
+        throw apiError("failed to create customer", error);
       }
     },
 
@@ -328,7 +476,7 @@ class quickbooksApiClient {
 
         const query = `select * from Customer Where Id = '${id}'`;
 
-        const response = await oauthClient.makeApiCall({
+        const response = await this.oauthClient.makeApiCall({
           url: `${this.baseUrl}/query?query=${encodeURIComponent(query)}`,
           method: "GET",
           headers: {
@@ -349,7 +497,7 @@ class quickbooksApiClient {
 
         console.log("Updating started...");
 
-        const response = await oauthClient.makeApiCall({
+        const response = await this.oauthClient.makeApiCall({
           url: `${this.baseUrl}/customer?minorversion=70`,
           method: "POST",
           headers: {
@@ -362,7 +510,7 @@ class quickbooksApiClient {
         return response;
       } catch (error) {
         console.error("Error updating customer:", error);
-        throw error;
+        throw apiError("failed to update customer", error);
       }
     },
   };
@@ -397,7 +545,7 @@ class quickbooksApiClient {
         const startPosition = (pageNumber - 1) * pageSize + 1;
         const endPosition = pageNumber * pageSize;
         const query = `select * from Purchase startPosition ${startPosition} maxResults ${pageSize}`;
-        const response = await oauthClient.makeApiCall({
+        const response = await this.oauthClient.makeApiCall({
           url: `${this.baseUrl}/query?query=${encodeURIComponent(query)}`,
           method: "GET",
           headers: {
@@ -420,7 +568,7 @@ class quickbooksApiClient {
     create: async (expenseData) => {
       try {
         await this.refreshOrSetToken();
-        const response = await oauthClient.makeApiCall({
+        const response = await this.oauthClient.makeApiCall({
           url: `${this.baseUrl}/purchase`,
           method: "POST",
           headers: {
@@ -435,7 +583,7 @@ class quickbooksApiClient {
           "expenseCreateError",
           JSON.stringify(error?.response?.data),
         );
-        throw "failed to create expense";
+        throw apiError("failed to create expense", error);
       }
     },
 
@@ -445,7 +593,7 @@ class quickbooksApiClient {
 
         const query = `select * from Purchase where Id = '${expenseId}'`;
 
-        const response = await oauthClient.makeApiCall({
+        const response = await this.oauthClient.makeApiCall({
           url: `${this.baseUrl}/query?query=${encodeURIComponent(query)}`,
           method: "GET",
           headers: {
@@ -463,7 +611,7 @@ class quickbooksApiClient {
     update: async (expenseData) => {
       try {
         await this.refreshOrSetToken();
-        const response = await oauthClient.makeApiCall({
+        const response = await this.oauthClient.makeApiCall({
           url: `${this.baseUrl}/purchase?minorversion=70`,
           method: "POST",
           headers: {
@@ -475,34 +623,164 @@ class quickbooksApiClient {
         return response.body;
       } catch (error) {
         console.error("Error updating expense:", error);
-        throw error;
+        throw apiError("failed to update expense", error);
       }
     },
 
-    delete: async (expenseId) => {
+    // QuickBooks does not void Purchases, they are deleted instead.
+    // expenseData must include Id and the current SyncToken
+    delete: async (expenseData) => {
       try {
-        const response = await fetch(`${this.baseUrl}/expense/${expenseId}`, {
-          method: "DELETE",
+        await this.refreshOrSetToken();
+        const response = await this.oauthClient.makeApiCall({
+          url: `${this.baseUrl}/purchase?operation=delete&minorversion=70`,
+          method: "POST",
           headers: {
-            Authorization: `Bearer ${this.accessToken}`,
+            "Content-Type": "application/json",
           },
+          body: JSON.stringify(expenseData),
         });
-        if (!response.ok) throw new Error("Failed to delete expense");
-        return true;
+
+        return response.body;
       } catch (error) {
         console.error("Error deleting expense:", error);
+        throw apiError("failed to delete expense", error);
+      }
+    },
+  };
+
+  bills = {
+    list: async (page = 1, pageSize = 10) => {
+      try {
+        await this.refreshOrSetToken();
+        const startPosition = (page - 1) * pageSize + 1;
+        const query = `select * from Bill startPosition ${startPosition} maxResults ${pageSize}`;
+        const response = await this.oauthClient.makeApiCall({
+          url: `${this.baseUrl}/query?query=${encodeURIComponent(query)}&minorversion=70`,
+          method: "GET",
+          headers: {
+            "Content-Type": "application/json",
+          },
+        });
+
+        return {
+          bills: response.body.QueryResponse.Bill || [],
+          currentPage: page,
+          pageSize: pageSize,
+          totalCount: response.body.QueryResponse.totalCount,
+        };
+      } catch (error) {
+        console.error("Error fetching bills:", error);
         throw error;
       }
     },
+
+    create: async (billData) => {
+      try {
+        await this.refreshOrSetToken();
+        const response = await this.oauthClient.makeApiCall({
+          url: `${this.baseUrl}/bill?minorversion=70`,
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify(billData),
+        });
+
+        return response.body;
+      } catch (error) {
+        console.log("billCreateError", JSON.stringify(error?.response?.data));
+        throw apiError("failed to create bill", error);
+      }
+    },
+
+    get: async (billId) => {
+      try {
+        await this.refreshOrSetToken();
+        const response = await this.oauthClient.makeApiCall({
+          url: `${this.baseUrl}/bill/${billId}?minorversion=70`,
+          method: "GET",
+          headers: {
+            "Content-Type": "application/json",
+          },
+        });
+
+        return response.body.Bill;
+      } catch (error) {
+        console.error("Error fetching bill:", error);
+        throw apiError("failed to fetch bill", error);
+      }
+    },
+
+    // billData must include Id and the current SyncToken
+    update: async (billData) => {
+      try {
+        await this.refreshOrSetToken();
+        const response = await this.oauthClient.makeApiCall({
+          url: `${this.baseUrl}/bill?minorversion=70`,
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify(billData),
+        });
+
+        return response.body;
+      } catch (error) {
+        console.error("Error updating bill:", error);
+        throw apiError("failed to update bill", error);
+      }
+    },
+
+    // Bills cannot be voided either, only deleted.
+    // billData must include Id and the current SyncToken
+    delete: async (billData) => {
+      try {
+        await this.refreshOrSetToken();
+        const response = await this.oauthClient.makeApiCall({
+          url: `${this.baseUrl}/bill?operation=delete&minorversion=70`,
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify(billData),
+        });
+
+        return response.body;
+      } catch (error) {
+        console.error("Error deleting bill:", error);
+        throw apiError("failed to delete bill", error);
+      }
+    },
   };
 
   vendors = {
+    findByName: async (name) => {
+      try {
+        await this.refreshOrSetToken();
+        const query = `SELECT * FROM Vendor WHERE DisplayName = '${name.replace(/'/g, "\\'")}'`;
+        const response = await this.oauthClient.makeApiCall({
+          url: `${this.baseUrl}/query?query=${encodeURIComponent(query)}`,
+          method: "GET",
+          headers: {
+            "Content-Type": "application/json",
+          },
+        });
+
+        const vendors = response.body.QueryResponse.Vendor;
+        return vendors && vendors.length > 0 ? vendors[0] : null;
+      } catch (error) {
+        console.error("Error finding vendor by name:", error);
+        throw apiError("failed to find vendor", error);
+      }
+    },
+
     list: async (page = 1, pageSize = 10) => {
       try {
         const startPosition = (page - 1) * pageSize + 1;
         const endPosition = page * pageSize;
         const query = `select * from Vendor startPosition ${startPosition} maxResults ${pageSize}`;
-        const response = await oauthClient.makeApiCall({
+        const response = await this.oauthClient.makeApiCall({
           url: `${this.baseUrl}/query?query=${encodeURIComponent(query)}`,
           method: "GET",
           headers: {
@@ -511,7 +789,7 @@ class quickbooksApiClient {
         });
         // const data = await response.json();
         return {
-          vendors: response.body.QueryResponse.Vendor,
+          vendors: response.body.QueryResponse.Vendor || [],
           currentPage: page,
           pageSize: pageSize,
           totalCount: response.body.QueryResponse.totalCount,
@@ -525,7 +803,7 @@ class quickbooksApiClient {
     create: async (vendorData) => {
       try {
         await this.refreshOrSetToken();
-        const response = await oauthClient.makeApiCall({
+        const response = await this.oauthClient.makeApiCall({
           url: `${this.baseUrl}/vendor?minorversion=70`,
           method: "POST",
           headers: {
@@ -536,7 +814,7 @@ class quickbooksApiClient {
         return response;
       } catch (error) {
         console.log("vendorCreateError", JSON.stringify(error?.response?.data));
-        throw "failed to create vendor";
+        throw apiError("failed to create vendor", error);
       }
     },
 
@@ -546,7 +824,7 @@ class quickbooksApiClient {
 
         const query = `select * from Vendor Where Id = '${id}'`;
 
-        const response = await oauthClient.makeApiCall({
+        const response = await this.oauthClient.makeApiCall({
           url: `${this.baseUrl}/query?query=${encodeURIComponent(query)}`,
           method: "GET",
           headers: {
@@ -564,7 +842,7 @@ class quickbooksApiClient {
       try {
         await this.refreshOrSetToken();
 
-        const response = await oauthClient.makeApiCall({
+        const response = await this.oauthClient.makeApiCall({
           url: `${this.baseUrl}/vendor?minorversion=70`,
           method: "POST", // QuickBooks API uses POST for update operations
           headers: {
@@ -576,7 +854,7 @@ class quickbooksApiClient {
         return response;
       } catch (error) {
         console.error("Error updating vendor:", error);
-        throw error;
+        throw apiError("failed to update vendor", error);
       }
     },
 
@@ -602,40 +880,205 @@ class quickbooksApiClient {
     },
   };
 
+  items = {
+    list: async (page = 1, pageSize = 10) => {
+      try {
+        await this.refreshOrSetToken();
+        const startPosition = (page - 1) * pageSize + 1;
+        const query = `select * from Item startPosition ${startPosition} maxResults ${pageSize}`;
+        const response = await this.oauthClient.makeApiCall({
+          url: `${this.baseUrl}/query?query=${encodeURIComponent(query)}&minorversion=70`,
+          method: "GET",
+          headers: {
+            "Content-Type": "application/json",
+          },
+        });
+
+        return {
+          items: response.body.QueryResponse.Item || [],
+          currentPage: page,
+          pageSize: pageSize,
+        };
+      } catch (error) {
+        console.error("Error fetching items:", error);
+        throw apiError("failed to fetch items", error);
+      }
+    },
+
+    findByName: async (name) => {
+      try {
+        await this.refreshOrSetToken();
+        const query = `select * from Item where Name = '${name.replace(/'/g, "\\'")}'`;
+        const response = await this.oauthClient.makeApiCall({
+          url: `${this.baseUrl}/query?query=${encodeURIComponent(query)}&minorversion=70`,
+          method: "GET",
+          headers: {
+            "Content-Type": "application/json",
+          },
+        });
+
+        const items = response.body.QueryResponse.Item;
+        return items && items.length > 0 ? items[0] : null;
+      } catch (error) {
+        console.error("Error finding item by name:", error);
+        throw apiError("failed to find item", error);
+      }
+    },
+
+    create: async (itemData) => {
+      try {
+        await this.refreshOrSetToken();
+        const response = await this.oauthClient.makeApiCall({
+          url: `${this.baseUrl}/item?minorversion=70`,
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify(itemData),
+        });
+
+        return response.body.Item;
+      } catch (error) {
+        console.log("itemCreateError", JSON.stringify(error?.response?.data));
+        throw apiError("failed to create item", error);
+      }
+    },
+  };
+
+  taxRates = {
+    list: async (page = 1, pageSize = 10) => {
+      try {
+        await this.refreshOrSetToken();
+        const startPosition = (page - 1) * pageSize + 1;
+        const query = `select * from TaxRate startPosition ${startPosition} maxResults ${pageSize}`;
+        const response = await this.oauthClient.makeApiCall({
+          url: `${this.baseUrl}/query?query=${encodeURIComponent(query)}&minorversion=70`,
+          method: "GET",
+          headers: {
+            "Content-Type": "application/json",
+          },
+        });
+
+        return {
+          taxRates: response.body.QueryResponse.TaxRate || [],
+          currentPage: page,
+          pageSize: pageSize,
+        };
+      } catch (error) {
+        console.error("Error fetching tax rates:", error);
+        throw apiError("failed to fetch tax rates", error);
+      }
+    },
+  };
+
+  taxCodes = {
+    list: async (page = 1, pageSize = 10) => {
+      try {
+        await this.refreshOrSetToken();
+        const startPosition = (page - 1) * pageSize + 1;
+        const query = `select * from TaxCode startPosition ${startPosition} maxResults ${pageSize}`;
+        const response = await this.oauthClient.makeApiCall({
+          url: `${this.baseUrl}/query?query=${encodeURIComponent(query)}&minorversion=70`,
+          method: "GET",
+          headers: {
+            "Content-Type": "application/json",
+          },
+        });
+
+        return {
+          taxCodes: response.body.QueryResponse.TaxCode || [],
+          currentPage: page,
+          pageSize: pageSize,
+        };
+      } catch (error) {
+        console.error("Error fetching tax codes:", error);
+        throw apiError("failed to fetch tax codes", error);
+      }
+    },
+  };
+
+  attachables = {
+    // Uploads a file ({ buffer, fileName, contentType }) and links it to a
+    // transaction, `entityRef` being { type: "Invoice", value: "130" }.
+    // Returns the Attachable.
+    upload: async (file, entityRef) => {
+      const boundary = `----finny${Date.now().toString(16)}`;
+      const metadata = {
+        AttachableRef: [{ EntityRef: entityRef, IncludeOnSend: false }],
+        FileName: file.fileName,
+        ContentType: file.contentType,
+      };
+      const body = Buffer.concat([
+        Buffer.from(
+          `--${boundary}\r\n` +
+            'Content-Disposition: form-data; name="file_metadata_01"; filename="attachment.json"\r\n' +
+            "Content-Type: application/json\r\n\r\n" +
+            `${JSON.stringify(metadata)}\r\n` +
+            `--${boundary}\r\n` +
+            `Content-Disposition: form-data; name="file_content_01"; filename="${file.fileName}"\r\n` +
+            `Content-Type: ${file.contentType}\r\n\r\n`,
+        ),
+        file.buffer,
+        Buffer.from(`\r\n--${boundary}--\r\n`),
+      ]);
+
+      let response;
+      try {
+        await this.refreshOrSetToken();
+        response = await this.oauthClient.makeApiCall({
+          url: `${this.baseUrl}/upload?minorversion=70`,
+          method: "POST",
+          headers: {
+            "Content-Type": `multipart/form-data; boundary=${boundary}`,
+          },
+          body,
+        });
+      } catch (error) {
+        console.error("Error uploading attachment:", error);
+        throw apiError("failed to upload attachment", error);
+      }
+
+      // The fault of a rejected file comes back with status 200.
+      const [result] = response.body.AttachableResponse || [];
+      if (!result || result.Fault) {
+        throw apiError("failed to upload attachment", {
+          response: { status: 400, data: { Fault: result?.Fault } },
+        });
+      }
+      return result.Attachable;
+    },
+  };
+
   accounts = {
     list: async (page = 1, pageSize = 10) => {
       try {
+        await this.refreshOrSetToken();
         const startPosition = (page - 1) * pageSize + 1;
-        const endPosition = page * pageSize;
         const query = `select * from Account startPosition ${startPosition} maxResults ${pageSize}`;
-        const response = await fetch(
-          `${this.baseUrl}/query?query=${encodeURIComponent(query)}`,
-          {
-            method: "GET",
-            headers: {
-              Authorization: `Bearer ${this.accessToken}`,
-              Accept: "application/json",
-            },
+        const response = await this.oauthClient.makeApiCall({
+          url: `${this.baseUrl}/query?query=${encodeURIComponent(query)}&minorversion=70`,
+          method: "GET",
+          headers: {
+            "Content-Type": "application/json",
           },
-        );
-        if (!response.ok) throw new Error("Failed to fetch accounts");
-        const data = await response.json();
+        });
+
         return {
-          accounts: data.QueryResponse.Account,
+          accounts: response.body.QueryResponse.Account || [],
           currentPage: page,
           pageSize: pageSize,
-          totalCount: data.QueryResponse.totalCount,
+          totalCount: response.body.QueryResponse.totalCount,
         };
       } catch (error) {
         console.error("Error fetching accounts:", error);
-        throw error;
+        throw apiError("failed to fetch accounts", error);
       }
     },
 
     create: async (accountData) => {
       try {
         await this.refreshOrSetToken();
-        const response = await oauthClient.makeApiCall({
+        const response = await this.oauthClient.makeApiCall({
           url: `${this.baseUrl}/account`,
           method: "POST",
           headers: {
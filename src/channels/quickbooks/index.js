@@ -4,6 +4,9 @@ const {
   Customer,
   Vendor,
   Account,
+  Item,
+  TaxRate,
+  TaxCode,
   Invoice,
   InvoiceSaleLineItem,
   SaleLineItem,
@@ -14,9 +17,28 @@ const {
 
 require("dotenv").config();
 
+// Entities kept up to date through Change Data Capture and webhooks.
+const CDC_ENTITIES = [
+  "Customer",
+  "Vendor",
+  "Account",
+  "Item",
+  "Invoice",
+  "Purchase",
+];
+
+// Entities imported in full, with their local model and transform.
+const LIST_ENTITIES = {
+  Customer: { model: Customer, transform: "transformCustomerData" },
+  Vendor: { model: Vendor, transform: "transformVendorData" },
+  Account: { model: Account, transform: "transformAccountData" },
+  Item: { model: Item, transform: "transformItemData" },
+};
+
 class QuickBooksSync {
-  constructor(config, companyId, integrationId, userid) {
-    this.apiClient = new quickbooksApiClient(config);
+  // `options` go to quickbooksApiClient (environment, apiUrl, tokenUrl).
+  constructor(config, companyId, integrationId, userid, options = {}) {
+    this.apiClient = new quickbooksApiClient(config, integrationId, options);
     this.config = config;
     this.companyId = companyId;
     this.integrationId = integrationId;
@@ -30,7 +52,9 @@ class QuickBooksSync {
       // await this.syncCompanyInfo();
       await this.syncCustomers();
       await this.syncVendors();
-      // await this.syncAccounts();
+      await this.syncAccounts();
+      await this.syncItems();
+      await this.syncTaxCodes(await this.syncTaxRates());
       // await this.syncInvoices();
     } catch (error) {
       console.error("Error importing data from QuickBooks:", error);
@@ -145,6 +169,315 @@ class QuickBooksSync {
     console.log("Vendor synchronization completed successfully.");
   }
 
+  // Imports the chart of accounts the receipts and bills are categorized with.
+  async syncAccounts() {
+    console.log("Starting account synchronization...");
+
+    let page = 1;
+    let pageSize = 100;
+    let hasMore = true;
+
+    const totalCount = await this.apiClient.count("Account");
+
+    while (hasMore) {
+      const { accounts } = await this.apiClient.accounts.list(page, pageSize);
+
+      for (const accountData of accounts) {
+        const entityMapping = await this.getOrCreateEntityMapping(
+          "Account",
+          accountData.Id,
+        );
+
+        if (entityMapping.local_id) {
+          const accountRecord = await Account.findByPk(entityMapping.local_id);
+          await accountRecord.update(this.transformAccountData(accountData));
+        } else {
+          const accountRecord = await Account.create(
+            this.transformAccountData(accountData),
+          );
+          await this.createEntityMapping(
+            "Account",
+            accountData.Id,
+            accountRecord.id,
+          );
+        }
+      }
+
+      console.log(`Processed ${accounts.length} accounts from page ${page}`);
+      hasMore = page * pageSize < totalCount;
+      page++;
+    }
+
+    console.log("Account synchronization completed successfully.");
+  }
+
+  // Imports the products and services invoice lines are matched to.
+  // Categories only group items, they can not be sold.
+  async syncItems() {
+    console.log("Starting item synchronization...");
+
+    let page = 1;
+    let pageSize = 100;
+    let hasMore = true;
+
+    const totalCount = await this.apiClient.count("Item");
+
+    while (hasMore) {
+      const { items } = await this.apiClient.items.list(page, pageSize);
+
+      for (const itemData of items) {
+        if (itemData.Type === "Category") continue;
+
+        const entityMapping = await this.getOrCreateEntityMapping(
+          "Item",
+          itemData.Id,
+        );
+
+        if (entityMapping.local_id) {
+          const itemRecord = await Item.findByPk(entityMapping.local_id);
+          await itemRecord.update(this.transformItemData(itemData));
+        } else {
+          const itemRecord = await Item.create(
+            this.transformItemData(itemData),
+          );
+          await this.createEntityMapping("Item", itemData.Id, itemRecord.id);
+        }
+      }
+
+      console.log(`Processed ${items.length} items from page ${page}`);
+      hasMore = page * pageSize < totalCount;
+      page++;
+    }
+
+    console.log("Item synchronization completed successfully.");
+  }
+
+  // Imports the tax rates, returns their rates by external id for the tax
+  // codes.
+  async syncTaxRates() {
+    console.log("Starting tax rate synchronization...");
+
+    const rates = new Map();
+    let page = 1;
+    let pageSize = 100;
+    let hasMore = true;
+
+    const totalCount = await this.apiClient.count("TaxRate");
+
+    while (hasMore) {
+      const { taxRates } = await this.apiClient.taxRates.list(page, pageSize);
+
+      for (const taxRateData of taxRates) {
+        rates.set(taxRateData.Id, Number(taxRateData.RateValue) || 0);
+
+        const entityMapping = await this.getOrCreateEntityMapping(
+          "TaxRate",
+          taxRateData.Id,
+        );
+
+        if (entityMapping.local_id) {
+          const taxRateRecord = await TaxRate.findByPk(entityMapping.local_id);
+          await taxRateRecord.update(this.transformTaxRateData(taxRateData));
+        } else {
+          const taxRateRecord = await TaxRate.create(
+            this.transformTaxRateData(taxRateData),
+          );
+          await this.createEntityMapping(
+            "TaxRate",
+            taxRateData.Id,
+            taxRateRecord.id,
+          );
+        }
+      }
+
+      console.log(`Processed ${taxRates.length} tax rates from page ${page}`);
+      hasMore = page * pageSize < totalCount;
+      page++;
+    }
+
+    console.log("Tax rate synchronization completed successfully.");
+    return rates;
+  }
+
+  // Imports the tax codes with the combined rate of their tax rates.
+  async syncTaxCodes(rates) {
+    console.log("Starting tax code synchronization...");
+
+    let page = 1;
+    let pageSize = 100;
+    let hasMore = true;
+
+    const totalCount = await this.apiClient.count("TaxCode");
+
+    while (hasMore) {
+      const { taxCodes } = await this.apiClient.taxCodes.list(page, pageSize);
+
+      for (const taxCodeData of taxCodes) {
+        const entityMapping = await this.getOrCreateEntityMapping(
+          "TaxCode",
+          taxCodeData.Id,
+        );
+
+        if (entityMapping.local_id) {
+          const taxCodeRecord = await TaxCode.findByPk(entityMapping.local_id);
+          await taxCodeRecord.update(
+            this.transformTaxCodeData(taxCodeData, rates),
+          );
+        } else {
+          const taxCodeRecord = await TaxCode.create(
+            this.transformTaxCodeData(taxCodeData, rates),
+          );
+          await this.createEntityMapping(
+            "TaxCode",
+            taxCodeData.Id,
+            taxCodeRecord.id,
+          );
+        }
+      }
+
+      console.log(`Processed ${taxCodes.length} tax codes from page ${page}`);
+      hasMore = page * pageSize < totalCount;
+      page++;
+    }
+
+    console.log("Tax code synchronization completed successfully.");
+  }
+
+  // Applies the records changed in QuickBooks since `since` through Change
+  // Data Capture. Contacts, accounts and items are created or updated
+  // locally, invoices and purchases only when they are mapped to a local
+  // record. Deleted records mark their mapping "Deleted" and deactivate the
+  // local list entity. Returns { [entity]: { changed, deleted } }.
+  async syncChanges(since) {
+    console.log(`Fetching QuickBooks changes since ${since.toISOString()}...`);
+
+    const changes = await this.apiClient.cdc(CDC_ENTITIES, since);
+    const summary = {};
+
+    for (const entity of CDC_ENTITIES) {
+      summary[entity] = { changed: 0, deleted: 0 };
+
+      for (const record of changes[entity] || []) {
+        if (record.status === "Deleted") {
+          if (await this.markDeleted(entity, record.Id)) {
+            summary[entity].deleted++;
+          }
+        } else if (await this.applyChange(entity, record)) {
+          summary[entity].changed++;
+        }
+      }
+    }
+
+    console.log("QuickBooks changes applied:", summary);
+    return summary;
+  }
+
+  // Applies one entity change notified by a webhook, { entity, id,
+  // operation, deletedId }. The record is read again, so notifications
+  // arriving late or twice leave the latest state. Merges delete the merged
+  // away record (deletedId). Returns false when nothing was applied.
+  async syncEntity({ entity, id, operation, deletedId }) {
+    if (!CDC_ENTITIES.includes(entity)) return false;
+    if (operation === "Delete") return this.markDeleted(entity, id);
+    if (operation === "Merge" && deletedId) {
+      await this.markDeleted(entity, deletedId);
+    }
+
+    const record = await this.apiClient.read(entity, id);
+    return this.applyChange(entity, record);
+  }
+
+  // Updates the local record of a changed QuickBooks record, returns false
+  // when it was skipped.
+  async applyChange(entity, record) {
+    const list = LIST_ENTITIES[entity];
+    if (list) {
+      if (entity === "Item" && record.Type === "Category") return false;
+
+      const entityMapping = await this.getOrCreateEntityMapping(
+        entity,
+        record.Id,
+      );
+      const data = this[list.transform](record);
+
+      if (entityMapping.local_id) {
+        const localRecord = await list.model.findByPk(entityMapping.local_id);
+        if (!localRecord) return false;
+        await localRecord.update(data);
+        if (entityMapping.sync_status === "Deleted") {
+          await entityMapping.update({ sync_status: "Synced" });
+        }
+      } else {
+        const localRecord = await list.model.create(data);
+        await this.createEntityMapping(entity, record.Id, localRecord.id);
+      }
+      return true;
+    }
+
+    const entityMapping = await this.findTransactionMapping(entity, record.Id);
+    if (!entityMapping) return false;
+
+    if (entity === "Invoice") {
+      const invoice = await Invoice.findByPk(entityMapping.local_id);
+      if (!invoice) return false;
+      await invoice.update({
+        invoice_number: record.DocNumber,
+        date: record.TxnDate,
+        due_date: record.DueDate,
+        total_amount: record.TotalAmt,
+        balance_due: record.Balance,
+        amount_paid:
+          record.Balance === undefined
+            ? invoice.amount_paid
+            : Number(record.TotalAmt) - Number(record.Balance),
+      });
+    } else {
+      const purchase = await Purchase.findByPk(entityMapping.local_id);
+      if (!purchase) return false;
+      await purchase.update({
+        txn_date: record.TxnDate,
+        total_amount: record.TotalAmt,
+        account_ref: record.AccountRef?.value,
+      });
+    }
+    return true;
+  }
+
+  // Marks the mapping of a record deleted in QuickBooks, list entities are
+  // deactivated locally. Returns false when the record was never mapped.
+  async markDeleted(entity, externalId) {
+    const entityMapping = LIST_ENTITIES[entity]
+      ? await EntityMapping.findOne({
+          where: {
+            entity_type: entity,
+            external_id: externalId,
+            IntegrationId: this.integrationId,
+          },
+        })
+      : await this.findTransactionMapping(entity, externalId);
+    if (!entityMapping) return false;
+
+    await entityMapping.update({ sync_status: "Deleted" });
+    if (LIST_ENTITIES[entity]) {
+      await LIST_ENTITIES[entity].model.update(
+        { active: false },
+        { where: { id: entityMapping.local_id } },
+      );
+    }
+    return true;
+  }
+
+  // Receipts are pushed as purchases and mapped as "Receipt".
+  findTransactionMapping(entity, externalId) {
+    return EntityMapping.findOne({
+      where: {
+        entity_type: entity === "Purchase" ? ["Receipt", "Purchase"] : entity,
+        external_id: externalId,
+        IntegrationId: this.integrationId,
+      },
+    });
+  }
+
   async getOrCreateEntityMapping(entityType, externalId) {
     const entityMapping = await EntityMapping.findOne({
       where: {
@@ -180,7 +513,7 @@ class QuickBooksSync {
       name: customer.DisplayName,
       email: customer.PrimaryEmailAddr?.Address,
       companyName: customer.CompanyName,
-      active: customer.Active,
+      active: customer.Active !== false,
       balance: customer.Balance,
       metaData: customer.MetaData,
       billing_address: customer.BillAddr
@@ -207,6 +540,78 @@ class QuickBooksSync {
     };
   }
 
+  transformAccountData(account) {
+    return {
+      name: account.Name,
+      fully_qualified_name: account.FullyQualifiedName || account.Name,
+      account_number: account.AcctNum,
+      account_type: account.AccountType,
+      account_sub_type: account.AccountSubType,
+      classification: account.Classification,
+      currency: account.CurrencyRef?.value,
+      active: account.Active !== false,
+      CompanyId: this.companyId,
+      IntegrationId: this.integrationId,
+      UserId: this.userid,
+    };
+  }
+
+  transformItemData(item) {
+    return {
+      name: item.Name,
+      fully_qualified_name: item.FullyQualifiedName || item.Name,
+      sku: item.Sku,
+      description: item.Description,
+      type: item.Type,
+      unit_price: item.UnitPrice,
+      income_account_ref: item.IncomeAccountRef?.value,
+      active: item.Active !== false,
+      CompanyId: this.companyId,
+      IntegrationId: this.integrationId,
+      UserId: this.userid,
+    };
+  }
+
+  transformTaxRateData(taxRate) {
+    return {
+      name: taxRate.Name,
+      description: taxRate.Description,
+      rate_value: taxRate.RateValue,
+      agency_ref: taxRate.AgencyRef?.value,
+      active: taxRate.Active !== false,
+      CompanyId: this.companyId,
+      IntegrationId: this.integrationId,
+      UserId: this.userid,
+    };
+  }
+
+  // `rates` are the tax rates in percent by external id. The "TAX" and "NON"
+  // pseudo codes of US companies have no rate lists.
+  transformTaxCodeData(taxCode, rates) {
+    const rateRefs = (rateList) =>
+      (rateList?.TaxRateDetail || []).map((detail) => detail.TaxRateRef.value);
+    const combinedRate = (refs) =>
+      refs.length
+        ? refs.reduce((total, ref) => total + (rates.get(ref) || 0), 0)
+        : null;
+
+    const sales = rateRefs(taxCode.SalesTaxRateList);
+    const purchase = rateRefs(taxCode.PurchaseTaxRateList);
+
+    return {
+      name: taxCode.Name,
+      description: taxCode.Description,
+      taxable: taxCode.Taxable,
+      sales_rate: combinedRate(sales),
+      purchase_rate: combinedRate(purchase),
+      tax_rate_refs: { sales, purchase },
+      active: taxCode.Active !== false,
+      CompanyId: this.companyId,
+      IntegrationId: this.integrationId,
+      UserId: this.userid,
+    };
+  }
+
   transformVendorData(vendor) {
     return {
       name: vendor.DisplayName,
@@ -219,7 +624,7 @@ class QuickBooksSync {
         Country: vendor.BillAddr?.Country,
       },
       phone: vendor.PrimaryPhone?.FreeFormNumber,
-      active: vendor.Active,
+      active: vendor.Active !== false,
       metaData: vendor.MetaData,
       CompanyId: this.companyId,
       UserId: this.userid,
@@ -227,4 +632,6 @@ class QuickBooksSync {
   }
 }
 
+QuickBooksSync.ENTITIES = CDC_ENTITIES;
+
 module.exports = QuickBooksSync;
@@ -0,0 +1,170 @@
+// Addresses are stored and extracted as { Line1, City, State, ZipCode,
+// Country }.
+const quickbooksAddress = (address) =>
+  address
+    ? {
+        Line1: address.Line1,
+        City: address.City,
+        CountrySubDivisionCode: address.State,
+        PostalCode: address.ZipCode,
+        Country: address.Country,
+      }
+    : undefined;
+
+// The item a line was matched to (see src/services/items).
+const lineItemRef = (item) =>
+  item.ItemRef && item.ItemRef.value
+    ? { value: item.ItemRef.value, name: item.ItemRef.name }
+    : undefined;
+
+// The tax code a line was taxed with (see src/services/tax).
+const lineTaxCodeRef = (item) =>
+  item.TaxCodeRef && item.TaxCodeRef.value
+    ? { value: item.TaxCodeRef.value }
+    : undefined;
+
+// { value } of a ClassRef, CustomerRef or DepartmentRef set by a
+// categorization rule (see src/services/rules), nothing without one.
+const valueRef = (ref) => (ref && ref.value ? { value: ref.value } : undefined);
+
+// TxnTaxDetail and GlobalTaxCalculation of a document taxed by
+// src/services/tax, nothing when it was not.
+const quickbooksTax = (taxDetail) => {
+  if (!taxDetail) return {};
+
+  return {
+    TxnTaxDetail: {
+      TxnTaxCodeRef: taxDetail.TaxCodeRef
+        ? { value: taxDetail.TaxCodeRef.value }
+        : undefined,
+      TotalTax: taxDetail.Amount || 0,
+    },
+    GlobalTaxCalculation:
+      taxDetail.Inclusive === undefined
+        ? undefined
+        : taxDetail.Inclusive
+          ? "TaxInclusive"
+          : "TaxExcluded",
+  };
+};
+
+const validateInvoiceData = (invoiceData) => {
+  const requiredFields = ["CustomerRef", "Line"];
+  const errors = [];
+
+  console.log("Validating invoice data:", JSON.stringify(invoiceData, null, 2));
+
+  for (const field of requiredFields) {
+    if (!invoiceData[field]) {
+      errors.push(`Missing required field: ${field}`);
+    }
+  }
+
+  if (invoiceData.Line && Array.isArray(invoiceData.Line)) {
+    invoiceData.Line.forEach((line, index) => {
+      if (line.DetailType === "SalesItemLineDetail") {
+        // Log the line item for debugging
+        console.log(
+          `Validating line item ${index}:`,
+          JSON.stringify(line, null, 2),
+        );
+
+        // More lenient validation
+        const amount = line.Amount || 0;
+        const qty = line.SalesItemLineDetail?.Qty || 1;
+        const unitPrice = line.SalesItemLineDetail?.UnitPrice || amount;
+
+        if (amount === undefined || amount === null) {
+          errors.push(`Line item ${index}: Missing Amount`);
+        }
+
+        // Only validate calculation if both qty and unitPrice are present
+        if (qty && unitPrice) {
+          const calculatedAmount = qty * unitPrice;
+          if (Math.abs(calculatedAmount - amount) > 0.01) {
+            console.log(`Amount mismatch in line ${index}:`, {
+              calculated: calculatedAmount,
+              actual: amount,
+              qty,
+              unitPrice,
+            });
+            // Make this a warning rather than an error
+            console.warn(`Warning: Amount mismatch in line item ${index}`);
+          }
+        }
+      }
+    });
+  } else {
+    errors.push("Missing or invalid Line items array");
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invoice validation failed: ${errors.join(", ")}`);
+  }
+
+  return true;
+};
+
+// Modified transformation logic
+const transformInvoiceForQuickBooks = (processedJson) => {
+  const customerDetails = processedJson.CustomerDetails || {};
+  const lines = processedJson.Items.map((item) => {
+    const quantity = item.Quantity || 1;
+    const unitPrice = item.UnitPrice || item.TotalAmount || 0;
+    const amount = item.TotalAmount || quantity * unitPrice;
+
+    return {
+      Description: item.Description || "",
+      DetailType: "SalesItemLineDetail",
+      SalesItemLineDetail: {
+        // Without an ItemRef QuickBooks books the line to its default item.
+        ItemRef: lineItemRef(item),
+        TaxCodeRef: lineTaxCodeRef(item) || { value: "NON" },
+        Qty: quantity,
+        UnitPrice: unitPrice,
+      },
+      Amount: amount,
+    };
+  });
+
+  return {
+    Line: [
+      ...lines,
+      {
+        DetailType: "DiscountLineDetail",
+        Amount: processedJson.DiscountTotal || 0,
+        DiscountLineDetail: {
+          PercentBased: false,
+        },
+      },
+    ],
+    TxnTaxDetail: {
+      TotalTax: 0,
+    },
+    ...quickbooksTax(processedJson.TaxDetail),
+    CurrencyRef: {
+      value: processedJson.Currency || "USD",
+    },
+    DocNumber: (processedJson.InvoiceNumber || "").slice(-20),
+    BillAddr: quickbooksAddress(customerDetails.BillingAddress) || {},
+    ShipAddr: quickbooksAddress(customerDetails.ShippingAddress) || {},
+    SalesTermRef: {
+      value: processedJson.PaymentTerms || "",
+    },
+    TxnDate: processedJson.Date,
+    DueDate: processedJson.DueDate,
+    CustomerMemo: {
+      value: processedJson.Notes || "",
+    },
+  };
+};
+
+module.exports = {
+  quickbooksAddress,
+  lineItemRef,
+  lineTaxCodeRef,
+  valueRef,
+  quickbooksTax,
+  transformInvoiceForQuickBooks,
+  validateInvoiceData,
+};
@@ -0,0 +1,66 @@
+module.exports = {
+  type: "object",
+  properties: {
+    Line: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        properties: {
+          DetailType: { type: "string" },
+          Amount: { type: "number" },
+          Description: { type: "string" },
+          AccountBasedExpenseLineDetail: {
+            type: "object",
+            properties: {
+              AccountRef: {
+                type: "object",
+                properties: {
+                  name: { type: "string" },
+                  value: { type: "string" },
+                },
+                required: ["value"],
+              },
+              TaxCodeRef: {
+                type: "object",
+                properties: { value: { type: "string" } },
+                required: ["value"],
+              },
+              BillableStatus: { type: "string" },
+            },
+            required: ["AccountRef"],
+          },
+        },
+        required: ["DetailType", "Amount", "AccountBasedExpenseLineDetail"],
+      },
+    },
+    VendorRef: {
+      type: "object",
+      properties: {
+        name: { type: "string" },
+        value: { type: "string" },
+      },
+      required: ["value"],
+    },
+    DocNumber: { type: "string" },
+    TxnDate: { type: "string" },
+    DueDate: { type: "string" },
+    TotalAmt: { type: "number" },
+    TxnTaxDetail: {
+      type: "object",
+      properties: {
+        TxnTaxCodeRef: {
+          type: "object",
+          properties: { value: { type: "string" } },
+          required: ["value"],
+        },
+        TotalTax: { type: "number" },
+      },
+    },
+    GlobalTaxCalculation: {
+      type: "string",
+      enum: ["TaxExcluded", "TaxInclusive", "NotApplicable"],
+    },
+  },
+  required: ["Line", "VendorRef"],
+};
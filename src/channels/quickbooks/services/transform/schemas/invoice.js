@@ -17,7 +17,7 @@ module.exports = {
                   name: { type: "string" },
                   value: { type: "string" },
                 },
-                required: ["name", "value"],
+                required: ["value"],
               },
               TaxCodeRef: {
                 type: "object",
@@ -27,7 +27,6 @@ module.exports = {
               Qty: { type: "number" },
               UnitPrice: { type: "number" },
             },
-            required: ["ItemRef"],
           },
         },
         required: ["DetailType", "Amount", "SalesItemLineDetail"],
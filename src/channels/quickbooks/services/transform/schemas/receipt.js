@@ -62,6 +62,21 @@ module.exports = {
     },
     TxnDate: { type: "string" },
     TotalAmount: { type: "number" },
+    TxnTaxDetail: {
+      type: "object",
+      properties: {
+        TxnTaxCodeRef: {
+          type: "object",
+          properties: { value: { type: "string" } },
+          required: ["value"],
+        },
+        TotalTax: { type: "number" },
+      },
+    },
+    GlobalTaxCalculation: {
+      type: "string",
+      enum: ["TaxExcluded", "TaxInclusive", "NotApplicable"],
+    },
   },
   required: ["Line", "PaymentType", "AccountRef"],
 };
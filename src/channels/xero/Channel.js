@@ -0,0 +1,187 @@
+const Channel = require("../Channel");
+const Xero = require("./Class");
+const XeroSync = require("./index");
+const xeroApiClient = require("./apiClient/xeroApiClient");
+
+const xeroAddress = (address) =>
+  address
+    ? {
+        AddressType: "POBOX",
+        AddressLine1: address.Line1,
+        City: address.City,
+        Region: address.State,
+        PostalCode: address.ZipCode,
+        Country: address.Country,
+      }
+    : null;
+
+// Invoices still in draft cannot be voided, Xero deletes them instead.
+const voidStatus = (invoice) =>
+  ["DRAFT", "SUBMITTED"].includes(invoice.Status) ? "DELETED" : "VOIDED";
+
+class XeroChannel extends Channel {
+  constructor(integration, options = {}) {
+    super("Xero", integration, options);
+    this.documents = new Xero();
+  }
+
+  get api() {
+    if (!this.apiClient) {
+      this.apiClient = new xeroApiClient(
+        this.credentials,
+        this.integration.id,
+        this.options,
+      );
+    }
+    return this.apiClient;
+  }
+
+  async authorizationUrl(state) {
+    return this.api.getOAuthRedirectURL(state);
+  }
+
+  async connect({ query }) {
+    if (query.error || !query.code) {
+      throw new Error(query.error || "Missing authorization code");
+    }
+
+    const { token } = await this.api.createToken(query.code);
+
+    return {
+      tenantId: token.tenantId,
+      tenantName: token.tenantName,
+      token_type: token.token_type,
+      access_token: token.access_token,
+      expires_in: token.expires_in,
+      refresh_token: token.refresh_token,
+      id_token: token.id_token,
+      createdAt: token.createdAt,
+    };
+  }
+
+  async refreshCredentials() {
+    await this.api.refreshOrSetToken();
+    return this.api.config;
+  }
+
+  async importContacts() {
+    const xero = new XeroSync(
+      this.credentials,
+      this.integration.CompanyId,
+      this.integration.id,
+      this.integration.UserId,
+      this.options,
+    );
+    await xero.sync();
+  }
+
+  async importAccounts() {
+    const accounts = await this.api.accounts.list();
+
+    return accounts.map((account) => ({
+      id: account.AccountID,
+      code: account.Code,
+      name: account.Name,
+      type: account.Type,
+      active: account.Status !== "ARCHIVED",
+    }));
+  }
+
+  contactPayload(entityType, details) {
+    return {
+      Name: details.name,
+      EmailAddress: details.email,
+      Phones: details.phone
+        ? [{ PhoneType: "DEFAULT", PhoneNumber: details.phone }]
+        : undefined,
+      Addresses: [xeroAddress(details.billingAddress)].filter(Boolean),
+    };
+  }
+
+  // Xero keeps customers and suppliers in one contact list, an existing
+  // contact with the same name is reused for either.
+  async findOrCreateContact(entityType, details) {
+    const existingContact = await this.api.contacts.findByName(details.name);
+    if (existingContact) return existingContact.ContactID;
+
+    return this.createContact(entityType, details);
+  }
+
+  async createContact(entityType, details) {
+    const contact = await this.api.contacts.create({
+      ...this.contactPayload(entityType, details),
+      ...(entityType === "Vendor"
+        ? { IsSupplier: true }
+        : { IsCustomer: true }),
+    });
+    return contact.ContactID;
+  }
+
+  async updateContact(entityType, externalId, details) {
+    await this.api.contacts.update(
+      externalId,
+      this.contactPayload(entityType, details),
+    );
+  }
+
+  async pushInvoice(payload) {
+    const invoice = await this.api.invoices.create(payload);
+    return invoice.InvoiceID;
+  }
+
+  async pushExpense(payload) {
+    const transaction = await this.api.bankTransactions.create(payload);
+    return transaction.BankTransactionID;
+  }
+
+  async pushBill(payload) {
+    const bill = await this.api.bills.create(payload);
+    return bill.InvoiceID;
+  }
+
+  // Invoice addresses come from the contact in Xero.
+  async updateInvoice(externalId, invoice, customerId) {
+    await this.api.invoices.update(externalId, {
+      InvoiceNumber: invoice.invoice_number,
+      Date: invoice.date,
+      DueDate: invoice.due_date,
+      Contact: customerId ? { ContactID: customerId } : undefined,
+    });
+  }
+
+  // The total of a bank transaction follows its lines and `account_ref` is
+  // a QuickBooks account id, so only the date and contact change.
+  async updateExpense(externalId, expense, vendorId) {
+    await this.api.bankTransactions.update(externalId, {
+      Date: expense.txn_date,
+      Contact: vendorId ? { ContactID: vendorId } : undefined,
+    });
+  }
+
+  async updateBill(externalId, bill, vendorId) {
+    await this.api.bills.update(externalId, {
+      InvoiceNumber: bill.bill_number,
+      Date: bill.txn_date,
+      DueDate: bill.due_date,
+      Contact: vendorId ? { ContactID: vendorId } : undefined,
+    });
+  }
+
+  async voidInvoice(externalId) {
+    const invoice = await this.api.invoices.get(externalId);
+    await this.api.invoices.update(externalId, {
+      Status: voidStatus(invoice),
+    });
+  }
+
+  async voidExpense(externalId) {
+    await this.api.bankTransactions.update(externalId, { Status: "DELETED" });
+  }
+
+  async voidBill(externalId) {
+    const bill = await this.api.bills.get(externalId);
+    await this.api.bills.update(externalId, { Status: voidStatus(bill) });
+  }
+}
+
+module.exports = XeroChannel;
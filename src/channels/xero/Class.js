@@ -0,0 +1,182 @@
+const Ajv = require("ajv");
+const ajv = new Ajv();
+
+require("dotenv").config();
+
+// Default chart of accounts codes of a new Xero organisation.
+const SALES_ACCOUNT_CODE = process.env.xeroSalesAccountCode || "200";
+const EXPENSE_ACCOUNT_CODE = process.env.xeroExpenseAccountCode || "429";
+const BANK_ACCOUNT_CODE = process.env.xeroBankAccountCode || "090";
+
+// Xero checks Quantity x UnitAmount against the line amount. Lines whose
+// extracted amounts do not multiply out (discounts, rounding) are sent as a
+// single unit of the line total.
+const lineItem = (description, quantity, unitPrice, total, accountCode) => {
+  const amount = Number(total);
+  const qty = Number(quantity) || 1;
+  const unit = Number(unitPrice);
+
+  if (Number.isFinite(unit) && Math.abs(qty * unit - amount) < 0.01) {
+    return {
+      Description: description || "",
+      Quantity: qty,
+      UnitAmount: unit,
+      AccountCode: accountCode,
+    };
+  }
+
+  return {
+    Description: description || "",
+    Quantity: 1,
+    UnitAmount: amount,
+    AccountCode: accountCode,
+  };
+};
+
+const lineAmountTypes = (source) =>
+  Number(source.SalesTaxAmount) > 0 ? "Exclusive" : "NoTax";
+
+const validator = (schema) => (input) => {
+  const validate = ajv.compile(schema);
+  const isValid = validate(input);
+  if (!isValid) {
+    console.error("Validation failed:", validate.errors);
+    return false;
+  }
+  return true;
+};
+
+class Xero {
+  constructor() {}
+
+  invoice = {
+    transform(sourceInvoice, contactId) {
+      if (
+        !sourceInvoice ||
+        !sourceInvoice.Items ||
+        !sourceInvoice.CustomerDetails
+      ) {
+        console.error("Missing required fields in source invoice.");
+        return false;
+      }
+
+      const lines = sourceInvoice.Items.map((item) =>
+        lineItem(
+          item.Description,
+          item.Quantity,
+          item.UnitPrice,
+          item.TotalAmount,
+          SALES_ACCOUNT_CODE,
+        ),
+      );
+      // Xero has no invoice level discount, it goes in as a negative line.
+      if (Number(sourceInvoice.DiscountTotal) > 0) {
+        lines.push({
+          Description: "Discount",
+          Quantity: 1,
+          UnitAmount: -Number(sourceInvoice.DiscountTotal),
+          AccountCode: SALES_ACCOUNT_CODE,
+        });
+      }
+
+      const transformedInvoice = {
+        Type: "ACCREC",
+        Contact: {
+          ContactID: contactId,
+        },
+        InvoiceNumber: (sourceInvoice.InvoiceNumber || "").slice(0, 255),
+        Date: sourceInvoice.Date,
+        DueDate: sourceInvoice.DueDate || sourceInvoice.Date,
+        LineAmountTypes: lineAmountTypes(sourceInvoice),
+        Status: "AUTHORISED",
+        LineItems: lines,
+      };
+
+      if (sourceInvoice.Currency) {
+        transformedInvoice.CurrencyCode = sourceInvoice.Currency;
+      }
+
+      return transformedInvoice;
+    },
+
+    validate: validator(require("./services/transform/schemas/invoice")),
+  };
+
+  receipt = {
+    transform(sourceReceipt, contactId) {
+      if (
+        !sourceReceipt ||
+        !sourceReceipt.PurchaseLines ||
+        !sourceReceipt.VendorDetails
+      ) {
+        console.error("Missing required fields in source receipt.");
+        return false;
+      }
+
+      return {
+        Type: "SPEND",
+        Contact: {
+          ContactID: contactId,
+        },
+        BankAccount: {
+          Code: BANK_ACCOUNT_CODE,
+        },
+        Date: sourceReceipt.TransactionDate,
+        LineAmountTypes: "NoTax",
+        LineItems: sourceReceipt.PurchaseLines.map((item) =>
+          lineItem(
+            item.Description || sourceReceipt.VendorDetails.Name,
+            1,
+            item.Amount,
+            item.Amount,
+            EXPENSE_ACCOUNT_CODE,
+          ),
+        ),
+      };
+    },
+
+    validate: validator(
+      require("./services/transform/schemas/bankTransaction"),
+    ),
+  };
+
+  bill = {
+    transform(sourceBill, contactId) {
+      if (!sourceBill || !sourceBill.Items || !sourceBill.VendorDetails) {
+        console.error("Missing required fields in source bill.");
+        return false;
+      }
+
+      const transformedBill = {
+        Type: "ACCPAY",
+        Contact: {
+          ContactID: contactId,
+        },
+        InvoiceNumber: sourceBill.BillNumber,
+        Date: sourceBill.BillDate,
+        DueDate: sourceBill.DueDate || sourceBill.BillDate,
+        LineAmountTypes: lineAmountTypes(sourceBill),
+        Status: "AUTHORISED",
+        LineItems: sourceBill.Items.map((item) =>
+          lineItem(
+            item.Description,
+            item.Quantity,
+            item.UnitPrice,
+            item.TotalAmount,
+            EXPENSE_ACCOUNT_CODE,
+          ),
+        ),
+      };
+
+      if (sourceBill.Currency) {
+        transformedBill.CurrencyCode = sourceBill.Currency;
+      }
+
+      return transformedBill;
+    },
+
+    validate: validator(require("./services/transform/schemas/bill")),
+  };
+}
+
+module.exports = Xero;
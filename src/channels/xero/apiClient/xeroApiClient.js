@@ -0,0 +1,431 @@
+require("dotenv").config();
+const axios = require("axios");
+const { Integration } = require("../../../db/models");
+
+const redirectUri =
+  process.env.xeroRedirectUri || "https://api.kounto.ai/api/xero/callback";
+
+// Overridable so the client can run against tests/mocks/xeroServer.js.
+const loginUrl = process.env.xeroLoginUrl || "https://login.xero.com";
+const identityUrl = process.env.xeroIdentityUrl || "https://identity.xero.com";
+const apiUrl = process.env.xeroApiUrl || "https://api.xero.com";
+
+const scopes = [
+  "openid",
+  "profile",
+  "email",
+  "offline_access",
+  "accounting.transactions",
+  "accounting.contacts",
+  "accounting.settings",
+];
+
+// Wraps an axios error from the Xero API. A ValidationException is exposed as
+// a QuickBooks-style `fault` ({ type: "ValidationFault", Error }) so the
+// worker and the retry policy handle both channels the same way.
+function apiError(message, error) {
+  const data = error?.response?.data;
+  const validationErrors = (data?.Elements || [])
+    .flatMap((element) => element.ValidationErrors || [])
+    .map((validationError) => validationError.Message);
+  const detail =
+    validationErrors[0] || data?.Detail || data?.Message || data?.Title;
+
+  const wrapped = new Error(detail ? `${message}: ${detail}` : message);
+  wrapped.status = error?.response?.status;
+  wrapped.code = error?.code;
+  if (data?.Type === "ValidationException") {
+    wrapped.fault = {
+      type: "ValidationFault",
+      Error: validationErrors.map((text) => ({ Message: text, Detail: text })),
+    };
+  }
+  wrapped.correlation_id = error?.response?.headers?.["xero-correlation-id"];
+  wrapped.cause = error;
+  return wrapped;
+}
+
+// Quotes a value for a Xero `where` filter.
+const quote = (value) => `"${String(value).replace(/"/g, '\\"')}"`;
+
+// Client for the Xero Accounting API. `config` is the Integration
+// credentials: { tenantId, tenantName, access_token, refresh_token,
+// expires_in, createdAt }. Resource methods return the Xero entities
+// (Contact, Invoice, BankTransaction, Account) rather than the response.
+class xeroApiClient {
+  constructor(config, integrationId, options = {}) {
+    if (typeof config === "string") {
+      config = JSON.parse(config);
+    }
+
+    this.config = config || {};
+    this.tenantId = this.config.tenantId;
+    this.integrationId = integrationId;
+
+    this.loginUrl = options.loginUrl || loginUrl;
+    this.identityUrl = options.identityUrl || identityUrl;
+    this.apiUrl = options.apiUrl || apiUrl;
+    this.clientId = options.clientId || process.env.xeroClientId;
+    this.clientSecret = options.clientSecret || process.env.xeroClientSec;
+    this.redirectUri = options.redirectUri || redirectUri;
+  }
+
+  async getOAuthRedirectURL(state) {
+    const params = new URLSearchParams({
+      response_type: "code",
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      scope: scopes.join(" "),
+      state: state,
+    });
+
+    return `${this.loginUrl}/identity/connect/authorize?${params.toString()}`;
+  }
+
+  async requestToken(params) {
+    const response = await axios.post(
+      `${this.identityUrl}/connect/token`,
+      new URLSearchParams(params).toString(),
+      {
+        headers: {
+          "Content-Type": "application/x-www-form-urlencoded",
+          Authorization: `Basic ${Buffer.from(
+            `${this.clientId}:${this.clientSecret}`,
+          ).toString("base64")}`,
+        },
+      },
+    );
+
+    return { ...response.data, createdAt: Date.now() };
+  }
+
+  // Exchanges the callback code for tokens and picks the organisation that
+  // was authorised (the first tenant of the connection).
+  async createToken(code) {
+    const token = await this.requestToken({
+      grant_type: "authorization_code",
+      code: code,
+      redirect_uri: this.redirectUri,
+    });
+
+    const connections = await axios.get(`${this.apiUrl}/connections`, {
+      headers: { Authorization: `Bearer ${token.access_token}` },
+    });
+    const tenant = (connections.data || []).find(
+      (connection) => connection.tenantType === "ORGANISATION",
+    );
+    if (!tenant) {
+      throw new Error("No Xero organisation was authorised");
+    }
+
+    return {
+      token: {
+        ...token,
+        tenantId: tenant.tenantId,
+        tenantName: tenant.tenantName,
+      },
+    };
+  }
+
+  isAccessTokenValid() {
+    if (!this.config.access_token || !this.config.createdAt) return false;
+
+    // Refresh a minute early so a request does not race the expiry.
+    const expiresAt =
+      this.config.createdAt + (this.config.expires_in - 60) * 1000;
+    return Date.now() < expiresAt;
+  }
+
+  async refreshOrSetToken() {
+    if (this.isAccessTokenValid()) return;
+
+    if (!this.config.refresh_token) {
+      throw new Error("No refresh token found in config");
+    }
+
+    console.log("Refreshing Xero access token...");
+    const token = await this.requestToken({
+      grant_type: "refresh_token",
+      refresh_token: this.config.refresh_token,
+    });
+
+    const credentials = {
+      ...this.config,
+      token_type: token.token_type,
+      access_token: token.access_token,
+      expires_in: token.expires_in,
+      refresh_token: token.refresh_token,
+      createdAt: token.createdAt,
+    };
+
+    if (this.integrationId) {
+      await Integration.update(
+        { credentials: credentials },
+        { where: { id: this.integrationId } },
+      );
+    }
+    this.config = credentials;
+  }
+
+  async request(method, path, { params, data } = {}, message) {
+    await this.refreshOrSetToken();
+
+    try {
+      const response = await axios({
+        method: method,
+        url: `${this.apiUrl}/api.xro/2.0/${path}`,
+        params: params,
+        data: data,
+        headers: {
+          Authorization: `Bearer ${this.config.access_token}`,
+          "xero-tenant-id": this.tenantId,
+          Accept: "application/json",
+          "Content-Type": "application/json",
+        },
+      });
+      return response.data;
+    } catch (error) {
+      console.log(
+        `${message} --->>>`,
+        JSON.stringify(error?.response?.data || error.message),
+      );
+      throw apiError(message, error);
+    }
+  }
+
+  contacts = {
+    list: async (page = 1, pageSize = 100) => {
+      const response = await this.request(
+        "GET",
+        "Contacts",
+        { params: { page, pageSize } },
+        "failed to list contacts",
+      );
+
+      return {
+        contacts: response.Contacts || [],
+        currentPage: page,
+        pageSize: pageSize,
+      };
+    },
+
+    findByName: async (name) => {
+      const response = await this.request(
+        "GET",
+        "Contacts",
+        { params: { where: `Name==${quote(name)}` } },
+        "failed to find contact",
+      );
+
+      return (response.Contacts && response.Contacts[0]) || null;
+    },
+
+    get: async (contactId) => {
+      const response = await this.request(
+        "GET",
+        `Contacts/${contactId}`,
+        {},
+        "failed to fetch contact",
+      );
+      return response.Contacts[0];
+    },
+
+    create: async (contactData) => {
+      const response = await this.request(
+        "PUT",
+        "Contacts",
+        { data: { Contacts: [contactData] } },
+        "failed to create contact",
+      );
+      return response.Contacts[0];
+    },
+
+    update: async (contactId, contactData) => {
+      const response = await this.request(
+        "POST",
+        `Contacts/${contactId}`,
+        { data: { Contacts: [contactData] } },
+        "failed to update contact",
+      );
+      return response.Contacts[0];
+    },
+  };
+
+  // Sales invoices (Type ACCREC). Bills are Xero invoices too, see `bills`.
+  invoices = {
+    list: async (page = 1, pageSize = 100) => {
+      const response = await this.request(
+        "GET",
+        "Invoices",
+        { params: { page, pageSize, where: 'Type=="ACCREC"' } },
+        "failed to list invoices",
+      );
+
+      return {
+        invoices: response.Invoices || [],
+        currentPage: page,
+        pageSize: pageSize,
+      };
+    },
+
+    get: async (invoiceId) => {
+      const response = await this.request(
+        "GET",
+        `Invoices/${invoiceId}`,
+        {},
+        "failed to fetch invoice",
+      );
+      return response.Invoices[0];
+    },
+
+    create: async (invoiceData) => {
+      const response = await this.request(
+        "PUT",
+        "Invoices",
+        { data: { Invoices: [{ ...invoiceData, Type: "ACCREC" }] } },
+        "failed to create invoice",
+      );
+      return response.Invoices[0];
+    },
+
+    update: async (invoiceId, invoiceData) => {
+      const response = await this.request(
+        "POST",
+        `Invoices/${invoiceId}`,
+        { data: { Invoices: [invoiceData] } },
+        "failed to update invoice",
+      );
+      return response.Invoices[0];
+    },
+  };
+
+  // Supplier bills, stored by Xero as invoices of Type ACCPAY.
+  bills = {
+    list: async (page = 1, pageSize = 100) => {
+      const response = await this.request(
+        "GET",
+        "Invoices",
+        { params: { page, pageSize, where: 'Type=="ACCPAY"' } },
+        "failed to list bills",
+      );
+
+      return {
+        bills: response.Invoices || [],
+        currentPage: page,
+        pageSize: pageSize,
+      };
+    },
+
+    get: async (billId) => {
+      const response = await this.request(
+        "GET",
+        `Invoices/${billId}`,
+        {},
+        "failed to fetch bill",
+      );
+      return response.Invoices[0];
+    },
+
+    create: async (billData) => {
+      const response = await this.request(
+        "PUT",
+        "Invoices",
+        { data: { Invoices: [{ ...billData, Type: "ACCPAY" }] } },
+        "failed to create bill",
+      );
+      return response.Invoices[0];
+    },
+
+    update: async (billId, billData) => {
+      const response = await this.request(
+        "POST",
+        `Invoices/${billId}`,
+        { data: { Invoices: [billData] } },
+        "failed to update bill",
+      );
+      return response.Invoices[0];
+    },
+  };
+
+  // Spend money transactions, the Xero counterpart of QuickBooks Purchases.
+  bankTransactions = {
+    list: async (page = 1, pageSize = 100) => {
+      const response = await this.request(
+        "GET",
+        "BankTransactions",
+        { params: { page, pageSize } },
+        "failed to list bank transactions",
+      );
+
+      return {
+        bankTransactions: response.BankTransactions || [],
+        currentPage: page,
+        pageSize: pageSize,
+      };
+    },
+
+    get: async (bankTransactionId) => {
+      const response = await this.request(
+        "GET",
+        `BankTransactions/${bankTransactionId}`,
+        {},
+        "failed to fetch bank transaction",
+      );
+      return response.BankTransactions[0];
+    },
+
+    create: async (bankTransactionData) => {
+      const response = await this.request(
+        "PUT",
+        "BankTransactions",
+        { data: { BankTransactions: [bankTransactionData] } },
+        "failed to create bank transaction",
+      );
+      return response.BankTransactions[0];
+    },
+
+    update: async (bankTransactionId, bankTransactionData) => {
+      const response = await this.request(
+        "POST",
+        `BankTransactions/${bankTransactionId}`,
+        { data: { BankTransactions: [bankTransactionData] } },
+        "failed to update bank transaction",
+      );
+      return response.BankTransactions[0];
+    },
+  };
+
+  accounts = {
+    list: async (where) => {
+      const response = await this.request(
+        "GET",
+        "Accounts",
+        { params: where ? { where } : {} },
+        "failed to list accounts",
+      );
+      return response.Accounts || [];
+    },
+
+    create: async (accountData) => {
+      const response = await this.request(
+        "PUT",
+        "Accounts",
+        { data: accountData },
+        "failed to create account",
+      );
+      return response.Accounts[0];
+    },
+
+    update: async (accountId, accountData) => {
+      const response = await this.request(
+        "POST",
+        `Accounts/${accountId}`,
+        { data: { Accounts: [accountData] } },
+        "failed to update account",
+      );
+      return response.Accounts[0];
+    },
+  };
+}
+
+module.exports = xeroApiClient;
@@ -0,0 +1,190 @@
+const xeroApiClient = require("./apiClient/xeroApiClient");
+const { Customer, Vendor, EntityMapping } = require("../../db/models/");
+
+require("dotenv").config();
+
+// Imports Xero contacts into Customer/Vendor, like QuickBooksSync. Xero has
+// one contact list, a contact flagged IsSupplier becomes a Vendor, one
+// flagged IsCustomer (or neither, e.g. a new contact) becomes a Customer.
+class XeroSync {
+  constructor(config, companyId, integrationId, userid, options = {}) {
+    this.apiClient = new xeroApiClient(config, integrationId, options);
+    this.config = config;
+    this.companyId = companyId;
+    this.integrationId = integrationId;
+    this.userid = userid;
+  }
+
+  async sync() {
+    console.log("syncing...");
+
+    try {
+      await this.syncContacts();
+    } catch (error) {
+      console.error("Error importing data from Xero:", error);
+      throw error;
+    }
+  }
+
+  async syncContacts() {
+    console.log("Starting contact synchronization...");
+    let page = 1;
+    let pageSize = 100;
+    let hasMore = true;
+
+    while (hasMore) {
+      const { contacts } = await this.apiClient.contacts.list(page, pageSize);
+
+      for (const contactData of contacts) {
+        if (contactData.ContactStatus === "ARCHIVED") continue;
+
+        if (contactData.IsSupplier) {
+          await this.upsert(
+            "Vendor",
+            Vendor,
+            contactData,
+            this.transformVendorData(contactData),
+          );
+        }
+        if (contactData.IsCustomer || !contactData.IsSupplier) {
+          await this.upsert(
+            "Customer",
+            Customer,
+            contactData,
+            this.transformCustomerData(contactData),
+          );
+        }
+      }
+
+      console.log(`Processed ${contacts.length} contacts from page ${page}`);
+      hasMore = contacts.length === pageSize;
+      page++;
+    }
+    console.log("Contact synchronization completed successfully.");
+  }
+
+  async upsert(entityType, model, contactData, attributes) {
+    const entityMapping = await this.getOrCreateEntityMapping(
+      entityType,
+      contactData.ContactID,
+    );
+
+    if (entityMapping.local_id) {
+      const record = await model.findByPk(entityMapping.local_id);
+      if (record) {
+        console.log(
+          `${entityType} with ID ${contactData.ContactID} already exists. Updating...`,
+        );
+        await record.update(attributes);
+        return;
+      }
+    }
+
+    console.log(
+      `${entityType} with ID ${contactData.ContactID} does not exist. Creating...`,
+    );
+    const record = await model.create(attributes);
+    await this.createEntityMapping(
+      entityType,
+      contactData.ContactID,
+      record.id,
+    );
+  }
+
+  async getOrCreateEntityMapping(entityType, externalId) {
+    const entityMapping = await EntityMapping.findOne({
+      where: {
+        entity_type: entityType,
+        external_id: externalId,
+        CompanyId: this.companyId,
+        IntegrationId: this.integrationId,
+        UserId: this.userid,
+      },
+    });
+
+    if (entityMapping) {
+      return entityMapping;
+    } else {
+      return { local_id: null };
+    }
+  }
+
+  async createEntityMapping(entityType, externalId, localId) {
+    await EntityMapping.create({
+      entity_type: entityType,
+      external_id: externalId,
+      CompanyId: this.companyId,
+      IntegrationId: this.integrationId,
+      local_id: localId,
+      sync_status: "Synced",
+      UserId: this.userid,
+    });
+  }
+
+  transformAddress(address) {
+    return address
+      ? {
+          Line1: address.AddressLine1,
+          City: address.City,
+          State: address.Region,
+          ZipCode: address.PostalCode,
+          Country: address.Country,
+        }
+      : null;
+  }
+
+  transformPhone(contact) {
+    const phone = (contact.Phones || []).find(
+      (phone) => phone.PhoneType === "DEFAULT" && phone.PhoneNumber,
+    );
+    return phone
+      ? [phone.PhoneCountryCode, phone.PhoneAreaCode, phone.PhoneNumber]
+          .filter(Boolean)
+          .join(" ")
+      : undefined;
+  }
+
+  transformCustomerData(contact) {
+    const addresses = contact.Addresses || [];
+    const billing = addresses.find(
+      (address) => address.AddressType === "POBOX",
+    );
+    const shipping = addresses.find(
+      (address) => address.AddressType === "STREET",
+    );
+
+    return {
+      name: contact.Name,
+      email: contact.EmailAddress,
+      companyName: contact.Name,
+      active: contact.ContactStatus === "ACTIVE",
+      balance: contact.Balances?.AccountsReceivable?.Outstanding,
+      metaData: { UpdatedDateUTC: contact.UpdatedDateUTC },
+      billing_address: this.transformAddress(billing),
+      shipping_address: this.transformAddress(shipping),
+      phone: this.transformPhone(contact),
+      CompanyId: this.companyId,
+      UserId: this.userid,
+    };
+  }
+
+  transformVendorData(contact) {
+    const addresses = contact.Addresses || [];
+    const address =
+      addresses.find((address) => address.AddressType === "POBOX") ||
+      addresses[0];
+
+    return {
+      name: contact.Name,
+      email: contact.EmailAddress,
+      address: this.transformAddress(address) || {},
+      phone: this.transformPhone(contact),
+      active: contact.ContactStatus === "ACTIVE",
+      metaData: { UpdatedDateUTC: contact.UpdatedDateUTC },
+      CompanyId: this.companyId,
+      UserId: this.userid,
+    };
+  }
+}
+
+module.exports = XeroSync;
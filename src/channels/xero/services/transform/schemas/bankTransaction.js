@@ -0,0 +1,30 @@
+const lineItems = require("./lineItems");
+
+module.exports = {
+  type: "object",
+  properties: {
+    Type: { type: "string", enum: ["SPEND"] },
+    Contact: {
+      type: "object",
+      properties: {
+        ContactID: { type: "string" },
+        Name: { type: "string" },
+      },
+      required: ["ContactID"],
+    },
+    BankAccount: {
+      type: "object",
+      properties: {
+        Code: { type: "string" },
+        AccountID: { type: "string" },
+      },
+      anyOf: [{ required: ["Code"] }, { required: ["AccountID"] }],
+    },
+    Date: { type: "string" },
+    Reference: { type: "string" },
+    CurrencyCode: { type: "string" },
+    LineAmountTypes: { type: "string" },
+    LineItems: lineItems,
+  },
+  required: ["Type", "Contact", "BankAccount", "Date", "LineItems"],
+};
@@ -0,0 +1,24 @@
+const lineItems = require("./lineItems");
+
+module.exports = {
+  type: "object",
+  properties: {
+    Type: { type: "string", enum: ["ACCPAY"] },
+    Contact: {
+      type: "object",
+      properties: {
+        ContactID: { type: "string" },
+        Name: { type: "string" },
+      },
+      required: ["ContactID"],
+    },
+    InvoiceNumber: { type: "string" },
+    Date: { type: "string" },
+    DueDate: { type: "string" },
+    CurrencyCode: { type: "string" },
+    LineAmountTypes: { type: "string" },
+    Status: { type: "string" },
+    LineItems: lineItems,
+  },
+  required: ["Type", "Contact", "Date", "LineItems"],
+};
@@ -0,0 +1,16 @@
+module.exports = {
+  type: "array",
+  minItems: 1,
+  items: {
+    type: "object",
+    properties: {
+      Description: { type: "string" },
+      Quantity: { type: "number" },
+      UnitAmount: { type: "number" },
+      LineAmount: { type: "number" },
+      AccountCode: { type: "string" },
+      TaxType: { type: "string" },
+    },
+    required: ["Description", "UnitAmount", "AccountCode"],
+  },
+};
@@ -0,0 +1,208 @@
+const Channel = require("../Channel");
+const Zoho = require("./Class");
+const ZohoBooksSync = require("./index");
+const zohoApiClient = require("./apiClient/zohoApiClient");
+const { resolveRegion } = require("./regions");
+
+const zohoAddress = (address) =>
+  address
+    ? {
+        address: address.Line1,
+        city: address.City,
+        state: address.State,
+        zip: address.ZipCode,
+        country: address.Country,
+      }
+    : undefined;
+
+class ZohoChannel extends Channel {
+  constructor(integration, options = {}) {
+    super("Zoho Books", integration, options);
+    this.documents = new Zoho();
+  }
+
+  get api() {
+    if (!this.apiClient) {
+      this.apiClient = new zohoApiClient(
+        this.credentials,
+        this.integration.id,
+        this.options,
+      );
+    }
+    return this.apiClient;
+  }
+
+  // `options.region` picks the data center to sign in to, Zoho redirects to
+  // the right one anyway.
+  async authorizationUrl(state) {
+    return this.api.getOAuthRedirectURL(state);
+  }
+
+  // `location` and `accounts-server` tell which data center the
+  // organisation lives in.
+  async connect({ query }) {
+    if (query.error || !query.code) {
+      throw new Error(query.error || "Missing authorization code");
+    }
+
+    const { region } = resolveRegion({
+      location: query.location,
+      accountsServer: query["accounts-server"],
+    });
+    const zohoClient = new zohoApiClient({}, null, { ...this.options, region });
+    const { token } = await zohoClient.createToken(query.code);
+
+    return {
+      region: token.region,
+      organization_id: token.organization_id,
+      organization_name: token.organization_name,
+      token_type: token.token_type,
+      access_token: token.access_token,
+      expires_in: token.expires_in,
+      refresh_token: token.refresh_token,
+      createdAt: token.createdAt,
+    };
+  }
+
+  async refreshCredentials() {
+    await this.api.refreshOrSetToken();
+    return this.api.config;
+  }
+
+  // Also picks the default accounts of bills and expenses.
+  async importContacts() {
+    const zoho = new ZohoBooksSync(
+      this.credentials,
+      this.integration.CompanyId,
+      this.integration.id,
+      this.integration.UserId,
+      this.options,
+    );
+    await zoho.sync();
+  }
+
+  async importAccounts() {
+    const accounts = await this.api.accounts.list();
+
+    return accounts.map((account) => ({
+      id: account.account_id,
+      code: account.account_code,
+      name: account.account_name,
+      type: account.account_type,
+      active: account.is_active !== false,
+    }));
+  }
+
+  contactPayload(entityType, details) {
+    return {
+      contact_name: details.name,
+      contact_type: entityType === "Vendor" ? "vendor" : "customer",
+      contact_persons:
+        details.email || details.phone
+          ? [
+              {
+                email: details.email,
+                phone: details.phone,
+                is_primary_contact: true,
+              },
+            ]
+          : undefined,
+      billing_address: zohoAddress(details.billingAddress),
+      shipping_address: zohoAddress(details.shippingAddress),
+    };
+  }
+
+  // Zoho Books keeps customers and vendors apart (`contact_type`).
+  async findOrCreateContact(entityType, details) {
+    const { contact_name, contact_type } = this.contactPayload(
+      entityType,
+      details,
+    );
+    const existingContact = await this.api.contacts.findByName(
+      contact_name,
+      contact_type,
+    );
+    if (existingContact) return existingContact.contact_id;
+
+    return this.createContact(entityType, details);
+  }
+
+  async createContact(entityType, details) {
+    const contact = await this.api.contacts.create(
+      this.contactPayload(entityType, details),
+    );
+    return contact.contact_id;
+  }
+
+  async updateContact(entityType, externalId, details) {
+    const { contact_type, ...changes } = this.contactPayload(
+      entityType,
+      details,
+    );
+    await this.api.contacts.update(externalId, changes);
+  }
+
+  async pushInvoice(payload) {
+    const invoice = await this.api.invoices.create(payload);
+    return invoice.invoice_id;
+  }
+
+  async pushExpense(payload) {
+    const expense = await this.api.expenses.create(payload);
+    return expense.expense_id;
+  }
+
+  async pushBill(payload) {
+    const bill = await this.api.bills.create(payload);
+    return bill.bill_id;
+  }
+
+  async updateInvoice(externalId, invoice, customerId) {
+    await this.api.invoices.update(externalId, {
+      customer_id: customerId,
+      invoice_number: invoice.invoice_number,
+      date: invoice.date,
+      due_date: invoice.due_date,
+      notes: invoice.notes,
+    });
+  }
+
+  // Zoho replaces the whole expense, the accounts are kept as pushed since
+  // `account_ref` is a QuickBooks account id.
+  async updateExpense(externalId, expense, vendorId) {
+    const current = await this.api.expenses.get(externalId);
+
+    await this.api.expenses.update(externalId, {
+      account_id: current.account_id,
+      paid_through_account_id: current.paid_through_account_id,
+      vendor_id: vendorId || current.vendor_id,
+      date: expense.txn_date || current.date,
+      amount: expense.total_amount ?? current.total,
+      description: current.description,
+    });
+  }
+
+  async updateBill(externalId, bill, vendorId) {
+    await this.api.bills.update(externalId, {
+      vendor_id: vendorId,
+      bill_number: bill.bill_number,
+      date: bill.txn_date,
+      due_date: bill.due_date,
+      notes: bill.notes,
+    });
+  }
+
+  async voidInvoice(externalId) {
+    await this.api.invoices.void(externalId);
+  }
+
+  async voidExpense(externalId) {
+    await this.api.expenses.delete(externalId);
+  }
+
+  async voidBill(externalId) {
+    await this.api.bills.void(externalId);
+  }
+}
+
+module.exports = ZohoChannel;
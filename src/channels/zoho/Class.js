@@ -0,0 +1,130 @@
+const Ajv = require("ajv");
+const ajv = new Ajv();
+
+// Zoho checks quantity x rate against the line total. Lines whose extracted
+// amounts do not multiply out (discounts, rounding) are sent as a single
+// unit of the line total.
+const lineAmounts = (quantity, unitPrice, total) => {
+  const amount = Number(total);
+  const qty = Number(quantity) || 1;
+  const rate = Number(unitPrice);
+
+  if (Number.isFinite(rate) && Math.abs(qty * rate - amount) < 0.01) {
+    return { rate, quantity: qty };
+  }
+  return { rate: amount, quantity: 1 };
+};
+
+// Zoho line item names are limited to 100 characters.
+const lineName = (description, fallback) =>
+  (description || fallback || "Item").slice(0, 100);
+
+const validator = (schema) => (input) => {
+  const validate = ajv.compile(schema);
+  const isValid = validate(input);
+  if (!isValid) {
+    console.error("Validation failed:", validate.errors);
+    return false;
+  }
+  return true;
+};
+
+// Zoho Books needs account ids (not codes) on bills and expenses.
+// `accounts` is the `default_accounts` picked when the integration was
+// connected: { expense_account_id, paid_through_account_id }.
+class Zoho {
+  constructor() {}
+
+  invoice = {
+    transform(sourceInvoice, customerId) {
+      if (
+        !sourceInvoice ||
+        !sourceInvoice.Items ||
+        !sourceInvoice.CustomerDetails
+      ) {
+        console.error("Missing required fields in source invoice.");
+        return false;
+      }
+
+      const transformedInvoice = {
+        customer_id: customerId,
+        invoice_number: sourceInvoice.InvoiceNumber || undefined,
+        date: sourceInvoice.Date,
+        due_date: sourceInvoice.DueDate || sourceInvoice.Date,
+        line_items: sourceInvoice.Items.map((item) => ({
+          name: lineName(item.Description),
+          description: item.Description || "",
+          ...lineAmounts(item.Quantity, item.UnitPrice, item.TotalAmount),
+        })),
+        notes: sourceInvoice.Notes || undefined,
+      };
+
+      if (Number(sourceInvoice.DiscountTotal) > 0) {
+        transformedInvoice.discount = Number(sourceInvoice.DiscountTotal);
+        transformedInvoice.discount_type = "entity_level";
+        transformedInvoice.is_discount_before_tax = true;
+      }
+
+      return transformedInvoice;
+    },
+
+    validate: validator(require("./services/transform/schemas/invoice")),
+  };
+
+  receipt = {
+    transform(sourceReceipt, vendorId, accounts = {}) {
+      if (
+        !sourceReceipt ||
+        !sourceReceipt.PurchaseLines ||
+        !sourceReceipt.VendorDetails
+      ) {
+        console.error("Missing required fields in source receipt.");
+        return false;
+      }
+
+      const amount =
+        Number(sourceReceipt.TotalAmount) ||
+        sourceReceipt.PurchaseLines.reduce(
+          (sum, item) => sum + (Number(item.Amount) || 0),
+          0,
+        );
+
+      return {
+        account_id: accounts.expense_account_id,
+        paid_through_account_id: accounts.paid_through_account_id,
+        vendor_id: vendorId,
+        date: sourceReceipt.TransactionDate,
+        amount: amount,
+        description: sourceReceipt.VendorDetails.Name,
+      };
+    },
+
+    validate: validator(require("./services/transform/schemas/expense")),
+  };
+
+  bill = {
+    transform(sourceBill, vendorId, accounts = {}) {
+      if (!sourceBill || !sourceBill.Items || !sourceBill.VendorDetails) {
+        console.error("Missing required fields in source bill.");
+        return false;
+      }
+
+      return {
+        vendor_id: vendorId,
+        bill_number: sourceBill.BillNumber,
+        date: sourceBill.BillDate,
+        due_date: sourceBill.DueDate || sourceBill.BillDate,
+        line_items: sourceBill.Items.map((item) => ({
+          account_id: accounts.expense_account_id,
+          description: item.Description || "",
+          ...lineAmounts(item.Quantity, item.UnitPrice, item.TotalAmount),
+        })),
+        notes: sourceBill.Notes || undefined,
+      };
+    },
+
+    validate: validator(require("./services/transform/schemas/bill")),
+  };
+}
+
+module.exports = Zoho;
@@ -0,0 +1,472 @@
+require("dotenv").config();
+const axios = require("axios");
+const { Integration } = require("../../../db/models");
+const { REGIONS, resolveRegion } = require("../regions");
+
+const redirectUri =
+  process.env.zohoRedirectUri || "https://api.kounto.ai/api/zoho/callback";
+
+const scopes = [
+  "ZohoBooks.contacts.ALL",
+  "ZohoBooks.invoices.ALL",
+  "ZohoBooks.bills.ALL",
+  "ZohoBooks.expenses.ALL",
+  "ZohoBooks.accountants.READ",
+  "ZohoBooks.settings.READ",
+];
+
+// Zoho answers bad requests with a 400 and a non-zero `code`. Those are
+// exposed as a QuickBooks-style `fault` ({ type: "ValidationFault", Error })
+// so the worker and the retry policy handle every channel the same way.
+// 401 (expired or revoked token) stays a plain permanent error.
+function apiError(message, error) {
+  const data = error?.response?.data;
+  const detail = data?.message;
+
+  const wrapped = new Error(detail ? `${message}: ${detail}` : message);
+  wrapped.status = error?.response?.status;
+  wrapped.code = error?.code;
+  wrapped.zoho_code = data?.code;
+  if (wrapped.status === 400 && data?.code) {
+    wrapped.fault = {
+      type: "ValidationFault",
+      Error: [{ Message: detail, Detail: detail, code: data.code }],
+    };
+  }
+  wrapped.cause = error;
+  return wrapped;
+}
+
+// Client for the Zoho Books API v3. `config` is the Integration credentials:
+// { region, organization_id, access_token, refresh_token, expires_in,
+// createdAt, default_accounts }. Resource methods return the Zoho entities
+// (contact, invoice, bill, expense) rather than the response.
+class zohoApiClient {
+  constructor(config, integrationId, options = {}) {
+    if (typeof config === "string") {
+      config = JSON.parse(config);
+    }
+
+    this.config = config || {};
+    this.organizationId = this.config.organization_id;
+    this.integrationId = integrationId;
+
+    const { region } = resolveRegion({
+      location: options.region || this.config.region,
+    });
+    this.region = region;
+
+    // Overridable so the client can run against a local mock server.
+    this.accountsServer =
+      options.accountsServer ||
+      process.env.zohoAccountsUrl ||
+      REGIONS[region].accountsServer;
+    this.apiDomain =
+      options.apiDomain || process.env.zohoApiUrl || REGIONS[region].apiDomain;
+
+    this.clientId = options.clientId || process.env.zohoClientId;
+    this.clientSecret = options.clientSecret || process.env.zohoClientSec;
+    this.redirectUri = options.redirectUri || redirectUri;
+  }
+
+  async getOAuthRedirectURL(state) {
+    const params = new URLSearchParams({
+      scope: scopes.join(","),
+      client_id: this.clientId,
+      response_type: "code",
+      redirect_uri: this.redirectUri,
+      access_type: "offline",
+      prompt: "consent",
+      state: state,
+    });
+
+    return `${this.accountsServer}/oauth/v2/auth?${params.toString()}`;
+  }
+
+  async requestToken(params) {
+    const response = await axios.post(
+      `${this.accountsServer}/oauth/v2/token`,
+      new URLSearchParams({
+        ...params,
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+      }).toString(),
+      { headers: { "Content-Type": "application/x-www-form-urlencoded" } },
+    );
+
+    // Zoho reports OAuth errors with a 200 and an `error` field.
+    if (response.data.error) {
+      throw new Error(`Zoho token request failed: ${response.data.error}`);
+    }
+    return { ...response.data, createdAt: Date.now() };
+  }
+
+  // Exchanges the callback code for tokens and picks the default
+  // organisation of the account.
+  async createToken(code) {
+    const token = await this.requestToken({
+      grant_type: "authorization_code",
+      code: code,
+      redirect_uri: this.redirectUri,
+    });
+
+    this.config = { ...token, region: this.region };
+    const organizations = await this.organizations.list();
+    const organization =
+      organizations.find((org) => org.is_default_org) || organizations[0];
+    if (!organization) {
+      throw new Error("No Zoho Books organisation found for this account");
+    }
+
+    return {
+      token: {
+        ...token,
+        region: this.region,
+        organization_id: organization.organization_id,
+        organization_name: organization.name,
+      },
+    };
+  }
+
+  isAccessTokenValid() {
+    if (!this.config.access_token || !this.config.createdAt) return false;
+
+    // Refresh a minute early so a request does not race the expiry.
+    const expiresAt =
+      this.config.createdAt + (this.config.expires_in - 60) * 1000;
+    return Date.now() < expiresAt;
+  }
+
+  async refreshOrSetToken() {
+    if (this.isAccessTokenValid()) return;
+
+    if (!this.config.refresh_token) {
+      throw new Error("No refresh token found in config");
+    }
+
+    console.log("Refreshing Zoho access token...");
+    const token = await this.requestToken({
+      grant_type: "refresh_token",
+      refresh_token: this.config.refresh_token,
+    });
+
+    // The refresh response does not repeat the refresh token.
+    const credentials = {
+      ...this.config,
+      access_token: token.access_token,
+      expires_in: token.expires_in,
+      createdAt: token.createdAt,
+    };
+
+    if (this.integrationId) {
+      await Integration.update(
+        { credentials: credentials },
+        { where: { id: this.integrationId } },
+      );
+    }
+    this.config = credentials;
+  }
+
+  async request(method, path, { params, data } = {}, message) {
+    await this.refreshOrSetToken();
+
+    try {
+      const response = await axios({
+        method: method,
+        url: `${this.apiDomain}/books/v3/${path}`,
+        params: this.organizationId
+          ? { organization_id: this.organizationId, ...params }
+          : params,
+        data: data,
+        headers: {
+          Authorization: `Zoho-oauthtoken ${this.config.access_token}`,
+          "Content-Type": "application/json",
+        },
+      });
+      return response.data;
+    } catch (error) {
+      console.log(
+        `${message} --->>>`,
+        JSON.stringify(error?.response?.data || error.message),
+      );
+      throw apiError(message, error);
+    }
+  }
+
+  organizations = {
+    list: async () => {
+      const response = await this.request(
+        "GET",
+        "organizations",
+        {},
+        "failed to list organizations",
+      );
+      return response.organizations || [];
+    },
+  };
+
+  contacts = {
+    // contactType: "customer" or "vendor"
+    list: async (page = 1, pageSize = 200, contactType) => {
+      const response = await this.request(
+        "GET",
+        "contacts",
+        {
+          params: {
+            page,
+            per_page: pageSize,
+            ...(contactType ? { contact_type: contactType } : {}),
+          },
+        },
+        "failed to list contacts",
+      );
+
+      return {
+        contacts: response.contacts || [],
+        currentPage: page,
+        pageSize: pageSize,
+        hasMore: Boolean(response.page_context?.has_more_page),
+      };
+    },
+
+    findByName: async (name, contactType) => {
+      const response = await this.request(
+        "GET",
+        "contacts",
+        {
+          params: {
+            contact_name: name,
+            ...(contactType ? { contact_type: contactType } : {}),
+          },
+        },
+        "failed to find contact",
+      );
+
+      return (response.contacts && response.contacts[0]) || null;
+    },
+
+    get: async (contactId) => {
+      const response = await this.request(
+        "GET",
+        `contacts/${contactId}`,
+        {},
+        "failed to fetch contact",
+      );
+      return response.contact;
+    },
+
+    create: async (contactData) => {
+      const response = await this.request(
+        "POST",
+        "contacts",
+        { data: contactData },
+        "failed to create contact",
+      );
+      return response.contact;
+    },
+
+    update: async (contactId, contactData) => {
+      const response = await this.request(
+        "PUT",
+        `contacts/${contactId}`,
+        { data: contactData },
+        "failed to update contact",
+      );
+      return response.contact;
+    },
+  };
+
+  invoices = {
+    list: async (page = 1, pageSize = 200) => {
+      const response = await this.request(
+        "GET",
+        "invoices",
+        { params: { page, per_page: pageSize } },
+        "failed to list invoices",
+      );
+
+      return {
+        invoices: response.invoices || [],
+        currentPage: page,
+        pageSize: pageSize,
+        hasMore: Boolean(response.page_context?.has_more_page),
+      };
+    },
+
+    get: async (invoiceId) => {
+      const response = await this.request(
+        "GET",
+        `invoices/${invoiceId}`,
+        {},
+        "failed to fetch invoice",
+      );
+      return response.invoice;
+    },
+
+    // Keeps the invoice number read from the document instead of the
+    // organisation's auto-numbering.
+    create: async (invoiceData) => {
+      const response = await this.request(
+        "POST",
+        "invoices",
+        {
+          params: invoiceData.invoice_number
+            ? { ignore_auto_number_generation: true }
+            : {},
+          data: invoiceData,
+        },
+        "failed to create invoice",
+      );
+      return response.invoice;
+    },
+
+    update: async (invoiceId, invoiceData) => {
+      const response = await this.request(
+        "PUT",
+        `invoices/${invoiceId}`,
+        { data: invoiceData },
+        "failed to update invoice",
+      );
+      return response.invoice;
+    },
+
+    void: async (invoiceId) => {
+      return this.request(
+        "POST",
+        `invoices/${invoiceId}/status/void`,
+        {},
+        "failed to void invoice",
+      );
+    },
+  };
+
+  bills = {
+    list: async (page = 1, pageSize = 200) => {
+      const response = await this.request(
+        "GET",
+        "bills",
+        { params: { page, per_page: pageSize } },
+        "failed to list bills",
+      );
+
+      return {
+        bills: response.bills || [],
+        currentPage: page,
+        pageSize: pageSize,
+        hasMore: Boolean(response.page_context?.has_more_page),
+      };
+    },
+
+    get: async (billId) => {
+      const response = await this.request(
+        "GET",
+        `bills/${billId}`,
+        {},
+        "failed to fetch bill",
+      );
+      return response.bill;
+    },
+
+    create: async (billData) => {
+      const response = await this.request(
+        "POST",
+        "bills",
+        { data: billData },
+        "failed to create bill",
+      );
+      return response.bill;
+    },
+
+    update: async (billId, billData) => {
+      const response = await this.request(
+        "PUT",
+        `bills/${billId}`,
+        { data: billData },
+        "failed to update bill",
+      );
+      return response.bill;
+    },
+
+    void: async (billId) => {
+      return this.request(
+        "POST",
+        `bills/${billId}/status/void`,
+        {},
+        "failed to void bill",
+      );
+    },
+  };
+
+  expenses = {
+    list: async (page = 1, pageSize = 200) => {
+      const response = await this.request(
+        "GET",
+        "expenses",
+        { params: { page, per_page: pageSize } },
+        "failed to list expenses",
+      );
+
+      return {
+        expenses: response.expenses || [],
+        currentPage: page,
+        pageSize: pageSize,
+        hasMore: Boolean(response.page_context?.has_more_page),
+      };
+    },
+
+    get: async (expenseId) => {
+      const response = await this.request(
+        "GET",
+        `expenses/${expenseId}`,
+        {},
+        "failed to fetch expense",
+      );
+      return response.expense;
+    },
+
+    create: async (expenseData) => {
+      const response = await this.request(
+        "POST",
+        "expenses",
+        { data: expenseData },
+        "failed to create expense",
+      );
+      return response.expense;
+    },
+
+    update: async (expenseId, expenseData) => {
+      const response = await this.request(
+        "PUT",
+        `expenses/${expenseId}`,
+        { data: expenseData },
+        "failed to update expense",
+      );
+      return response.expense;
+    },
+
+    // Expenses have no void status in Zoho Books, they are deleted.
+    delete: async (expenseId) => {
+      return this.request(
+        "DELETE",
+        `expenses/${expenseId}`,
+        {},
+        "failed to delete expense",
+      );
+    },
+  };
+
+  accounts = {
+    // filterBy e.g. "AccountType.Expense"
+    list: async (filterBy) => {
+      const response = await this.request(
+        "GET",
+        "chartofaccounts",
+        { params: filterBy ? { filter_by: filterBy } : {} },
+        "failed to list accounts",
+      );
+      return response.chartofaccounts || [];
+    },
+  };
+}
+
+module.exports = zohoApiClient;
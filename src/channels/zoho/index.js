@@ -0,0 +1,198 @@
+const zohoApiClient = require("./apiClient/zohoApiClient");
+const {
+  Customer,
+  Vendor,
+  EntityMapping,
+  Integration,
+} = require("../../db/models/");
+
+require("dotenv").config();
+
+// Imports Zoho Books customers and vendors into Customer/Vendor, like
+// QuickBooksSync, and picks the accounts bills and expenses are booked to.
+class ZohoBooksSync {
+  constructor(config, companyId, integrationId, userid, options = {}) {
+    this.apiClient = new zohoApiClient(config, integrationId, options);
+    this.config = config;
+    this.companyId = companyId;
+    this.integrationId = integrationId;
+    this.userid = userid;
+  }
+
+  async sync() {
+    console.log("syncing...");
+
+    try {
+      await this.syncContacts("customer", "Customer", Customer);
+      await this.syncContacts("vendor", "Vendor", Vendor);
+      await this.syncDefaultAccounts();
+    } catch (error) {
+      console.error("Error importing data from Zoho Books:", error);
+      throw error;
+    }
+  }
+
+  async syncContacts(contactType, entityType, model) {
+    console.log(`Starting ${contactType} synchronization...`);
+    let page = 1;
+    let pageSize = 200;
+    let hasMore = true;
+
+    while (hasMore) {
+      const response = await this.apiClient.contacts.list(
+        page,
+        pageSize,
+        contactType,
+      );
+
+      for (const contactData of response.contacts) {
+        const attributes =
+          entityType === "Vendor"
+            ? this.transformVendorData(contactData)
+            : this.transformCustomerData(contactData);
+        const entityMapping = await this.getOrCreateEntityMapping(
+          entityType,
+          contactData.contact_id,
+        );
+
+        const record =
+          entityMapping.local_id &&
+          (await model.findByPk(entityMapping.local_id));
+        if (record) {
+          console.log(
+            `${entityType} with ID ${contactData.contact_id} already exists. Updating...`,
+          );
+          await record.update(attributes);
+        } else {
+          console.log(
+            `${entityType} with ID ${contactData.contact_id} does not exist. Creating...`,
+          );
+          const created = await model.create(attributes);
+          await this.createEntityMapping(
+            entityType,
+            contactData.contact_id,
+            created.id,
+          );
+        }
+      }
+
+      console.log(
+        `Processed ${response.contacts.length} ${contactType}s from page ${page}`,
+      );
+      hasMore = response.hasMore;
+      page++;
+    }
+    console.log(`${entityType} synchronization completed successfully.`);
+  }
+
+  // Bills and expenses need an expense account and expenses a "paid
+  // through" cash or bank account. The defaults of a new organisation are
+  // preferred, otherwise the first active account of the type.
+  async syncDefaultAccounts() {
+    const accounts = (await this.apiClient.accounts.list()).filter(
+      (account) => account.is_active !== false,
+    );
+
+    const pick = (types, preferredName) =>
+      accounts.find(
+        (account) =>
+          types.includes(account.account_type) &&
+          account.account_name === preferredName,
+      ) || accounts.find((account) => types.includes(account.account_type));
+
+    const expenseAccount = pick(["expense"], "Other Expenses");
+    const paidThroughAccount = pick(["cash", "bank"], "Petty Cash");
+
+    const defaultAccounts = {
+      expense_account_id: expenseAccount && expenseAccount.account_id,
+      paid_through_account_id:
+        paidThroughAccount && paidThroughAccount.account_id,
+    };
+    console.log("Zoho default accounts:", defaultAccounts);
+
+    const credentials = {
+      ...this.apiClient.config,
+      default_accounts: defaultAccounts,
+    };
+    await Integration.update(
+      { credentials: credentials },
+      { where: { id: this.integrationId } },
+    );
+    this.apiClient.config = credentials;
+
+    return defaultAccounts;
+  }
+
+  async getOrCreateEntityMapping(entityType, externalId) {
+    const entityMapping = await EntityMapping.findOne({
+      where: {
+        entity_type: entityType,
+        external_id: externalId,
+        CompanyId: this.companyId,
+        IntegrationId: this.integrationId,
+        UserId: this.userid,
+      },
+    });
+
+    if (entityMapping) {
+      return entityMapping;
+    } else {
+      return { local_id: null };
+    }
+  }
+
+  async createEntityMapping(entityType, externalId, localId) {
+    await EntityMapping.create({
+      entity_type: entityType,
+      external_id: externalId,
+      CompanyId: this.companyId,
+      IntegrationId: this.integrationId,
+      local_id: localId,
+      sync_status: "Synced",
+      UserId: this.userid,
+    });
+  }
+
+  transformAddress(address) {
+    return address && (address.address || address.city)
+      ? {
+          Line1: address.address,
+          City: address.city,
+          State: address.state,
+          ZipCode: address.zip,
+          Country: address.country,
+        }
+      : null;
+  }
+
+  transformCustomerData(contact) {
+    return {
+      name: contact.contact_name,
+      email: contact.email,
+      companyName: contact.company_name,
+      active: contact.status === "active",
+      balance: contact.outstanding_receivable_amount,
+      metaData: { last_modified_time: contact.last_modified_time },
+      billing_address: this.transformAddress(contact.billing_address),
+      shipping_address: this.transformAddress(contact.shipping_address),
+      phone: contact.phone || contact.mobile,
+      CompanyId: this.companyId,
+      UserId: this.userid,
+    };
+  }
+
+  transformVendorData(contact) {
+    return {
+      name: contact.contact_name,
+      email: contact.email,
+      address: this.transformAddress(contact.billing_address) || {},
+      phone: contact.phone || contact.mobile,
+      active: contact.status === "active",
+      metaData: { last_modified_time: contact.last_modified_time },
+      CompanyId: this.companyId,
+      UserId: this.userid,
+    };
+  }
+}
+
+module.exports = ZohoBooksSync;
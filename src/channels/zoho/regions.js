@@ -0,0 +1,58 @@
+// Zoho runs separate data centers, an organisation's tokens and data only
+// work against the domains of the region it was created in.
+const REGIONS = {
+  us: {
+    accountsServer: "https://accounts.zoho.com",
+    apiDomain: "https://www.zohoapis.com",
+  },
+  eu: {
+    accountsServer: "https://accounts.zoho.eu",
+    apiDomain: "https://www.zohoapis.eu",
+  },
+  in: {
+    accountsServer: "https://accounts.zoho.in",
+    apiDomain: "https://www.zohoapis.in",
+  },
+  au: {
+    accountsServer: "https://accounts.zoho.com.au",
+    apiDomain: "https://www.zohoapis.com.au",
+  },
+  jp: {
+    accountsServer: "https://accounts.zoho.jp",
+    apiDomain: "https://www.zohoapis.jp",
+  },
+  ca: {
+    accountsServer: "https://accounts.zohocloud.ca",
+    apiDomain: "https://www.zohoapis.ca",
+  },
+  cn: {
+    accountsServer: "https://accounts.zoho.com.cn",
+    apiDomain: "https://www.zohoapis.com.cn",
+  },
+  sa: {
+    accountsServer: "https://accounts.zoho.sa",
+    apiDomain: "https://www.zohoapis.sa",
+  },
+};
+
+const DEFAULT_REGION = process.env.zohoRegion || "us";
+
+const regionOf = (field, value) =>
+  Object.keys(REGIONS).find((region) => REGIONS[region][field] === value);
+
+// Works out the domains of an organisation from what Zoho hands back on the
+// OAuth callback (`location`, `accounts-server`) and in the token response
+// (`api_domain`). The callback query can be tampered with, so only the
+// domains of the region table are accepted; the client secret is sent to
+// the accounts server.
+const resolveRegion = ({ location, accountsServer, apiDomain } = {}) => {
+  const region =
+    (REGIONS[location] && location) ||
+    regionOf("accountsServer", accountsServer) ||
+    regionOf("apiDomain", apiDomain) ||
+    DEFAULT_REGION;
+
+  return { region, ...REGIONS[region] };
+};
+
+module.exports = { REGIONS, DEFAULT_REGION, resolveRegion };
@@ -0,0 +1,25 @@
+module.exports = {
+  type: "object",
+  properties: {
+    vendor_id: { type: "string" },
+    bill_number: { type: "string", minLength: 1 },
+    date: { type: "string" },
+    due_date: { type: "string" },
+    notes: { type: "string" },
+    line_items: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        properties: {
+          account_id: { type: "string" },
+          description: { type: "string" },
+          rate: { type: "number" },
+          quantity: { type: "number" },
+        },
+        required: ["account_id", "rate", "quantity"],
+      },
+    },
+  },
+  required: ["vendor_id", "bill_number", "date", "line_items"],
+};
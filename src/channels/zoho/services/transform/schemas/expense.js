@@ -0,0 +1,13 @@
+module.exports = {
+  type: "object",
+  properties: {
+    account_id: { type: "string" },
+    paid_through_account_id: { type: "string" },
+    vendor_id: { type: "string" },
+    date: { type: "string" },
+    amount: { type: "number", exclusiveMinimum: 0 },
+    reference_number: { type: "string" },
+    description: { type: "string" },
+  },
+  required: ["account_id", "paid_through_account_id", "date", "amount"],
+};
@@ -0,0 +1,28 @@
+module.exports = {
+  type: "object",
+  properties: {
+    customer_id: { type: "string" },
+    invoice_number: { type: "string" },
+    date: { type: "string" },
+    due_date: { type: "string" },
+    discount: { type: "number" },
+    discount_type: { type: "string", enum: ["entity_level", "item_level"] },
+    is_discount_before_tax: { type: "boolean" },
+    notes: { type: "string" },
+    line_items: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        properties: {
+          name: { type: "string" },
+          description: { type: "string" },
+          rate: { type: "number" },
+          quantity: { type: "number" },
+        },
+        required: ["name", "rate", "quantity"],
+      },
+    },
+  },
+  required: ["customer_id", "date", "line_items"],
+};
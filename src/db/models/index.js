@@ -22,10 +22,11 @@ const User = sequelize.define("User", {
     type: DataTypes.STRING,
     allowNull: false,
   },
+  // Admins are operators, they are promoted by hand and never sign up.
   role: {
     type: DataTypes.ENUM("User", "Admin"),
     allowNull: false,
-    defaultValue: "Admin",
+    defaultValue: "User",
   },
 });
 
@@ -107,6 +108,33 @@ const Company = sequelize.define("Company", {
     type: DataTypes.STRING,
     allowNull: true,
   },
+  extractionProvider: {
+    type: DataTypes.ENUM("openai", "fixture"),
+    allowNull: true,
+  },
+  // Creates a service item in the accounting system for invoice lines that
+  // match none of the imported items.
+  autoCreateItems: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  // Review policy: documents are held in the review queue before they are
+  // posted when any of these applies, and posted right away otherwise.
+  reviewAll: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  reviewAmountAbove: {
+    type: DataTypes.DECIMAL,
+    allowNull: true,
+  },
+  reviewNewVendors: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
 });
 
 const Integration = sequelize.define("Integration", {
@@ -133,6 +161,12 @@ const Integration = sequelize.define("Integration", {
     type: DataTypes.STRING,
     allowNull: false,
   },
+  // High-water mark of the incremental sync, changes made in the accounting
+  // system since then are imported by the next run.
+  last_synced_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
 });
 
 const Customer = sequelize.define("Customer", {
@@ -161,6 +195,17 @@ const Customer = sequelize.define("Customer", {
     type: DataTypes.STRING,
     allowNull: true,
   },
+  // VAT number, EIN or other tax id, matches the contact across documents.
+  tax_id: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  // False once made inactive in the accounting system.
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+  },
 });
 
 const Vendor = sequelize.define("Vendor", {
@@ -185,18 +230,207 @@ const Vendor = sequelize.define("Vendor", {
     type: DataTypes.STRING,
     allowNull: true,
   },
+  // VAT number, EIN or other tax id, matches the contact across documents.
+  tax_id: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  // { AccountHolderName, BankName, AccountNumber, RoutingNumber } as printed
+  // on the vendor's documents.
+  bank_details: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+  // False once made inactive in the accounting system.
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+  },
 });
 
-const Document = sequelize.define("Document", {
+// Chart of accounts imported from the accounting system, used to pick the
+// expense and payment accounts of receipts and bills.
+const Account = sequelize.define("Account", {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  fully_qualified_name: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  account_number: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  account_type: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  account_sub_type: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  classification: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  currency: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+  },
+});
+
+// Products and services imported from the accounting system, invoice lines
+// are matched to them by description.
+const Item = sequelize.define("Item", {
   id: {
     type: DataTypes.UUID,
     defaultValue: DataTypes.UUIDV4,
     primaryKey: true,
   },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  fully_qualified_name: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  sku: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
   type: {
-    type: DataTypes.ENUM("Invoice", "Receipt"),
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  unit_price: {
+    type: DataTypes.DECIMAL,
+    allowNull: true,
+  },
+  income_account_ref: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+  },
+});
+
+// Tax rates and the tax codes combining them, imported from the accounting
+// system. Extracted tax rates are matched to the codes' combined rates.
+const TaxRate = sequelize.define("TaxRate", {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  name: {
+    type: DataTypes.STRING,
     allowNull: false,
   },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  rate_value: {
+    type: DataTypes.DECIMAL,
+    allowNull: true,
+  },
+  agency_ref: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+  },
+});
+
+const TaxCode = sequelize.define("TaxCode", {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  taxable: {
+    type: DataTypes.BOOLEAN,
+    allowNull: true,
+  },
+  // Combined rates in percent, null when the code has no sales or purchase
+  // tax rates.
+  sales_rate: {
+    type: DataTypes.DECIMAL,
+    allowNull: true,
+  },
+  purchase_rate: {
+    type: DataTypes.DECIMAL,
+    allowNull: true,
+  },
+  // External TaxRate ids: { sales: [], purchase: [] }.
+  tax_rate_refs: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+  },
+});
+
+const Document = sequelize.define("Document", {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  type: {
+    type: DataTypes.ENUM("Invoice", "Receipt", "Bill"),
+    allowNull: true, // null until an "auto" upload is classified
+  },
+  predicted_type: {
+    type: DataTypes.ENUM(
+      "Invoice",
+      "Receipt",
+      "Bill",
+      "CreditNote",
+      "Statement",
+      "NonFinancial",
+    ),
+    allowNull: true,
+  },
+  predicted_type_confidence: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+  },
   status: {
     type: DataTypes.ENUM(
       "Inbox",
@@ -206,6 +440,13 @@ const Document = sequelize.define("Document", {
       "Processed",
       "Failed",
       "Processing",
+      "DeadLetter",
+      "Duplicate",
+      "Split",
+      "Unsupported",
+      "PendingReview",
+      "PendingApproval",
+      "Rejected",
     ),
     allowNull: false,
     defaultValue: "Inbox",
@@ -226,6 +467,83 @@ const Document = sequelize.define("Document", {
     type: DataTypes.STRING,
     allowNull: true,
   },
+  content_hash: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  duplicate_reason: {
+    type: DataTypes.ENUM("content_hash", "semantic"),
+    allowNull: true,
+  },
+  duplicate_override: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  split_pages: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+  transformed_data: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+  completed_stage: {
+    type: DataTypes.ENUM(
+      "convert",
+      "split",
+      "classify",
+      "extract",
+      "transform",
+      "validate",
+      "review",
+      "approve",
+      "sync",
+      "attach",
+    ),
+    allowNull: true,
+  },
+  stage_completed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  // Set by the review stage when the company's review policy holds the
+  // document, the approve and reject routes settle it.
+  review_status: {
+    type: DataTypes.ENUM("Pending", "Approved", "Rejected"),
+    allowNull: true,
+  },
+  review_reasons: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+});
+
+// Decisions and edits made on a document in the review queue.
+const DocumentReview = sequelize.define("DocumentReview", {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  action: {
+    type: DataTypes.ENUM("Approve", "Reject", "Edit"),
+    allowNull: false,
+  },
+  // Edit: the corrected fields, in the shape of the extracted document.
+  changes: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+  // Approve: the payload that was approved for posting.
+  payload: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+  comment: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
 });
 
 const Invoice = sequelize.define("Invoice", {
@@ -270,224 +588,637 @@ const Invoice = sequelize.define("Invoice", {
     type: DataTypes.DECIMAL,
     allowNull: true,
   },
-  balance_due: {
-    type: DataTypes.DECIMAL,
-    allowNull: true,
+  balance_due: {
+    type: DataTypes.DECIMAL,
+    allowNull: true,
+  },
+  vendor_details: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+  customer_details: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+  notes: {
+    type: DataTypes.STRING,
+  },
+  created_by: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  sales_term_ref: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  deposit: {
+    type: DataTypes.DECIMAL,
+    allowNull: true,
+  },
+  bill_email: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  ship_address: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+  bill_address: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+  custom_fields: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+  linked_txns: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+});
+
+const InvoiceLineItem = sequelize.define("InvoiceLineItem", {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  unit_price: {
+    type: DataTypes.DECIMAL,
+    allowNull: true,
+  },
+  discount: {
+    type: DataTypes.DECIMAL,
+    allowNull: true,
+  },
+  total_amount: {
+    type: DataTypes.DECIMAL,
+    allowNull: true,
+  },
+  item_ref: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  tax_code_ref: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+});
+
+const InvoiceTax = sequelize.define("InvoiceTax", {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  tax_type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  tax_rate: {
+    type: DataTypes.DECIMAL,
+    allowNull: false,
+  },
+  tax_amount: {
+    type: DataTypes.DECIMAL,
+    allowNull: false,
+  },
+  tax_code_ref: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+});
+
+const Purchase = sequelize.define("Purchase", {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  txn_date: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  total_amount: {
+    type: DataTypes.DECIMAL,
+    allowNull: false,
+  },
+  payment_type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  account_ref: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  tax_amount: {
+    type: DataTypes.DECIMAL,
+    allowNull: true,
+  },
+  tax_code_ref: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  custom_fields: {
+    type: DataTypes.JSON,
+  },
+});
+
+const PurchaseLineItem = sequelize.define("PurchaseLineItem", {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  amount: {
+    type: DataTypes.DECIMAL,
+    allowNull: false,
+  },
+  project_ref: {
+    type: DataTypes.STRING,
+  },
+  account_ref: {
+    type: DataTypes.STRING,
+  },
+  billable_status: {
+    type: DataTypes.STRING,
+  },
+  tax_code_ref: {
+    type: DataTypes.STRING,
+  },
+  class_ref: {
+    type: DataTypes.STRING,
+  },
+  location_ref: {
+    type: DataTypes.STRING,
+  },
+  // Customer or project the line is billable to.
+  customer_ref: {
+    type: DataTypes.STRING,
+  },
+});
+
+// Vendor bill (accounts payable), pushed to QuickBooks as a Bill.
+const Bill = sequelize.define("Bill", {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  bill_number: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  txn_date: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  due_date: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  currency: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  payment_terms: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  subtotal: {
+    type: DataTypes.DECIMAL,
+    allowNull: true,
+  },
+  tax_amount: {
+    type: DataTypes.DECIMAL,
+    allowNull: true,
+  },
+  tax_code_ref: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  total_amount: {
+    type: DataTypes.DECIMAL,
+    allowNull: false,
+  },
+  balance_due: {
+    type: DataTypes.DECIMAL,
+    allowNull: true,
+  },
+  status: {
+    type: DataTypes.ENUM("Open", "Paid"),
+    allowNull: false,
+    defaultValue: "Open",
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+});
+
+const BillLineItem = sequelize.define("BillLineItem", {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  quantity: {
+    type: DataTypes.DECIMAL,
+    allowNull: true,
+  },
+  unit_price: {
+    type: DataTypes.DECIMAL,
+    allowNull: true,
+  },
+  amount: {
+    type: DataTypes.DECIMAL,
+    allowNull: false,
+  },
+  account_ref: {
+    type: DataTypes.STRING,
+  },
+  tax_code_ref: {
+    type: DataTypes.STRING,
+  },
+});
+
+const SyncLog = sequelize.define("SyncLog", {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  entity_type: {
+    type: DataTypes.ENUM(
+      "Document",
+      "Customer",
+      "Vendor",
+      "Invoice",
+      "Purchase",
+      "Bill",
+      "Integration",
+    ),
+    allowNull: false,
+  },
+  sync_date: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  error_message: {
+    type: DataTypes.STRING,
+  },
+  entityMappingId: {
+    type: DataTypes.UUID,
+    references: {
+      model: "EntityMappings",
+      key: "id",
+    },
+  },
+  text_job_description: {
+    type: DataTypes.TEXT,
   },
-  vendor_details: {
-    type: DataTypes.JSON,
-    allowNull: true,
+  sync_status: {
+    type: DataTypes.ENUM(
+      "Queued",
+      "Processing",
+      "Synced",
+      "Failed",
+      "DeadLetter",
+    ),
+    allowNull: false,
   },
-  customer_details: {
-    type: DataTypes.JSON,
+  job_type: {
+    type: DataTypes.ENUM(
+      "ProcessDocument",
+      "IncrementalSync",
+      "RefreshEntity",
+      "ApprovalReminders",
+    ),
     allowNull: true,
   },
-  notes: {
-    type: DataTypes.STRING,
-  },
-  created_by: {
+  // Identifies the webhook event a RefreshEntity job was queued for, so a
+  // replayed or redelivered event is queued only once.
+  event_key: {
     type: DataTypes.STRING,
     allowNull: true,
+    unique: true,
   },
-  sales_term_ref: {
-    type: DataTypes.STRING,
+  payload: {
+    type: DataTypes.JSON,
     allowNull: true,
   },
-  deposit: {
-    type: DataTypes.DECIMAL,
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  max_attempts: {
+    type: DataTypes.INTEGER,
     allowNull: true,
   },
-  bill_email: {
-    type: DataTypes.STRING,
+  failure_class: {
+    type: DataTypes.ENUM("transient", "validation", "permanent", "unknown"),
     allowNull: true,
   },
-  ship_address: {
-    type: DataTypes.JSON,
+  run_at: {
+    type: DataTypes.DATE,
     allowNull: true,
   },
-  bill_address: {
-    type: DataTypes.JSON,
+  locked_until: {
+    type: DataTypes.DATE,
     allowNull: true,
   },
-  custom_fields: {
-    type: DataTypes.JSON,
+  locked_by: {
+    type: DataTypes.STRING,
     allowNull: true,
   },
-  linked_txns: {
-    type: DataTypes.JSON,
+  finished_at: {
+    type: DataTypes.DATE,
     allowNull: true,
   },
 });
 
-const InvoiceLineItem = sequelize.define("InvoiceLineItem", {
+const EntityMapping = sequelize.define("EntityMapping", {
   id: {
     type: DataTypes.UUID,
     defaultValue: DataTypes.UUIDV4,
     primaryKey: true,
   },
-  description: {
-    type: DataTypes.STRING,
-    allowNull: true,
-  },
-  quantity: {
-    type: DataTypes.INTEGER,
-    allowNull: true,
-  },
-  unit_price: {
-    type: DataTypes.DECIMAL,
-    allowNull: true,
+  entity_type: {
+    type: DataTypes.ENUM(
+      "Document",
+      "Customer",
+      "Vendor",
+      "Invoice",
+      "Purchase",
+      "Receipt",
+      "Bill",
+      "Account",
+      "Item",
+      "TaxCode",
+      "TaxRate",
+    ),
+    allowNull: false,
   },
-  discount: {
-    type: DataTypes.DECIMAL,
+  external_id: {
+    type: DataTypes.STRING,
     allowNull: true,
   },
-  total_amount: {
-    type: DataTypes.DECIMAL,
-    allowNull: true,
+  local_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
   },
-  item_ref: {
-    type: DataTypes.STRING,
+  // "Deleted" once the incremental sync saw the record deleted in the
+  // accounting system, or once the pushed transaction was voided.
+  sync_status: {
+    type: DataTypes.ENUM("Synced", "Deleted"),
     allowNull: true,
+    defaultValue: "Synced",
   },
-  tax_code_ref: {
+  // Id of the source file attached to the pushed transaction.
+  attachable_id: {
     type: DataTypes.STRING,
     allowNull: true,
   },
 });
 
-const InvoiceTax = sequelize.define("InvoiceTax", {
+// Approval chain of a company's receipts and bills whose total is at least
+// min_amount and below max_amount.
+const ApprovalPolicy = sequelize.define("ApprovalPolicy", {
   id: {
     type: DataTypes.UUID,
     defaultValue: DataTypes.UUIDV4,
     primaryKey: true,
   },
-  tax_type: {
+  name: {
     type: DataTypes.STRING,
     allowNull: false,
   },
-  tax_rate: {
+  document_types: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: ["Receipt", "Bill"],
+  },
+  min_amount: {
     type: DataTypes.DECIMAL,
     allowNull: false,
+    defaultValue: 0,
   },
-  tax_amount: {
+  // null: no upper limit.
+  max_amount: {
     type: DataTypes.DECIMAL,
+    allowNull: true,
+  },
+  // Approved in order: [{ name, approvers: [UserId], escalate_to: [UserId] }].
+  // No steps approves the documents right away.
+  steps: {
+    type: DataTypes.JSON,
     allowNull: false,
+    defaultValue: [],
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
   },
 });
 
-const Purchase = sequelize.define("Purchase", {
+// One step of the approval chain of a document, copied from its policy when
+// the chain starts.
+const ApprovalStep = sequelize.define("ApprovalStep", {
   id: {
     type: DataTypes.UUID,
     defaultValue: DataTypes.UUIDV4,
     primaryKey: true,
   },
-  txn_date: {
-    type: DataTypes.DATE,
+  position: {
+    type: DataTypes.INTEGER,
     allowNull: false,
   },
-  total_amount: {
-    type: DataTypes.DECIMAL,
+  name: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  approver_ids: {
+    type: DataTypes.JSONB,
     allowNull: false,
   },
-  payment_type: {
-    type: DataTypes.STRING,
+  escalate_to: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+  },
+  // Waiting for the previous step, Pending a decision, Approved or Rejected;
+  // Skipped after an earlier rejection, Cancelled when the document was
+  // transformed again.
+  status: {
+    type: DataTypes.ENUM(
+      "Waiting",
+      "Pending",
+      "Approved",
+      "Rejected",
+      "Skipped",
+      "Cancelled",
+    ),
     allowNull: false,
+    defaultValue: "Waiting",
   },
-  account_ref: {
-    type: DataTypes.STRING,
+  comment: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  requested_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  decided_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  reminders: {
+    type: DataTypes.INTEGER,
     allowNull: false,
+    defaultValue: 0,
   },
-  custom_fields: {
-    type: DataTypes.JSON,
+  reminded_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  escalated_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  // Reminders and escalations sent for the step, shown to its approvers:
+  // [{ type: "Reminder" | "Escalation", user_ids, message, sent_at }].
+  notifications: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
   },
 });
 
-const PurchaseLineItem = sequelize.define("PurchaseLineItem", {
+// Sets the expense account, class, location, tax code, billable status or
+// customer of the receipt and bill lines matching its conditions.
+const CategorizationRule = sequelize.define("CategorizationRule", {
   id: {
     type: DataTypes.UUID,
     defaultValue: DataTypes.UUIDV4,
     primaryKey: true,
   },
-  amount: {
-    type: DataTypes.DECIMAL,
+  name: {
+    type: DataTypes.STRING,
     allowNull: false,
   },
-  project_ref: {
-    type: DataTypes.STRING,
+  // Higher first; a field is set by the first matching rule setting it.
+  priority: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
   },
-  account_ref: {
-    type: DataTypes.STRING,
+  // { vendor_ids, keywords, min_amount, max_amount, payment_types,
+  // currencies }, every condition given must hold.
+  conditions: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {},
   },
-  billable_status: {
-    type: DataTypes.STRING,
+  // { account_ref, class_ref, location_ref, tax_code_ref, billable_status,
+  // customer_ref }, external ids of the accounting system.
+  actions: {
+    type: DataTypes.JSON,
+    allowNull: false,
   },
-  tax_code_ref: {
-    type: DataTypes.STRING,
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
   },
 });
 
-const SyncLog = sequelize.define("SyncLog", {
+// A field of a receipt line changed by hand after categorization, the
+// source of rule suggestions.
+const CategorizationCorrection = sequelize.define("CategorizationCorrection", {
   id: {
     type: DataTypes.UUID,
     defaultValue: DataTypes.UUIDV4,
     primaryKey: true,
   },
-  entity_type: {
+  field: {
     type: DataTypes.ENUM(
-      "Document",
-      "Customer",
-      "Vendor",
-      "Invoice",
-      "Purchase",
+      "account_ref",
+      "class_ref",
+      "location_ref",
+      "tax_code_ref",
+      "billable_status",
+      "customer_ref",
     ),
     allowNull: false,
   },
-  sync_date: {
-    type: DataTypes.DATE,
-    allowNull: false,
-  },
-  error_message: {
+  from_value: {
     type: DataTypes.STRING,
+    allowNull: true,
   },
-  entityMappingId: {
-    type: DataTypes.UUID,
-    references: {
-      model: "EntityMappings",
-      key: "id",
-    },
+  to_value: {
+    type: DataTypes.STRING,
+    allowNull: true,
   },
-  text_job_description: {
+  description: {
     type: DataTypes.TEXT,
-  },
-  sync_status: {
-    type: DataTypes.ENUM("Queued", "Processing", "Synced", "Failed"),
-    allowNull: false,
+    allowNull: true,
   },
 });
 
-const EntityMapping = sequelize.define("EntityMapping", {
+// A document's extraction as corrected by a user, the labelled example the
+// extraction of the vendor's (or, for invoices, the customer's) next
+// documents learns from.
+const ExtractionExample = sequelize.define("ExtractionExample", {
   id: {
     type: DataTypes.UUID,
     defaultValue: DataTypes.UUIDV4,
     primaryKey: true,
   },
-  entity_type: {
-    type: DataTypes.ENUM(
-      "Document",
-      "Customer",
-      "Vendor",
-      "Invoice",
-      "Purchase",
-    ),
+  document_type: {
+    type: DataTypes.ENUM("Invoice", "Receipt", "Bill"),
     allowNull: false,
   },
-  external_id: {
-    type: DataTypes.STRING,
-    allowNull: true,
+  // Corrected value by field path of the extraction, e.g. { TotalAmount:
+  // 120, "Items[0].UnitPrice": 5 }.
+  fields: {
+    type: DataTypes.JSON,
+    allowNull: false,
   },
-  local_id: {
-    type: DataTypes.UUID,
+  // [{ field, extracted, corrected }], the fields the extraction got wrong.
+  corrections: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+  },
+  fields_compared: {
+    type: DataTypes.INTEGER,
     allowNull: false,
+    defaultValue: 0,
+  },
+  fields_corrected: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  // The extraction was given hints learned from earlier examples.
+  hinted: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
   },
 });
 
@@ -652,6 +1383,14 @@ EntityMapping.belongsTo(Integration);
 Integration.hasMany(Document);
 Document.belongsTo(Integration);
 
+Document.hasMany(SyncLog);
+SyncLog.belongsTo(Document);
+
+Document.belongsTo(Document, { as: "DuplicateOf" });
+
+Document.hasMany(Document, { as: "Children", foreignKey: "ParentId" });
+Document.belongsTo(Document, { as: "Parent", foreignKey: "ParentId" });
+
 Document.hasOne(Purchase, {
   onDelete: "CASCADE",
 });
@@ -711,6 +1450,116 @@ Company.hasMany(Purchase);
 Purchase.belongsTo(Vendor);
 Vendor.hasMany(Purchase);
 
+Document.hasOne(Bill, {
+  onDelete: "CASCADE",
+});
+Bill.belongsTo(Document);
+
+Bill.hasMany(BillLineItem);
+BillLineItem.belongsTo(Bill);
+
+Bill.belongsTo(Vendor);
+Vendor.hasMany(Bill);
+
+Bill.belongsTo(Company);
+Company.hasMany(Bill);
+
+User.hasMany(Bill);
+Bill.belongsTo(User);
+
+Company.hasMany(Account);
+Account.belongsTo(Company);
+
+Integration.hasMany(Account);
+Account.belongsTo(Integration);
+
+User.hasMany(Account);
+Account.belongsTo(User);
+
+Company.hasMany(Item);
+Item.belongsTo(Company);
+
+Integration.hasMany(Item);
+Item.belongsTo(Integration);
+
+User.hasMany(Item);
+Item.belongsTo(User);
+
+Company.hasMany(TaxRate);
+TaxRate.belongsTo(Company);
+
+Integration.hasMany(TaxRate);
+TaxRate.belongsTo(Integration);
+
+Company.hasMany(TaxCode);
+TaxCode.belongsTo(Company);
+
+Integration.hasMany(TaxCode);
+TaxCode.belongsTo(Integration);
+
+User.hasMany(TaxRate);
+TaxRate.belongsTo(User);
+
+User.hasMany(TaxCode);
+TaxCode.belongsTo(User);
+
+// Expense account used for the vendor's receipts and bills.
+Vendor.belongsTo(Account, { as: "DefaultAccount" });
+
+Document.hasMany(DocumentReview, { onDelete: "CASCADE" });
+DocumentReview.belongsTo(Document);
+
+Company.hasMany(DocumentReview);
+DocumentReview.belongsTo(Company);
+
+User.hasMany(DocumentReview);
+DocumentReview.belongsTo(User);
+
+Company.hasMany(ApprovalPolicy);
+ApprovalPolicy.belongsTo(Company);
+
+Document.hasMany(ApprovalStep, { onDelete: "CASCADE" });
+ApprovalStep.belongsTo(Document);
+
+Company.hasMany(ApprovalStep);
+ApprovalStep.belongsTo(Company);
+
+ApprovalPolicy.hasMany(ApprovalStep);
+ApprovalStep.belongsTo(ApprovalPolicy);
+
+// Who decided the step.
+ApprovalStep.belongsTo(User, { as: "Approver" });
+
+Company.hasMany(CategorizationRule);
+CategorizationRule.belongsTo(Company);
+
+Company.hasMany(CategorizationCorrection);
+CategorizationCorrection.belongsTo(Company);
+
+Vendor.hasMany(CategorizationCorrection);
+CategorizationCorrection.belongsTo(Vendor);
+
+Purchase.hasMany(CategorizationCorrection, { onDelete: "CASCADE" });
+CategorizationCorrection.belongsTo(Purchase);
+
+User.hasMany(CategorizationCorrection);
+CategorizationCorrection.belongsTo(User);
+
+Company.hasMany(ExtractionExample);
+ExtractionExample.belongsTo(Company);
+
+Document.hasOne(ExtractionExample, { onDelete: "CASCADE" });
+ExtractionExample.belongsTo(Document);
+
+Vendor.hasMany(ExtractionExample);
+ExtractionExample.belongsTo(Vendor);
+
+Customer.hasMany(ExtractionExample);
+ExtractionExample.belongsTo(Customer);
+
+User.hasMany(ExtractionExample);
+ExtractionExample.belongsTo(User);
+
 module.exports = {
   User,
   ChatHistory,
@@ -719,13 +1568,25 @@ module.exports = {
   Customer,
   Vendor,
   Document,
+  DocumentReview,
   Invoice,
   InvoiceLineItem,
   InvoiceTax,
   Purchase,
   PurchaseLineItem,
+  Bill,
+  BillLineItem,
+  Account,
+  Item,
+  TaxRate,
+  TaxCode,
   SyncLog,
   EntityMapping,
+  ApprovalPolicy,
+  ApprovalStep,
+  CategorizationRule,
+  CategorizationCorrection,
+  ExtractionExample,
   sequelize,
   Sequelize,
   UserPlanMapping,
@@ -1,16 +1,32 @@
 const express = require("express");
 const router = express.Router();
-const { upload, downloadFileAsBuffer } = require("./../services/storage");
+const {
+  uploadToMemory,
+  uploadSourceFile,
+  downloadFileAsBuffer,
+} = require("./../services/storage");
+const { hashFile } = require("./../services/fileops");
+const {
+  findContentDuplicate,
+  flagDuplicate,
+} = require("./../services/duplicates");
 const { Op, where } = require("sequelize");
 
 const AI = require("../services/openai/index");
 
 const appBaseURL = process.env.appBaseURL || "https://app.kounto.ai";
 
+const JobQueue = require("./../services/queue");
 const {
-  processDocument,
-  processReceiptDocument,
-} = require("./../services/processDocuments");
+  scheduleIncrementalSync,
+  voidTransaction,
+} = require("./../services/sync");
+const {
+  verifyQuickBooksWebhook,
+  receiveWebhook,
+} = require("./../services/webhooks");
+
+const jobQueue = new JobQueue();
 
 const bcrypt = require("bcrypt");
 const jwt = require("jsonwebtoken");
@@ -26,13 +42,22 @@ const {
   Customer,
   Vendor,
   Document,
+  DocumentReview,
   Invoice,
   InvoiceLineItem,
   InvoiceTax,
   Purchase,
   PurchaseLineItem,
+  Bill,
+  BillLineItem,
+  Account,
+  Item,
+  TaxCode,
   SyncLog,
   EntityMapping,
+  ApprovalPolicy,
+  ApprovalStep,
+  CategorizationRule,
   Sequelize,
   sequelize,
   PricingPlan,
@@ -40,8 +65,40 @@ const {
   SubscriptionHistory,
 } = require("./../db/models/");
 const e = require("express");
-const QuickBooksSync = require("../channels/quickbooks");
-const quickbooksApiClient = require("../channels/quickbooks/apiClient/quickbooksApiClient");
+const { getChannel, getActiveIntegration } = require("../channels");
+const { categorizeExpenses } = require("./../services/categorization");
+const { assignItems } = require("./../services/items");
+const { applyTaxes } = require("./../services/tax");
+const {
+  findContactMatches,
+  recordDetails,
+  mergeContacts,
+} = require("./../services/contacts");
+const {
+  approveDocument,
+  rejectDocument,
+  editDocument,
+} = require("./../services/review");
+const {
+  validatePolicySteps,
+  startApprovalChain,
+  approvalComplete,
+  decideApprovalStep,
+  pendingApprovals,
+} = require("./../services/approvals");
+const {
+  validateRule,
+  applyRules,
+  loadRules,
+  previewRules,
+  recordCorrections,
+  ruleSuggestions,
+} = require("./../services/rules");
+const {
+  correctedExtraction,
+  recordExtractionExample,
+  extractionAccuracy,
+} = require("./../services/learning");
 
 // User Authentication Routes
 
@@ -54,9 +111,15 @@ router.post("/auth/register", async (req, res) => {
       res.status(400).json({ success: false, message: "Email already exists" });
       return;
     }
-    const { password, ...userData } = req.body;
+    // Only the sign-up fields, the role is never taken from the request.
+    const { name, email, password } = req.body;
     const hashedPassword = await bcrypt.hash(password, 10);
-    const user = await User.create({ ...userData, password: hashedPassword });
+    const user = await User.create({
+      name,
+      email,
+      password: hashedPassword,
+      role: "User",
+    });
     const token = jwt.sign({ id: user.id }, secret, { expiresIn: "30d" });
     res.status(201).json({ success: true, token });
   } catch (error) {
@@ -115,7 +178,7 @@ const authenticateToken = (req, res, next) => {
 
     // Add user context to the request
     req.user = await User.findByPk(decoded.id, {
-      attributes: ["id", "email", "name"],
+      attributes: ["id", "email", "name", "role"],
     });
 
     if (!req.user) {
@@ -129,6 +192,28 @@ const authenticateToken = (req, res, next) => {
   });
 };
 
+// Middleware to restrict operator endpoints, use after authenticateToken
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== "Admin") {
+    return res
+      .status(403)
+      .json({ success: false, message: "Admin access required" });
+  }
+  next();
+};
+
+// The document, when it belongs to one of the user's companies.
+const findUserDocument = async (documentId, userId, options = {}) => {
+  const companies = await Company.findAll({
+    where: { UserId: userId },
+    attributes: ["id"],
+  });
+  return Document.findOne({
+    ...options,
+    where: { id: documentId, CompanyId: companies.map(({ id }) => id) },
+  });
+};
+
 router.get("/auth/account", authenticateToken, async (req, res) => {
   try {
     const user = await User.findByPk(req.userId, {
@@ -150,6 +235,34 @@ router.get("/auth/account", authenticateToken, async (req, res) => {
   }
 });
 
+// Finishes the OAuth flow of the integration created by the auth route,
+// `state` is its id, imports the contacts of the accounting system and
+// returns the integration.
+const connectIntegration = async (req) => {
+  const integration = await Integration.findByPk(req.query.state);
+  if (!integration) {
+    throw new Error("Integration not found");
+  }
+
+  const credentials = await getChannel(integration).connect({
+    url: req.url,
+    query: req.query,
+  });
+
+  // Update the integration with credentials AND status
+  await integration.update({
+    credentials: credentials,
+    status: "Connected",
+  });
+
+  // Changes made while importing are picked up by the next incremental sync.
+  const startedAt = new Date();
+  await getChannel(integration).importContacts();
+  await integration.update({ last_synced_at: startedAt });
+
+  return integration;
+};
+
 // Initial auth route
 router.get("/quickbooks/auth", authenticateToken, async (req, res) => {
   try {
@@ -175,9 +288,6 @@ router.get("/quickbooks/auth", authenticateToken, async (req, res) => {
     }
     console.log("integration 2: ");
 
-    const quickBookClient = new quickbooksApiClient({});
-    console.log("integration 3: ");
-
     const integration = await Integration.create({
       name: "Quickbooks",
       service_type: "Quickbooks",
@@ -187,7 +297,9 @@ router.get("/quickbooks/auth", authenticateToken, async (req, res) => {
       UserId: req.userId,
     });
     console.log("integration: ", integration);
-    const authUri = await quickBookClient.getOAuthRedirectURL(integration.id);
+    const authUri = await getChannel(integration).authorizationUrl(
+      integration.id,
+    );
     res.status(200).send(authUri);
   } catch (error) {
     console.error("Error while auth redirect:", error);
@@ -197,56 +309,191 @@ router.get("/quickbooks/auth", authenticateToken, async (req, res) => {
   }
 });
 
+// Change notifications of QuickBooks companies, signed with the webhook
+// verifier token. Intuit expects an answer within 3 seconds, the changes are
+// applied by RefreshEntity jobs.
+router.post(
+  "/quickbooks/webhooks",
+  verifyQuickBooksWebhook,
+  async (req, res) => {
+    try {
+      const result = await receiveWebhook(req.body, { queue: jobQueue });
+      console.log("QuickBooks webhook received:", result);
+      res.status(200).send(result);
+    } catch (error) {
+      console.error("Error receiving QuickBooks webhook:", error);
+      res.status(500).send(error.message);
+    }
+  },
+);
+
 // Callback route
 router.get("/quickbooks/callback", async (req, res) => {
   console.log("QuickBooks callback started");
 
   try {
-    const parseRedirect = req.url;
-    const quickBookClient = new quickbooksApiClient({});
-    const { token } = await quickBookClient.createToken(parseRedirect);
-
-    const credentials = {
-      realmId: token.realmId,
-      token_type: token.token_type,
-      access_token: token.access_token,
-      expires_in: token.expires_in,
-      x_refresh_token_expires_in: token.x_refresh_token_expires_in,
-      refresh_token: token.refresh_token,
-      id_token: token.id_token,
-      latency: token.latency,
-      createdAt: token.createdAt,
-    };
-
-    // Update the integration with credentials AND status
-    await Integration.update(
-      {
-        credentials: credentials,
-        status: "Connected", // Set status to Connected when we get credentials
-      },
-      {
-        where: { id: req.query.state },
+    const integration = await connectIntegration(req);
+    await scheduleIncrementalSync(integration);
+
+    res.status(200).redirect(`${appBaseURL}/sales`);
+  } catch (error) {
+    console.error("Error while syncing data:", error);
+
+    // Update integration status to Disconnected if there's an error
+    if (req.query.state) {
+      await Integration.update(
+        {
+          status: "Disconnected",
+          credentials: JSON.stringify({}),
+        },
+        {
+          where: { id: req.query.state },
+        },
+      );
+    }
+
+    res
+      .status(500)
+      .redirect(`${appBaseURL}/settings/integrations?error=auth_failed`);
+  }
+});
+
+// Xero auth route, same flow as /quickbooks/auth
+router.get("/xero/auth", authenticateToken, async (req, res) => {
+  try {
+    const companyId = req.query.id;
+
+    const company = await Company.findOne({
+      where: { id: companyId, UserId: req.userId },
+    });
+    if (!company) {
+      return res.status(404).json({ error: "Company not found" });
+    }
+
+    const existingIntegration = await Integration.findOne({
+      where: {
+        CompanyId: companyId,
+        service_type: "Xero",
+        status: "Connected",
       },
+      order: [["createdAt", "DESC"]],
+    });
+    if (existingIntegration) {
+      await existingIntegration.update({
+        status: "Disconnected",
+        credentials: JSON.stringify({}),
+      });
+    }
+
+    const integration = await Integration.create({
+      name: "Xero",
+      service_type: "Xero",
+      credentials: JSON.stringify({}),
+      status: "Disconnected",
+      CompanyId: companyId,
+      UserId: req.userId,
+    });
+
+    const authUri = await getChannel(integration).authorizationUrl(
+      integration.id,
     );
+    res.status(200).send(authUri);
+  } catch (error) {
+    console.error("Error while auth redirect:", error);
+    res.status(500).json({ error: "Failed to initiate Xero authentication" });
+  }
+});
+
+// Xero callback route
+router.get("/xero/callback", async (req, res) => {
+  console.log("Xero callback started");
+
+  try {
+    await connectIntegration(req);
 
-    const integration = await Integration.findByPk(req.query.state);
+    res.status(200).redirect(`${appBaseURL}/sales`);
+  } catch (error) {
+    console.error("Error while syncing data:", error);
 
-    if (credentials) {
-      const quickbooks = new QuickBooksSync(
-        credentials,
-        integration.CompanyId,
-        integration.id,
-        integration.UserId,
+    if (req.query.state) {
+      await Integration.update(
+        {
+          status: "Disconnected",
+          credentials: JSON.stringify({}),
+        },
+        {
+          where: { id: req.query.state },
+        },
       );
+    }
+
+    res
+      .status(500)
+      .redirect(`${appBaseURL}/settings/integrations?error=auth_failed`);
+  }
+});
+
+// Zoho Books auth route. `region` (us, eu, in, au, jp, ca, cn, sa) picks
+// the data center to sign in to, Zoho redirects to the right one anyway.
+router.get("/zoho/auth", authenticateToken, async (req, res) => {
+  try {
+    const companyId = req.query.id;
+
+    const company = await Company.findOne({
+      where: { id: companyId, UserId: req.userId },
+    });
+    if (!company) {
+      return res.status(404).json({ error: "Company not found" });
+    }
 
-      await quickbooks.sync();
+    const existingIntegration = await Integration.findOne({
+      where: {
+        CompanyId: companyId,
+        service_type: "Zoho",
+        status: "Connected",
+      },
+      order: [["createdAt", "DESC"]],
+    });
+    if (existingIntegration) {
+      await existingIntegration.update({
+        status: "Disconnected",
+        credentials: JSON.stringify({}),
+      });
     }
 
+    const integration = await Integration.create({
+      name: "Zoho Books",
+      service_type: "Zoho",
+      credentials: JSON.stringify({}),
+      status: "Disconnected",
+      CompanyId: companyId,
+      UserId: req.userId,
+    });
+
+    const authUri = await getChannel(integration, {
+      region: req.query.region,
+    }).authorizationUrl(integration.id);
+    res.status(200).send(authUri);
+  } catch (error) {
+    console.error("Error while auth redirect:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to initiate Zoho Books authentication" });
+  }
+});
+
+// Zoho Books callback route, `location` and `accounts-server` tell which
+// data center the organisation lives in.
+router.get("/zoho/callback", async (req, res) => {
+  console.log("Zoho Books callback started");
+
+  try {
+    await connectIntegration(req);
+
     res.status(200).redirect(`${appBaseURL}/sales`);
   } catch (error) {
     console.error("Error while syncing data:", error);
 
-    // Update integration status to Disconnected if there's an error
     if (req.query.state) {
       await Integration.update(
         {
@@ -543,58 +790,26 @@ router.post(
         where: { id: req.params.companyId, UserId: req.userId },
       });
 
-      const integration = await Integration.findOne({
-        where: { CompanyId: req.params.companyId },
-      });
-
       if (!company) {
         throw new Error("Company not found");
       }
 
-      if (!integration) {
-        throw new Error("Integration not found");
-      }
-
-      // creating customer in quickbooks
-      console.log("syncing customer...", req.body, integration.id);
-      const quickbooksApi = new quickbooksApiClient(
-        integration.credentials,
-        integration.id,
-      );
-
-      const response = await quickbooksApi.customers.create({
-        FullyQualifiedName: req.body.name,
-        PrimaryEmailAddr: {
-          Address: req.body.email,
-        },
-        DisplayName: req.body.name,
-
-        PrimaryPhone: {
-          FreeFormNumber: req.body.phone,
-        },
-        CompanyName: "",
-        BillAddr: {
-          CountrySubDivisionCode: req.body.billing_address.State,
-          City: req.body.billing_address.City,
-          PostalCode: req.body.billing_address.ZipCode,
-          Line1: req.body.billing_address.Line1,
-          Country: "",
-        },
-        ShipAddr: {
-          CountrySubDivisionCode: req.body.shipping_address.State,
-          City: req.body.billing_address.City,
-          PostalCode: req.body.billing_address.ZipCode,
-          Line1: req.body.billing_address.Line1,
-          Country: "",
+      // creating customer in the accounting system
+      console.log("syncing customer...", req.body);
+      const integration = await getActiveIntegration(req.params.companyId);
+      const externalId = await getChannel(integration).createContact(
+        "Customer",
+        {
+          name: req.body.name,
+          email: req.body.email,
+          phone: req.body.phone,
+          billingAddress: req.body.billing_address,
+          shippingAddress: req.body.shipping_address,
         },
-      });
-
-      console.log(
-        "sync done...",
-        response.body.Customer,
-        response.body.Customer.Id,
       );
 
+      console.log("sync done...", externalId);
+
       const customer = await Customer.create({
         ...req.body,
         shipping_address: JSON.stringify({}),
@@ -612,7 +827,7 @@ router.post(
 
       const entity = await EntityMapping.create({
         entity_type: "Customer",
-        external_id: response.body.Customer.Id,
+        external_id: externalId,
         local_id: customer.dataValues.id,
         CompanyId: req.params.companyId,
         IntegrationId: integration.id,
@@ -660,18 +875,10 @@ router.put(
         where: { id: req.params.companyId, UserId: req.userId },
       });
 
-      const integration = await Integration.findOne({
-        where: { CompanyId: req.params.companyId },
-      });
-
       if (!company) {
         throw new Error("Company not found");
       }
 
-      if (!integration) {
-        throw new Error("Integration not found");
-      }
-
       const customer = await Customer.findOne({
         where: { id: req.params.id, CompanyId: req.params.companyId },
       });
@@ -680,50 +887,32 @@ router.put(
         throw new Error("Customer not found");
       }
 
-      // updating customer in quickbooks
-      const quickbooksApi = new quickbooksApiClient(
-        integration.credentials,
-        integration.id,
-      );
+      // updating customer in the accounting system
+      const integration = await getActiveIntegration(req.params.companyId);
 
       const entity = await EntityMapping.findOne({
         where: {
           local_id: req.params.id,
           CompanyId: req.params.companyId,
+          IntegrationId: integration.id,
           entity_type: "Customer",
         },
       });
+      if (!entity) {
+        throw new Error("Customer is not synced with the accounting system");
+      }
 
-      const customerData = await quickbooksApi.customers.getCustomer(
+      await getChannel(integration).updateContact(
+        "Customer",
         entity.external_id,
-      );
-
-      const quickbooksCustomer = customerData.body.QueryResponse.Customer[0];
-
-      const response = await quickbooksApi.customers.update({
-        DisplayName: req.body.name,
-        SyncToken: quickbooksCustomer.SyncToken,
-        Id: entity.external_id,
-        PrimaryEmailAddr: {
-          Address: req.body.email,
-        },
-        PrimaryPhone: {
-          FreeFormNumber: req.body.phone,
-        },
-        BillAddr: {
-          City: req.body.billing_address.City,
-          Line1: req.body.billing_address.Line1,
-          PostalCode: req.body.billing_address.ZipCode,
-          CountrySubDivisionCode: req.body.billing_address.State,
-        },
-        ShipAddr: {
-          City: req.body.shipping_address.City,
-          Line1: req.body.shipping_address.Line1,
-          PostalCode: req.body.shipping_address.ZipCode,
-          CountrySubDivisionCode: req.body.shipping_address.State,
+        {
+          name: req.body.name,
+          email: req.body.email,
+          phone: req.body.phone,
+          billingAddress: req.body.billing_address,
+          shippingAddress: req.body.shipping_address,
         },
-        sparse: true,
-      });
+      );
 
       console.log("updating finished");
 
@@ -761,6 +950,74 @@ router.delete(
   },
 );
 
+router.get(
+  "/companies/:companyId/customers/:id/matches",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+      const customer = await Customer.findOne({
+        where: { id: req.params.id, CompanyId: req.params.companyId },
+      });
+      if (!customer) {
+        throw new Error("Customer not found");
+      }
+
+      // Likely duplicates of this customer, to merge into it.
+      const { candidates } = await findContactMatches(
+        "Customer",
+        recordDetails(customer),
+        req.params.companyId,
+        { exclude: [customer.id] },
+      );
+      res.send(
+        candidates.map(({ contact, score, reasons }) => ({
+          id: contact.id,
+          name: contact.name,
+          email: contact.email,
+          score,
+          reasons,
+        })),
+      );
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+router.post(
+  "/companies/:companyId/customers/:id/merge",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+      if (!Array.isArray(req.body.sourceIds)) {
+        throw new Error("sourceIds must be a list of customer ids");
+      }
+
+      const result = await mergeContacts(
+        "Customer",
+        req.params.id,
+        req.body.sourceIds,
+        req.params.companyId,
+      );
+      res.send(result);
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
 // Vendor Routes
 
 router.get(
@@ -809,55 +1066,17 @@ router.post(
         where: { id: req.params.companyId, UserId: req.userId },
       });
 
-      const integration = await Integration.findOne({
-        where: { CompanyId: req.params.companyId },
-      });
-
       if (!company) {
         throw new Error("Company not found");
       }
 
-      if (!integration) {
-        throw new Error("Integration not found");
-      }
-
-      // creating vendor in quickbooks
-      const quickbooksApi = new quickbooksApiClient(
-        integration.credentials,
-        integration.id,
-      );
-
-      const response = await quickbooksApi.vendors.create({
-        PrimaryEmailAddr: {
-          Address: req.body.email,
-        },
-        WebAddr: {
-          URI: "",
-        },
-        PrimaryPhone: {
-          FreeFormNumber: req.body.phone,
-        },
-        DisplayName: req.body.name,
-        Suffix: ".",
-        Title: "",
-        Mobile: {
-          FreeFormNumber: req.body.phone,
-        },
-        FamilyName: "",
-        TaxIdentifier: "",
-        AcctNum: "",
-        CompanyName: req.body.name,
-        BillAddr: {
-          City: req.body.address.City,
-          Country: "",
-          Line3: "",
-          Line2: "",
-          Line1: req.body.address.Line1,
-          PostalCode: req.body.address.ZipCode,
-          CountrySubDivisionCode: req.body.address.State,
-        },
-        GivenName: "",
-        PrintOnCheckName: "",
+      // creating vendor in the accounting system
+      const integration = await getActiveIntegration(req.params.companyId);
+      const externalId = await getChannel(integration).createContact("Vendor", {
+        name: req.body.name,
+        email: req.body.email,
+        phone: req.body.phone,
+        billingAddress: req.body.address,
       });
 
       const vendor = await Vendor.create({
@@ -870,7 +1089,7 @@ router.post(
 
       await EntityMapping.create({
         entity_type: "Vendor",
-        external_id: response.body.Customer.Id,
+        external_id: externalId,
         local_id: vendor.dataValues.id,
         CompanyId: req.params.companyId,
         IntegrationId: integration.id,
@@ -916,63 +1135,35 @@ router.put(
         where: { id: req.params.companyId, UserId: req.userId },
       });
 
-      const integration = await Integration.findOne({
-        where: { CompanyId: req.params.companyId },
-      });
-
       if (!company) {
         throw new Error("Company not found");
       }
 
-      if (!integration) {
-        throw new Error("Integration not found");
-      }
-
-      // updating vendor in quickbooks
-      const quickbooksApi = new quickbooksApiClient(
-        integration.credentials,
-        integration.id,
-      );
+      // updating vendor in the accounting system
+      const integration = await getActiveIntegration(req.params.companyId);
 
       const entity = await EntityMapping.findOne({
         where: {
           local_id: req.params.id,
           CompanyId: req.params.companyId,
+          IntegrationId: integration.id,
           entity_type: "Vendor",
         },
       });
+      if (!entity) {
+        throw new Error("Vendor is not synced with the accounting system");
+      }
 
-      const vendorData = await quickbooksApi.vendors.getVendor(
+      await getChannel(integration).updateContact(
+        "Vendor",
         entity.external_id,
-      );
-
-      const quickbooksVendor = vendorData.Vendor[0];
-
-      const response = await quickbooksApi.vendors.update({
-        Id: entity.external_id,
-        SyncToken: quickbooksVendor.SyncToken,
-        PrimaryEmailAddr: {
-          Address: req.body.email,
-        },
-        PrimaryPhone: {
-          FreeFormNumber: req.body.phone,
-        },
-        DisplayName: req.body.name,
-
-        Mobile: {
-          FreeFormNumber: req.body.phone,
-        },
-        CompanyName: req.body.name,
-        BillAddr: {
-          City: req.body.address.City,
-          Country: "",
-          Line3: "",
-          Line2: "",
-          Line1: req.body.address.Line1,
-          PostalCode: req.body.address.ZipCode,
-          CountrySubDivisionCode: req.body.address.State,
+        {
+          name: req.body.name,
+          email: req.body.email,
+          phone: req.body.phone,
+          billingAddress: req.body.address,
         },
-      });
+      );
 
       console.log("created...");
 
@@ -982,6 +1173,17 @@ router.put(
       if (!vendor) {
         throw new Error("Vendor not found");
       }
+      if (req.body.DefaultAccountId) {
+        const account = await Account.findOne({
+          where: {
+            id: req.body.DefaultAccountId,
+            CompanyId: req.params.companyId,
+          },
+        });
+        if (!account) {
+          throw new Error("Account not found");
+        }
+      }
       await vendor.update(req.body);
       res.send(vendor);
     } catch (error) {
@@ -1015,6 +1217,74 @@ router.delete(
   },
 );
 
+router.get(
+  "/companies/:companyId/vendors/:id/matches",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+      const vendor = await Vendor.findOne({
+        where: { id: req.params.id, CompanyId: req.params.companyId },
+      });
+      if (!vendor) {
+        throw new Error("Vendor not found");
+      }
+
+      // Likely duplicates of this vendor, to merge into it.
+      const { candidates } = await findContactMatches(
+        "Vendor",
+        recordDetails(vendor),
+        req.params.companyId,
+        { exclude: [vendor.id] },
+      );
+      res.send(
+        candidates.map(({ contact, score, reasons }) => ({
+          id: contact.id,
+          name: contact.name,
+          email: contact.email,
+          score,
+          reasons,
+        })),
+      );
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+router.post(
+  "/companies/:companyId/vendors/:id/merge",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+      if (!Array.isArray(req.body.sourceIds)) {
+        throw new Error("sourceIds must be a list of vendor ids");
+      }
+
+      const result = await mergeContacts(
+        "Vendor",
+        req.params.id,
+        req.body.sourceIds,
+        req.params.companyId,
+      );
+      res.send(result);
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
 // Document Routes
 
 const validateUploadRequest = async (req, res, next) => {
@@ -1023,9 +1293,13 @@ const validateUploadRequest = async (req, res, next) => {
       return res.status(400).json({ error: "No file uploaded." });
     }
 
-    if (!req.body.type || !["Invoice", "Receipt"].includes(req.body.type)) {
+    if (
+      !req.body.type ||
+      !["Invoice", "Receipt", "Bill", "auto"].includes(req.body.type)
+    ) {
       return res.status(400).json({
-        error: "Invalid document type. Must be 'Invoice' or 'Receipt'.",
+        error:
+          "Invalid document type. Must be 'Invoice', 'Receipt', 'Bill' or 'auto'.",
       });
     }
 
@@ -1058,11 +1332,99 @@ async function ensureCompanyIntegration(company, transaction) {
   return company;
 }
 
+// Chart of accounts imported from the connected integration, e.g. to pick a
+// vendor's DefaultAccountId. `type` filters on the account type ("Expense").
+router.get(
+  "/companies/:companyId/accounts",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+
+      const integration = await getActiveIntegration(req.params.companyId);
+      const typeFilter = req.query.type ? { account_type: req.query.type } : {};
+      const accounts = await Account.findAll({
+        where: {
+          CompanyId: req.params.companyId,
+          IntegrationId: integration.id,
+          active: true,
+          ...typeFilter,
+        },
+        order: [["fully_qualified_name", "ASC"]],
+      });
+      res.send(accounts);
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+router.get(
+  "/companies/:companyId/items",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+
+      const integration = await getActiveIntegration(req.params.companyId);
+      const items = await Item.findAll({
+        where: {
+          CompanyId: req.params.companyId,
+          IntegrationId: integration.id,
+          active: true,
+        },
+        order: [["fully_qualified_name", "ASC"]],
+      });
+      res.send(items);
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+router.get(
+  "/companies/:companyId/tax-codes",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+
+      const integration = await getActiveIntegration(req.params.companyId);
+      const taxCodes = await TaxCode.findAll({
+        where: {
+          CompanyId: req.params.companyId,
+          IntegrationId: integration.id,
+          active: true,
+        },
+        order: [["name", "ASC"]],
+      });
+      res.send(taxCodes);
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
 router.post(
   "/companies/:companyId/documents/upload",
   authenticateToken,
   (req, res, next) => {
-    upload.single("file")(req, res, (err) => {
+    uploadToMemory.single("file")(req, res, (err) => {
       if (err) {
         console.error("File upload error:", err);
         return res.status(500).json({
@@ -1075,6 +1437,19 @@ router.post(
   },
   validateUploadRequest,
   async (req, res) => {
+    // Hashed to catch re-uploads of the same file.
+    const contentHash = hashFile(req.file.buffer);
+    let fileURL;
+    try {
+      fileURL = await uploadSourceFile(req.file);
+    } catch (error) {
+      console.error("File upload error:", error);
+      return res.status(500).json({
+        error: "File upload failed",
+        details: error.message,
+      });
+    }
+
     const transaction = await sequelize.transaction();
     console.log("Starting document processing...");
 
@@ -1103,9 +1478,11 @@ router.post(
       console.log("Creating document record...");
       const document = await Document.create(
         {
-          type: req.body.type,
+          // "auto" uploads are typed by the classify stage of the worker
+          type: req.body.type === "auto" ? null : req.body.type,
           status: "Inbox",
-          file_path: req.file.location,
+          file_path: fileURL,
+          content_hash: contentHash,
           CompanyId: req.params.companyId,
           UserId: req.userId,
           IntegrationId: integrationId,
@@ -1113,6 +1490,13 @@ router.post(
         { transaction },
       );
 
+      const original = await findContentDuplicate(document, { transaction });
+      if (original) {
+        await flagDuplicate(document, original, "content_hash", {
+          transaction,
+        });
+      }
+
       console.log("Creating entity mapping...");
       const entityMapping = await EntityMapping.create(
         {
@@ -1126,58 +1510,34 @@ router.post(
         { transaction },
       );
 
-      console.log("Creating sync log...");
-      await SyncLog.create(
+      console.log("Queueing processing job...");
+      const job = await jobQueue.enqueue(
+        "ProcessDocument",
+        { documentId: document.id },
         {
-          entity_type: "Document",
-          sync_date: new Date(),
+          transaction,
           entityMappingId: entityMapping.id,
           text_job_description: `${req.body.type} - ${document.id} - Process and push`,
-          sync_status: "Queued",
+          DocumentId: document.id,
           CompanyId: req.params.companyId,
           UserId: req.userId,
           IntegrationId: integrationId,
         },
-        { transaction },
       );
 
       // Commit transaction
       await transaction.commit();
       console.log("Transaction committed successfully");
 
-      // Process document after transaction is committed
-      try {
-        console.log("Starting document processing...");
-        if (document.type === "Invoice") {
-          await processDocument(document);
-        } else {
-          await processReceiptDocument(document);
-        }
-
-        return res.status(201).json({
-          message: "Document uploaded and processed successfully",
-          document: document,
-        });
-      } catch (processingError) {
-        console.error("Document processing failed:", processingError);
-
-        // Update document status on processing error
-        await Document.update(
-          {
-            status: "ProcessingError",
-            error_message: processingError.message,
-          },
-          {
-            where: { id: document.id },
-          },
-        );
-
-        return res.status(201).json({
-          message: "Document uploaded but processing failed",
-          document: document,
-          error: processingError.message,
-        });
-      }
+      // Processing happens in the worker, the client polls the job status
+      return res.status(202).json({
+        message: original
+          ? "Document uploaded, it is a duplicate of an earlier upload and will not be synced unless overridden"
+          : "Document uploaded and queued for processing",
+        document: document,
+        duplicateOf: original ? original.id : null,
+        jobId: job.id,
+      });
     } catch (error) {
       console.error("Transaction error:", error);
       await transaction.rollback();
@@ -1226,7 +1586,8 @@ router.get(
       // Adding a filter for document type if provided in the query parameters
       const query = { CompanyId: req.params.companyId };
       if (req.query.type) {
-        query.type = req.query.type;
+        // "auto" lists the uploads that are not classified yet
+        query.type = req.query.type === "auto" ? null : req.query.type;
       }
 
       if (req.query.status) {
@@ -1311,10 +1672,21 @@ router.get(
       }
       const document = await Document.findOne({
         where: { id: req.params.id, CompanyId: req.params.companyId },
+        include: [
+          {
+            model: Document,
+            as: "Children",
+            attributes: ["id", "type", "status", "split_pages"],
+          },
+        ],
       });
       if (!document) {
         throw new Error("Document not found");
       }
+      // Split uploads have no records of their own, see the children.
+      if (document.status === "Split") {
+        return res.send(document);
+      }
       if (document.type === "Invoice") {
         const invoice = await Invoice.findOne({
           where: { DocumentId: req.params.id },
@@ -1437,9 +1809,9 @@ router.delete(
   },
 );
 
-// Invoice Routes
+// Lets a flagged duplicate continue through the pipeline and sync.
 router.post(
-  "/companies/:companyId/invoice",
+  "/companies/:companyId/documents/:id/duplicate-override",
   authenticateToken,
   async (req, res) => {
     try {
@@ -1449,136 +1821,966 @@ router.post(
       if (!company) {
         throw new Error("Company not found");
       }
-      const invoice = await Invoice.create({
-        ...req.body,
-        CompanyId: req.params.companyId,
+      const document = await Document.findOne({
+        where: { id: req.params.id, CompanyId: req.params.companyId },
       });
-      res.status(201).send(invoice);
+      if (!document) {
+        throw new Error("Document not found");
+      }
+      if (!document.DuplicateOfId) {
+        return res
+          .status(400)
+          .json({ error: "Document is not flagged as a duplicate" });
+      }
+
+      await document.update({
+        duplicate_override: true,
+        status: "Inbox",
+        error_message: null,
+      });
+
+      const job = await jobQueue.enqueue(
+        "ProcessDocument",
+        { documentId: document.id },
+        {
+          text_job_description: `${document.type} - ${document.id} - Duplicate override`,
+          DocumentId: document.id,
+          CompanyId: document.CompanyId,
+          UserId: req.userId,
+          IntegrationId: document.IntegrationId,
+        },
+      );
+
+      res.status(202).send({ document, jobId: job.id });
     } catch (error) {
       res.status(400).send(error.message);
     }
   },
 );
 
-router.put(
-  "/companies/:companyId/missing/invoices/:id",
+// Sets the type of a document the classifier was not sure about (or got
+// wrong) and processes it again: from extraction once it was split and
+// classified, else from where it stopped, since classify keeps a type that
+// is set.
+router.post(
+  "/companies/:companyId/documents/:id/type",
   authenticateToken,
   async (req, res) => {
     try {
-      const {
-        invoice_number,
-        date,
-        due_date,
-        total_amount,
-        notes,
-        ship_address,
-        bill_address,
-        CustomerId,
-        items,
-      } = req.body;
-
       const company = await Company.findOne({
         where: { id: req.params.companyId, UserId: req.userId },
       });
-
-      const integration = await Integration.findOne({
-        where: { CompanyId: req.params.companyId },
-      });
-
-      const invoice = await Invoice.findOne({
-        where: { id: req.params.id, CompanyId: req.params.companyId },
-      });
-
-      const document = await Document.findOne({
-        where: { id: invoice.DocumentId },
-      });
-
       if (!company) {
         throw new Error("Company not found");
       }
-
-      if (!integration) {
-        throw new Error("Integration not found");
-      }
-
-      if (!invoice) {
-        throw new Error("Invoice not found");
+      if (!["Invoice", "Receipt", "Bill"].includes(req.body.type)) {
+        return res.status(400).json({
+          error:
+            "Invalid document type. Must be 'Invoice', 'Receipt' or 'Bill'.",
+        });
       }
-
+      const document = await Document.findOne({
+        where: { id: req.params.id, CompanyId: req.params.companyId },
+      });
       if (!document) {
         throw new Error("Document not found");
       }
-
-      const quickbooksApi = new quickbooksApiClient(
-        integration.credentials,
-        integration.id,
-      );
-
-      const customerEntity = await EntityMapping.findOne({
+      // Transform already created the records of the previous type.
+      if (
+        document.status === "Split" ||
+        [
+          "transform",
+          "validate",
+          "review",
+          "approve",
+          "sync",
+          "attach",
+        ].includes(document.completed_stage)
+      ) {
+        return res.status(400).json({
+          error: "Only documents that are not transformed yet can change type",
+        });
+      }
+      const runningJob = await SyncLog.findOne({
         where: {
-          CompanyId: req.params.companyId,
-          entity_type: "Customer",
-          local_id: CustomerId,
+          DocumentId: document.id,
+          job_type: "ProcessDocument",
+          sync_status: ["Queued", "Processing"],
         },
       });
+      if (runningJob) {
+        return res.status(400).json({
+          error: "The document is being processed, set its type once it stops",
+        });
+      }
 
-      const line = items.map((item) => {
-        let amount = item.unit_price * item.quantity;
-
-        return {
-          Description: item.description,
-          DetailType: "SalesItemLineDetail",
-          SalesItemLineDetail: {
-            TaxCodeRef: {
-              value: "TAX",
-            },
-            Qty: item.quantity,
-            UnitPrice: item.unit_price,
-          },
-          Amount: amount,
-        };
+      await document.update({
+        type: req.body.type,
+        status: "Inbox",
+        error_message: null,
       });
 
-      const response = await quickbooksApi.invoices.create({
-        Line: line,
-        CurrencyRef: {
-          value: "USD",
-        },
-        DocNumber: invoice_number,
-        BillAddr: !bill_address
-          ? {}
-          : {
-              Line1: bill_address.Line1,
-              CountrySubDivisionCode: bill_address.State,
-
-              City: bill_address.City,
-              PostalCode: bill_address.ZipCode,
-            },
-        ShipAddr: !ship_address
-          ? {}
-          : {
-              Line1: ship_address.Line1 ?? "",
-              CountrySubDivisionCode: ship_address.State ?? "",
-              City: ship_address.City ?? "",
-              PostalCode: ship_address.ZipCode ?? "",
-            },
-        SalesTermRef: {
-          value: "",
-        },
-        TxnDate: date,
-        DueDate: due_date,
-        TotalAmt: total_amount ?? "",
-        CustomerMemo: {
-          value: notes ?? "",
-        },
-        CustomerRef: {
-          value: customerEntity.external_id,
+      const job = await jobQueue.enqueue(
+        "ProcessDocument",
+        ["split", "classify"].includes(document.completed_stage)
+          ? { documentId: document.id, from: "extract" }
+          : { documentId: document.id },
+        {
+          text_job_description: `${document.type} - ${document.id} - Type set to ${req.body.type}`,
+          DocumentId: document.id,
+          CompanyId: document.CompanyId,
+          UserId: req.userId,
+          IntegrationId: document.IntegrationId,
         },
-      });
+      );
 
-      console.log("creating finished", response.body);
+      res.status(202).send({ document, jobId: job.id });
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
 
-      await invoice.update({
+// Review Routes
+
+// Documents the company's review policy holds before posting, oldest first,
+// with their local record and the review history.
+router.get(
+  "/companies/:companyId/review-queue",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+
+      const documents = await Document.findAll({
+        where: { CompanyId: req.params.companyId, status: "PendingReview" },
+        include: [Invoice, Purchase, Bill, DocumentReview],
+        order: [["createdAt", "ASC"]],
+      });
+      res.send(documents);
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+router.post(
+  "/companies/:companyId/documents/:id/approve",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+
+      const { document, review, job } = await approveDocument(
+        req.params.id,
+        req.params.companyId,
+        req.userId,
+        { comment: req.body.comment, queue: jobQueue },
+      );
+      res.status(202).send({ document, review, jobId: job.id });
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+router.post(
+  "/companies/:companyId/documents/:id/reject",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+
+      const { document, review } = await rejectDocument(
+        req.params.id,
+        req.params.companyId,
+        req.userId,
+        { comment: req.body.comment },
+      );
+      res.send({ document, review });
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+// Corrects extracted fields of a document in review, e.g. `{ changes: {
+// TotalAmount: 120, VendorDetails: { Name: "Acme" } } }`. The document is
+// transformed again and comes back to the review queue.
+router.post(
+  "/companies/:companyId/documents/:id/edit",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+
+      const { document, review, job } = await editDocument(
+        req.params.id,
+        req.params.companyId,
+        req.userId,
+        {
+          changes: req.body.changes,
+          comment: req.body.comment,
+          queue: jobQueue,
+        },
+      );
+      res.status(202).send({ document, review, jobId: job.id });
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+// Approval Routes
+
+router.get(
+  "/companies/:companyId/approval-policies",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+      const policies = await ApprovalPolicy.findAll({
+        where: { CompanyId: req.params.companyId },
+        order: [["min_amount", "ASC"]],
+      });
+      res.send(policies);
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+// e.g. `{ name: "Manager", min_amount: 500, max_amount: 5000, steps: [{
+// name: "Manager", approvers: [userId], escalate_to: [userId] }] }`.
+router.post(
+  "/companies/:companyId/approval-policies",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+      validatePolicySteps(req.body.steps || []);
+
+      const policy = await ApprovalPolicy.create({
+        ...req.body,
+        CompanyId: req.params.companyId,
+      });
+      res.status(201).send(policy);
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+// Documents whose chain already started keep the steps they got.
+router.put(
+  "/companies/:companyId/approval-policies/:id",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+      const policy = await ApprovalPolicy.findOne({
+        where: { id: req.params.id, CompanyId: req.params.companyId },
+      });
+      if (!policy) {
+        throw new Error("Approval policy not found");
+      }
+      if (req.body.steps !== undefined) {
+        validatePolicySteps(req.body.steps);
+      }
+
+      await policy.update({ ...req.body, CompanyId: policy.CompanyId });
+      res.send(policy);
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+router.delete(
+  "/companies/:companyId/approval-policies/:id",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+      const policy = await ApprovalPolicy.findOne({
+        where: { id: req.params.id, CompanyId: req.params.companyId },
+      });
+      if (!policy) {
+        throw new Error("Approval policy not found");
+      }
+      await policy.update({ active: false });
+      res.send({ message: "Approval policy deleted successfully" });
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+// The approval chain of a document, with who decided each step and when.
+router.get(
+  "/companies/:companyId/documents/:id/approval-steps",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+      const steps = await ApprovalStep.findAll({
+        where: {
+          DocumentId: req.params.id,
+          CompanyId: req.params.companyId,
+        },
+        order: [
+          ["createdAt", "ASC"],
+          ["position", "ASC"],
+        ],
+      });
+      res.send(steps);
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+// Steps waiting for a decision of the signed-in user, in any company.
+router.get("/approvals", authenticateToken, async (req, res) => {
+  try {
+    res.send(await pendingApprovals(req.userId));
+  } catch (error) {
+    res.status(400).send(error.message);
+  }
+});
+
+// `{ decision: "Approved" | "Rejected", comment }` by one of the step's
+// approvers.
+router.post("/approvals/:id/decision", authenticateToken, async (req, res) => {
+  try {
+    const { step, next, job } = await decideApprovalStep(
+      req.params.id,
+      req.userId,
+      {
+        decision: req.body.decision,
+        comment: req.body.comment,
+        queue: jobQueue,
+      },
+    );
+    res.send({ step, next, jobId: job ? job.id : null });
+  } catch (error) {
+    res.status(400).send(error.message);
+  }
+});
+
+// Categorization Rule Routes
+
+router.get(
+  "/companies/:companyId/categorization-rules",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+      const rules = await CategorizationRule.findAll({
+        where: { CompanyId: req.params.companyId },
+        order: [
+          ["priority", "DESC"],
+          ["createdAt", "ASC"],
+        ],
+      });
+      res.send(rules);
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+// e.g. `{ name: "Taxis", priority: 10, conditions: { keywords: ["uber",
+// "taxi"], max_amount: 200 }, actions: { account_ref: "58", class_ref: "3"
+// } }`.
+router.post(
+  "/companies/:companyId/categorization-rules",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+      validateRule(req.body);
+
+      const rule = await CategorizationRule.create({
+        ...req.body,
+        CompanyId: req.params.companyId,
+      });
+      res.status(201).send(rule);
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+// Dry run against the company's last receipts and bills: `{ rule, limit }`
+// previews the active rules with `rule` added (or replacing the rule of
+// the same id), without `rule` the active rules as they are.
+router.post(
+  "/companies/:companyId/categorization-rules/preview",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+      const { rule, limit } = req.body;
+
+      let rules = await loadRules(req.params.companyId);
+      if (rule) {
+        validateRule(rule);
+        rules = [
+          ...rules.filter(({ id }) => !rule.id || id !== rule.id),
+          { ...rule, id: rule.id || "preview" },
+        ];
+      }
+
+      res.send(
+        await previewRules(req.params.companyId, {
+          rules,
+          limit: Math.min(parseInt(limit, 10) || 50, 500),
+        }),
+      );
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+// Rules the corrections made in `missing/expenses/:id` suggest, ready to
+// be posted to `/companies/:companyId/categorization-rules`.
+router.get(
+  "/companies/:companyId/categorization-rules/suggestions",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+      res.send(await ruleSuggestions(req.params.companyId));
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+// Documents already processed keep the fields they got.
+router.put(
+  "/companies/:companyId/categorization-rules/:id",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+      const rule = await CategorizationRule.findOne({
+        where: { id: req.params.id, CompanyId: req.params.companyId },
+      });
+      if (!rule) {
+        throw new Error("Categorization rule not found");
+      }
+      validateRule({
+        conditions: req.body.conditions ?? rule.conditions,
+        actions: req.body.actions ?? rule.actions,
+      });
+
+      await rule.update({ ...req.body, CompanyId: rule.CompanyId });
+      res.send(rule);
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+router.delete(
+  "/companies/:companyId/categorization-rules/:id",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+      const rule = await CategorizationRule.findOne({
+        where: { id: req.params.id, CompanyId: req.params.companyId },
+      });
+      if (!rule) {
+        throw new Error("Categorization rule not found");
+      }
+      await rule.destroy();
+      res.send({ message: "Categorization rule deleted successfully" });
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+// How often users correct the extraction of each customer's invoices and
+// each vendor's receipts and bills, and whether the hints learned from
+// their corrections help.
+router.get(
+  "/companies/:companyId/extraction-accuracy",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+      res.send(await extractionAccuracy(req.params.companyId));
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+// Job Routes
+router.get(
+  "/companies/:companyId/jobs/:id",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+      const job = await SyncLog.findOne({
+        where: { id: req.params.id, CompanyId: req.params.companyId },
+        attributes: [
+          "id",
+          "job_type",
+          "sync_status",
+          "attempts",
+          "max_attempts",
+          "failure_class",
+          "run_at",
+          "finished_at",
+          "error_message",
+          "DocumentId",
+          "createdAt",
+          "updatedAt",
+        ],
+      });
+      if (!job) {
+        throw new Error("Job not found");
+      }
+      res.send(job);
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+router.get(
+  "/companies/:companyId/dead-letter",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+
+      const limit = parseInt(req.query.limit, 10) || 10;
+      const page = parseInt(req.query.page, 10) || 1;
+      const offset = (page - 1) * limit;
+
+      const { count, rows: jobs } = await SyncLog.findAndCountAll({
+        where: { CompanyId: company.id, sync_status: "DeadLetter" },
+        attributes: [
+          "id",
+          "job_type",
+          "attempts",
+          "max_attempts",
+          "failure_class",
+          "error_message",
+          "finished_at",
+          "DocumentId",
+        ],
+        include: [
+          {
+            model: Document,
+            attributes: [
+              "id",
+              "type",
+              "status",
+              "file_path",
+              "completed_stage",
+              "error_message",
+            ],
+          },
+        ],
+        order: [["finished_at", "DESC"]],
+        limit,
+        offset,
+      });
+
+      res.send({
+        jobs,
+        pagination: {
+          totalItems: count,
+          totalPages: Math.ceil(count / limit),
+          currentPage: page,
+          itemsPerPage: limit,
+        },
+      });
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+// Requeues the given dead-lettered jobs (`jobIds`), or all of them for the
+// company when no ids are passed.
+router.post(
+  "/companies/:companyId/dead-letter/requeue",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+
+      const { jobIds } = req.body;
+      if (jobIds !== undefined && !Array.isArray(jobIds)) {
+        return res.status(400).json({ error: "jobIds must be an array" });
+      }
+
+      const where = { CompanyId: company.id };
+      if (jobIds) {
+        where.id = { [Op.in]: jobIds };
+      }
+
+      const jobs = await jobQueue.requeue(where);
+      res.send({
+        message: `${jobs.length} job(s) requeued`,
+        jobIds: jobs.map((job) => job.id),
+      });
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+// Admin Routes
+
+router.get(
+  "/admin/documents/:id/stages",
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const document = await findUserDocument(req.params.id, req.userId, {
+        attributes: [
+          "id",
+          "type",
+          "status",
+          "completed_stage",
+          "stage_completed_at",
+          "error_message",
+        ],
+      });
+      if (!document) {
+        return res.status(404).send("Document not found");
+      }
+      const jobs = await SyncLog.findAll({
+        where: { DocumentId: document.id },
+        attributes: [
+          "id",
+          "job_type",
+          "sync_status",
+          "payload",
+          "attempts",
+          "error_message",
+          "createdAt",
+          "finished_at",
+        ],
+        order: [["createdAt", "DESC"]],
+        limit: 10,
+      });
+      res.send({
+        document,
+        stages: Document.rawAttributes.completed_stage.values,
+        jobs,
+      });
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+// Re-runs one pipeline stage in the worker, pass `continue: true` to also
+// run every stage after it.
+router.post(
+  "/admin/documents/:id/stages/:stage",
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const stages = Document.rawAttributes.completed_stage.values;
+      if (!stages.includes(req.params.stage)) {
+        return res.status(400).json({
+          error: `Invalid stage. Must be one of: ${stages.join(", ")}`,
+        });
+      }
+
+      const document = await findUserDocument(req.params.id, req.userId);
+      if (!document) {
+        return res.status(404).send("Document not found");
+      }
+
+      const payload = req.body.continue
+        ? { documentId: document.id, from: req.params.stage }
+        : { documentId: document.id, only: req.params.stage };
+
+      const job = await jobQueue.enqueue("ProcessDocument", payload, {
+        text_job_description: `${document.type} - ${document.id} - Re-run ${req.params.stage}`,
+        DocumentId: document.id,
+        CompanyId: document.CompanyId,
+        UserId: req.userId,
+        IntegrationId: document.IntegrationId,
+      });
+
+      res.status(202).send({ message: "Stage queued", jobId: job.id });
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+// Invoice Routes
+router.post(
+  "/companies/:companyId/invoice",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+      const invoice = await Invoice.create({
+        ...req.body,
+        CompanyId: req.params.companyId,
+      });
+      res.status(201).send(invoice);
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+router.put(
+  "/companies/:companyId/missing/invoices/:id",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const {
+        invoice_number,
+        date,
+        due_date,
+        total_amount,
+        notes,
+        ship_address,
+        bill_address,
+        CustomerId,
+        items,
+      } = req.body;
+
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+
+      const invoice = await Invoice.findOne({
+        where: { id: req.params.id, CompanyId: req.params.companyId },
+      });
+
+      const document = await Document.findOne({
+        where: { id: invoice.DocumentId },
+      });
+
+      if (!company) {
+        throw new Error("Company not found");
+      }
+
+      if (!invoice) {
+        throw new Error("Invoice not found");
+      }
+
+      if (!document) {
+        throw new Error("Document not found");
+      }
+
+      const integration = await getActiveIntegration(req.params.companyId);
+      const channel = getChannel(integration);
+
+      const customerEntity = await EntityMapping.findOne({
+        where: {
+          CompanyId: req.params.companyId,
+          IntegrationId: integration.id,
+          entity_type: "Customer",
+          local_id: CustomerId,
+        },
+      });
+      if (!customerEntity) {
+        throw new Error("Customer is not synced with the accounting system");
+      }
+
+      const invoiceTax = await InvoiceTax.findOne({
+        where: { InvoiceId: invoice.id },
+      });
+
+      // The corrected fields in the shape of the extracted invoice, so the
+      // channel builds the payload like for an uploaded document.
+      const invoiceJson = {
+        InvoiceNumber: invoice_number,
+        Date: date,
+        DueDate: due_date,
+        Currency: invoice.currency,
+        Subtotal: invoice.subtotal && Number(invoice.subtotal),
+        SalesTaxRate: invoiceTax && Number(invoiceTax.tax_rate),
+        SalesTaxAmount: invoiceTax && Number(invoiceTax.tax_amount),
+        TotalAmount: total_amount,
+        Notes: notes,
+        CustomerDetails: {
+          BillingAddress: bill_address,
+          ShippingAddress: ship_address,
+        },
+        VendorDetails: {},
+        Items: items.map((item) => ({
+          Description: item.description,
+          Quantity: item.quantity,
+          UnitPrice: item.unit_price,
+          TotalAmount: item.unit_price * item.quantity,
+        })),
+      };
+      await assignItems(invoiceJson, {
+        integration,
+        channel,
+        autoCreate: company.autoCreateItems,
+        defaults: channel.defaultAccounts,
+      });
+      await applyTaxes("Invoice", invoiceJson, { integration });
+
+      // item_ref is the external id of the item picked for the line.
+      items.forEach((item, index) => {
+        if (item.item_ref) {
+          invoiceJson.Items[index].ItemRef = { value: String(item.item_ref) };
+        }
+      });
+
+      const payload = channel.transform(
+        "Invoice",
+        invoiceJson,
+        customerEntity.external_id,
+      );
+      if (!channel.validate("Invoice", payload)) {
+        throw new Error("Invoice is missing required fields");
+      }
+
+      const externalId = await channel.pushInvoice(payload);
+
+      console.log("creating finished", externalId);
+
+      // The pipeline's sync stage skips invoices that are already mapped.
+      await EntityMapping.create({
+        entity_type: "Invoice",
+        external_id: externalId,
+        local_id: invoice.id,
+        CompanyId: req.params.companyId,
+        IntegrationId: integration.id,
+        UserId: req.userId,
+      });
+
+      // The worker attaches the source file to the pushed transaction.
+      await jobQueue.enqueue(
+        "ProcessDocument",
+        { documentId: document.id, only: "attach" },
+        {
+          text_job_description: `${document.type} - ${document.id} - Attach source file`,
+          DocumentId: document.id,
+          CompanyId: document.CompanyId,
+          UserId: req.userId,
+          IntegrationId: integration.id,
+        },
+      );
+
+      await invoice.update({
         invoice_number,
         date,
         due_date,
@@ -1589,6 +2791,17 @@ router.put(
         CustomerId,
       });
 
+      // The extraction of the customer's next invoices learns from what
+      // the user corrected.
+      const customer = await Customer.findByPk(CustomerId);
+      await recordExtractionExample(
+        document,
+        correctedExtraction("Invoice", req.body, {
+          contactName: customer && customer.name,
+        }),
+        { contactId: CustomerId, userId: req.userId },
+      );
+
       document.update({
         status: "Ready",
       });
@@ -1644,10 +2857,6 @@ router.put(
         where: { id: req.params.companyId, UserId: req.userId },
       });
 
-      const integration = await Integration.findOne({
-        where: { CompanyId: req.params.companyId },
-      });
-
       if (!company) {
         throw new Error("Company not found");
       }
@@ -1658,64 +2867,43 @@ router.put(
         throw new Error("Invoice not found");
       }
 
+      const integration = await getActiveIntegration(req.params.companyId);
+
       const entity = await EntityMapping.findOne({
         where: {
           local_id: req.params.id,
           entity_type: "Invoice",
           CompanyId: req.params.companyId,
+          IntegrationId: integration.id,
         },
       });
+      if (!entity) {
+        throw new Error("Invoice is not synced with the accounting system");
+      }
 
       const customerEntity = await EntityMapping.findOne({
         where: {
           local_id: CustomerId,
           entity_type: "Customer",
           CompanyId: req.params.companyId,
+          IntegrationId: integration.id,
         },
       });
 
-      // updating invoice in quickbooks
-      const quickbookApi = new quickbooksApiClient(
-        integration.credentials,
-        integration.id,
-      );
-
-      const quickbookInvoice = await quickbookApi.invoices.get(
-        entity.external_id,
-      );
-
+      // updating invoice in the accounting system
       console.log("externalId :", entity.external_id);
-
-      const response = await quickbookApi.invoices.update({
-        SyncToken: quickbookInvoice.SyncToken,
-        Id: quickbookInvoice.Id,
-        CurrencyRef: {
-          value: "USD",
-        },
-        DocNumber: invoice_number,
-        TxnDate: date,
-        DueDate: due_date,
-        BillAddr: {
-          Line1: bill_address.Line1,
-          City: bill_address.City,
-          CountrySubDivisionCode: bill_address.State,
-          PostalCode: bill_address.ZipCode,
-        },
-        ShipAddr: {
-          Line1: ship_address.Line1,
-          City: ship_address.City,
-          CountrySubDivisionCode: ship_address.State,
-          PostalCode: ship_address.ZipCode,
-        },
-        CustomerMemo: {
-          value: notes ?? "",
-        },
-        CustomerRef: {
-          value: customerEntity.external_id,
+      await getChannel(integration).updateInvoice(
+        entity.external_id,
+        {
+          invoice_number,
+          date,
+          due_date,
+          notes,
+          bill_address,
+          ship_address,
         },
-        Line: quickbookInvoice.Line,
-        sparse: true,
-      });
+        customerEntity && customerEntity.external_id,
+      );
 
       console.log("Done...");
 
@@ -1730,6 +2918,19 @@ router.put(
         CustomerId,
       });
 
+      const document =
+        invoice.DocumentId && (await Document.findByPk(invoice.DocumentId));
+      if (document) {
+        const customer = await Customer.findByPk(invoice.CustomerId);
+        await recordExtractionExample(
+          document,
+          correctedExtraction("Invoice", req.body, {
+            contactName: customer && customer.name,
+          }),
+          { contactId: invoice.CustomerId, userId: req.userId },
+        );
+      }
+
       for (const item of items) {
         await InvoiceLineItem.update(
           {
@@ -1753,6 +2954,34 @@ router.put(
   },
 );
 
+// Voids a pushed invoice in the accounting system, the invoice is kept.
+router.post(
+  "/companies/:companyId/invoices/:id/void",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+      const invoice = await Invoice.findOne({
+        where: { id: req.params.id, CompanyId: req.params.companyId },
+      });
+      if (!invoice) {
+        throw new Error("Invoice not found");
+      }
+
+      const integration = await getActiveIntegration(req.params.companyId);
+      await voidTransaction(integration, "Invoice", invoice.id);
+      res.send(invoice);
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
 // Expenses routes
 router.post(
   "/companies/:companyId/expense",
@@ -1813,10 +3042,6 @@ router.put(
         where: { id: req.params.companyId, UserId: req.userId },
       });
 
-      const integration = await Integration.findOne({
-        where: { CompanyId: req.params.companyId },
-      });
-
       const receipt = await Purchase.findOne({
         where: { id: req.params.id, CompanyId: req.params.companyId },
       });
@@ -1829,10 +3054,6 @@ router.put(
         throw new Error("Company not found");
       }
 
-      if (!integration) {
-        throw new Error("Integration not found");
-      }
-
       if (!receipt) {
         throw new Error("Purchase not found");
       }
@@ -1841,53 +3062,137 @@ router.put(
         throw new Error("Document not found");
       }
 
-      const quickbooksApi = new quickbooksApiClient(
-        integration.credentials,
-        integration.id,
-      );
+      const integration = await getActiveIntegration(req.params.companyId);
+      const channel = getChannel(integration);
 
       const vendorEntity = await EntityMapping.findOne({
         where: {
           CompanyId: req.params.companyId,
+          IntegrationId: integration.id,
           entity_type: "Vendor",
           local_id: VendorId,
         },
       });
+      if (!vendorEntity) {
+        throw new Error("Vendor is not synced with the accounting system");
+      }
+      const vendor = await Vendor.findByPk(VendorId);
+
+      // The corrected fields in the shape of the extracted receipt, so the
+      // channel builds the payload like for an uploaded document.
+      const receiptJson = {
+        TransactionDate: txn_date,
+        TotalAmount: total_amount,
+        SalesTaxAmount: receipt.tax_amount && Number(receipt.tax_amount),
+        PaymentType: receipt.payment_type || "Cash",
+        VendorDetails: { Name: vendor ? vendor.name : "" },
+        PurchaseLines: items.map((item, index) => ({
+          Amount: item.amount,
+          Description:
+            document.processed_data?.processed_json?.PurchaseLines?.[index]
+              ?.Description,
+        })),
+      };
+      await categorizeExpenses("Receipt", receiptJson, {
+        integration,
+        vendor,
+        defaults: channel.defaultAccounts,
+      });
+      await applyTaxes("Receipt", receiptJson, { integration });
+      applyRules("Receipt", receiptJson, {
+        rules: await loadRules(req.params.companyId),
+        vendor,
+      });
 
-      const response = await quickbooksApi.expenses.create({
-        Line: items.map((item) => {
-          return {
-            DetailType: "AccountBasedExpenseLineDetail",
-            Amount: item.amount,
-
-            AccountBasedExpenseLineDetail: {
-              AccountRef: {
-                value: item.account_ref,
-              },
-              // TaxCodeRef: {
-              //   value: "NON",
-              // },
-              // ProjectRef: {
-              //   value: item.ProjectRef.value,
-              // },
-              BillableStatus: "NotBillable",
-            },
-          };
-        }),
-        PaymentType: "Cash",
-        AccountRef: {
-          value: account_ref,
-        },
-        TxnDate: txn_date,
-        TotalAmt: total_amount,
-        EntityRef: {
-          value: vendorEntity.external_id,
-        },
+      // account_ref and the lines' refs are QuickBooks ids, the other
+      // channels keep the accounts picked on connect.
+      if (channel.name === "QuickBooks") {
+        items.forEach((item, index) => {
+          const line = receiptJson.PurchaseLines[index];
+          if (item.account_ref) {
+            line.AccountRef = { value: String(item.account_ref) };
+          }
+          if (item.class_ref) line.ClassRef = { value: String(item.class_ref) };
+          if (item.tax_code_ref) {
+            line.TaxCodeRef = { value: String(item.tax_code_ref) };
+          }
+          if (item.customer_ref) {
+            line.CustomerRef = { value: String(item.customer_ref) };
+          }
+          if (item.billable_status) line.BillableStatus = item.billable_status;
+        });
+        if (account_ref) {
+          receiptJson.PaymentAccountRef = { value: String(account_ref) };
+        }
+      }
+
+      const payload = channel.transform(
+        "Receipt",
+        receiptJson,
+        vendorEntity.external_id,
+      );
+      if (!channel.validate("Receipt", payload)) {
+        throw new Error("Expense is missing required fields");
+      }
+
+      // What the user changed on the categorized lines feeds the rule
+      // suggestions, once the edits are saved.
+      const recordEdits = async () => {
+        await receipt.update(req.body);
+        if (channel.name === "QuickBooks") {
+          await recordCorrections(receipt, items, { userId: req.userId });
+        }
+        await recordExtractionExample(
+          document,
+          correctedExtraction("Receipt", req.body, {
+            contactName: vendor && vendor.name,
+          }),
+          { contactId: VendorId, userId: req.userId },
+        );
+      };
+
+      // An expense its approval policy covers waits for the chain, the
+      // pipeline posts the corrected payload once the last step approves.
+      if (!(await approvalComplete(document, { total_amount }))) {
+        await recordEdits();
+        await document.update({
+          status: "PendingApproval",
+          error_message: null,
+          transformed_data: payload,
+          completed_stage: "review",
+          stage_completed_at: new Date(),
+        });
+        const approvalSteps = await startApprovalChain(document, receipt);
+        return res.status(202).send({ receipt, approvalSteps });
+      }
+
+      const externalId = await channel.pushExpense(payload);
+
+      console.log("creating finished", externalId);
+
+      await EntityMapping.create({
+        entity_type: "Receipt",
+        external_id: externalId,
+        local_id: receipt.id,
+        CompanyId: req.params.companyId,
+        IntegrationId: integration.id,
+        UserId: req.userId,
       });
 
-      console.log("creating finished", response);
+      // The worker attaches the source file to the pushed transaction.
+      await jobQueue.enqueue(
+        "ProcessDocument",
+        { documentId: document.id, only: "attach" },
+        {
+          text_job_description: `${document.type} - ${document.id} - Attach source file`,
+          DocumentId: document.id,
+          CompanyId: document.CompanyId,
+          UserId: req.userId,
+          IntegrationId: integration.id,
+        },
+      );
 
-      await receipt.update(req.body);
+      await recordEdits();
 
       document.update({
         status: "Ready",
@@ -1910,72 +3215,63 @@ router.put(
         where: { id: req.params.companyId, UserId: req.userId },
       });
 
-      const integration = await Integration.findOne({
-        where: { CompanyId: company.id },
-      });
-
       if (!company) {
         throw new Error("Company not found");
       }
 
-      if (!integration) {
-        throw new Error("Integration not found");
+      const purchase = await Purchase.findOne({
+        where: { id: req.params.id, CompanyId: req.params.companyId },
+      });
+
+      if (!purchase) {
+        throw new Error("Expense not found");
       }
 
-      const quickbookApi = new quickbooksApiClient(
-        integration.credentials,
-        integration.id,
-      );
+      const integration = await getActiveIntegration(req.params.companyId);
 
       const receiptEntity = await EntityMapping.findOne({
         where: {
           local_id: req.params.id,
           entity_type: "Receipt",
           CompanyId: req.params.companyId,
+          IntegrationId: integration.id,
         },
       });
+      if (!receiptEntity) {
+        throw new Error("Expense is not synced with the accounting system");
+      }
 
       const vendorEntity = await EntityMapping.findOne({
         where: {
           local_id: req.body.VendorId,
           entity_type: "Vendor",
           CompanyId: req.params.companyId,
+          IntegrationId: integration.id,
         },
       });
 
-      const purchase = await Purchase.findOne({
-        where: { id: req.params.id, CompanyId: req.params.companyId },
-      });
-
-      if (!purchase) {
-        throw new Error("Expense not found");
-      }
-
-      // update the expense in quickbooks
+      const channel = getChannel(integration);
 
-      const quickbooksPurchase = await quickbookApi.expenses.get(
+      // update the expense in the accounting system, the lines' refs are
+      // QuickBooks ids
+      await channel.updateExpense(
         receiptEntity.external_id,
-      );
-
-      const response = await quickbookApi.expenses.update({
-        Id: receiptEntity.external_id,
-        SyncToken: quickbooksPurchase.SyncToken,
-        Line: quickbooksPurchase.Line,
-        TotalAmt: total_amount,
-        TxnDate: txn_date,
-        PaymentType: quickbooksPurchase.PaymentType,
-        AccountRef: {
-          value: account_ref,
-        },
-        EntityRef: {
-          value: vendorEntity.external_id,
+        {
+          total_amount,
+          account_ref,
+          txn_date,
+          items: channel.name === "QuickBooks" ? items : undefined,
         },
-        sparse: true,
-      });
+        vendorEntity && vendorEntity.external_id,
+      );
 
-      console.log("done...", response.Purchase.Line);
+      console.log("done...");
 
       await purchase.update(req.body);
+      // Line refs changed by hand feed the rule suggestions.
+      if (channel.name === "QuickBooks") {
+        await recordCorrections(purchase, items, { userId: req.userId });
+      }
       res.send(req.body);
     } catch (error) {
       res.status(400).send(error.message);
@@ -2008,6 +3304,201 @@ router.delete(
   },
 );
 
+// Voids a pushed expense in the accounting system (QuickBooks and Zoho delete
+// it), the expense is kept.
+router.post(
+  "/companies/:companyId/expenses/:id/void",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+      const purchase = await Purchase.findOne({
+        where: { id: req.params.id, CompanyId: req.params.companyId },
+      });
+      if (!purchase) {
+        throw new Error("Expense not found");
+      }
+
+      const integration = await getActiveIntegration(req.params.companyId);
+      await voidTransaction(integration, "Receipt", purchase.id);
+      res.send(purchase);
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+// Bill Routes
+
+// Lists bills, `status=overdue` returns open bills past their due date and
+// `dueWithin=<days>` open bills due in the next days.
+router.get(
+  "/companies/:companyId/bills",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+
+      const now = new Date();
+      const query = { CompanyId: company.id };
+
+      if (req.query.status === "overdue") {
+        query.status = "Open";
+        query.due_date = { [Op.lt]: now };
+      } else if (req.query.status) {
+        query.status = req.query.status;
+      }
+
+      if (req.query.dueWithin) {
+        const days = parseInt(req.query.dueWithin, 10);
+        if (isNaN(days) || days < 0) {
+          return res
+            .status(400)
+            .json({ error: "dueWithin must be a number of days" });
+        }
+        query.status = "Open";
+        query.due_date = {
+          [Op.between]: [now, new Date(now.getTime() + days * 86400000)],
+        };
+      }
+
+      const limit = parseInt(req.query.limit, 10) || 10;
+      const page = parseInt(req.query.page, 10) || 1;
+      const offset = (page - 1) * limit;
+
+      const { count, rows: bills } = await Bill.findAndCountAll({
+        where: query,
+        include: [{ model: Vendor, as: "Vendor" }],
+        order: [["due_date", "ASC"]],
+        limit,
+        offset,
+      });
+
+      res.send({
+        bills: bills.map((bill) => ({
+          ...bill.toJSON(),
+          overdue:
+            bill.status === "Open" && !!bill.due_date && bill.due_date < now,
+        })),
+        pagination: {
+          totalItems: count,
+          totalPages: Math.ceil(count / limit),
+          currentPage: page,
+          itemsPerPage: limit,
+        },
+      });
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+router.get(
+  "/companies/:companyId/bills/:id",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+      const bill = await Bill.findOne({
+        where: { id: req.params.id, CompanyId: req.params.companyId },
+        include: [
+          { model: Vendor, as: "Vendor" },
+          { model: BillLineItem, as: "BillLineItems" },
+        ],
+      });
+      if (!bill) {
+        throw new Error("Bill not found");
+      }
+
+      res.send(bill);
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+// Marks a bill as paid or open again, e.g. after paying it outside the app.
+router.put(
+  "/companies/:companyId/bills/:id",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+      const bill = await Bill.findOne({
+        where: { id: req.params.id, CompanyId: req.params.companyId },
+      });
+      if (!bill) {
+        throw new Error("Bill not found");
+      }
+
+      const { status, due_date } = req.body;
+      if (status && !["Open", "Paid"].includes(status)) {
+        return res
+          .status(400)
+          .json({ error: "Invalid status. Must be 'Open' or 'Paid'." });
+      }
+
+      await bill.update({
+        ...(status && { status }),
+        ...(status === "Paid" && { balance_due: 0 }),
+        ...(due_date !== undefined && { due_date }),
+      });
+      res.send(bill);
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
+// Voids a pushed bill in the accounting system (QuickBooks deletes it), the
+// bill is kept.
+router.post(
+  "/companies/:companyId/bills/:id/void",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        where: { id: req.params.companyId, UserId: req.userId },
+      });
+      if (!company) {
+        throw new Error("Company not found");
+      }
+      const bill = await Bill.findOne({
+        where: { id: req.params.id, CompanyId: req.params.companyId },
+      });
+      if (!bill) {
+        throw new Error("Bill not found");
+      }
+
+      const integration = await getActiveIntegration(req.params.companyId);
+      await voidTransaction(integration, "Bill", bill.id);
+      res.send(bill);
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  },
+);
+
 // Pricing Plan Routes
 
 // Account Routes
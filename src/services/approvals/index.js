@@ -0,0 +1,368 @@
+const { Op } = require("sequelize");
+const {
+  ApprovalPolicy,
+  ApprovalStep,
+  Document,
+  Purchase,
+  Bill,
+  SyncLog,
+  sequelize,
+} = require("../../db/models");
+const JobQueue = require("../queue");
+
+require("dotenv").config();
+
+// Document types that go through approval chains.
+const APPROVAL_TYPES = ["Receipt", "Bill"];
+
+// A pending step is reminded when it has waited this long since it was
+// requested or last reminded.
+const REMINDER_AFTER_MS =
+  (parseFloat(process.env.APPROVAL_REMINDER_AFTER_HOURS) || 24) *
+  60 *
+  60 *
+  1000;
+
+// Reminders after which a step is escalated to its escalate_to users.
+const ESCALATE_AFTER_REMINDERS =
+  parseInt(process.env.APPROVAL_ESCALATE_AFTER_REMINDERS, 10) || 2;
+
+// Time between two runs of the ApprovalReminders job.
+const REMINDER_INTERVAL_MS =
+  parseInt(process.env.APPROVAL_REMINDER_INTERVAL_MS, 10) || 60 * 60 * 1000;
+
+// Throws when `steps` is not a list of { name, approvers, escalate_to? }
+// with at least one approver each.
+const validatePolicySteps = (steps) => {
+  if (!Array.isArray(steps)) {
+    throw new Error("steps must be a list of approval steps");
+  }
+  steps.forEach((step, index) => {
+    if (
+      !step ||
+      !Array.isArray(step.approvers) ||
+      !step.approvers.length ||
+      !step.approvers.every((id) => typeof id === "string" && id)
+    ) {
+      throw new Error(`Step ${index + 1} needs at least one approver`);
+    }
+    if (step.escalate_to !== undefined && !Array.isArray(step.escalate_to)) {
+      throw new Error(`Step ${index + 1}: escalate_to must be a list`);
+    }
+  });
+};
+
+// True when `policy` covers a document of `documentType` totalling `amount`.
+const matchesPolicy = (policy, documentType, amount) =>
+  policy.active !== false &&
+  (policy.document_types || APPROVAL_TYPES).includes(documentType) &&
+  amount >= Number(policy.min_amount || 0) &&
+  (policy.max_amount === null ||
+    policy.max_amount === undefined ||
+    amount < Number(policy.max_amount));
+
+// Where a chain stands: "none" without steps, "rejected", "approved" once
+// every step is, "pending" otherwise.
+const chainStatus = (steps) => {
+  if (!steps.length) return "none";
+  if (steps.some(({ status }) => status === "Rejected")) return "rejected";
+  if (steps.every(({ status }) => status === "Approved")) return "approved";
+  return "pending";
+};
+
+// The policy with the highest min_amount covering the document, null when
+// the company has none.
+const findApprovalPolicy = async (companyId, documentType, amount) => {
+  const policies = await ApprovalPolicy.findAll({
+    where: { CompanyId: companyId, active: true },
+    order: [["min_amount", "DESC"]],
+  });
+  return (
+    policies.find((policy) =>
+      matchesPolicy(policy, documentType, Number(amount) || 0),
+    ) || null
+  );
+};
+
+// The steps of the document's current chain, in order.
+const activeApprovalSteps = (documentId, options = {}) =>
+  ApprovalStep.findAll({
+    where: { DocumentId: documentId, status: { [Op.ne]: "Cancelled" } },
+    order: [["position", "ASC"]],
+    transaction: options.transaction,
+  });
+
+// The document's current chain, started from the policy covering it (with
+// `localRecord`, its Purchase or Bill) when there is none yet. The first
+// step is requested right away. Empty when no policy asks for approval.
+const startApprovalChain = async (document, localRecord) => {
+  const existing = await activeApprovalSteps(document.id);
+  if (existing.length || !APPROVAL_TYPES.includes(document.type)) {
+    return existing;
+  }
+
+  const policy = await findApprovalPolicy(
+    document.CompanyId,
+    document.type,
+    localRecord.total_amount,
+  );
+  if (!policy || !policy.steps.length) return [];
+
+  console.log(
+    `[${document.id}] Approval policy "${policy.name}" applies, ${policy.steps.length} step(s)`,
+  );
+  return sequelize.transaction(async (transaction) => {
+    const steps = [];
+    for (const [index, step] of policy.steps.entries()) {
+      steps.push(
+        await ApprovalStep.create(
+          {
+            position: index,
+            name: step.name,
+            approver_ids: step.approvers,
+            escalate_to: step.escalate_to || null,
+            status: index === 0 ? "Pending" : "Waiting",
+            requested_at: index === 0 ? new Date() : null,
+            DocumentId: document.id,
+            CompanyId: document.CompanyId,
+            ApprovalPolicyId: policy.id,
+          },
+          { transaction },
+        ),
+      );
+    }
+    return steps;
+  });
+};
+
+// A document transformed again needs a new chain, the decisions on the old
+// payload are kept as Cancelled.
+const cancelApprovalChain = (documentId) =>
+  ApprovalStep.update(
+    { status: "Cancelled" },
+    { where: { DocumentId: documentId, status: { [Op.ne]: "Cancelled" } } },
+  );
+
+// True when the document may be posted: it has no chain and no policy asks
+// for one, or every step of its chain is approved.
+const approvalComplete = async (document, localRecord) => {
+  if (!APPROVAL_TYPES.includes(document.type)) return true;
+
+  const steps = await activeApprovalSteps(document.id);
+  if (steps.length) return chainStatus(steps) === "approved";
+
+  const policy = await findApprovalPolicy(
+    document.CompanyId,
+    document.type,
+    localRecord.total_amount,
+  );
+  return !policy || !policy.steps.length;
+};
+
+// Records the decision of `userId` on a pending step. Approving requests the
+// next step, or queues the rest of the pipeline after the last one;
+// rejecting skips the remaining steps and rejects the document. Returns
+// { step, document, next, job }.
+const decideApprovalStep = async (
+  stepId,
+  userId,
+  { decision, comment, queue = new JobQueue() },
+) => {
+  if (!["Approved", "Rejected"].includes(decision)) {
+    throw new Error("decision must be 'Approved' or 'Rejected'");
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const step = await ApprovalStep.findByPk(stepId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (!step) {
+      throw new Error("Approval step not found");
+    }
+    if (!step.approver_ids.includes(userId)) {
+      throw new Error("You are not an approver of this step");
+    }
+    if (step.status !== "Pending") {
+      throw new Error("Approval step is not waiting for a decision");
+    }
+
+    await step.update(
+      { status: decision, comment, ApproverId: userId, decided_at: new Date() },
+      { transaction },
+    );
+
+    const document = await Document.findByPk(step.DocumentId, {
+      transaction,
+    });
+    const waiting = await ApprovalStep.findAll({
+      where: { DocumentId: step.DocumentId, status: "Waiting" },
+      order: [["position", "ASC"]],
+      transaction,
+    });
+
+    if (decision === "Rejected") {
+      await ApprovalStep.update(
+        { status: "Skipped" },
+        {
+          where: { id: { [Op.in]: waiting.map(({ id }) => id) } },
+          transaction,
+        },
+      );
+      const reason = `Rejected by ${step.name || "approver"}`;
+      await document.update(
+        {
+          status: "Rejected",
+          error_message: (comment ? `${reason}: ${comment}` : reason).slice(
+            0,
+            255,
+          ),
+        },
+        { transaction },
+      );
+      return { step, document, next: null, job: null };
+    }
+
+    if (waiting.length) {
+      const [next] = waiting;
+      await next.update(
+        { status: "Pending", requested_at: new Date() },
+        { transaction },
+      );
+      return { step, document, next, job: null };
+    }
+
+    await document.update({ status: "Ready" }, { transaction });
+    const job = await queue.enqueue(
+      "ProcessDocument",
+      { documentId: document.id },
+      {
+        transaction,
+        text_job_description: `${document.type} - ${document.id} - Approved`,
+        DocumentId: document.id,
+        CompanyId: document.CompanyId,
+        UserId: userId,
+        IntegrationId: document.IntegrationId,
+      },
+    );
+    return { step, document, next: null, job };
+  });
+};
+
+// Steps waiting for a decision of `userId`, oldest request first, with the
+// document and its Purchase or Bill.
+const pendingApprovals = (userId) =>
+  ApprovalStep.findAll({
+    where: {
+      status: "Pending",
+      approver_ids: { [Op.contains]: [userId] },
+    },
+    include: [{ model: Document, include: [Purchase, Bill] }],
+    order: [["requested_at", "ASC"]],
+  });
+
+// Reminds the approvers of steps pending for REMINDER_AFTER_MS and, after
+// ESCALATE_AFTER_REMINDERS reminders, adds the step's escalate_to users to
+// its approvers. Both are recorded in the step's notifications. Returns
+// { reminded, escalated }.
+const remindStaleApprovals = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - REMINDER_AFTER_MS);
+  const steps = await ApprovalStep.findAll({
+    where: {
+      status: "Pending",
+      [Op.or]: [
+        { reminded_at: null, requested_at: { [Op.lte]: cutoff } },
+        { reminded_at: { [Op.lte]: cutoff } },
+      ],
+    },
+  });
+
+  const result = { reminded: 0, escalated: 0 };
+  for (const step of steps) {
+    const changes = { reminders: step.reminders + 1, reminded_at: now };
+    const waitingSince = step.requested_at.toISOString().slice(0, 10);
+    const notifications = [
+      {
+        type: "Reminder",
+        user_ids: step.approver_ids,
+        message: `Approval step "${step.name}" of document ${step.DocumentId} is waiting for your decision since ${waitingSince}`,
+        sent_at: now,
+      },
+    ];
+
+    if (
+      changes.reminders >= ESCALATE_AFTER_REMINDERS &&
+      !step.escalated_at &&
+      step.escalate_to &&
+      step.escalate_to.length
+    ) {
+      changes.approver_ids = [
+        ...new Set([...step.approver_ids, ...step.escalate_to]),
+      ];
+      changes.escalated_at = now;
+      notifications.push({
+        type: "Escalation",
+        user_ids: step.escalate_to,
+        message: `Approval step "${step.name}" of document ${step.DocumentId} was escalated to you, it is waiting for a decision since ${waitingSince}`,
+        sent_at: now,
+      });
+      result.escalated++;
+      console.log(
+        `[${step.DocumentId}] Approval step "${step.name}" escalated to ${step.escalate_to.join(", ")}`,
+      );
+    }
+
+    await step.update({
+      ...changes,
+      notifications: [...(step.notifications || []), ...notifications],
+    });
+    result.reminded++;
+    console.log(
+      `[${step.DocumentId}] Approval step "${step.name}" is waiting on ${(changes.approver_ids || step.approver_ids).join(", ")} (reminder ${changes.reminders})`,
+    );
+  }
+  return result;
+};
+
+// Queues the next ApprovalReminders run, unless one is already queued or
+// running. `excludeJobId` is the job scheduling its successor.
+const scheduleApprovalReminders = async (options = {}) => {
+  const {
+    queue = new JobQueue(),
+    runAt = new Date(Date.now() + REMINDER_INTERVAL_MS),
+    excludeJobId,
+  } = options;
+
+  const pending = await SyncLog.findOne({
+    where: {
+      job_type: "ApprovalReminders",
+      sync_status: { [Op.in]: ["Queued", "Processing"] },
+      ...(excludeJobId ? { id: { [Op.ne]: excludeJobId } } : {}),
+    },
+  });
+  if (pending) return pending;
+
+  return queue.enqueue(
+    "ApprovalReminders",
+    {},
+    { runAt, text_job_description: "Approval reminders" },
+  );
+};
+
+module.exports = {
+  APPROVAL_TYPES,
+  REMINDER_AFTER_MS,
+  ESCALATE_AFTER_REMINDERS,
+  validatePolicySteps,
+  matchesPolicy,
+  chainStatus,
+  findApprovalPolicy,
+  activeApprovalSteps,
+  startApprovalChain,
+  cancelApprovalChain,
+  approvalComplete,
+  decideApprovalStep,
+  pendingApprovals,
+  remindStaleApprovals,
+  scheduleApprovalReminders,
+};
@@ -0,0 +1,235 @@
+const { Account, EntityMapping } = require("../../db/models");
+
+// Keywords of a line description, its extracted category or the vendor name,
+// and the QuickBooks account sub types such expenses are booked to.
+const EXPENSE_RULES = [
+  {
+    pattern: /\b(fuel|petrol|diesel|gas station|parking|toll|car wash)\b/i,
+    subTypes: ["Auto"],
+  },
+  {
+    pattern:
+      /\b(uber|lyft|taxi|cab|flight|airline|airfare|hotel|train|travel)\b/i,
+    subTypes: ["Travel"],
+  },
+  {
+    pattern: /\b(restaurant|cafe|coffee|breakfast|lunch|dinner|meals?|food)\b/i,
+    subTypes: ["EntertainmentMeals", "TravelMeals"],
+  },
+  {
+    pattern: /\b(office|stationery|paper|printer|toner|supplies)\b/i,
+    subTypes: ["SuppliesMaterials", "OfficeGeneralAdministrativeExpenses"],
+  },
+  {
+    pattern: /\b(internet|phone|mobile|telecom|electricity|water|utilities)\b/i,
+    subTypes: ["Utilities"],
+  },
+  {
+    pattern: /\b(advertising|marketing|ads|promotion)\b/i,
+    subTypes: ["AdvertisingPromotional"],
+  },
+  { pattern: /\binsurance\b/i, subTypes: ["Insurance"] },
+  { pattern: /\b(rent|lease)\b/i, subTypes: ["RentOrLeaseOfBuildings"] },
+  {
+    pattern: /\b(legal|lawyer|attorney|accountant|accounting|consulting)\b/i,
+    subTypes: ["LegalProfessionalFees"],
+  },
+  {
+    pattern: /\b(bank fee|bank charge|service charge)\b/i,
+    subTypes: ["BankCharges"],
+  },
+];
+
+const EXPENSE_ACCOUNT_TYPES = [
+  "Expense",
+  "Other Expense",
+  "Cost of Goods Sold",
+];
+
+// Accounts a receipt can be paid from, by extracted PaymentType. The first
+// sub type found wins, then any account of the type.
+const PAYMENT_ACCOUNTS = {
+  Cash: { types: ["Bank"], subTypes: ["CashOnHand"] },
+  Check: { types: ["Bank"], subTypes: ["Checking"] },
+  CreditCard: { types: ["Credit Card"], subTypes: [] },
+};
+
+const normalize = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+const isExpenseAccount = (account) =>
+  EXPENSE_ACCOUNT_TYPES.includes(account.account_type);
+
+// The active accounts of an integration with their external ids, e.g.
+// { id, name, account_type, account_sub_type, external_id }.
+const loadAccounts = async (integrationId) => {
+  const [accounts, mappings] = await Promise.all([
+    Account.findAll({ where: { IntegrationId: integrationId, active: true } }),
+    EntityMapping.findAll({
+      where: { IntegrationId: integrationId, entity_type: "Account" },
+    }),
+  ]);
+
+  const externalIds = new Map(
+    mappings.map((mapping) => [mapping.local_id, mapping.external_id]),
+  );
+  return accounts
+    .map((account) => ({
+      ...account.get({ plain: true }),
+      external_id: externalIds.get(account.id),
+    }))
+    .filter((account) => account.external_id);
+};
+
+// Expense account named like the category the extraction suggested, e.g.
+// "Meals" for "Meals and Entertainment".
+const matchSuggestion = (suggestion, accounts) => {
+  const wanted = normalize(suggestion);
+  if (!wanted) return null;
+
+  const names = (account) => [
+    normalize(account.name),
+    normalize(account.fully_qualified_name),
+  ];
+
+  return (
+    accounts.find((account) => names(account).includes(wanted)) ||
+    (wanted.length >= 4 &&
+      accounts.find((account) =>
+        names(account).some(
+          (name) => name && (name.includes(wanted) || wanted.includes(name)),
+        ),
+      )) ||
+    null
+  );
+};
+
+const matchRule = (texts, accounts) => {
+  const text = texts.filter(Boolean).join(" ");
+  if (!text) return null;
+
+  for (const rule of EXPENSE_RULES) {
+    if (!rule.pattern.test(text)) continue;
+
+    for (const subType of rule.subTypes) {
+      const account = accounts.find((a) => a.account_sub_type === subType);
+      if (account) return account;
+    }
+  }
+  return null;
+};
+
+// Falls back to the integration's default expense account, then to
+// "Uncategorized Expense" or the first expense account.
+const defaultExpenseAccount = (accounts, defaults = {}) =>
+  accounts.find((a) => a.external_id === defaults.expense_account_id) ||
+  accounts.find((a) => normalize(a.name) === "uncategorized expense") ||
+  accounts[0] ||
+  null;
+
+// Picks the expense account of one line. Returns { account, source } with
+// source "suggestion", "vendor", "rule" or "default", or null when the
+// integration has no expense accounts.
+const chooseExpenseAccount = (
+  { description, category },
+  { accounts, vendor, defaults },
+) => {
+  const expenseAccounts = accounts.filter(isExpenseAccount);
+
+  const suggested = matchSuggestion(category, expenseAccounts);
+  if (suggested) return { account: suggested, source: "suggestion" };
+
+  const vendorDefault =
+    vendor &&
+    vendor.DefaultAccountId &&
+    expenseAccounts.find((a) => a.id === vendor.DefaultAccountId);
+  if (vendorDefault) return { account: vendorDefault, source: "vendor" };
+
+  const ruled = matchRule(
+    [description, category, vendor && vendor.name],
+    expenseAccounts,
+  );
+  if (ruled) return { account: ruled, source: "rule" };
+
+  const fallback = defaultExpenseAccount(expenseAccounts, defaults);
+  return fallback ? { account: fallback, source: "default" } : null;
+};
+
+const choosePaymentAccount = (paymentType, { accounts, defaults = {} }) => {
+  const configured = accounts.find(
+    (a) => a.external_id === defaults.paid_through_account_id,
+  );
+  if (configured) return configured;
+
+  const { types, subTypes } = PAYMENT_ACCOUNTS[paymentType] || {
+    types: ["Bank"],
+    subTypes: [],
+  };
+  const candidates = accounts.filter((a) => types.includes(a.account_type));
+
+  return (
+    subTypes
+      .map((subType) => candidates.find((a) => a.account_sub_type === subType))
+      .find(Boolean) ||
+    candidates[0] ||
+    null
+  );
+};
+
+const accountRef = ({ account, source }) => ({
+  value: account.external_id,
+  name: account.fully_qualified_name || account.name,
+  source,
+});
+
+// Books each line of an extracted receipt (PurchaseLines) or bill (Items)
+// to an expense account of the integration, and a receipt to the account it
+// was paid from. Sets `AccountRef` ({ value, name, source }) on the lines and
+// `PaymentAccountRef` on receipts, which the channel transforms use. Leaves
+// the document as is when no chart of accounts was imported.
+const categorizeExpenses = async (
+  type,
+  json,
+  { integration, vendor, defaults },
+) => {
+  const accounts = await loadAccounts(integration.id);
+  if (!accounts.length) return json;
+
+  const lines = (type === "Receipt" ? json.PurchaseLines : json.Items) || [];
+  for (const line of lines) {
+    const choice = chooseExpenseAccount(
+      {
+        description: line.Description,
+        category: line.Category || (json.AccountRef && json.AccountRef.name),
+      },
+      { accounts, vendor, defaults },
+    );
+    if (choice) line.AccountRef = accountRef(choice);
+  }
+
+  if (type === "Receipt") {
+    const paymentAccount = choosePaymentAccount(json.PaymentType, {
+      accounts,
+      defaults,
+    });
+    if (paymentAccount) {
+      json.PaymentAccountRef = accountRef({
+        account: paymentAccount,
+        source: "default",
+      });
+    }
+  }
+
+  return json;
+};
+
+module.exports = {
+  EXPENSE_RULES,
+  loadAccounts,
+  chooseExpenseAccount,
+  choosePaymentAccount,
+  categorizeExpenses,
+};
@@ -0,0 +1,57 @@
+require("dotenv").config();
+
+// Classes the classifier can return. Only the first three have a processing
+// path, the others are recognised so they are not pushed as the wrong type.
+const DOCUMENT_CLASSES = [
+  "Invoice",
+  "Receipt",
+  "Bill",
+  "CreditNote",
+  "Statement",
+  "NonFinancial",
+];
+
+const PROCESSABLE_TYPES = ["Invoice", "Receipt", "Bill"];
+
+// Predictions below this confidence are not trusted to pick the schema.
+const CLASSIFICATION_THRESHOLD =
+  parseFloat(process.env.CLASSIFICATION_CONFIDENCE_THRESHOLD) || 0.8;
+
+// Turns a classifier result ({ DocumentType, Confidence }) into the type the
+// document is processed as. Returns { type, predictedType, confidence } when
+// the document can go on to extraction, or { type: null, reason } when it
+// cannot.
+const resolveDocumentType = (
+  classification,
+  threshold = CLASSIFICATION_THRESHOLD,
+) => {
+  const predictedType =
+    classification && DOCUMENT_CLASSES.includes(classification.DocumentType)
+      ? classification.DocumentType
+      : null;
+  const confidence = Number(classification && classification.Confidence);
+  const result = {
+    type: null,
+    predictedType,
+    confidence: Number.isFinite(confidence) ? confidence : null,
+  };
+
+  if (!predictedType) {
+    return { ...result, reason: "unclassified" };
+  }
+  if (!PROCESSABLE_TYPES.includes(predictedType)) {
+    return { ...result, reason: "unsupported" };
+  }
+  if (result.confidence === null || result.confidence < threshold) {
+    return { ...result, reason: "low_confidence" };
+  }
+
+  return { ...result, type: predictedType };
+};
+
+module.exports = {
+  DOCUMENT_CLASSES,
+  PROCESSABLE_TYPES,
+  CLASSIFICATION_THRESHOLD,
+  resolveDocumentType,
+};
@@ -0,0 +1,442 @@
+const { Op } = require("sequelize");
+const {
+  Customer,
+  Vendor,
+  Document,
+  Invoice,
+  Purchase,
+  Bill,
+  EntityMapping,
+  CategorizationRule,
+  CategorizationCorrection,
+  ExtractionExample,
+  sequelize,
+} = require("../../db/models");
+const { similarity } = require("../items");
+
+// Minimum score (0 to 1) for a document's customer or vendor to be linked
+// to an existing contact without asking.
+const CONTACT_MATCH_THRESHOLD =
+  Number(process.env.CONTACT_MATCH_THRESHOLD) || 0.85;
+
+// Contacts scoring less are not suggested at all.
+const CANDIDATE_THRESHOLD = 0.5;
+
+// Legal forms dropped from names, "Google Ireland Ltd" and "GOOGLE IRELAND
+// LIMITED" are the same company.
+const LEGAL_FORMS = new Set([
+  "the",
+  "ltd",
+  "limited",
+  "inc",
+  "incorporated",
+  "llc",
+  "llp",
+  "lp",
+  "plc",
+  "corp",
+  "corporation",
+  "co",
+  "company",
+  "gmbh",
+  "ag",
+  "sa",
+  "sas",
+  "sarl",
+  "srl",
+  "spa",
+  "bv",
+  "nv",
+  "pty",
+  "pvt",
+  "oy",
+  "ab",
+]);
+
+// Mail providers whose domain says nothing about the company.
+const FREE_MAIL_DOMAINS = new Set([
+  "gmail.com",
+  "googlemail.com",
+  "yahoo.com",
+  "hotmail.com",
+  "outlook.com",
+  "live.com",
+  "icloud.com",
+  "aol.com",
+  "proton.me",
+  "protonmail.com",
+]);
+
+const MODELS = { Customer, Vendor };
+
+// Attributes a merged contact keeps, whatever its duplicates hold.
+const OWN_ATTRIBUTES = [
+  "id",
+  "name",
+  "active",
+  "CompanyId",
+  "UserId",
+  "createdAt",
+  "updatedAt",
+];
+
+const normalizeName = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .split(" ")
+    .filter((word) => word && !LEGAL_FORMS.has(word))
+    .join(" ");
+
+const normalizeId = (value) =>
+  String(value || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+
+const normalizeEmail = (email) =>
+  String(email || "")
+    .trim()
+    .toLowerCase();
+
+const emailDomain = (email) => normalizeEmail(email).split("@")[1] || "";
+
+// Street and postal code are enough to tell two addresses apart.
+const addressKey = (address) => {
+  if (!address) return "";
+  if (typeof address === "string") {
+    try {
+      address = JSON.parse(address);
+    } catch (error) {
+      return "";
+    }
+  }
+  const line1 = normalizeName(address.Line1);
+  const zipCode = normalizeId(address.ZipCode || address.PostalCode);
+  return line1 && zipCode ? `${line1}|${zipCode}` : "";
+};
+
+const bankKey = (bankDetails) =>
+  bankDetails && normalizeId(bankDetails.AccountNumber)
+    ? `${normalizeId(bankDetails.AccountNumber)}|${normalizeId(bankDetails.RoutingNumber)}`
+    : "";
+
+// The contact of an extracted document as { name, email, phone, taxId,
+// address, bankDetails }: the customer of invoices, the vendor otherwise.
+const contactDetails = (entityType, json) => {
+  if (entityType === "Customer") {
+    const details = json.CustomerDetails || {};
+    return {
+      name: details.CompanyName,
+      email: details.Email,
+      taxId: details.TaxId,
+      address: details.BillingAddress,
+    };
+  }
+
+  const details = json.VendorDetails || {};
+  return {
+    name: details.Name || details.CompanyName,
+    email: details.Email || details.ContactEmail,
+    phone: details.PhoneNumber,
+    taxId: details.TaxId,
+    address: details.Address,
+    bankDetails: details.BankDetails,
+  };
+};
+
+// The matching details of a local Customer or Vendor.
+const recordDetails = (contact) => ({
+  name: contact.name,
+  email: contact.email,
+  taxId: contact.tax_id,
+  address: contact.address || contact.billing_address,
+  bankDetails: contact.bank_details,
+});
+
+// How likely `details` and `candidate` (both contact details) are the same
+// company, { score, reasons }. A shared tax id or bank account decides,
+// a different tax id rules it out; otherwise the score is the similarity of
+// the normalized names, raised by a shared email, email domain or address.
+const scoreContact = (details, candidate) => {
+  const taxId = normalizeId(details.taxId);
+  const candidateTaxId = normalizeId(candidate.taxId);
+  if (taxId && taxId === candidateTaxId) {
+    return { score: 1, reasons: ["tax_id"] };
+  }
+
+  const bank = bankKey(details.bankDetails);
+  if (bank && bank === bankKey(candidate.bankDetails)) {
+    return { score: 1, reasons: ["bank_details"] };
+  }
+
+  const name = normalizeName(details.name);
+  const candidateName = normalizeName(candidate.name);
+  let score =
+    name && name === candidateName ? 1 : similarity(name, candidateName);
+  const reasons = score >= CANDIDATE_THRESHOLD ? ["name"] : [];
+
+  const email = normalizeEmail(details.email);
+  const domain = emailDomain(email);
+  if (email && email === normalizeEmail(candidate.email)) {
+    score = Math.max(score, 0.95);
+    reasons.push("email");
+  } else if (
+    domain &&
+    !FREE_MAIL_DOMAINS.has(domain) &&
+    domain === emailDomain(candidate.email)
+  ) {
+    score = Math.min(1, score + 0.1);
+    reasons.push("email_domain");
+  }
+
+  const address = addressKey(details.address);
+  if (address && address === addressKey(candidate.address)) {
+    score = Math.min(1, score + 0.1);
+    reasons.push("address");
+  }
+
+  if (taxId && candidateTaxId) {
+    score = Math.min(score, CANDIDATE_THRESHOLD - 0.01);
+  }
+
+  return { score: Math.round(score * 100) / 100, reasons };
+};
+
+// Contacts (local records or anything `toDetails` turns into contact
+// details) ranked by their score against `details`, best first, as
+// [{ contact, score, reasons }]. Contacts below CANDIDATE_THRESHOLD are left
+// out.
+const rankContacts = (details, contacts, toDetails = recordDetails) =>
+  contacts
+    .map((contact) => ({
+      contact,
+      ...scoreContact(details, toDetails(contact)),
+    }))
+    .filter(({ score }) => score >= CANDIDATE_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+
+// The active customers or vendors of a company ranked against `details`.
+// `match` is the best one when it scores CONTACT_MATCH_THRESHOLD.
+const findContactMatches = async (
+  entityType,
+  details,
+  companyId,
+  { exclude = [] } = {},
+) => {
+  const contacts = await MODELS[entityType].findAll({
+    where: {
+      CompanyId: companyId,
+      active: true,
+      ...(exclude.length ? { id: { [Op.notIn]: exclude } } : {}),
+    },
+  });
+
+  const candidates = rankContacts(details, contacts);
+  const best = candidates[0];
+  return {
+    match: best && best.score >= CONTACT_MATCH_THRESHOLD ? best : null,
+    candidates,
+  };
+};
+
+// Fields a matched contact takes over from the document when it has none.
+const contactAttributes = (entityType, details) => {
+  const attributes = {
+    email: details.email || undefined,
+    phone: details.phone || undefined,
+    tax_id: details.taxId || undefined,
+  };
+  if (entityType === "Customer") {
+    return { ...attributes, billing_address: details.address || undefined };
+  }
+  return {
+    ...attributes,
+    address: details.address || undefined,
+    bank_details: details.bankDetails || undefined,
+  };
+};
+
+const missingAttributes = (contact, attributes) =>
+  Object.fromEntries(
+    Object.entries(attributes).filter(
+      ([key, value]) =>
+        value !== undefined &&
+        (contact[key] === null ||
+          contact[key] === undefined ||
+          contact[key] === ""),
+    ),
+  );
+
+// The local contact a document's customer or vendor is linked to: the best
+// match above CONTACT_MATCH_THRESHOLD, or a new one. Returns { contact,
+// created, score, candidates }.
+const findOrCreateLocalContact = async (entityType, details, document) => {
+  const { match, candidates } = await findContactMatches(
+    entityType,
+    details,
+    document.CompanyId,
+  );
+  const attributes = contactAttributes(entityType, details);
+
+  if (match) {
+    console.log(
+      `${entityType} "${details.name}" matched "${match.contact.name}" (${match.score}: ${match.reasons.join(", ")})`,
+    );
+    const missing = missingAttributes(match.contact, attributes);
+    if (Object.keys(missing).length) await match.contact.update(missing);
+    return {
+      contact: match.contact,
+      created: false,
+      score: match.score,
+      candidates,
+    };
+  }
+
+  const contact = await MODELS[entityType].create({
+    ...attributes,
+    name: details.name,
+    CompanyId: document.CompanyId,
+    UserId: document.UserId,
+  });
+  return { contact, created: true, score: null, candidates };
+};
+
+// Merges duplicate contacts (`sourceIds`) into `targetId`: their invoices,
+// receipts, bills, documents, categorization corrections and extraction
+// examples move to the target, which also takes over the details it lacks,
+// and the categorization rules of a source vendor apply to the target. A source mapped to an integration the target is not
+// mapped to hands its EntityMapping over; other source mappings are removed
+// and their external ids returned as `unmappedExternalIds`, those
+// duplicates have to be merged in the accounting system.
+const mergeContacts = async (entityType, targetId, sourceIds, companyId) => {
+  const Model = MODELS[entityType];
+  if (!Model) {
+    throw new Error(`Unsupported contact type: ${entityType}`);
+  }
+  const ids = [...new Set(sourceIds)].filter((id) => id !== targetId);
+  if (!ids.length) {
+    throw new Error("Select at least one other contact to merge");
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const target = await Model.findOne({
+      where: { id: targetId, CompanyId: companyId },
+      transaction,
+    });
+    const sources = await Model.findAll({
+      where: { id: { [Op.in]: ids }, CompanyId: companyId },
+      transaction,
+    });
+    if (!target || sources.length !== ids.length) {
+      throw new Error(`${entityType} not found`);
+    }
+
+    const foreignKey = `${entityType}Id`;
+    const models =
+      entityType === "Customer"
+        ? [Invoice, Document, ExtractionExample]
+        : [
+            Purchase,
+            Bill,
+            Document,
+            CategorizationCorrection,
+            ExtractionExample,
+          ];
+    const moved = {};
+    for (const model of models) {
+      const [count] = await model.update(
+        { [foreignKey]: target.id },
+        { where: { [foreignKey]: { [Op.in]: ids } }, transaction },
+      );
+      moved[model.name] = count;
+    }
+
+    // Rules of the sources apply to the target.
+    if (entityType === "Vendor") {
+      const rules = await CategorizationRule.findAll({
+        where: { CompanyId: companyId },
+        transaction,
+      });
+      for (const rule of rules) {
+        const vendorIds = (rule.conditions || {}).vendor_ids;
+        if (
+          !Array.isArray(vendorIds) ||
+          !vendorIds.some((id) => ids.includes(id))
+        ) {
+          continue;
+        }
+        await rule.update(
+          {
+            conditions: {
+              ...rule.conditions,
+              vendor_ids: [
+                ...new Set(
+                  vendorIds.map((id) => (ids.includes(id) ? target.id : id)),
+                ),
+              ],
+            },
+          },
+          { transaction },
+        );
+      }
+    }
+
+    const targetMappings = await EntityMapping.findAll({
+      where: { entity_type: entityType, local_id: target.id },
+      transaction,
+    });
+    const mappedIntegrations = new Set(
+      targetMappings.map((mapping) => mapping.IntegrationId),
+    );
+    const unmappedExternalIds = [];
+    const sourceMappings = await EntityMapping.findAll({
+      where: { entity_type: entityType, local_id: { [Op.in]: ids } },
+      transaction,
+    });
+    for (const mapping of sourceMappings) {
+      if (mappedIntegrations.has(mapping.IntegrationId)) {
+        unmappedExternalIds.push(mapping.external_id);
+        await mapping.destroy({ transaction });
+      } else {
+        mappedIntegrations.add(mapping.IntegrationId);
+        await mapping.update({ local_id: target.id }, { transaction });
+      }
+    }
+
+    for (const source of sources) {
+      const missing = missingAttributes(
+        target,
+        Object.fromEntries(
+          Object.keys(Model.rawAttributes)
+            .filter((key) => !OWN_ATTRIBUTES.includes(key))
+            .map((key) => [key, source[key] ?? undefined]),
+        ),
+      );
+      if (Object.keys(missing).length) {
+        await target.update(missing, { transaction });
+      }
+      await source.destroy({ transaction });
+    }
+
+    return {
+      [entityType.toLowerCase()]: target,
+      merged: ids,
+      moved,
+      unmappedExternalIds,
+    };
+  });
+};
+
+module.exports = {
+  CONTACT_MATCH_THRESHOLD,
+  CANDIDATE_THRESHOLD,
+  normalizeName,
+  contactDetails,
+  recordDetails,
+  scoreContact,
+  rankContacts,
+  findContactMatches,
+  findOrCreateLocalContact,
+  mergeContacts,
+};
@@ -0,0 +1,104 @@
+const { Op } = require("sequelize");
+const { Document, Invoice, Purchase, Bill } = require("../../db/models");
+
+// Same file uploaded before in the company. The oldest copy is the original.
+// Only earlier documents count, so an original re-run after its copy was
+// uploaded is never flagged as a duplicate of it.
+const findContentDuplicate = async (document, options = {}) => {
+  if (!document.content_hash) return null;
+
+  return Document.findOne({
+    where: {
+      CompanyId: document.CompanyId,
+      content_hash: document.content_hash,
+      id: { [Op.ne]: document.id },
+      createdAt: { [Op.lt]: document.createdAt },
+    },
+    order: [["createdAt", "ASC"]],
+    transaction: options.transaction,
+  });
+};
+
+// Another document of the company that extracted to the same customer,
+// invoice number, date and total (invoices), vendor, bill number, date and
+// total (bills) or vendor, date and total (receipts). `record` is the local
+// Invoice/Bill/Purchase created by transform. Like for content duplicates,
+// only documents uploaded earlier count.
+const findSemanticDuplicate = async (document, record) => {
+  const earlier = {
+    model: Document,
+    required: true,
+    where: { createdAt: { [Op.lt]: document.createdAt } },
+  };
+  let match;
+
+  if (document.type === "Invoice") {
+    if (!record.invoice_number || !record.total_amount) return null;
+
+    match = await Invoice.findOne({
+      where: {
+        CompanyId: document.CompanyId,
+        CustomerId: record.CustomerId,
+        invoice_number: record.invoice_number,
+        date: record.date,
+        total_amount: record.total_amount,
+        DocumentId: { [Op.ne]: document.id },
+      },
+      include: [earlier],
+      order: [[Document, "createdAt", "ASC"]],
+    });
+  } else if (document.type === "Bill") {
+    if (!record.VendorId || !record.total_amount) return null;
+
+    match = await Bill.findOne({
+      where: {
+        CompanyId: document.CompanyId,
+        VendorId: record.VendorId,
+        bill_number: record.bill_number,
+        txn_date: record.txn_date,
+        total_amount: record.total_amount,
+        DocumentId: { [Op.ne]: document.id },
+      },
+      include: [earlier],
+      order: [[Document, "createdAt", "ASC"]],
+    });
+  } else {
+    if (!record.VendorId || !record.total_amount) return null;
+
+    match = await Purchase.findOne({
+      where: {
+        CompanyId: document.CompanyId,
+        VendorId: record.VendorId,
+        txn_date: record.txn_date,
+        total_amount: record.total_amount,
+        DocumentId: { [Op.ne]: document.id },
+      },
+      include: [earlier],
+      order: [[Document, "createdAt", "ASC"]],
+    });
+  }
+
+  return match ? match.Document : null;
+};
+
+const flagDuplicate = async (document, original, reason, options = {}) => {
+  console.log(
+    `Document ${document.id} is a duplicate of ${original.id} (${reason})`,
+  );
+
+  await document.update(
+    { DuplicateOfId: original.id, duplicate_reason: reason },
+    { transaction: options.transaction },
+  );
+};
+
+// Duplicates are held back from sync until a user overrides them.
+const isBlockedDuplicate = (document) =>
+  Boolean(document.DuplicateOfId) && !document.duplicate_override;
+
+module.exports = {
+  findContentDuplicate,
+  findSemanticDuplicate,
+  flagDuplicate,
+  isBlockedDuplicate,
+};
@@ -0,0 +1,37 @@
+// Base class for the services that read documents for the pipeline.
+// `context` is `{ document }`, the Document row being processed, plus
+// `feedback` when extractJson is asked to correct its previous output and
+// `hints` learned from the corrected documents of the same vendor (see
+// src/services/learning).
+class ExtractionProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Returns the raw text/markdown read from the page images.
+  async analyzeImages(images, context = {}) {
+    throw new Error(`${this.name} provider does not implement analyzeImages`);
+  }
+
+  // Returns { DocumentType, Confidence } for the document on the images,
+  // DocumentType being one of DOCUMENT_CLASSES (services/classification).
+  async classifyDocument(images, context = {}) {
+    throw new Error(
+      `${this.name} provider does not implement classifyDocument`,
+    );
+  }
+
+  // Returns one description per page ({ DocumentType, VendorName,
+  // DocumentNumber, PageNumber, PageCount, StartsNewDocument }), or null when
+  // the provider cannot tell documents apart.
+  async describePages(images, context = {}) {
+    return null;
+  }
+
+  // Returns the raw output converted to `schema`, as a JSON string.
+  async extractJson(raw, schema, context = {}) {
+    throw new Error(`${this.name} provider does not implement extractJson`);
+  }
+}
+
+module.exports = ExtractionProvider;
@@ -0,0 +1,27 @@
+const ExtractionProvider = require("./ExtractionProvider");
+const AI = require("../openai");
+
+class OpenAIProvider extends ExtractionProvider {
+  constructor() {
+    super("openai");
+    this.ai = new AI();
+  }
+
+  async analyzeImages(images) {
+    return this.ai.analyzeImages(images);
+  }
+
+  async classifyDocument(images) {
+    return this.ai.classifyDocument(images);
+  }
+
+  async describePages(images) {
+    return this.ai.describePages(images);
+  }
+
+  async extractJson(raw, schema, { feedback, hints } = {}) {
+    return this.ai.extractJson(raw, schema, feedback, hints);
+  }
+}
+
+module.exports = OpenAIProvider;
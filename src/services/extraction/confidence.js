@@ -0,0 +1,62 @@
+require("dotenv").config();
+
+// Critical fields below this confidence send the document to MissingData,
+// 0 turns the check off.
+const configuredThreshold = parseFloat(
+  process.env.EXTRACTION_CONFIDENCE_THRESHOLD,
+);
+const CONFIDENCE_THRESHOLD = Number.isFinite(configuredThreshold)
+  ? configuredThreshold
+  : 0.8;
+
+const CRITICAL_FIELDS = {
+  Invoice: ["TotalAmount", "Date", "CustomerDetails.CompanyName"],
+  Receipt: ["TotalAmount", "TransactionDate", "VendorDetails.Name"],
+  Bill: ["TotalAmount", "BillDate", "VendorDetails.Name"],
+};
+
+// Turns the FieldConfidence list returned by the extraction into a map keyed
+// by field path: { "TotalAmount": { confidence, page, bbox } }. Null when the
+// extraction recorded no scores.
+const indexFieldConfidence = (entries) => {
+  if (!Array.isArray(entries)) return null;
+
+  return entries.reduce((fields, entry) => {
+    if (!entry || !entry.field) return fields;
+
+    const confidence = Number(entry.confidence);
+    fields[entry.field] = {
+      confidence: Number.isFinite(confidence) ? confidence : null,
+      page: Number.isInteger(entry.page) ? entry.page : null,
+      bbox: Array.isArray(entry.bbox) ? entry.bbox : null,
+    };
+    return fields;
+  }, {});
+};
+
+// Critical fields the model was unsure about. A critical field without a
+// score is flagged too (confidence null), the model may have skipped it
+// because it could not read it. Documents without recorded scores, e.g.
+// extracted before scores were, are not checked.
+const lowConfidenceFields = (
+  documentType,
+  fieldConfidence,
+  threshold = CONFIDENCE_THRESHOLD,
+) => {
+  if (threshold <= 0 || !fieldConfidence) return [];
+  const fields = CRITICAL_FIELDS[documentType] || [];
+
+  return fields
+    .map((field) => {
+      const score = fieldConfidence[field];
+      return { field, confidence: score ? score.confidence : null };
+    })
+    .filter(({ confidence }) => confidence === null || confidence < threshold);
+};
+
+module.exports = {
+  CONFIDENCE_THRESHOLD,
+  CRITICAL_FIELDS,
+  indexFieldConfidence,
+  lowConfidenceFields,
+};
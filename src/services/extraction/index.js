@@ -0,0 +1,33 @@
+const ExtractionProvider = require("./ExtractionProvider");
+const OpenAIProvider = require("./OpenAIProvider");
+const FixtureProvider = require("./FixtureProvider");
+
+require("dotenv").config();
+
+const providers = {
+  openai: OpenAIProvider,
+  fixture: FixtureProvider,
+};
+
+// The company's extractionProvider wins over EXTRACTION_PROVIDER, which
+// defaults to OpenAI.
+const getExtractionProvider = (company) => {
+  const name =
+    (company && company.extractionProvider) ||
+    process.env.EXTRACTION_PROVIDER ||
+    "openai";
+
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown extraction provider: ${name}`);
+  }
+  return new Provider();
+};
+
+module.exports = {
+  ExtractionProvider,
+  OpenAIProvider,
+  FixtureProvider,
+  providers,
+  getExtractionProvider,
+};
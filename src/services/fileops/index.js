@@ -1,3 +1,4 @@
+const crypto = require("crypto");
 const { fromBuffer } = require("pdf2pic");
 
 const convertPDFtoImages = async (file) => {
@@ -24,4 +25,9 @@ const convertPDFtoImages = async (file) => {
   return base64Images;
 };
 
-module.exports = { convertPDFtoImages };
+// sha256 of the source file, identifies the same document across uploads.
+const hashFile = (file) => {
+  return crypto.createHash("sha256").update(file).digest("hex");
+};
+
+module.exports = { convertPDFtoImages, hashFile };
@@ -0,0 +1,208 @@
+const { Item, EntityMapping } = require("../../db/models");
+const { loadAccounts } = require("../categorization");
+
+// Minimum similarity (0 to 1) of a line description and an item for the
+// line to be booked to the item.
+const ITEM_MATCH_THRESHOLD = Number(process.env.ITEM_MATCH_THRESHOLD) || 0.6;
+
+// Income accounts a created item is booked to, the first sub type found wins.
+const INCOME_SUB_TYPES = [
+  "ServiceFeeIncome",
+  "SalesOfProductIncome",
+  "OtherPrimaryIncome",
+];
+
+const normalize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+const bigrams = (text) => {
+  const pairs = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const pair = text.slice(i, i + 2);
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+  return pairs;
+};
+
+// Dice coefficient of the character bigrams of two texts, 1 when they are
+// equal once normalized. A description that contains every word of a name
+// ("Logo design - 3 drafts" for "Logo Design") scores 0.9.
+const similarity = (a, b) => {
+  const x = normalize(a);
+  const y = normalize(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+
+  const words = new Set(x.split(" "));
+  const nameWords = y.split(" ");
+  if (y.length >= 4 && nameWords.every((word) => words.has(word))) {
+    return 0.9;
+  }
+
+  const left = bigrams(x);
+  const right = bigrams(y);
+  let shared = 0;
+  for (const [pair, count] of left) {
+    shared += Math.min(count, right.get(pair) || 0);
+  }
+  return (2 * shared) / (x.length - 1 + (y.length - 1));
+};
+
+// The active items of an integration with their external ids.
+const loadItems = async (integrationId) => {
+  const [items, mappings] = await Promise.all([
+    Item.findAll({ where: { IntegrationId: integrationId, active: true } }),
+    EntityMapping.findAll({
+      where: { IntegrationId: integrationId, entity_type: "Item" },
+    }),
+  ]);
+
+  const externalIds = new Map(
+    mappings.map((mapping) => [mapping.local_id, mapping.external_id]),
+  );
+  return items
+    .map((item) => ({
+      ...item.get({ plain: true }),
+      external_id: externalIds.get(item.id),
+    }))
+    .filter((item) => item.external_id);
+};
+
+// Best item for a line description, { item, score } or null when none
+// scores `threshold`. A SKU in the description is an exact match.
+const matchItem = (description, items, threshold = ITEM_MATCH_THRESHOLD) => {
+  const text = normalize(description);
+  if (!text) return null;
+
+  let best = null;
+  for (const item of items) {
+    const score =
+      item.sku && ` ${text} `.includes(` ${normalize(item.sku)} `)
+        ? 1
+        : Math.max(
+            similarity(text, item.name),
+            similarity(text, item.fully_qualified_name),
+            similarity(text, item.description),
+          );
+    if (score >= threshold && (!best || score > best.score)) {
+      best = { item, score };
+    }
+  }
+  return best;
+};
+
+const chooseIncomeAccount = (accounts, defaults = {}) => {
+  const income = accounts.filter((a) => a.account_type === "Income");
+  return (
+    income.find((a) => a.external_id === defaults.income_account_id) ||
+    INCOME_SUB_TYPES.map((subType) =>
+      income.find((a) => a.account_sub_type === subType),
+    ).find(Boolean) ||
+    income[0] ||
+    null
+  );
+};
+
+// Names are unique in QuickBooks, at most 100 characters and without ":",
+// which separates sub items.
+const itemName = (description) =>
+  String(description)
+    .replace(/:/g, "-")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 100);
+
+// Creates a service item for a line in the accounting system and locally.
+const createItem = async (
+  line,
+  { integration, channel, accounts, defaults },
+) => {
+  const incomeAccount = chooseIncomeAccount(accounts, defaults);
+  if (!incomeAccount) return null;
+
+  const name = itemName(line.Description);
+  const externalId = await channel.findOrCreateItem({
+    name,
+    description: line.Description,
+    unitPrice: line.UnitPrice,
+    incomeAccountId: incomeAccount.external_id,
+  });
+
+  const item = await Item.create({
+    name,
+    fully_qualified_name: name,
+    description: line.Description,
+    type: "Service",
+    unit_price: line.UnitPrice,
+    income_account_ref: incomeAccount.external_id,
+    CompanyId: integration.CompanyId,
+    IntegrationId: integration.id,
+    UserId: integration.UserId,
+  });
+  await EntityMapping.create({
+    entity_type: "Item",
+    external_id: externalId,
+    local_id: item.id,
+    sync_status: "Synced",
+    CompanyId: integration.CompanyId,
+    IntegrationId: integration.id,
+    UserId: integration.UserId,
+  });
+
+  return { ...item.get({ plain: true }), external_id: externalId };
+};
+
+const itemRef = (item, source, score) => ({
+  value: item.external_id,
+  name: item.fully_qualified_name || item.name,
+  source,
+  score,
+});
+
+// Books each line of an extracted invoice to the imported item its
+// Description matches best, setting `ItemRef` ({ value, name, source,
+// score }) with source "match" or "created". With `autoCreate` a service item
+// is created for lines no item matches. Leaves the invoice as is when no
+// items were imported.
+const assignItems = async (
+  json,
+  { integration, channel, autoCreate, defaults },
+) => {
+  const items = await loadItems(integration.id);
+  if (!items.length) return json;
+
+  const accounts = autoCreate ? await loadAccounts(integration.id) : [];
+  for (const line of json.Items || []) {
+    const match = matchItem(line.Description, items);
+    if (match) {
+      line.ItemRef = itemRef(match.item, "match", match.score);
+      continue;
+    }
+    if (!autoCreate || !line.Description) continue;
+
+    const created = await createItem(line, {
+      integration,
+      channel,
+      accounts,
+      defaults,
+    });
+    if (created) {
+      items.push(created);
+      line.ItemRef = itemRef(created, "created", 1);
+    }
+  }
+
+  return json;
+};
+
+module.exports = {
+  ITEM_MATCH_THRESHOLD,
+  similarity,
+  loadItems,
+  matchItem,
+  chooseIncomeAccount,
+  assignItems,
+};
@@ -0,0 +1,365 @@
+const { Op } = require("sequelize");
+const { ExtractionExample, Customer, Vendor } = require("../../db/models");
+const { normalizeName } = require("../contacts");
+
+// Corrected fields listed in the hints of an extraction, most corrected
+// first.
+const MAX_HINTS = 10;
+
+// Earlier corrected documents shown to the extractor as examples.
+const MAX_FEW_SHOT = 2;
+
+// Examples of a company read to find the contact of a document.
+const MAX_EXAMPLES = 500;
+
+// Examples of the most recent documents in the "recent" accuracy.
+const RECENT_DOCUMENTS = 10;
+
+// Invoices are learned per customer, receipts and bills per vendor.
+const contactKey = (type) => (type === "Invoice" ? "CustomerId" : "VendorId");
+
+const contactModel = (type) => (type === "Invoice" ? Customer : Vendor);
+
+const contactNameField = (type) =>
+  type === "Invoice" ? "CustomerDetails.CompanyName" : "VendorDetails.Name";
+
+const dateOnly = (value) =>
+  value instanceof Date ? value.toISOString().slice(0, 10) : value;
+
+const headerFields = (type, body) => {
+  if (type === "Invoice") {
+    return {
+      InvoiceNumber: body.invoice_number,
+      Date: dateOnly(body.date),
+      DueDate: dateOnly(body.due_date),
+      TotalAmount: body.total_amount,
+      Notes: body.notes,
+    };
+  }
+  if (type === "Bill") {
+    return {
+      BillNumber: body.bill_number,
+      BillDate: dateOnly(body.txn_date),
+      DueDate: dateOnly(body.due_date),
+      TotalAmount: body.total_amount,
+    };
+  }
+  return {
+    TransactionDate: dateOnly(body.txn_date),
+    TotalAmount: body.total_amount,
+  };
+};
+
+// The fields a user set through the invoice and expense edit routes, by
+// field path of the extraction of `type`. `body` is the route's request
+// body (or the attributes of the local Invoice, Purchase or Bill),
+// `contactName` the name of the customer or vendor it picked. Fields the
+// body leaves out are not part of the example.
+const correctedExtraction = (type, body, { contactName } = {}) => {
+  const fields = headerFields(type, body);
+  fields[contactNameField(type)] = contactName;
+
+  (body.items || []).forEach((item, index) => {
+    if (type === "Invoice") {
+      Object.assign(fields, {
+        [`Items[${index}].Description`]: item.description,
+        [`Items[${index}].Quantity`]: item.quantity,
+        [`Items[${index}].UnitPrice`]: item.unit_price,
+        [`Items[${index}].TotalAmount`]: item.total_amount,
+      });
+    } else {
+      fields[`PurchaseLines[${index}].Amount`] = item.amount;
+    }
+  });
+
+  return Object.fromEntries(
+    Object.entries(fields).filter(
+      ([, value]) => value !== undefined && value !== null && value !== "",
+    ),
+  );
+};
+
+// The value at a field path such as "Items[0].UnitPrice".
+const valueAt = (json, path) =>
+  path
+    .split(/[.[\]]+/)
+    .filter(Boolean)
+    .reduce(
+      (value, key) =>
+        value === null || value === undefined ? undefined : value[key],
+      json,
+    );
+
+const isNumeric = (value) =>
+  value !== "" &&
+  value !== null &&
+  typeof value !== "boolean" &&
+  isFinite(Number(value));
+
+const sameValue = (field, extracted, corrected) => {
+  if (extracted === undefined || extracted === null || extracted === "") {
+    return false;
+  }
+  if (/Date$/.test(field)) {
+    return String(extracted).slice(0, 10) === String(corrected).slice(0, 10);
+  }
+  if (isNumeric(extracted) && isNumeric(corrected)) {
+    return Math.abs(Number(extracted) - Number(corrected)) < 0.005;
+  }
+  if (/Name$/.test(field)) {
+    return normalizeName(extracted) === normalizeName(corrected);
+  }
+  return String(extracted).trim() === String(corrected).trim();
+};
+
+// Compares the corrected `fields` with the extraction (processed_json).
+// Returns { compared, corrections: [{ field, extracted, corrected }] }.
+const diffExtraction = (extracted, fields) => {
+  const corrections = [];
+  for (const [field, corrected] of Object.entries(fields)) {
+    const value = valueAt(extracted, field);
+    if (!sameValue(field, value, corrected)) {
+      corrections.push({
+        field,
+        extracted: value === undefined ? null : value,
+        corrected,
+      });
+    }
+  }
+  return { compared: Object.keys(fields).length, corrections };
+};
+
+const processedData = (document) => {
+  const data = document.processed_data || {};
+  return typeof data === "string" ? JSON.parse(data || "{}") : data;
+};
+
+// Stores what the user corrected on `document` as the labelled example of
+// its customer or vendor (`contactId`). `fields` come from
+// correctedExtraction; a document corrected again keeps one example with the
+// fields of every correction. Nothing is stored for documents that were not
+// extracted.
+const recordExtractionExample = async (
+  document,
+  fields,
+  { contactId, userId },
+) => {
+  const data = processedData(document);
+  if (!data.processed_json || !contactId || !Object.keys(fields).length) {
+    return null;
+  }
+
+  const existing = await ExtractionExample.findOne({
+    where: { DocumentId: document.id },
+  });
+  const allFields = { ...(existing ? existing.fields : {}), ...fields };
+  const { compared, corrections } = diffExtraction(
+    data.processed_json,
+    allFields,
+  );
+
+  const attributes = {
+    document_type: document.type,
+    fields: allFields,
+    corrections,
+    fields_compared: compared,
+    fields_corrected: corrections.length,
+    hinted: Boolean(data.extraction_hints),
+    [contactKey(document.type)]: contactId,
+    UserId: userId,
+  };
+  if (existing) return existing.update(attributes);
+
+  return ExtractionExample.create({
+    ...attributes,
+    DocumentId: document.id,
+    CompanyId: document.CompanyId,
+  });
+};
+
+// Records a posted document the user did not correct as an example without
+// corrections, so the accuracy counts every posted document and not only
+// the corrected ones. `record` is its local Invoice, Purchase or Bill. A
+// document with an example keeps it.
+const recordPostedExtraction = async (document, record) => {
+  const key = contactKey(document.type);
+  if (
+    !record[key] ||
+    (await ExtractionExample.findOne({ where: { DocumentId: document.id } }))
+  ) {
+    return null;
+  }
+
+  const contact = await contactModel(document.type).findByPk(record[key]);
+  return recordExtractionExample(
+    document,
+    correctedExtraction(document.type, record, {
+      contactName: contact && contact.name,
+    }),
+    { contactId: record[key], userId: document.UserId },
+  );
+};
+
+// The contact whose name appears in the raw text of a document, the longest
+// name winning; null when none does.
+const findContactInText = (raw, contacts) => {
+  const text = ` ${normalizeName(typeof raw === "string" ? raw : JSON.stringify(raw))} `;
+  let found = null;
+  for (const contact of contacts) {
+    const name = normalizeName(contact.name);
+    if (
+      name &&
+      text.includes(` ${name} `) &&
+      (!found || name.length > normalizeName(found.name).length)
+    ) {
+      found = contact;
+    }
+  }
+  return found;
+};
+
+const genericField = (field) => field.replace(/\[\d+\]/g, "[]");
+
+// The instructions added to the extraction of a document of `contactName`,
+// from its examples (most recent first): the fields users keep correcting
+// and the last corrected documents. Null when the examples have no
+// corrections.
+const buildExtractionHints = (contactName, examples) => {
+  const corrected = examples.filter(({ corrections }) => corrections.length);
+  if (!corrected.length) return null;
+
+  const counts = new Map();
+  for (const { corrections } of corrected) {
+    for (const correction of corrections) {
+      const field = genericField(correction.field);
+      if (!counts.has(field)) counts.set(field, { count: 0, last: correction });
+      counts.get(field).count++;
+    }
+  }
+  const hints = [...counts.entries()]
+    .sort(([, a], [, b]) => b.count - a.count)
+    .slice(0, MAX_HINTS)
+    .map(
+      ([field, { count, last }]) =>
+        `- ${field}: corrected ${count} time(s), last read as ${JSON.stringify(last.extracted)} instead of ${JSON.stringify(last.corrected)}`,
+    );
+
+  const fewShot = corrected
+    .slice(0, MAX_FEW_SHOT)
+    .map(({ fields }) => JSON.stringify(fields));
+
+  return (
+    `This document is probably one of ${contactName}. Users corrected these fields of its earlier documents:\n${hints.join("\n")}\n\n` +
+    `Correct values of earlier documents of ${contactName}, by field path:\n${fewShot.join("\n")}\n\n` +
+    "Use them to read this document's layout, never copy values that are not on this document."
+  );
+};
+
+// Hints learned from the corrected documents of the customer or vendor
+// named in the raw text of `document`: { ContactId, examples, prompt }, or
+// null when nothing was learned about it.
+const extractionHints = async (document, raw) => {
+  const key = contactKey(document.type);
+  const examples = await ExtractionExample.findAll({
+    where: {
+      CompanyId: document.CompanyId,
+      document_type: document.type,
+      [key]: { [Op.ne]: null },
+      DocumentId: { [Op.ne]: document.id },
+    },
+    order: [["updatedAt", "DESC"]],
+    limit: MAX_EXAMPLES,
+  });
+  if (!examples.length) return null;
+
+  const contacts = await contactModel(document.type).findAll({
+    where: {
+      id: { [Op.in]: [...new Set(examples.map((example) => example[key]))] },
+    },
+  });
+  const contact = findContactInText(raw, contacts);
+  if (!contact) return null;
+
+  const own = examples.filter((example) => example[key] === contact.id);
+  const prompt = buildExtractionHints(contact.name, own);
+  if (!prompt) return null;
+
+  console.log(
+    `[${document.id}] Extraction hints from ${own.length} corrected document(s) of ${contact.name}`,
+  );
+  return { ContactId: contact.id, examples: own.length, prompt };
+};
+
+const accuracyOf = (examples) => {
+  let compared = 0;
+  let corrected = 0;
+  for (const example of examples) {
+    compared += example.fields_compared;
+    corrected += example.fields_corrected;
+  }
+  return {
+    documents: examples.length,
+    accuracy: compared ? 1 - corrected / compared : null,
+  };
+};
+
+// Share of the fields users checked that the extraction got right, over
+// `examples` (most recent first): overall, for the RECENT_DOCUMENTS most
+// recent documents against the earlier ones, and with hints against
+// without.
+const accuracySummary = (examples) => ({
+  ...accuracyOf(examples),
+  recent: accuracyOf(examples.slice(0, RECENT_DOCUMENTS)),
+  earlier: accuracyOf(examples.slice(RECENT_DOCUMENTS)),
+  hinted: accuracyOf(examples.filter(({ hinted }) => hinted)),
+  unhinted: accuracyOf(examples.filter(({ hinted }) => !hinted)),
+});
+
+// Extraction accuracy of each customer and vendor of the company with
+// examples, least accurate first.
+const extractionAccuracy = async (companyId) => {
+  const examples = await ExtractionExample.findAll({
+    where: { CompanyId: companyId },
+    include: [
+      { model: Vendor, attributes: ["id", "name"] },
+      { model: Customer, attributes: ["id", "name"] },
+    ],
+    order: [["updatedAt", "DESC"]],
+  });
+
+  const groups = new Map();
+  for (const example of examples) {
+    const contact = example.Vendor || example.Customer;
+    if (!contact) continue;
+
+    const key = `${example.document_type}|${contact.id}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        [contactKey(example.document_type)]: contact.id,
+        name: contact.name,
+        document_type: example.document_type,
+        examples: [],
+      });
+    }
+    groups.get(key).examples.push(example);
+  }
+
+  return [...groups.values()]
+    .map(({ examples: own, ...group }) => ({
+      ...group,
+      ...accuracySummary(own),
+    }))
+    .sort((a, b) => (a.accuracy ?? 1) - (b.accuracy ?? 1));
+};
+
+module.exports = {
+  correctedExtraction,
+  diffExtraction,
+  recordExtractionExample,
+  recordPostedExtraction,
+  findContactInText,
+  buildExtractionHints,
+  extractionHints,
+  accuracySummary,
+  extractionAccuracy,
+};
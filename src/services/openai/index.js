@@ -3,6 +3,11 @@ require("dotenv").config();
 const fs = require("fs");
 const OAuthClient = require("intuit-oauth");
 const { Integration } = require("../../db/models");
+
+// Output tokens of the extraction calls, long documents return many lines
+// and field locations (gpt-4o answers with at most 16384).
+const EXTRACTION_MAX_TOKENS = 16384;
+
 const redirectUri =
   process.env.quickbooksRedirectUri ||
   "https://api.kounto.ai/api/quickbooks/callback";
@@ -28,6 +33,10 @@ class AI {
     );
     this.invoiceJsonSchema = require("./schemas").invoiceJsonSchema;
     this.purchaseJsonSchema = require("./schemas").purchaseJsonSchema;
+    this.pageDescriptionJsonSchema =
+      require("./schemas").pageDescriptionJsonSchema;
+    this.classificationJsonSchema =
+      require("./schemas").classificationJsonSchema;
     this.quickbooksBaseUrl = "https://quickbooks.api.intuit.com/v3/company/";
     //this.quickbooksBaseUrl = 'https://quickbooks.api.intuit.com/v3/company';
   }
@@ -65,17 +74,20 @@ class AI {
       const response = await this.openai.chat.completions.create({
         model: "gpt-4o",
         messages: messages,
-        max_tokens: 2000,
+        max_tokens: EXTRACTION_MAX_TOKENS,
       });
       return response.choices[0].message.content;
     } catch (error) {
       console.log("error : ", error);
       console.error("Error analyzing image:");
-      return false;
+      throw error;
     }
   }
 
-  async extractJson(document, schema) {
+  // `feedback` is sent after the document when asking the model to correct
+  // a previous extraction (e.g. amounts that do not reconcile), `hints` are
+  // instructions learned from the vendor's corrected documents.
+  async extractJson(document, schema, feedback, hints) {
     console.log("document : ", document);
 
     let systemPrompt =
@@ -88,13 +100,15 @@ class AI {
           role: "system",
           content: systemPrompt,
         },
+        ...(hints ? [{ role: "system", content: hints }] : []),
         {
           role: "user",
           content: document,
         },
+        ...(feedback ? [{ role: "user", content: feedback }] : []),
       ],
       temperature: 0,
-      max_tokens: 2197,
+      max_tokens: EXTRACTION_MAX_TOKENS,
       top_p: 1,
       frequency_penalty: 0,
       presence_penalty: 0,
@@ -130,6 +144,100 @@ class AI {
     }
   }
 
+  // Describes each page of a scanned batch (issuer, document number, page
+  // markers) so it can be split into separate documents.
+  async describePages(images) {
+    const response = await this.openai.chat.completions.create({
+      model: "gpt-4o",
+      messages: [
+        {
+          role: "system",
+          content:
+            "** Task: The images are the pages of one scan that may contain several financial documents. Describe every page using the `describe_pages` function tool call **",
+        },
+        {
+          role: "user",
+          content: images.map((image) => ({
+            type: "image_url",
+            image_url: {
+              url: image,
+            },
+          })),
+        },
+      ],
+      temperature: 0,
+      max_tokens: 4000,
+      tool_choice: { type: "function", function: { name: "describe_pages" } },
+      tools: [
+        {
+          type: "function",
+          function: {
+            name: "describe_pages",
+            description: "Describe each page of the scanned batch.",
+            parameters: {
+              type: "object",
+              properties: this.pageDescriptionJsonSchema,
+            },
+          },
+        },
+      ],
+    });
+
+    const toolCall = response?.choices?.[0]?.message?.tool_calls?.[0];
+    if (!toolCall || !toolCall.function) {
+      return null;
+    }
+    return JSON.parse(toolCall.function.arguments).Pages || null;
+  }
+
+  // Predicts the kind of financial document shown on the page images.
+  async classifyDocument(images) {
+    const response = await this.openai.chat.completions.create({
+      model: "gpt-4o",
+      messages: [
+        {
+          role: "system",
+          content:
+            "** Task: The images are the pages of one document. Classify the document using the `classify_document` function tool call **",
+        },
+        {
+          role: "user",
+          content: images.map((image) => ({
+            type: "image_url",
+            image_url: {
+              url: image,
+            },
+          })),
+        },
+      ],
+      temperature: 0,
+      max_tokens: 200,
+      tool_choice: {
+        type: "function",
+        function: { name: "classify_document" },
+      },
+      tools: [
+        {
+          type: "function",
+          function: {
+            name: "classify_document",
+            description: "Classify the document.",
+            parameters: {
+              type: "object",
+              properties: this.classificationJsonSchema,
+            },
+          },
+        },
+      ],
+    });
+
+    const toolCall = response?.choices?.[0]?.message?.tool_calls?.[0];
+    if (!toolCall || !toolCall.function) {
+      return null;
+    }
+    return JSON.parse(toolCall.function.arguments);
+  }
+
   async extractJsonfromImage(images, schema) {
     console.log("images : ", images);
 
@@ -156,7 +264,7 @@ class AI {
         },
       ],
       temperature: 0,
-      max_tokens: 2197,
+      max_tokens: EXTRACTION_MAX_TOKENS,
       top_p: 1,
       frequency_penalty: 0,
       presence_penalty: 0,
@@ -3,6 +3,32 @@ const {
   properties,
 } = require("../../channels/quickbooks/services/transform/schemas/invoice");
 
+// Confidence and source location for each extracted value, taken from the
+// FieldLocations recorded by the analyze step.
+const fieldConfidenceJsonSchema = {
+  type: "array",
+  description:
+    "One entry for every header field and for every field of each line item, using the key path of this schema (e.g. TotalAmount, CustomerDetails.CompanyName, Items[0].Description, Items[0].UnitPrice)",
+  items: {
+    type: "object",
+    properties: {
+      field: { type: "string" },
+      confidence: {
+        type: "number",
+        description: "0 to 1, how sure the value was read correctly",
+      },
+      page: { type: "integer", description: "0-based page index" },
+      bbox: {
+        type: "array",
+        description: "[x0, y0, x1, y1] relative to the page size",
+        items: { type: "number" },
+      },
+    },
+  },
+};
+
+module.exports.fieldConfidenceJsonSchema = fieldConfidenceJsonSchema;
+
 module.exports.invoiceJsonSchema = {
   InvoiceNumber: { type: "string" },
   Date: { type: "string", description: "The date in 'YYYY-MM-DD' format" },
@@ -49,6 +75,8 @@ module.exports.invoiceJsonSchema = {
     type: "object",
     properties: {
       CompanyName: { type: "string" },
+      Email: { type: "string" },
+      TaxId: { type: "string", description: "VAT number, EIN or other tax id" },
       BillingAddress: {
         type: "object",
         properties: {
@@ -76,6 +104,7 @@ module.exports.invoiceJsonSchema = {
   },
   Notes: { type: "string" },
   CreatedBy: { type: "string" },
+  FieldConfidence: fieldConfidenceJsonSchema,
 };
 
 module.exports.purchaseJsonSchema = {
@@ -84,6 +113,12 @@ module.exports.purchaseJsonSchema = {
     description: "The date in 'YYYY-MM-DD' format",
   },
   TotalAmount: { type: "number" },
+  Currency: {
+    type: "string",
+    description: "The currency should be in SO 4217 format",
+  },
+  SalesTaxRate: { type: "number" },
+  SalesTaxAmount: { type: "number" },
   PaymentType: { type: "string", enum: ["Check", "CreditCard", "Cash"] },
   AccountRef: {
     type: "object",
@@ -99,7 +134,12 @@ module.exports.purchaseJsonSchema = {
       properties: {
         Amount: { type: "integer" },
         ProjectRef: { type: "integer" },
-        AccountRef: { type: "integer" },
+        Description: { type: "string" },
+        Category: {
+          type: "string",
+          description:
+            "The expense category of the line, e.g. Meals, Travel, Fuel, Office Supplies",
+        },
         BillStatus: {
           type: "string",
           enum: ["Billable", "NotBillable", "HasBeenBilled"],
@@ -124,6 +164,131 @@ module.exports.purchaseJsonSchema = {
         },
       },
       PhoneNumber: { type: "string" },
+      TaxId: { type: "string", description: "VAT number, EIN or other tax id" },
+    },
+  },
+  FieldConfidence: fieldConfidenceJsonSchema,
+};
+
+// Supplier invoice received by the company (accounts payable).
+module.exports.billJsonSchema = {
+  BillNumber: { type: "string", description: "The supplier's invoice number" },
+  BillDate: { type: "string", description: "The date in 'YYYY-MM-DD' format" },
+  DueDate: { type: "string", description: "The date in 'YYYY-MM-DD' format" },
+  Currency: {
+    type: "string",
+    description: "The currency should be in SO 4217 format",
+  },
+  PaymentTerms: { type: "string" },
+  Subtotal: { type: "number" },
+  DiscountTotal: { type: "number" },
+  SalesTaxRate: { type: "number" },
+  SalesTaxAmount: { type: "number" },
+  TotalAmount: { type: "number" },
+  AmountPaid: { type: "number" },
+  BalanceDue: { type: "number" },
+  VendorDetails: {
+    type: "object",
+    description: "The supplier that issued the bill",
+    properties: {
+      Name: { type: "string" },
+      Email: { type: "string" },
+      Address: {
+        type: "object",
+        properties: {
+          Line1: { type: "string" },
+          Line2: { type: "string" },
+          City: { type: "string" },
+          State: { type: "string" },
+          ZipCode: { type: "string" },
+        },
+      },
+      PhoneNumber: { type: "string" },
+      TaxId: { type: "string", description: "VAT number, EIN or other tax id" },
+      BankDetails: {
+        type: "object",
+        properties: {
+          AccountHolderName: { type: "string" },
+          BankName: { type: "string" },
+          AccountNumber: { type: "string" },
+          RoutingNumber: { type: "string" },
+        },
+      },
+    },
+  },
+  Items: {
+    type: "array",
+    items: {
+      type: "object",
+      properties: {
+        Description: { type: "string" },
+        Quantity: { type: "number" },
+        UnitPrice: { type: "number" },
+        Discount: { type: "number" },
+        TotalAmount: { type: "number" },
+      },
+    },
+  },
+  Notes: { type: "string" },
+  FieldConfidence: fieldConfidenceJsonSchema,
+};
+
+// Type of a document uploaded as "auto", read before its extraction.
+module.exports.classificationJsonSchema = {
+  DocumentType: {
+    type: "string",
+    enum: [
+      "Invoice",
+      "Receipt",
+      "Bill",
+      "CreditNote",
+      "Statement",
+      "NonFinancial",
+    ],
+    description:
+      "Invoice: issued by the company to a customer. Bill: issued to the company by a vendor, to be paid later. Receipt: proof of a payment already made. CreditNote: credit memo or refund note. Statement: account or bank statement listing several transactions. NonFinancial: anything else",
+  },
+  Confidence: {
+    type: "number",
+    description: "How sure the classification is, from 0 to 1",
+  },
+};
+
+// One entry per page image, used to find where each document in a scanned
+// batch starts.
+module.exports.pageDescriptionJsonSchema = {
+  Pages: {
+    type: "array",
+    description: "One entry per image, in the order the images were given",
+    items: {
+      type: "object",
+      properties: {
+        DocumentType: {
+          type: "string",
+          enum: ["Invoice", "Receipt", "Bill", "Other"],
+        },
+        VendorName: {
+          type: "string",
+          description: "Name in the header of the issuer, if shown",
+        },
+        DocumentNumber: {
+          type: "string",
+          description: "Invoice, bill or receipt number shown on the page",
+        },
+        PageNumber: {
+          type: "integer",
+          description: "N of a 'Page N of M' marker, if shown",
+        },
+        PageCount: {
+          type: "integer",
+          description: "M of a 'Page N of M' marker, if shown",
+        },
+        StartsNewDocument: {
+          type: "boolean",
+          description:
+            "True when the page is the first page of a document (header, new number or new issuer)",
+        },
+      },
     },
   },
 };
@@ -5,6 +5,7 @@ const {
   extractKeysFromURL,
 } = require("../storage");
 const {
+  Company,
   Invoice,
   Document,
   Purchase,
@@ -14,326 +15,66 @@ const {
   EntityMapping,
   Customer,
   InvoiceLineItem,
+  InvoiceTax,
+  Bill,
+  BillLineItem,
 } = require("../../db/models");
 const { fromBuffer } = require("pdf2pic");
-const AI = require("../openai");
 
-const QuickBooks = require("../../channels/quickbooks/Class");
-const { purchaseJsonSchema, invoiceJsonSchema } = require("../openai/schemas");
-const quickbooksApiClient = require("../../channels/quickbooks/apiClient/quickbooksApiClient");
-
-const aiService = new AI();
-
-const validateInvoiceData = (invoiceData) => {
-  const requiredFields = ["CustomerRef", "Line"];
-  const errors = [];
-
-  console.log("Validating invoice data:", JSON.stringify(invoiceData, null, 2));
-
-  for (const field of requiredFields) {
-    if (!invoiceData[field]) {
-      errors.push(`Missing required field: ${field}`);
-    }
-  }
-
-  if (invoiceData.Line && Array.isArray(invoiceData.Line)) {
-    invoiceData.Line.forEach((line, index) => {
-      if (line.DetailType === "SalesItemLineDetail") {
-        // Log the line item for debugging
-        console.log(
-          `Validating line item ${index}:`,
-          JSON.stringify(line, null, 2),
-        );
-
-        // More lenient validation
-        const amount = line.Amount || 0;
-        const qty = line.SalesItemLineDetail?.Qty || 1;
-        const unitPrice = line.SalesItemLineDetail?.UnitPrice || amount;
-
-        if (amount === undefined || amount === null) {
-          errors.push(`Line item ${index}: Missing Amount`);
-        }
-
-        // Only validate calculation if both qty and unitPrice are present
-        if (qty && unitPrice) {
-          const calculatedAmount = qty * unitPrice;
-          if (Math.abs(calculatedAmount - amount) > 0.01) {
-            console.log(`Amount mismatch in line ${index}:`, {
-              calculated: calculatedAmount,
-              actual: amount,
-              qty,
-              unitPrice,
-            });
-            // Make this a warning rather than an error
-            console.warn(`Warning: Amount mismatch in line item ${index}`);
-          }
-        }
-      }
-    });
-  } else {
-    errors.push("Missing or invalid Line items array");
-  }
-
-  if (errors.length > 0) {
-    throw new Error(`Invoice validation failed: ${errors.join(", ")}`);
-  }
-
-  return true;
-};
-
-// Modified transformation logic
-const transformInvoiceForQuickBooks = (processedJson) => {
-  const lines = processedJson.Items.map((item) => {
-    const quantity = item.Quantity || 1;
-    const unitPrice = item.UnitPrice || item.TotalAmount || 0;
-    const amount = item.TotalAmount || quantity * unitPrice;
-
-    return {
-      Description: item.Description || "",
-      DetailType: "SalesItemLineDetail",
-      SalesItemLineDetail: {
-        TaxCodeRef: {
-          value: "NON",
-        },
-        Qty: quantity,
-        UnitPrice: unitPrice,
-      },
-      Amount: amount,
-    };
-  });
-
-  return {
-    Line: [
-      ...lines,
-      {
-        DetailType: "DiscountLineDetail",
-        Amount: processedJson.DiscountTotal || 0,
-        DiscountLineDetail: {
-          PercentBased: false,
-        },
-      },
-    ],
-    TxnTaxDetail: {
-      TotalTax: 0,
-    },
-    CurrencyRef: {
-      value: processedJson.Currency || "USD",
-    },
-    DocNumber: (processedJson.InvoiceNumber || "").slice(-20),
-    BillAddr: processedJson.BillingAddress || {},
-    ShipAddr: processedJson.ShippingAddress || {},
-    SalesTermRef: {
-      value: processedJson.PaymentTerms || "",
-    },
-    TxnDate: processedJson.Date,
-    DueDate: processedJson.DueDate,
-    CustomerMemo: {
-      value: processedJson.Notes || "",
-    },
-  };
-};
-
-const processDocument = async (document) => {
-  console.log(" - Processing document:", document.file_path);
-
-  try {
-    const documentData = await Document.findByPk(document.id);
-    await documentData.update({ status: "Extraction" });
-
-    let processedFiles = await processFile(document.file_path);
-    await documentData.update({ processed_image_file_paths: processedFiles });
-
-    let processed_data = await aiService.processDocument(
-      processedFiles,
-      invoiceJsonSchema,
-    );
-
-    console.log(
-      "Processed JSON:",
-      JSON.stringify(processed_data.processed_json, null, 2),
-    );
-
-    const invoice = await createInvoice(
-      processed_data.processed_json,
-      document,
-    );
-
-    // Transform the data for QuickBooks
-    const transformedInvoiceData = transformInvoiceForQuickBooks(
-      processed_data.processed_json,
-    );
-
-    // Add CustomerRef after transformation
-    const entity = await EntityMapping.findOne({
-      where: {
-        CompanyId: document.CompanyId,
-        entity_type: "Customer",
-        local_id: invoice.CustomerId,
-      },
-    });
-
-    if (!entity) {
-      throw new Error("Customer mapping not found");
-    }
-
-    transformedInvoiceData.CustomerRef = {
-      value: entity.external_id,
-    };
-
-    // Validate the transformed data
-    try {
-      validateInvoiceData(transformedInvoiceData);
-    } catch (validationError) {
-      console.error("Validation error:", validationError);
-      await documentData.update({
-        status: "ValidationError",
-        error_message: validationError.message,
-      });
-      throw validationError;
-    }
-
-    const integration = await Integration.findOne({
-      where: {
-        CompanyId: document.CompanyId,
-        status: "Connected", // Add this condition
-      },
-    });
-    if (!integration) {
-      throw new Error(
-        "No active QuickBooks integration found. Please connect to QuickBooks first.",
-      );
-    }
-
-    const quickbooksApi = new quickbooksApiClient(
-      integration.credentials,
-      integration.id,
-    );
-
-    try {
-      const response = await quickbooksApi.invoices.create(
-        transformedInvoiceData,
-      );
-
-      await documentData.update({
-        processed_data: processed_data,
-        status: "Processed",
-      });
-
-      await EntityMapping.create({
-        CompanyId: document.CompanyId,
-        IntegrationId: integration.id,
-        entity_type: "Invoice",
-        local_id: invoice.id,
-        external_id: response.body.Invoice.Id,
-        UserId: document.UserId,
-      });
-    } catch (error) {
-      console.error("QuickBooks API Error:", {
-        message: error.message,
-        fault: error.fault,
-        intuit_tid: error.intuit_tid,
-      });
-
-      if (error.fault && error.fault.type === "ValidationFault") {
-        await documentData.update({
-          status: "ValidationError",
-          error_message: error.fault.Error[0].Detail,
-        });
-        throw new Error(
-          `QuickBooks Validation Error: ${error.fault.Error[0].Detail}`,
-        );
-      }
-
-      await documentData.update({
-        status: "Error",
-        error_message: error.message,
-      });
-      throw error;
-    }
-  } catch (error) {
-    console.error("Error processing document:", error);
-    throw error;
-  }
-};
-
-// process receipt document
-const processReceiptDocument = async (document) => {
-  const documentData = await Document.findByPk(document.id);
-  await documentData.update({ status: "Extraction" });
-
-  console.log("extracting...");
-
-  let processedFiles = await processFile(document.file_path);
-
-  console.log("processed...");
-
-  documentData.update({ processed_image_file_paths: processedFiles }); // extracted
-
-  console.log(" - Processed files:", processedFiles);
-
-  let processed_data = await aiService.processDocument(
-    processedFiles,
-    purchaseJsonSchema,
-  );
-
-  console.log(" - processReceiptDocument - Processed data:");
-
-  const receipt = await createReceipt(processed_data.processed_json, document);
-
-  const integration = await Integration.findOne({
-    where: {
-      CompanyId: document.CompanyId,
-      status: "Connected", // Add this condition
-    },
-  });
-  if (!integration) {
-    throw new Error(
-      "No active QuickBooks integration found. Please connect to QuickBooks first.",
-    );
-  }
-  const quickbooksApi = new quickbooksApiClient(
-    integration.credentials,
-    integration.id,
-  );
-
-  const vendorEntity = await EntityMapping.findOne({
+const { getChannel, getActiveIntegration } = require("../../channels");
+const {
+  transformInvoiceForQuickBooks,
+  validateInvoiceData,
+} = require("../../channels/quickbooks/services/transform");
+const { categorizeExpenses } = require("../categorization");
+const { assignItems } = require("../items");
+const { applyTaxes, extractedTax } = require("../tax");
+const { applyRules, loadRules } = require("../rules");
+const { contactDetails, findOrCreateLocalContact } = require("../contacts");
+
+// Maps a local Customer or Vendor to a contact of the company's accounting
+// system through EntityMapping, finding or creating the contact there the
+// first time or once it was deleted there. `channel` defaults to the one of
+// the connected integration.
+const findOrCreateContactMapping = async (
+  entityType,
+  record,
+  details,
+  document,
+  channel,
+) => {
+  const integration = await getActiveIntegration(document.CompanyId);
+
+  const entity = await EntityMapping.findOne({
     where: {
-      CompanyId: document.CompanyId,
-      entity_type: "Vendor",
-      local_id: receipt.VendorId,
+      IntegrationId: integration.id,
+      entity_type: entityType,
+      local_id: record.id,
     },
   });
+  if (entity && entity.sync_status !== "Deleted") return entity;
 
-  const transformedReceipt = new QuickBooks().receipt.transform(
-    processed_data.processed_json,
-    vendorEntity.external_id,
-  );
-
-  const isReadyReceipt = new QuickBooks().receipt.validate(transformedReceipt);
+  const externalId = await (
+    channel || getChannel(integration)
+  ).findOrCreateContact(entityType, details);
 
-  if (isReadyReceipt) {
-    documentData.update({ processed_data: processed_data, status: "Ready" }); // extracted
-
-    const response = await quickbooksApi.expenses.create(transformedReceipt);
-
-    await EntityMapping.create({
-      CompanyId: document.CompanyId,
-      IntegrationId: integration.id,
-      entity_type: "Receipt",
-      local_id: receipt.id,
-      external_id: response.Purchase.Id,
-      UserIdL: document.UserId,
-    });
-  } else {
-    documentData.update({
-      processed_data: processed_data,
-      status: "MissingData",
-    }); // extracted
+  // The contact was deleted in the accounting system since, map the new one.
+  if (entity) {
+    return entity.update({ external_id: externalId, sync_status: "Synced" });
   }
+
+  return EntityMapping.create({
+    entity_type: entityType,
+    external_id: externalId,
+    local_id: record.id,
+    CompanyId: document.CompanyId,
+    IntegrationId: integration.id,
+    UserId: document.UserId,
+  });
 };
 
-const createInvoice = async (invoiceJson, document) => {
-  const { Invoice, Customer, InvoiceLineItem } = require("../../db/models");
+const createInvoice = async (invoiceJson, document, channel) => {
+  const { Invoice, InvoiceLineItem } = require("../../db/models");
 
   console.log(" - create invoice - Creating invoice:");
 
@@ -352,109 +93,32 @@ const createInvoice = async (invoiceJson, document) => {
     DiscountTotal,
   } = invoiceJson;
 
-  const [customer, created] = await Customer.findOrCreate({
-    where: { name: CustomerDetails.CompanyName, CompanyId: document.CompanyId },
-    defaults: {
-      email: "",
-      billing_address: CustomerDetails.BillingAddress,
+  const details = contactDetails("Customer", invoiceJson);
+  const { contact: customer, created } = await findOrCreateLocalContact(
+    "Customer",
+    details,
+    document,
+  );
+  if (created && CustomerDetails.ShippingAddress) {
+    await customer.update({
       shipping_address: CustomerDetails.ShippingAddress,
-      CompanyId: document.CompanyId,
-      UserId: document.UserId,
-    },
-  });
+    });
+  }
 
-  const integration = await Integration.findOne({
-    where: {
-      CompanyId: document.CompanyId,
-      status: "Connected", // Add this condition
+  const entity = await findOrCreateContactMapping(
+    "Customer",
+    customer,
+    {
+      name: customer.name,
+      email: details.email,
+      billingAddress: CustomerDetails.BillingAddress,
+      shippingAddress: CustomerDetails.ShippingAddress,
     },
-  });
-  if (!integration) {
-    throw new Error(
-      "No active QuickBooks integration found. Please connect to QuickBooks first.",
-    );
-  }
-  const quickbooksApi = new quickbooksApiClient(
-    integration.credentials,
-    integration.id,
+    document,
+    channel,
   );
-  //QuickBook API credentails validation
-  // try {
-  //   await quickbooksApi.validateCredentials();
-  // } catch (error) {
-  //   console.error("Invalid Quickbook API credentials:", error);
-  //   throw new Error("Invalid Quickbool API credentials");
-  // }
-
-  let entity = await EntityMapping.findOne({
-    where: {
-      entity_type: "Customer",
-      local_id: customer.id,
-    },
-  });
 
   console.log("entity at createInvoice:", entity);
-
-  if (!entity) {
-    try {
-      // Find the customer by name
-      const existingCustomer = await quickbooksApi.customers.findByName(
-        CustomerDetails.CompanyName,
-      );
-
-      if (existingCustomer) {
-        // If the customer already exists, use its ID
-        entity = await EntityMapping.create({
-          entity_type: "Customer",
-          external_id: existingCustomer.Id,
-          local_id: customer.dataValues.id,
-          CompanyId: document.CompanyId,
-          IntegrationId: integration.id,
-          UserId: document.UserId,
-        });
-      } else {
-        // If the customer doesn't exist, create a new one
-        const response = await quickbooksApi.customers.create({
-          FullyQualifiedName: CustomerDetails?.CompanyName,
-          PrimaryEmailAddr: {
-            Address: "",
-          },
-          DisplayName: CustomerDetails?.CompanyName,
-          PrimaryPhone: {
-            FreeFormNumber: "",
-          },
-          CompanyName: "",
-          BillAddr: {
-            CountrySubDivisionCode: CustomerDetails?.BillingAddress?.State,
-            City: CustomerDetails?.BillingAddress?.City,
-            PostalCode: CustomerDetails?.BillingAddress?.ZipCode,
-            Line1: CustomerDetails?.BillingAddress?.Line1,
-            Country: "",
-          },
-          ShipAddr: {
-            CountrySubDivisionCode: CustomerDetails?.ShippingAddress?.State,
-            City: CustomerDetails?.ShippingAddress?.City,
-            PostalCode: CustomerDetails?.ShippingAddress?.ZipCode,
-            Line1: CustomerDetails?.ShippingAddress?.Line1,
-            Country: "",
-          },
-          GivenName: "",
-        });
-
-        entity = await EntityMapping.create({
-          entity_type: "Customer",
-          external_id: response.body.Customer.Id,
-          local_id: customer.dataValues.id,
-          CompanyId: document.CompanyId,
-          IntegrationId: integration.id,
-          UserId: document.UserId,
-        });
-      }
-    } catch (error) {
-      console.error("Error creating or finding customer:", error);
-      throw new Error("Failed to create or find customer in QuickBooks");
-    }
-  }
   console.log("entity - document:");
 
   const invoice = await Invoice.create({
@@ -486,6 +150,9 @@ const createInvoice = async (invoiceJson, document) => {
   invoice.CustomerId = customer.id;
   await invoice.save();
 
+  await matchItems(invoiceJson, document, channel);
+  await taxes("Invoice", invoiceJson, document);
+
   for (const item of Items) {
     const amount = item.Quantity * item.UnitPrice;
     await InvoiceLineItem.create({
@@ -494,6 +161,20 @@ const createInvoice = async (invoiceJson, document) => {
       quantity: item.Quantity,
       unit_price: item.UnitPrice,
       total_amount: amount,
+      item_ref: item.ItemRef?.value,
+      tax_code_ref: item.TaxCodeRef?.value,
+    });
+  }
+
+  const tax = extractedTax("Invoice", invoiceJson);
+  if (tax.rate || tax.amount) {
+    const taxCodeRef = invoiceJson.TaxDetail?.TaxCodeRef;
+    await InvoiceTax.create({
+      InvoiceId: invoice.id,
+      tax_type: taxCodeRef?.name || "SalesTax",
+      tax_rate: tax.rate,
+      tax_amount: tax.amount,
+      tax_code_ref: taxCodeRef?.value,
     });
   }
 
@@ -502,7 +183,77 @@ const createInvoice = async (invoiceJson, document) => {
   return invoice;
 };
 
-async function createReceipt(receiptJson, document) {
+// Books the lines of an invoice to the items of the company's accounting
+// system, setting ItemRef on the lines. Creates the missing items when the
+// company turned on autoCreateItems.
+async function matchItems(json, document, channel) {
+  const integration = await getActiveIntegration(document.CompanyId);
+  const company = await Company.findByPk(document.CompanyId);
+  channel = channel || getChannel(integration);
+
+  return assignItems(json, {
+    integration,
+    channel,
+    autoCreate: Boolean(company && company.autoCreateItems),
+    defaults: channel.defaultAccounts,
+  });
+}
+
+// Sets the tax codes of the company's accounting system matching the
+// extracted tax rate on the lines, and the document's TaxDetail.
+async function taxes(type, json, document) {
+  const integration = await getActiveIntegration(document.CompanyId);
+  return applyTaxes(type, json, { integration });
+}
+
+// Finds the local Vendor matching the document's vendor, or creates it, and
+// makes sure it is mapped to a vendor of the company's accounting system
+// through EntityMapping.
+async function findOrCreateVendor(VendorDetails, document, channel) {
+  const details = contactDetails("Vendor", { VendorDetails });
+  const { contact: vendor } = await findOrCreateLocalContact(
+    "Vendor",
+    details,
+    document,
+  );
+  await findOrCreateContactMapping(
+    "Vendor",
+    vendor,
+    {
+      name: vendor.name,
+      email: details.email,
+      phone: details.phone,
+      billingAddress: VendorDetails.Address,
+    },
+    document,
+    channel,
+  );
+
+  return vendor;
+}
+
+// Books the lines of a receipt or bill to accounts of the company's chart of
+// accounts, setting AccountRef on the lines (and PaymentAccountRef).
+async function categorize(type, json, vendor, document, channel) {
+  const integration = await getActiveIntegration(document.CompanyId);
+
+  return categorizeExpenses(type, json, {
+    integration,
+    vendor,
+    defaults: (channel || getChannel(integration)).defaultAccounts,
+  });
+}
+
+// Applies the company's categorization rules to the lines of a receipt or
+// bill, over what categorize and taxes chose.
+async function rules(type, json, vendor, document) {
+  return applyRules(type, json, {
+    rules: await loadRules(document.CompanyId),
+    vendor,
+  });
+}
+
+async function createReceipt(receiptJson, document, channel) {
   const {
     TransactionDate,
     TotalAmount,
@@ -515,75 +266,18 @@ async function createReceipt(receiptJson, document) {
   console.log("receipt json : ", receiptJson);
 
   try {
-    const [vendor] = await Vendor.findOrCreate({
-      where: { name: VendorDetails.Name, CompanyId: document.CompanyId },
-      defaults: {
-        email: VendorDetails.Email,
-        address: JSON.stringify(VendorDetails.Address),
-        CompanyId: document.CompanyId,
-        UserId: document.UserId,
-      },
-    });
-    const integration = await Integration.findOne({
-      where: {
-        CompanyId: document.CompanyId,
-        status: "Connected", // Add this condition
-      },
-    });
-    if (!integration) {
-      throw new Error(
-        "No active QuickBooks integration found. Please connect to QuickBooks first.",
-      );
-    }
-    const quickbooksApi = new quickbooksApiClient(
-      integration.credentials,
-      integration.id,
-    );
-
-    let entity = await EntityMapping.findOne({
-      where: {
-        // IntegrationId: integration.id,
-        entity_type: "Vendor",
-        local_id: vendor.id,
-      },
-    });
-
-    if (!entity) {
-      const response = await quickbooksApi.vendors.create({
-        PrimaryEmailAddr: {
-          Address: VendorDetails.Email,
-        },
-        PrimaryPhone: {
-          FreeFormNumber: VendorDetails.PhoneNumber,
-        },
-        DisplayName: VendorDetails.Name,
-        Mobile: {
-          FreeFormNumber: VendorDetails.PhoneNumber,
-        },
-        CompanyName: VendorDetails.Name,
-        BillAddr: {
-          City: VendorDetails.Address.City,
-          Line1: VendorDetails.Address.Line1,
-          PostalCode: VendorDetails.Address.ZipCode,
-          CountrySubDivisionCode: VendorDetails.Address.State,
-        },
-      });
-
-      await EntityMapping.create({
-        entity_type: "Vendor",
-        external_id: response.body.Vendor.Id,
-        local_id: vendor.dataValues.id,
-        CompanyId: document.CompanyId,
-        IntegrationId: integration.id,
-        UserId: document.UserId,
-      });
-    }
+    const vendor = await findOrCreateVendor(VendorDetails, document, channel);
+    await categorize("Receipt", receiptJson, vendor, document, channel);
+    await taxes("Receipt", receiptJson, document);
+    await rules("Receipt", receiptJson, vendor, document);
 
     const receipt = await Purchase.create({
       txn_date: new Date(TransactionDate),
       total_amount: TotalAmount,
       payment_type: "Cash", // passing cash as default
-      account_ref: 93,
+      account_ref: receiptJson.PaymentAccountRef?.value,
+      tax_amount: extractedTax("Receipt", receiptJson).amount || null,
+      tax_code_ref: receiptJson.TaxDetail?.TaxCodeRef?.value,
       custom_fields: JSON.stringify(),
       DocumentId: document.id,
       CompanyId: document.CompanyId,
@@ -598,9 +292,12 @@ async function createReceipt(receiptJson, document) {
       await PurchaseLineItem.create({
         amount: item.Amount,
         // project_ref: item.ProjectRef,
-        account_ref: 92,
-        billable_status: "NotBillable", // passing NotBillable for now
-        // tax_code_ref: item.TaxCodeRef,
+        account_ref: item.AccountRef?.value,
+        billable_status: item.BillableStatus || "NotBillable",
+        tax_code_ref: item.TaxCodeRef?.value,
+        class_ref: item.ClassRef?.value,
+        location_ref: receiptJson.DepartmentRef?.value,
+        customer_ref: item.CustomerRef?.value,
         PurchaseId: receipt.id,
       });
     }
@@ -614,6 +311,79 @@ async function createReceipt(receiptJson, document) {
   }
 }
 
+async function createBill(billJson, document, channel) {
+  const {
+    BillNumber,
+    BillDate,
+    DueDate,
+    Currency,
+    PaymentTerms,
+    Subtotal,
+    SalesTaxAmount,
+    TotalAmount,
+    AmountPaid,
+    BalanceDue,
+    VendorDetails,
+    Items,
+    Notes,
+  } = billJson;
+
+  console.log("bill json : ", billJson);
+
+  try {
+    if (!VendorDetails || !VendorDetails.Name) {
+      throw new Error("Bill is missing the vendor name");
+    }
+
+    const vendor = await findOrCreateVendor(VendorDetails, document, channel);
+    await categorize("Bill", billJson, vendor, document, channel);
+    await taxes("Bill", billJson, document);
+    await rules("Bill", billJson, vendor, document);
+
+    const balanceDue =
+      BalanceDue ?? (AmountPaid ? TotalAmount - AmountPaid : TotalAmount);
+
+    const bill = await Bill.create({
+      bill_number: BillNumber,
+      txn_date: BillDate ? new Date(BillDate) : null,
+      due_date: DueDate ? new Date(DueDate) : null,
+      currency: Currency,
+      payment_terms: PaymentTerms,
+      subtotal: Subtotal,
+      tax_amount:
+        SalesTaxAmount ?? (extractedTax("Bill", billJson).amount || null),
+      tax_code_ref: billJson.TaxDetail?.TaxCodeRef?.value,
+      total_amount: TotalAmount,
+      balance_due: balanceDue,
+      status: balanceDue === 0 ? "Paid" : "Open",
+      notes: Notes,
+      DocumentId: document.id,
+      CompanyId: document.CompanyId,
+      UserId: document.UserId,
+      VendorId: vendor.id,
+    });
+
+    for (const item of Items || []) {
+      await BillLineItem.create({
+        description: item.Description,
+        quantity: item.Quantity,
+        unit_price: item.UnitPrice,
+        amount: item.TotalAmount,
+        account_ref: item.AccountRef?.value,
+        tax_code_ref: item.TaxCodeRef?.value,
+        BillId: bill.id,
+      });
+    }
+
+    console.log("Bill created successfully:", bill.id);
+
+    return bill;
+  } catch (error) {
+    console.error("Error creating bill:", error.message);
+    throw error;
+  }
+}
+
 const processInvoice = async (invoice) => {
   try {
     const invoiceData = await Invoice.findByPk(invoice.id);
@@ -702,9 +472,12 @@ const convertPDFtoImages = async (file) => {
 
 module.exports = {
   processInvoice,
-  processDocument,
   createInvoice,
+  createReceipt,
+  createBill,
+  findOrCreateVendor,
+  transformInvoiceForQuickBooks,
+  validateInvoiceData,
   processFile,
   convertPDFtoImages,
-  processReceiptDocument,
 };
@@ -0,0 +1,307 @@
+const os = require("os");
+const { Op } = require("sequelize");
+const { SyncLog, Document, sequelize } = require("../../db/models");
+const { MAX_ATTEMPTS, retryDecision } = require("./retryPolicy");
+
+require("dotenv").config();
+
+// How long a claimed job stays invisible to other workers before it is
+// considered abandoned (worker crashed or hung) and handed out again.
+const VISIBILITY_TIMEOUT_MS =
+  parseInt(process.env.QUEUE_VISIBILITY_TIMEOUT_MS, 10) || 10 * 60 * 1000;
+
+// Max jobs a single company may have in flight across all workers.
+const COMPANY_CONCURRENCY =
+  parseInt(process.env.QUEUE_COMPANY_CONCURRENCY, 10) || 2;
+
+class JobQueue {
+  constructor(options = {}) {
+    // Unique per process, so a worker never takes over the jobs of another
+    // worker on the same host. Jobs of a worker that died are handed out
+    // again once their visibility timeout expires.
+    this.workerId =
+      options.workerId ||
+      process.env.QUEUE_WORKER_ID ||
+      `${os.hostname()}:${process.pid}`;
+    this.visibilityTimeout = options.visibilityTimeout || VISIBILITY_TIMEOUT_MS;
+    this.companyConcurrency = options.companyConcurrency || COMPANY_CONCURRENCY;
+  }
+
+  async enqueue(jobType, payload, options = {}) {
+    const { transaction, runAt, maxAttempts, ...attributes } = options;
+
+    return SyncLog.create(
+      {
+        entity_type: "Document",
+        sync_date: new Date(),
+        sync_status: "Queued",
+        job_type: jobType,
+        payload: payload,
+        attempts: 0,
+        max_attempts: maxAttempts || MAX_ATTEMPTS,
+        run_at: runAt || new Date(),
+        ...attributes,
+      },
+      { transaction },
+    );
+  }
+
+  // Queued jobs whose run_at has passed, plus Processing jobs whose
+  // visibility timeout expired (the worker holding them died).
+  availableJobsWhere(now) {
+    return {
+      job_type: { [Op.ne]: null },
+      [Op.or]: [
+        {
+          sync_status: "Queued",
+          [Op.or]: [{ run_at: null }, { run_at: { [Op.lte]: now } }],
+        },
+        {
+          sync_status: "Processing",
+          [Op.or]: [{ locked_until: null }, { locked_until: { [Op.lt]: now } }],
+        },
+      ],
+    };
+  }
+
+  async claim(limit = 1) {
+    if (limit <= 0) return [];
+
+    return sequelize.transaction(async (transaction) => {
+      const now = new Date();
+
+      const candidates = await SyncLog.findAll({
+        where: this.availableJobsWhere(now),
+        order: [
+          ["run_at", "ASC"],
+          ["createdAt", "ASC"],
+        ],
+        limit: limit * 5,
+        lock: transaction.LOCK.UPDATE,
+        skipLocked: true,
+        transaction,
+      });
+
+      if (!candidates.length) return [];
+
+      const inFlight = await this.countInFlightByCompany(
+        candidates.map((job) => job.CompanyId),
+        now,
+        transaction,
+      );
+
+      const claimed = [];
+      for (const job of candidates) {
+        if (claimed.length >= limit) break;
+
+        const active = inFlight[job.CompanyId] || 0;
+        if (job.CompanyId && active >= this.companyConcurrency) continue;
+        inFlight[job.CompanyId] = active + 1;
+
+        if (job.sync_status === "Processing") {
+          console.warn(
+            `Recovering job ${job.id} abandoned by ${job.locked_by || "unknown worker"}`,
+          );
+
+          // A job that keeps taking its worker down must not loop forever.
+          if (job.attempts >= (job.max_attempts || MAX_ATTEMPTS)) {
+            await this.deadLetter(
+              job,
+              "Worker stopped while processing the job",
+              "unknown",
+              transaction,
+            );
+            inFlight[job.CompanyId] = active;
+            continue;
+          }
+        }
+
+        await job.update(
+          {
+            sync_status: "Processing",
+            attempts: job.attempts + 1,
+            locked_by: this.workerId,
+            locked_until: new Date(now.getTime() + this.visibilityTimeout),
+          },
+          { transaction },
+        );
+        claimed.push(job);
+      }
+
+      return claimed;
+    });
+  }
+
+  async countInFlightByCompany(companyIds, now, transaction) {
+    const ids = [...new Set(companyIds.filter(Boolean))];
+    if (!ids.length) return {};
+
+    const rows = await SyncLog.findAll({
+      where: {
+        CompanyId: { [Op.in]: ids },
+        sync_status: "Processing",
+        locked_until: { [Op.gte]: now },
+      },
+      attributes: [
+        "CompanyId",
+        [sequelize.fn("COUNT", sequelize.col("id")), "count"],
+      ],
+      group: ["CompanyId"],
+      raw: true,
+      transaction,
+    });
+
+    return rows.reduce((counts, row) => {
+      counts[row.CompanyId] = parseInt(row.count, 10);
+      return counts;
+    }, {});
+  }
+
+  // Pushes the visibility timeout forward for a job that is still running.
+  async heartbeat(job) {
+    const [updated] = await SyncLog.update(
+      { locked_until: new Date(Date.now() + this.visibilityTimeout) },
+      {
+        where: {
+          id: job.id,
+          sync_status: "Processing",
+          locked_by: this.workerId,
+        },
+      },
+    );
+    return updated > 0;
+  }
+
+  async complete(job) {
+    await job.update({
+      sync_status: "Synced",
+      sync_date: new Date(),
+      finished_at: new Date(),
+      locked_until: null,
+      error_message: null,
+    });
+  }
+
+  // Reschedules the job with backoff, or dead-letters it once its failure
+  // class has no attempts left. Returns the retry decision.
+  async fail(job, error) {
+    const errorMessage = String(error?.message || error).slice(0, 255);
+    const decision = retryDecision(
+      error,
+      job.attempts,
+      job.max_attempts || MAX_ATTEMPTS,
+    );
+
+    if (!decision.retry) {
+      await this.deadLetter(job, errorMessage, decision.failureClass);
+      return decision;
+    }
+
+    await job.update({
+      sync_status: "Queued",
+      sync_date: new Date(),
+      run_at: new Date(Date.now() + decision.delayMs),
+      locked_until: null,
+      locked_by: null,
+      failure_class: decision.failureClass,
+      error_message: errorMessage,
+    });
+
+    console.log(
+      `Job ${job.id} will retry in ${Math.round(decision.delayMs / 1000)}s (${decision.failureClass}, attempt ${job.attempts}/${job.max_attempts})`,
+    );
+    return decision;
+  }
+
+  async deadLetter(job, errorMessage, failureClass, transaction) {
+    await job.update(
+      {
+        sync_status: "DeadLetter",
+        sync_date: new Date(),
+        finished_at: new Date(),
+        locked_until: null,
+        failure_class: failureClass,
+        error_message: errorMessage,
+      },
+      { transaction },
+    );
+
+    // MissingData documents wait for the user, keep that status.
+    if (job.DocumentId) {
+      await Document.update(
+        { status: "DeadLetter", error_message: errorMessage },
+        {
+          where: { id: job.DocumentId, status: { [Op.ne]: "MissingData" } },
+          transaction,
+        },
+      );
+    }
+
+    console.warn(
+      `Job ${job.id} dead-lettered (${failureClass}): ${errorMessage}`,
+    );
+  }
+
+  // Gives dead-lettered jobs a fresh set of attempts. The document resumes
+  // from its last completed stage.
+  async requeue(where) {
+    return sequelize.transaction(async (transaction) => {
+      const jobs = await SyncLog.findAll({
+        where: { ...where, sync_status: "DeadLetter" },
+        lock: transaction.LOCK.UPDATE,
+        transaction,
+      });
+
+      for (const job of jobs) {
+        await job.update(
+          {
+            sync_status: "Queued",
+            attempts: 0,
+            run_at: new Date(),
+            finished_at: null,
+            locked_by: null,
+            failure_class: null,
+            error_message: null,
+          },
+          { transaction },
+        );
+      }
+
+      const documentIds = jobs.map((job) => job.DocumentId).filter(Boolean);
+      if (documentIds.length) {
+        await Document.update(
+          { status: "Inbox", error_message: null },
+          { where: { id: { [Op.in]: documentIds } }, transaction },
+        );
+      }
+
+      return jobs;
+    });
+  }
+
+  // Puts back jobs left Processing by a previous run of this worker, so a
+  // restart does not have to wait for their visibility timeout. Only jobs of
+  // the same worker id, e.g. a QUEUE_WORKER_ID kept across restarts, are
+  // recovered.
+  async recover() {
+    const [count] = await SyncLog.update(
+      { sync_status: "Queued", locked_until: null, locked_by: null },
+      {
+        where: {
+          job_type: { [Op.ne]: null },
+          sync_status: "Processing",
+          locked_by: this.workerId,
+        },
+      },
+    );
+
+    if (count > 0) {
+      console.log(
+        `Recovered ${count} job(s) left processing by ${this.workerId}`,
+      );
+    }
+    return count;
+  }
+}
+
+module.exports = JobQueue;
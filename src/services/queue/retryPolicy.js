@@ -0,0 +1,108 @@
+require("dotenv").config();
+
+// Default max attempts for a job, recorded on the SyncLog when enqueued.
+const MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 5;
+
+const TRANSIENT_STATUS_CODES = [408, 409, 425, 429, 500, 502, 503, 504];
+
+const TRANSIENT_ERROR_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "EPIPE",
+];
+
+// maxAttempts null means the job's own max_attempts applies.
+const RETRY_POLICIES = {
+  // Network failures, rate limits and 5xx from OpenAI or QuickBooks.
+  transient: {
+    maxAttempts: null,
+    baseDelayMs: 30 * 1000,
+    maxDelayMs: 60 * 60 * 1000,
+  },
+  // QuickBooks ValidationFault, the data has to be fixed by the user first.
+  validation: { maxAttempts: 1 },
+  // Other 4xx responses, sending the same request again will not help.
+  permanent: { maxAttempts: 1 },
+  // Anything else (bugs, missing records) gets a couple of tries.
+  unknown: {
+    maxAttempts: 3,
+    baseDelayMs: 60 * 1000,
+    maxDelayMs: 60 * 60 * 1000,
+  },
+};
+
+function errorStatus(error) {
+  const status =
+    error?.status ||
+    error?.response?.status ||
+    error?.authResponse?.response?.status ||
+    error?.cause?.response?.status;
+  return status ? Number(status) : null;
+}
+
+function classifyError(error) {
+  if (!error || typeof error !== "object") return "unknown";
+
+  const faultType =
+    error.fault?.type || error.response?.data?.Fault?.type || null;
+  if (faultType === "ValidationFault") return "validation";
+
+  const status = errorStatus(error);
+  if (status) {
+    if (TRANSIENT_STATUS_CODES.includes(status)) return "transient";
+    if (status >= 400 && status < 500) return "permanent";
+  }
+
+  const code = error.code || error.cause?.code;
+  if (TRANSIENT_ERROR_CODES.includes(code)) return "transient";
+
+  // openai-node connection errors carry no status
+  if (
+    error.name === "APIConnectionError" ||
+    error.name === "APIConnectionTimeoutError"
+  ) {
+    return "transient";
+  }
+
+  return "unknown";
+}
+
+// Exponential backoff with up to 20% jitter so jobs that failed together
+// (e.g. during an outage) do not all retry at the same moment.
+function retryDelay(policy, attempts, random = Math.random) {
+  const delay = Math.min(
+    policy.baseDelayMs * 2 ** Math.max(attempts - 1, 0),
+    policy.maxDelayMs,
+  );
+  return Math.round(delay * (1 + random() * 0.2));
+}
+
+// Decides what happens to a job that failed on its `attempts`-th try.
+// Returns { failureClass, retry, delayMs }.
+function retryDecision(error, attempts, maxAttempts = MAX_ATTEMPTS) {
+  const failureClass = classifyError(error);
+  const policy = RETRY_POLICIES[failureClass];
+  const limit = Math.min(policy.maxAttempts || maxAttempts, maxAttempts);
+
+  if (attempts >= limit) {
+    return { failureClass, retry: false, delayMs: null };
+  }
+
+  return {
+    failureClass,
+    retry: true,
+    delayMs: retryDelay(policy, attempts),
+  };
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  RETRY_POLICIES,
+  classifyError,
+  retryDelay,
+  retryDecision,
+};
@@ -0,0 +1,131 @@
+require("dotenv").config();
+
+// Amounts are compared in cents, anything within the tolerance is rounding.
+const TOLERANCE = parseFloat(process.env.RECONCILIATION_TOLERANCE) || 0.01;
+
+const isAmount = (value) => typeof value === "number" && Number.isFinite(value);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const discrepancy = (check, expected, actual, message, extra = {}) => ({
+  check,
+  expected: round(expected),
+  actual: round(actual),
+  difference: round(actual - expected),
+  message,
+  ...extra,
+});
+
+// Quantity * UnitPrice, less the line discount, has to match the line total.
+// The extraction does not say whether Discount is an amount or a percentage,
+// either reading is accepted.
+const checkLines = (items, tolerance) => {
+  const discrepancies = [];
+
+  items.forEach((item, index) => {
+    if (!isAmount(item.TotalAmount) || !isAmount(item.UnitPrice)) return;
+
+    const quantity = isAmount(item.Quantity) ? item.Quantity : 1;
+    const gross = quantity * item.UnitPrice;
+    const discount = isAmount(item.Discount) ? item.Discount : 0;
+    const candidates = [gross - discount, gross * (1 - discount / 100)];
+
+    const matches = candidates.some(
+      (expected) => Math.abs(expected - item.TotalAmount) <= tolerance,
+    );
+    if (!matches) {
+      discrepancies.push(
+        discrepancy(
+          "line_total",
+          candidates[0],
+          item.TotalAmount,
+          `Line ${index + 1}: ${quantity} x ${item.UnitPrice} does not match line total ${item.TotalAmount}`,
+          { line: index },
+        ),
+      );
+    }
+  });
+
+  return discrepancies;
+};
+
+// Checks that the amounts on an extracted invoice (invoiceJsonSchema) add up.
+// Returns { balanced, discrepancies }, checks whose inputs were not
+// extracted are skipped.
+const reconcileInvoice = (invoice, { tolerance = TOLERANCE } = {}) => {
+  const items = Array.isArray(invoice.Items) ? invoice.Items : [];
+  const discrepancies = checkLines(items, tolerance);
+
+  const lineTotals = items.map((item) => item.TotalAmount).filter(isAmount);
+  const lineSum = lineTotals.reduce((sum, amount) => sum + amount, 0);
+
+  if (lineTotals.length && isAmount(invoice.Subtotal)) {
+    if (Math.abs(lineSum - invoice.Subtotal) > tolerance) {
+      discrepancies.push(
+        discrepancy(
+          "line_sum",
+          lineSum,
+          invoice.Subtotal,
+          `Line totals add up to ${round(lineSum)} but the subtotal is ${invoice.Subtotal}`,
+        ),
+      );
+    }
+  }
+
+  const subtotal = isAmount(invoice.Subtotal)
+    ? invoice.Subtotal
+    : lineTotals.length
+      ? lineSum
+      : null;
+
+  if (subtotal !== null && isAmount(invoice.TotalAmount)) {
+    const discount = isAmount(invoice.DiscountTotal)
+      ? invoice.DiscountTotal
+      : 0;
+    const tax = isAmount(invoice.SalesTaxAmount) ? invoice.SalesTaxAmount : 0;
+    const expected = subtotal - discount + tax;
+
+    if (Math.abs(expected - invoice.TotalAmount) > tolerance) {
+      discrepancies.push(
+        discrepancy(
+          "total",
+          expected,
+          invoice.TotalAmount,
+          `Subtotal ${round(subtotal)} - discount ${discount} + tax ${tax} = ${round(expected)} but the total is ${invoice.TotalAmount}`,
+        ),
+      );
+    }
+  }
+
+  // Both are often extracted as 0 when the document does not show them.
+  if (
+    isAmount(invoice.AmountPaid) &&
+    isAmount(invoice.BalanceDue) &&
+    isAmount(invoice.TotalAmount) &&
+    (invoice.AmountPaid !== 0 || invoice.BalanceDue !== 0)
+  ) {
+    const paid = invoice.AmountPaid + invoice.BalanceDue;
+    if (Math.abs(paid - invoice.TotalAmount) > tolerance) {
+      discrepancies.push(
+        discrepancy(
+          "balance",
+          invoice.TotalAmount,
+          paid,
+          `Amount paid ${invoice.AmountPaid} + balance due ${invoice.BalanceDue} does not match the total ${invoice.TotalAmount}`,
+        ),
+      );
+    }
+  }
+
+  return { balanced: discrepancies.length === 0, discrepancies };
+};
+
+// Text handed back to the extractor when asking it to re-check its output.
+const describeDiscrepancies = (discrepancies) =>
+  discrepancies.map(({ message }) => `- ${message}`).join("\n");
+
+module.exports = {
+  TOLERANCE,
+  reconcileInvoice,
+  describeDiscrepancies,
+};
@@ -0,0 +1,230 @@
+const { Op } = require("sequelize");
+const {
+  Document,
+  DocumentReview,
+  Purchase,
+  Bill,
+  sequelize,
+} = require("../../db/models");
+const JobQueue = require("../queue");
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Overlays the fields corrected in review on an extraction. Objects are
+// merged key by key, anything else (including Items) is replaced whole.
+const applyCorrections = (fields, corrections) => {
+  if (!isPlainObject(corrections)) return fields;
+
+  const result = { ...fields };
+  for (const [key, value] of Object.entries(corrections)) {
+    result[key] =
+      isPlainObject(value) && isPlainObject(result[key])
+        ? applyCorrections(result[key], value)
+        : value;
+  }
+  return result;
+};
+
+// Field paths set by `corrections`, e.g. ["TotalAmount",
+// "VendorDetails.Name"], in the format of the field confidence scores.
+const correctedFields = (corrections, prefix = "") =>
+  isPlainObject(corrections)
+    ? Object.entries(corrections).flatMap(([key, value]) =>
+        isPlainObject(value)
+          ? correctedFields(value, `${prefix}${key}.`)
+          : [`${prefix}${key}`],
+      )
+    : [];
+
+// A vendor none of whose receipts or bills was posted yet.
+const isNewVendor = async (localRecord) => {
+  for (const model of [Purchase, Bill]) {
+    const posted = await model.count({
+      where: {
+        VendorId: localRecord.VendorId,
+        id: { [Op.ne]: localRecord.id },
+      },
+      include: [{ model: Document, where: { status: "Processed" } }],
+    });
+    if (posted) return false;
+  }
+  return true;
+};
+
+// Why the company's review policy holds a document with `localRecord` (its
+// Invoice, Purchase or Bill) for a human: "always", "amount" and/or
+// "new_vendor". Empty when it can be posted right away.
+const reviewReasons = async (company, localRecord) => {
+  const reasons = [];
+  if (company.reviewAll) reasons.push("always");
+
+  const threshold = company.reviewAmountAbove;
+  if (
+    threshold !== null &&
+    threshold !== undefined &&
+    Number(localRecord.total_amount) > Number(threshold)
+  ) {
+    reasons.push("amount");
+  }
+
+  if (
+    company.reviewNewVendors &&
+    localRecord.VendorId &&
+    (await isNewVendor(localRecord))
+  ) {
+    reasons.push("new_vendor");
+  }
+
+  return reasons;
+};
+
+const findPendingDocument = async (documentId, companyId) => {
+  const document = await Document.findOne({
+    where: { id: documentId, CompanyId: companyId },
+  });
+  if (!document) {
+    throw new Error("Document not found");
+  }
+  if (document.status !== "PendingReview") {
+    throw new Error("Document is not waiting for review");
+  }
+  return document;
+};
+
+const processedData = (document) => {
+  const data = document.processed_data || {};
+  return typeof data === "string" ? JSON.parse(data || "{}") : data;
+};
+
+// Approves a document of the review queue and queues the rest of its
+// pipeline, which posts it. Returns { document, review, job }.
+const approveDocument = async (
+  documentId,
+  companyId,
+  userId,
+  { comment, queue = new JobQueue() } = {},
+) => {
+  const document = await findPendingDocument(documentId, companyId);
+
+  return sequelize.transaction(async (transaction) => {
+    await document.update(
+      { status: "Ready", review_status: "Approved", error_message: null },
+      { transaction },
+    );
+    const review = await DocumentReview.create(
+      {
+        action: "Approve",
+        payload: document.transformed_data,
+        comment,
+        DocumentId: document.id,
+        CompanyId: document.CompanyId,
+        UserId: userId,
+      },
+      { transaction },
+    );
+    const job = await queue.enqueue(
+      "ProcessDocument",
+      { documentId: document.id },
+      {
+        transaction,
+        text_job_description: `${document.type} - ${document.id} - Approved`,
+        DocumentId: document.id,
+        CompanyId: document.CompanyId,
+        UserId: userId,
+        IntegrationId: document.IntegrationId,
+      },
+    );
+    return { document, review, job };
+  });
+};
+
+// Rejects a document of the review queue, it is never posted.
+const rejectDocument = async (documentId, companyId, userId, { comment }) => {
+  const document = await findPendingDocument(documentId, companyId);
+
+  return sequelize.transaction(async (transaction) => {
+    await document.update(
+      {
+        status: "Rejected",
+        review_status: "Rejected",
+        error_message: comment ? `Rejected: ${comment}`.slice(0, 255) : null,
+      },
+      { transaction },
+    );
+    const review = await DocumentReview.create(
+      {
+        action: "Reject",
+        comment,
+        DocumentId: document.id,
+        CompanyId: document.CompanyId,
+        UserId: userId,
+      },
+      { transaction },
+    );
+    return { document, review };
+  });
+};
+
+// Corrects fields of a document in the review queue. `changes` are in the
+// shape of the extracted document ({ TotalAmount, VendorDetails: { Name } }),
+// they are kept in processed_data.corrections and the document is
+// transformed again with them; it then waits for approval again.
+const editDocument = async (
+  documentId,
+  companyId,
+  userId,
+  { changes, comment, queue = new JobQueue() },
+) => {
+  if (!isPlainObject(changes) || !Object.keys(changes).length) {
+    throw new Error("changes must be an object of corrected fields");
+  }
+  const document = await findPendingDocument(documentId, companyId);
+  const data = processedData(document);
+
+  return sequelize.transaction(async (transaction) => {
+    await document.update(
+      {
+        status: "Processing",
+        processed_data: {
+          ...data,
+          corrections: applyCorrections(data.corrections || {}, changes),
+        },
+      },
+      { transaction },
+    );
+    const review = await DocumentReview.create(
+      {
+        action: "Edit",
+        changes,
+        comment,
+        DocumentId: document.id,
+        CompanyId: document.CompanyId,
+        UserId: userId,
+      },
+      { transaction },
+    );
+    const job = await queue.enqueue(
+      "ProcessDocument",
+      { documentId: document.id, from: "transform" },
+      {
+        transaction,
+        text_job_description: `${document.type} - ${document.id} - Edited in review`,
+        DocumentId: document.id,
+        CompanyId: document.CompanyId,
+        UserId: userId,
+        IntegrationId: document.IntegrationId,
+      },
+    );
+    return { document, review, job };
+  });
+};
+
+module.exports = {
+  applyCorrections,
+  correctedFields,
+  reviewReasons,
+  approveDocument,
+  rejectDocument,
+  editDocument,
+};
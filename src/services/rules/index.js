@@ -0,0 +1,430 @@
+const { Op } = require("sequelize");
+const {
+  CategorizationRule,
+  CategorizationCorrection,
+  Document,
+  Purchase,
+  Bill,
+  PurchaseLineItem,
+} = require("../../db/models");
+
+const RULE_CONDITIONS = [
+  "vendor_ids",
+  "keywords",
+  "min_amount",
+  "max_amount",
+  "payment_types",
+  "currencies",
+];
+
+const RULE_ACTIONS = [
+  "account_ref",
+  "class_ref",
+  "location_ref",
+  "tax_code_ref",
+  "billable_status",
+  "customer_ref",
+];
+
+const BILLABLE_STATUSES = ["Billable", "NotBillable", "HasBeenBilled"];
+
+// Corrections of the same field of a vendor's lines to the same value that
+// make a rule suggestion.
+const SUGGESTION_MIN_CORRECTIONS = 2;
+
+const LIST_CONDITIONS = [
+  "vendor_ids",
+  "keywords",
+  "payment_types",
+  "currencies",
+];
+
+// Throws when `conditions` and `actions` are not in the format of a
+// CategorizationRule.
+const validateRule = ({ conditions = {}, actions }) => {
+  if (!conditions || typeof conditions !== "object") {
+    throw new Error("conditions must be an object");
+  }
+  for (const [key, value] of Object.entries(conditions)) {
+    if (!RULE_CONDITIONS.includes(key)) {
+      throw new Error(`Unknown condition: ${key}`);
+    }
+    if (LIST_CONDITIONS.includes(key) && !Array.isArray(value)) {
+      throw new Error(`${key} must be a list`);
+    }
+    if (
+      ["min_amount", "max_amount"].includes(key) &&
+      value !== null &&
+      isNaN(Number(value))
+    ) {
+      throw new Error(`${key} must be a number`);
+    }
+  }
+
+  if (!actions || typeof actions !== "object" || !Object.keys(actions).length) {
+    throw new Error("actions must set at least one field");
+  }
+  for (const [key, value] of Object.entries(actions)) {
+    if (!RULE_ACTIONS.includes(key)) {
+      throw new Error(`Unknown action: ${key}`);
+    }
+    if (typeof value !== "string" || !value) {
+      throw new Error(`${key} must be an external id`);
+    }
+  }
+  if (
+    actions.billable_status &&
+    !BILLABLE_STATUSES.includes(actions.billable_status)
+  ) {
+    throw new Error(
+      `billable_status must be one of ${BILLABLE_STATUSES.join(", ")}`,
+    );
+  }
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const lineAmount = (type, line) =>
+  Number(type === "Receipt" ? line.Amount : line.TotalAmount);
+
+// True when the line of an extracted receipt or bill meets every condition
+// of `rule`. `context` is { type, vendor, paymentType, currency } of the
+// document. Keywords are matched as whole words of the line description or
+// extracted category, amounts against the line amount (max_amount
+// excluded).
+const matchesRule = (rule, line, context) => {
+  if (rule.active === false) return false;
+  const conditions = rule.conditions || {};
+
+  if (
+    conditions.vendor_ids &&
+    conditions.vendor_ids.length &&
+    !(context.vendor && conditions.vendor_ids.includes(context.vendor.id))
+  ) {
+    return false;
+  }
+
+  if (conditions.keywords && conditions.keywords.length) {
+    const text = [line.Description, line.Category].filter(Boolean).join(" ");
+    const found = conditions.keywords.some((keyword) =>
+      new RegExp(`\\b${escapeRegExp(String(keyword))}\\b`, "i").test(text),
+    );
+    if (!found) return false;
+  }
+
+  const amount = lineAmount(context.type, line);
+  if (
+    conditions.min_amount !== null &&
+    conditions.min_amount !== undefined &&
+    !(amount >= Number(conditions.min_amount))
+  ) {
+    return false;
+  }
+  if (
+    conditions.max_amount !== null &&
+    conditions.max_amount !== undefined &&
+    !(amount < Number(conditions.max_amount))
+  ) {
+    return false;
+  }
+
+  if (
+    conditions.payment_types &&
+    conditions.payment_types.length &&
+    !conditions.payment_types.includes(context.paymentType)
+  ) {
+    return false;
+  }
+
+  if (
+    conditions.currencies &&
+    conditions.currencies.length &&
+    !conditions.currencies
+      .map((currency) => String(currency).toUpperCase())
+      .includes(String(context.currency || "").toUpperCase())
+  ) {
+    return false;
+  }
+
+  return true;
+};
+
+// Highest priority first, the oldest rule first between equal priorities.
+const sortRules = (rules) =>
+  [...rules].sort(
+    (a, b) =>
+      (b.priority || 0) - (a.priority || 0) ||
+      new Date(a.createdAt || 0) - new Date(b.createdAt || 0),
+  );
+
+// The actions applying to a line: each field from the first matching rule
+// setting it. Returns { actions, ruleIds }.
+const resolveActions = (rules, line, context) => {
+  const actions = {};
+  const ruleIds = [];
+  for (const rule of rules) {
+    if (!matchesRule(rule, line, context)) continue;
+
+    let used = false;
+    for (const [key, value] of Object.entries(rule.actions || {})) {
+      if (actions[key] === undefined) {
+        actions[key] = value;
+        used = true;
+      }
+    }
+    if (used) ruleIds.push(rule.id);
+  }
+  return { actions, ruleIds };
+};
+
+// Applies the company's categorization rules to the lines of an extracted
+// receipt (PurchaseLines) or bill (Items), after categorization and taxes
+// so that rules win over both. Sets AccountRef ({ value, source:
+// "company_rule" }), ClassRef, TaxCodeRef, BillableStatus, CustomerRef and
+// RuleIds on the lines, and DepartmentRef on the document from the first
+// line with a location. A line is only made Billable with a customer.
+const applyRules = (type, json, { rules, vendor }) => {
+  if (!rules || !rules.length) return json;
+
+  const context = {
+    type,
+    vendor,
+    paymentType: json.PaymentType,
+    currency: json.Currency,
+  };
+  const sorted = sortRules(rules);
+  const lines = (type === "Receipt" ? json.PurchaseLines : json.Items) || [];
+
+  for (const line of lines) {
+    const { actions, ruleIds } = resolveActions(sorted, line, context);
+    if (!ruleIds.length) continue;
+
+    if (actions.account_ref) {
+      line.AccountRef = { value: actions.account_ref, source: "company_rule" };
+    }
+    if (actions.class_ref) line.ClassRef = { value: actions.class_ref };
+    if (actions.tax_code_ref) line.TaxCodeRef = { value: actions.tax_code_ref };
+    if (actions.customer_ref) {
+      line.CustomerRef = { value: actions.customer_ref };
+    }
+    if (actions.billable_status) {
+      if (actions.billable_status === "Billable" && !line.CustomerRef) {
+        console.log(
+          `Rule ${ruleIds.join(", ")} makes a line billable without a customer, left NotBillable`,
+        );
+      } else {
+        line.BillableStatus = actions.billable_status;
+      }
+    }
+    if (actions.location_ref && !json.DepartmentRef) {
+      json.DepartmentRef = { value: actions.location_ref };
+    }
+    line.RuleIds = ruleIds;
+  }
+
+  return json;
+};
+
+// The company's active rules, highest priority first.
+const loadRules = (companyId) =>
+  CategorizationRule.findAll({
+    where: { CompanyId: companyId, active: true },
+    order: [
+      ["priority", "DESC"],
+      ["createdAt", "ASC"],
+    ],
+  });
+
+// Rule fields of a line, in the format of the actions.
+const lineFields = (json, line) => ({
+  account_ref: line.AccountRef && line.AccountRef.value,
+  class_ref: line.ClassRef && line.ClassRef.value,
+  location_ref: json.DepartmentRef && json.DepartmentRef.value,
+  tax_code_ref: line.TaxCodeRef && line.TaxCodeRef.value,
+  billable_status: line.BillableStatus || "NotBillable",
+  customer_ref: line.CustomerRef && line.CustomerRef.value,
+});
+
+const processedJson = (document) => {
+  let data = document.processed_data || {};
+  if (typeof data === "string") data = JSON.parse(data || "{}");
+  return data.processed_json;
+};
+
+// Dry run of `rules` (the company's active rules when not given) against
+// the company's last `limit` receipts and bills. Returns { documents,
+// lines } where lines lists the lines a rule would change, with the
+// { from, to } of each changed field.
+const previewRules = async (companyId, { rules, limit = 50 } = {}) => {
+  const ruleSet = rules || (await loadRules(companyId));
+  const documents = await Document.findAll({
+    where: {
+      CompanyId: companyId,
+      type: { [Op.in]: ["Receipt", "Bill"] },
+      processed_data: { [Op.ne]: null },
+    },
+    include: [Purchase, Bill],
+    order: [["createdAt", "DESC"]],
+    limit,
+  });
+
+  const lines = [];
+  for (const document of documents) {
+    const json = processedJson(document);
+    if (!json) continue;
+
+    const localRecord =
+      document.type === "Receipt" ? document.Purchase : document.Bill;
+    const vendor = localRecord &&
+      localRecord.VendorId && { id: localRecord.VendorId };
+    const proposed = applyRules(
+      document.type,
+      JSON.parse(JSON.stringify(json)),
+      { rules: ruleSet, vendor },
+    );
+
+    const key = document.type === "Receipt" ? "PurchaseLines" : "Items";
+    (proposed[key] || []).forEach((line, index) => {
+      if (!line.RuleIds) return;
+
+      const before = lineFields(json, json[key][index]);
+      const after = lineFields(proposed, line);
+      const changes = {};
+      for (const field of RULE_ACTIONS) {
+        if (before[field] !== after[field]) {
+          changes[field] = { from: before[field] || null, to: after[field] };
+        }
+      }
+      if (!Object.keys(changes).length) return;
+
+      lines.push({
+        DocumentId: document.id,
+        type: document.type,
+        line: index,
+        description: line.Description || null,
+        amount: lineAmount(document.type, line),
+        rules: line.RuleIds,
+        changes,
+      });
+    });
+  }
+
+  return { documents: documents.length, lines };
+};
+
+// Records the rule fields of the purchase's lines changed by hand: `items`
+// are the corrected lines, in the order of the PurchaseLineItems, with any
+// of the RULE_ACTIONS fields. Updates the line items and returns the
+// CategorizationCorrections created.
+const recordCorrections = async (purchase, items, { userId } = {}) => {
+  if (!Array.isArray(items) || !items.length) return [];
+
+  const lineItems = await PurchaseLineItem.findAll({
+    where: { PurchaseId: purchase.id },
+    order: [["createdAt", "ASC"]],
+  });
+  const document =
+    purchase.DocumentId && (await Document.findByPk(purchase.DocumentId));
+  const extractedLines =
+    (document && (processedJson(document) || {}).PurchaseLines) || [];
+
+  const corrections = [];
+  for (const [index, lineItem] of lineItems.entries()) {
+    const item = items[index];
+    if (!item) continue;
+
+    const changes = {};
+    for (const field of RULE_ACTIONS) {
+      if (item[field] === undefined) continue;
+      const value =
+        item[field] === null || item[field] === "" ? null : String(item[field]);
+      if (value === (lineItem[field] ?? null)) continue;
+
+      changes[field] = value;
+      corrections.push(
+        await CategorizationCorrection.create({
+          field,
+          from_value: lineItem[field],
+          to_value: changes[field],
+          description: (extractedLines[index] || {}).Description || null,
+          CompanyId: purchase.CompanyId,
+          VendorId: purchase.VendorId,
+          PurchaseId: purchase.id,
+          UserId: userId,
+        }),
+      );
+    }
+    if (Object.keys(changes).length) await lineItem.update(changes);
+  }
+  return corrections;
+};
+
+// Rules the company's corrections suggest: a vendor's lines corrected to the
+// same value of a field SUGGESTION_MIN_CORRECTIONS times or more, unless an
+// active rule of the vendor already sets it. Most corrected first.
+const ruleSuggestions = async (companyId) => {
+  const corrections = await CategorizationCorrection.findAll({
+    where: {
+      CompanyId: companyId,
+      VendorId: { [Op.ne]: null },
+      to_value: { [Op.ne]: null },
+    },
+    order: [["createdAt", "DESC"]],
+  });
+  const rules = await loadRules(companyId);
+
+  const groups = new Map();
+  for (const correction of corrections) {
+    const key = [correction.VendorId, correction.field, correction.to_value]
+      .map(String)
+      .join("|");
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(correction);
+  }
+
+  const suggestions = [];
+  for (const group of groups.values()) {
+    if (group.length < SUGGESTION_MIN_CORRECTIONS) continue;
+
+    const [{ VendorId, field, to_value }] = group;
+    const covered = rules.some(
+      (rule) =>
+        (rule.conditions.vendor_ids || []).includes(VendorId) &&
+        rule.actions[field] === to_value,
+    );
+    if (covered) continue;
+
+    suggestions.push({
+      VendorId,
+      field,
+      value: to_value,
+      corrections: group.length,
+      examples: group
+        .map(({ description }) => description)
+        .filter(Boolean)
+        .slice(0, 5),
+      rule: {
+        name: `${field} ${to_value} for vendor ${VendorId}`,
+        priority: 0,
+        conditions: { vendor_ids: [VendorId] },
+        actions: { [field]: to_value },
+      },
+    });
+  }
+
+  return suggestions.sort((a, b) => b.corrections - a.corrections);
+};
+
+module.exports = {
+  RULE_CONDITIONS,
+  RULE_ACTIONS,
+  SUGGESTION_MIN_CORRECTIONS,
+  validateRule,
+  matchesRule,
+  sortRules,
+  applyRules,
+  loadRules,
+  previewRules,
+  recordCorrections,
+  ruleSuggestions,
+};
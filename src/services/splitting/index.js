@@ -0,0 +1,86 @@
+const normalize = (value) =>
+  typeof value === "string"
+    ? value.toLowerCase().replace(/[^a-z0-9]/g, "")
+    : "";
+
+// Decides whether `page` is the first page of a new document, given the
+// document being built so far.
+const startsNewDocument = (current, page) => {
+  // "Page 1 of N"
+  if (page.PageNumber === 1) return true;
+
+  // "Page N of M" that continues the current document
+  if (
+    Number.isInteger(page.PageNumber) &&
+    page.PageNumber === current.lastPageNumber + 1
+  ) {
+    return false;
+  }
+
+  // The current document already has all of its "of M" pages
+  if (current.pageCount && current.pages.length >= current.pageCount) {
+    return true;
+  }
+
+  if (
+    normalize(page.DocumentNumber) &&
+    normalize(current.documentNumber) &&
+    normalize(page.DocumentNumber) !== normalize(current.documentNumber)
+  ) {
+    return true;
+  }
+
+  if (
+    normalize(page.VendorName) &&
+    normalize(current.vendorName) &&
+    normalize(page.VendorName) !== normalize(current.vendorName)
+  ) {
+    return true;
+  }
+
+  return Boolean(page.StartsNewDocument);
+};
+
+// Groups page descriptions (see pageDescriptionJsonSchema) into logical
+// documents. Returns [{ pages: [0, 1], documentType, documentNumber,
+// vendorName }] with 0-based page indexes.
+const groupPages = (pageDescriptions) => {
+  const groups = [];
+  let current = null;
+
+  (pageDescriptions || []).forEach((page = {}, index) => {
+    if (!current || startsNewDocument(current, page)) {
+      current = {
+        pages: [],
+        documentType: null,
+        documentNumber: null,
+        vendorName: null,
+        pageCount: null,
+        lastPageNumber: null,
+      };
+      groups.push(current);
+    }
+
+    current.pages.push(index);
+    current.documentType =
+      current.documentType ||
+      (page.DocumentType !== "Other" ? page.DocumentType : null) ||
+      null;
+    current.documentNumber =
+      current.documentNumber || page.DocumentNumber || null;
+    current.vendorName = current.vendorName || page.VendorName || null;
+    current.pageCount = current.pageCount || page.PageCount || null;
+    current.lastPageNumber = Number.isInteger(page.PageNumber)
+      ? page.PageNumber
+      : null;
+  });
+
+  return groups.map(({ pages, documentType, documentNumber, vendorName }) => ({
+    pages,
+    documentType,
+    documentNumber,
+    vendorName,
+  }));
+};
+
+module.exports = { groupPages };
@@ -30,6 +30,10 @@ AWS.config = new AWS.Config({
 
 const s3 = new AWS.S3();
 
+// Key of an uploaded source file in the bucket.
+const sourceFileKey = (originalname) =>
+  `source/${uuidv4()}.${originalname.split(".").pop()}`;
+
 // Create multer instance with simplified configuration
 const upload = multer({
   storage: multerS3({
@@ -40,8 +44,7 @@ const upload = multer({
       cb(null, { fieldName: file.fieldname });
     },
     key: function (req, file, cb) {
-      const fileExtension = file.originalname.split(".").pop();
-      const newFileName = `source/${uuidv4()}.${fileExtension}`;
+      const newFileName = sourceFileKey(file.originalname);
       console.log("Generating file key:", newFileName);
       cb(null, newFileName);
     },
@@ -51,6 +54,15 @@ const upload = multer({
     fileSize: 50 * 1024 * 1024, // 50MB
   },
 });
+
+// Keeps the file in memory (req.file.buffer), for routes that read it before
+// storing it with uploadSourceFile.
+const uploadToMemory = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB
+  },
+});
 const downloadFileAsBuffer = async (fileKeys) => {
   const fileKey = `${fileKeys.baseDir}/${fileKeys.fileName}.${fileKeys.fileExtension}`;
   console.log("Downloading:", fileKey);
@@ -107,6 +119,15 @@ const uploadFileFromBuffer = async (buffer, fileKey, mimeType) => {
   }
 };
 
+// Stores a file received by uploadToMemory like `upload` does, returns its
+// URL.
+const uploadSourceFile = (file) =>
+  uploadFileFromBuffer(
+    file.buffer,
+    sourceFileKey(file.originalname),
+    file.mimetype,
+  );
+
 const generateFileKey = ({ bucketName, baseDir, fileName, fileExtension }) => {
   const uniqueId = uuidv4();
   return `${bucketName}/${baseDir}/${fileName}-${uniqueId}.${fileExtension}`;
@@ -124,10 +145,29 @@ const extractKeysFromURL = (fileURL) => {
   return { bucketName, baseDir, fileName, fileExtension };
 };
 
+// MIME type of an uploaded file by its extension.
+const CONTENT_TYPES = {
+  pdf: "application/pdf",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  tif: "image/tiff",
+  tiff: "image/tiff",
+  heic: "image/heic",
+};
+
+const contentTypeFor = (fileExtension) =>
+  CONTENT_TYPES[String(fileExtension).toLowerCase()] ||
+  "application/octet-stream";
+
 module.exports = {
   upload,
+  uploadToMemory,
   downloadFileAsBuffer,
   uploadFileFromBuffer,
+  uploadSourceFile,
   generateFileKey,
   extractKeysFromURL,
+  contentTypeFor,
 };
@@ -0,0 +1,161 @@
+const { Op } = require("sequelize");
+const { EntityMapping, Integration, SyncLog } = require("../../db/models");
+const { getChannel } = require("../../channels");
+const JobQueue = require("../queue");
+
+require("dotenv").config();
+
+// Time between two incremental syncs of an integration.
+const SYNC_INTERVAL_MS =
+  parseInt(process.env.INCREMENTAL_SYNC_INTERVAL_MS, 10) || 15 * 60 * 1000;
+
+// QuickBooks only keeps changes for 30 days, older high-water marks need a
+// full import.
+const CDC_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Integration.service_type of QuickBooks integrations.
+const QUICKBOOKS = ["Quickbooks", "QuickBooks"];
+
+// Queues the next IncrementalSync of a QuickBooks integration, unless one is
+// already queued or running. `excludeJobId` is the job scheduling its
+// successor.
+const scheduleIncrementalSync = async (integration, options = {}) => {
+  const {
+    queue = new JobQueue(),
+    runAt = new Date(Date.now() + SYNC_INTERVAL_MS),
+    excludeJobId,
+  } = options;
+
+  const pending = await SyncLog.findOne({
+    where: {
+      job_type: "IncrementalSync",
+      IntegrationId: integration.id,
+      sync_status: { [Op.in]: ["Queued", "Processing"] },
+      ...(excludeJobId ? { id: { [Op.ne]: excludeJobId } } : {}),
+    },
+  });
+  if (pending) return pending;
+
+  return queue.enqueue(
+    "IncrementalSync",
+    { integrationId: integration.id },
+    {
+      runAt,
+      entity_type: "Integration",
+      text_job_description: `Integration - ${integration.id} - Incremental sync`,
+      CompanyId: integration.CompanyId,
+      IntegrationId: integration.id,
+      UserId: integration.UserId,
+    },
+  );
+};
+
+// Imports the changes made in the accounting system since the integration's
+// last_synced_at, or everything when it has none or it is too old for Change
+// Data Capture. Moves last_synced_at to the start of the run, so changes
+// made while it runs are picked up next time. Returns the summary, null when
+// the integration is no longer connected.
+const runIncrementalSync = async (integrationId, options = {}) => {
+  const integration = await Integration.findByPk(integrationId);
+  if (!integration || integration.status !== "Connected") return null;
+
+  const startedAt = new Date();
+  const channel = options.channel || getChannel(integration, options);
+  const since = integration.last_synced_at;
+
+  let summary;
+  if (!since || startedAt - new Date(since) > CDC_MAX_AGE_MS) {
+    console.log(`Integration ${integration.id} needs a full import`);
+    await channel.importContacts();
+    summary = { full: true };
+  } else {
+    summary = await channel.importChanges(new Date(since));
+  }
+
+  await integration.update({ last_synced_at: startedAt });
+  return summary;
+};
+
+// Applies one change notified by a webhook (a RefreshEntity job payload),
+// null when the integration is no longer connected. `options` are passed to
+// the channel like in runIncrementalSync.
+const refreshEntity = async (
+  { integrationId, entity, externalId, operation, deletedId },
+  options = {},
+) => {
+  const integration = await Integration.findByPk(integrationId);
+  if (!integration || integration.status !== "Connected") return null;
+
+  const channel = options.channel || getChannel(integration, options);
+  return channel.refreshEntity({
+    entity,
+    id: externalId,
+    operation,
+    deletedId,
+  });
+};
+
+// Channel method voiding each pushed transaction, by EntityMapping
+// entity_type.
+const VOID_METHODS = {
+  Invoice: "voidInvoice",
+  Receipt: "voidExpense",
+  Bill: "voidBill",
+};
+
+// Voids the pushed transaction of the local Invoice, Purchase or Bill
+// `localId` (`entityType` "Invoice", "Receipt" or "Bill") in the
+// integration's accounting system and marks its mapping Deleted. Returns the
+// mapping. `options` are passed to the channel like in runIncrementalSync.
+const voidTransaction = async (
+  integration,
+  entityType,
+  localId,
+  options = {},
+) => {
+  if (!VOID_METHODS[entityType]) {
+    throw new Error(`Cannot void ${entityType} transactions`);
+  }
+
+  const mapping = await EntityMapping.findOne({
+    where: {
+      IntegrationId: integration.id,
+      entity_type: entityType,
+      local_id: localId,
+    },
+  });
+  if (!mapping) {
+    throw new Error(`${entityType} is not synced with the accounting system`);
+  }
+  if (mapping.sync_status === "Deleted") {
+    throw new Error(`${entityType} is already voided`);
+  }
+
+  const channel = options.channel || getChannel(integration, options);
+  await channel[VOID_METHODS[entityType]](mapping.external_id);
+  return mapping.update({ sync_status: "Deleted" });
+};
+
+// Makes sure every connected QuickBooks integration has its incremental
+// sync scheduled, e.g. when the worker starts.
+const scheduleIncrementalSyncs = async (queue) => {
+  const integrations = await Integration.findAll({
+    where: { status: "Connected", service_type: { [Op.in]: QUICKBOOKS } },
+  });
+
+  for (const integration of integrations) {
+    await scheduleIncrementalSync(integration, { queue, runAt: new Date() });
+  }
+  return integrations.length;
+};
+
+module.exports = {
+  QUICKBOOKS,
+  SYNC_INTERVAL_MS,
+  CDC_MAX_AGE_MS,
+  scheduleIncrementalSync,
+  runIncrementalSync,
+  refreshEntity,
+  voidTransaction,
+  scheduleIncrementalSyncs,
+};
@@ -0,0 +1,147 @@
+const { TaxCode, EntityMapping } = require("../../db/models");
+
+// Percentage points an extracted rate may be off the rate of a tax code,
+// rates computed from rounded amounts are rarely exact.
+const TAX_RATE_TOLERANCE = 0.25;
+
+// Pseudo tax codes of QuickBooks US companies. Their invoice lines are only
+// marked taxable or not, the sales tax code goes on the whole invoice.
+const TAXABLE = "TAX";
+const NON_TAXABLE = "NON";
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Extraction returns rates as 0.05 or as 5, both are 5 percent.
+const percent = (rate) => (rate > 0 && rate < 1 ? rate * 100 : rate);
+
+const documentLines = (type, json) =>
+  (type === "Receipt" ? json.PurchaseLines : json.Items) || [];
+
+const lineAmount = (type, line) =>
+  Number(type === "Receipt" ? line.Amount : line.TotalAmount) || 0;
+
+// The active tax codes of an integration with their external ids.
+const loadTaxCodes = async (integrationId) => {
+  const [taxCodes, mappings] = await Promise.all([
+    TaxCode.findAll({ where: { IntegrationId: integrationId, active: true } }),
+    EntityMapping.findAll({
+      where: { IntegrationId: integrationId, entity_type: "TaxCode" },
+    }),
+  ]);
+
+  const externalIds = new Map(
+    mappings.map((mapping) => [mapping.local_id, mapping.external_id]),
+  );
+  return taxCodes
+    .map((taxCode) => ({
+      ...taxCode.get({ plain: true }),
+      external_id: externalIds.get(taxCode.id),
+    }))
+    .filter((taxCode) => taxCode.external_id);
+};
+
+// The extracted tax of a document as { rate, amount }, rate in percent.
+// The rate is derived from the amount and the net total when the document
+// only shows the amount, and the other way round.
+const extractedTax = (type, json) => {
+  const total = Number(json.TotalAmount) || 0;
+  let amount = Number(json.SalesTaxAmount) || 0;
+  let rate = percent(Number(json.SalesTaxRate) || 0);
+
+  const net = Number(json.Subtotal) || (amount && total ? total - amount : 0);
+  if (!rate && amount && net > 0) rate = round((amount / net) * 100);
+  if (!amount && rate && Number(json.Subtotal)) {
+    amount = round((Number(json.Subtotal) * rate) / 100);
+  }
+
+  return { rate, amount };
+};
+
+// Tax code whose sales (invoices) or purchase (receipts, bills) rate is the
+// closest to `rate`, null when none is within TAX_RATE_TOLERANCE.
+const chooseTaxCode = (rate, taxCodes, kind = "sales") => {
+  const key = kind === "sales" ? "sales_rate" : "purchase_rate";
+
+  let best = null;
+  for (const taxCode of taxCodes) {
+    if (taxCode[key] === null || taxCode[key] === undefined) continue;
+
+    const difference = Math.abs(Number(taxCode[key]) - rate);
+    if (
+      difference <= TAX_RATE_TOLERANCE &&
+      (!best || difference < best.difference)
+    ) {
+      best = { taxCode, difference };
+    }
+  }
+  return best && best.taxCode;
+};
+
+const taxCodeRef = (taxCode) => ({
+  value: taxCode.external_id,
+  name: taxCode.name,
+});
+
+// Sets the tax of an extracted invoice, receipt or bill: `TaxCodeRef` on
+// each line and `TaxDetail` ({ TaxCodeRef, Rate, Amount, Inclusive }) on the
+// document, which the channel transforms use. Inclusive is true when the
+// line amounts already include the tax. Leaves the document as is when no
+// tax code matches.
+const assignTaxCodes = (type, json, taxCodes) => {
+  const { rate, amount } = extractedTax(type, json);
+  const lines = documentLines(type, json);
+  const kind = type === "Invoice" ? "sales" : "purchase";
+  const taxCode = chooseTaxCode(rate, taxCodes, kind);
+
+  if (taxCodes.some((code) => code.external_id === TAXABLE)) {
+    // US companies pay no tax on purchases through QuickBooks.
+    if (type !== "Invoice") return json;
+
+    const lineCode = rate || amount ? TAXABLE : NON_TAXABLE;
+    lines.forEach((line) => {
+      line.TaxCodeRef = { value: lineCode };
+    });
+    json.TaxDetail = {
+      TaxCodeRef: taxCode && lineCode === TAXABLE ? taxCodeRef(taxCode) : null,
+      Rate: rate,
+      Amount: amount,
+    };
+    return json;
+  }
+
+  if (!taxCode) return json;
+
+  const linesTotal = lines.reduce(
+    (total, line) => total + lineAmount(type, line),
+    0,
+  );
+  lines.forEach((line) => {
+    line.TaxCodeRef = taxCodeRef(taxCode);
+  });
+  json.TaxDetail = {
+    TaxCodeRef: taxCodeRef(taxCode),
+    Rate: rate,
+    Amount: amount,
+    Inclusive:
+      amount > 0 && Math.abs(linesTotal - Number(json.TotalAmount)) < 0.01,
+  };
+  return json;
+};
+
+// assignTaxCodes with the tax codes imported for the integration, a no-op
+// when there are none.
+const applyTaxes = async (type, json, { integration }) => {
+  const taxCodes = await loadTaxCodes(integration.id);
+  if (!taxCodes.length) return json;
+
+  return assignTaxCodes(type, json, taxCodes);
+};
+
+module.exports = {
+  TAX_RATE_TOLERANCE,
+  loadTaxCodes,
+  extractedTax,
+  chooseTaxCode,
+  assignTaxCodes,
+  applyTaxes,
+};
@@ -0,0 +1,139 @@
+const crypto = require("crypto");
+const { Op, UniqueConstraintError } = require("sequelize");
+const { Integration, SyncLog } = require("../../db/models");
+const QuickBooksSync = require("../../channels/quickbooks/index");
+const JobQueue = require("../queue");
+const { QUICKBOOKS } = require("../sync");
+
+require("dotenv").config();
+
+// Signs the raw body of a webhook notification the way Intuit does, with the
+// verifier token of the app's webhook settings.
+const sign = (rawBody, verifierToken) =>
+  crypto.createHmac("sha256", verifierToken).update(rawBody).digest("base64");
+
+// True when `signature` (the intuit-signature header) is the signature of
+// `rawBody`. Without a verifier token nothing is accepted.
+const verifySignature = (
+  rawBody,
+  signature,
+  verifierToken = process.env.QUICKBOOKS_WEBHOOK_VERIFIER_TOKEN,
+) => {
+  if (!verifierToken || !signature || !rawBody) return false;
+
+  const expected = Buffer.from(sign(rawBody, verifierToken));
+  const actual = Buffer.from(String(signature));
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+};
+
+// Middleware rejecting notifications not signed by Intuit. Needs the raw
+// body, which app.js keeps as req.rawBody for the webhook route.
+const verifyQuickBooksWebhook = (req, res, next) => {
+  if (!verifySignature(req.rawBody, req.headers["intuit-signature"])) {
+    return res.status(401).send("Invalid signature");
+  }
+  next();
+};
+
+// Flattens a notification into { realmId, entity, id, operation,
+// lastUpdated, deletedId } events, dropping entities that are not synced.
+const webhookEvents = (payload) =>
+  (payload?.eventNotifications || []).flatMap((notification) =>
+    (notification.dataChangeEvent?.entities || [])
+      .filter((entity) => QuickBooksSync.ENTITIES.includes(entity.name))
+      .map((entity) => ({
+        realmId: String(notification.realmId),
+        entity: entity.name,
+        id: String(entity.id),
+        operation: entity.operation,
+        lastUpdated: entity.lastUpdated,
+        deletedId: entity.deletedId,
+      })),
+  );
+
+// Identical for every delivery of the same event.
+const eventKey = (event) =>
+  [
+    event.realmId,
+    event.entity,
+    event.id,
+    event.operation,
+    event.lastUpdated,
+  ].join(":");
+
+const realmId = (integration) => {
+  let credentials = integration.credentials || {};
+  if (typeof credentials === "string") credentials = JSON.parse(credentials);
+  return credentials.realmId && String(credentials.realmId);
+};
+
+// Queues a RefreshEntity job per event of a verified notification. Events
+// of unknown companies and events already queued (replays, Intuit's
+// redeliveries) are skipped. Returns { queued, skipped }.
+const receiveWebhook = async (payload, { queue = new JobQueue() } = {}) => {
+  const events = webhookEvents(payload);
+  const result = { queued: 0, skipped: 0 };
+  if (!events.length) return result;
+
+  const integrations = await Integration.findAll({
+    where: { status: "Connected", service_type: { [Op.in]: QUICKBOOKS } },
+  });
+
+  for (const event of events) {
+    const integration = integrations.find(
+      (candidate) => realmId(candidate) === event.realmId,
+    );
+    const key = eventKey(event);
+
+    if (!integration) {
+      console.warn(`Webhook event for unknown realm ${event.realmId}`);
+      result.skipped++;
+      continue;
+    }
+    if (await SyncLog.findOne({ where: { event_key: key } })) {
+      console.log(`Webhook event ${key} was already received`);
+      result.skipped++;
+      continue;
+    }
+
+    try {
+      await queue.enqueue(
+        "RefreshEntity",
+        {
+          integrationId: integration.id,
+          entity: event.entity,
+          externalId: event.id,
+          operation: event.operation,
+          deletedId: event.deletedId,
+        },
+        {
+          entity_type: "Integration",
+          event_key: key,
+          text_job_description: `${event.entity} - ${event.id} - ${event.operation} in QuickBooks`,
+          CompanyId: integration.CompanyId,
+          IntegrationId: integration.id,
+          UserId: integration.UserId,
+        },
+      );
+      result.queued++;
+    } catch (error) {
+      // A concurrent delivery of the same event queued it first.
+      if (!(error instanceof UniqueConstraintError)) throw error;
+      result.skipped++;
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  sign,
+  verifySignature,
+  verifyQuickBooksWebhook,
+  webhookEvents,
+  eventKey,
+  receiveWebhook,
+};
@@ -8,6 +8,10 @@ const DocumentProcessor = require("./../worker/index");
 const processor = new DocumentProcessor(document.source);
 
 describe("Document Processor - Convert", () => {
+  beforeAll(async () => {
+    await processor.getDocument();
+  });
+
   test("should convert the document to images", async () => {
     await processor.convert();
     expect(Array.isArray(processor.documentImages)).toBeTruthy();
@@ -0,0 +1,59 @@
+const sourceBill = {
+  BillNumber: "INV-20931",
+  BillDate: "2024-03-31",
+  DueDate: "2024-04-30",
+  Currency: "USD",
+  PaymentTerms: "Net 30",
+  Subtotal: 120,
+  SalesTaxAmount: 0,
+  TotalAmount: 120,
+  VendorDetails: {
+    Name: "Acme Office Supplies",
+    Email: "billing@acme.example",
+  },
+  Items: [
+    {
+      Description: "Printer paper",
+      Quantity: 10,
+      UnitPrice: 8,
+      TotalAmount: 80,
+    },
+    { Description: "Toner", Quantity: 1, UnitPrice: 40, TotalAmount: 40 },
+  ],
+};
+
+const QuickBooks = require("../src/channels/quickbooks/Class");
+
+const qb = new QuickBooks();
+
+describe(" - Transform extracted vendor bills into QuickBooks Bills ", () => {
+  test(" transform source bill with the vendor reference", () => {
+    const bill = qb.bill.transform(sourceBill, "56");
+
+    expect(bill.VendorRef).toEqual({ value: "56" });
+    expect(bill.DueDate).toBe("2024-04-30");
+    expect(bill.DocNumber).toBe("INV-20931");
+    expect(bill.Line).toHaveLength(2);
+    expect(bill.Line[0].DetailType).toBe("AccountBasedExpenseLineDetail");
+    expect(bill).not.toHaveProperty("CustomerRef");
+  });
+
+  test(" validate transformed bill", () => {
+    const bill = qb.bill.transform(sourceBill, "56", {
+      expense_account_id: "7",
+    });
+    expect(bill.Line[0].AccountBasedExpenseLineDetail.AccountRef).toEqual({
+      value: "7",
+    });
+    expect(qb.bill.validate(bill)).toBeTruthy();
+  });
+
+  test(" reject bill without lines or vendor", () => {
+    expect(qb.bill.validate({ Line: [], VendorRef: { value: "56" } })).toBe(
+      false,
+    );
+    expect(qb.bill.transform({ ...sourceBill, VendorDetails: undefined })).toBe(
+      false,
+    );
+  });
+});
@@ -0,0 +1,86 @@
+const { groupPages } = require("../src/services/splitting");
+
+const page = (attributes = {}) => ({
+  DocumentType: "Invoice",
+  VendorName: null,
+  DocumentNumber: null,
+  PageNumber: null,
+  PageCount: null,
+  StartsNewDocument: false,
+  ...attributes,
+});
+
+describe("groupPages", () => {
+  test("keeps a single multi-page document together", () => {
+    const groups = groupPages([
+      page({ DocumentNumber: "INV-1", PageNumber: 1, PageCount: 2 }),
+      page({ DocumentNumber: "INV-1", PageNumber: 2, PageCount: 2 }),
+    ]);
+
+    expect(groups).toEqual([
+      {
+        pages: [0, 1],
+        documentType: "Invoice",
+        documentNumber: "INV-1",
+        vendorName: null,
+      },
+    ]);
+  });
+
+  test("starts a new document on page 1", () => {
+    const groups = groupPages([
+      page({ PageNumber: 1, PageCount: 2 }),
+      page({ PageNumber: 2, PageCount: 2 }),
+      page({ PageNumber: 1 }),
+    ]);
+
+    expect(groups.map((group) => group.pages)).toEqual([[0, 1], [2]]);
+  });
+
+  test("starts a new document when the document number changes", () => {
+    const groups = groupPages([
+      page({ DocumentNumber: "INV-1" }),
+      page({ DocumentNumber: "inv 1" }),
+      page({ DocumentNumber: "INV-2" }),
+    ]);
+
+    expect(groups.map((group) => group.pages)).toEqual([[0, 1], [2]]);
+    expect(groups[1].documentNumber).toBe("INV-2");
+  });
+
+  test("starts a new document when the vendor changes", () => {
+    const groups = groupPages([
+      page({ DocumentType: "Receipt", VendorName: "Acme Ltd" }),
+      page({ DocumentType: "Receipt", VendorName: "Globex" }),
+    ]);
+
+    expect(groups.map((group) => group.vendorName)).toEqual([
+      "Acme Ltd",
+      "Globex",
+    ]);
+  });
+
+  test("starts a new document once the page count is reached", () => {
+    const groups = groupPages([
+      page({ PageCount: 1 }),
+      page({ StartsNewDocument: false }),
+    ]);
+
+    expect(groups.map((group) => group.pages)).toEqual([[0], [1]]);
+  });
+
+  test("falls back to StartsNewDocument", () => {
+    const groups = groupPages([
+      page(),
+      page(),
+      page({ StartsNewDocument: true, DocumentType: "Other" }),
+    ]);
+
+    expect(groups.map((group) => group.pages)).toEqual([[0, 1], [2]]);
+    expect(groups[1].documentType).toBeNull();
+  });
+
+  test("returns no groups without page descriptions", () => {
+    expect(groupPages(null)).toEqual([]);
+  });
+});
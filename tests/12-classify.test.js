@@ -0,0 +1,151 @@
+const dotenv = require("dotenv");
+// Load environment variables
+dotenv.config();
+
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const { source } = require("./doc.json");
+const models = require("./../src/db/models");
+const JobQueue = require("./../src/services/queue");
+const { resolveDocumentType } = require("../src/services/classification");
+
+describe("resolveDocumentType", () => {
+  test("uses a confident prediction of a processable type", () => {
+    expect(
+      resolveDocumentType({ DocumentType: "Bill", Confidence: 0.93 }),
+    ).toEqual({ type: "Bill", predictedType: "Bill", confidence: 0.93 });
+  });
+
+  test("holds low-confidence predictions", () => {
+    const result = resolveDocumentType(
+      { DocumentType: "Receipt", Confidence: 0.6 },
+      0.8,
+    );
+
+    expect(result.type).toBeNull();
+    expect(result.predictedType).toBe("Receipt");
+    expect(result.reason).toBe("low_confidence");
+  });
+
+  test("holds predictions without a confidence", () => {
+    expect(resolveDocumentType({ DocumentType: "Invoice" }).reason).toBe(
+      "low_confidence",
+    );
+  });
+
+  test.each(["CreditNote", "Statement", "NonFinancial"])(
+    "does not process %s documents",
+    (documentType) => {
+      const result = resolveDocumentType({
+        DocumentType: documentType,
+        Confidence: 0.99,
+      });
+
+      expect(result.type).toBeNull();
+      expect(result.reason).toBe("unsupported");
+    },
+  );
+
+  test("rejects unknown classes and missing results", () => {
+    expect(
+      resolveDocumentType({ DocumentType: "Letter", Confidence: 1 }).reason,
+    ).toBe("unclassified");
+    expect(resolveDocumentType(null).reason).toBe("unclassified");
+  });
+});
+
+// The tests below need the database, like tests 0 to 4.
+describe(" - Setting the type of a document ", () => {
+  let server;
+  let url;
+  const documents = [];
+
+  const setType = (document, type) =>
+    fetch(
+      `${url}/companies/${source.CompanyId}/documents/${document.id}/type`,
+      {
+        method: "POST",
+        headers: {
+          Authorization: jwt.sign(
+            { id: source.UserId },
+            process.env.JWT_SECRET || "secret",
+          ),
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ type }),
+      },
+    );
+
+  const createDocument = async (values) => {
+    const document = await models.Document.create({
+      CompanyId: source.CompanyId,
+      UserId: source.UserId,
+      status: "MissingData",
+      ...values,
+    });
+    documents.push(document);
+    return document;
+  };
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use(require("./../src/routes/index"));
+    await new Promise((resolve) => {
+      server = app.listen(0, resolve);
+    });
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    const ids = documents.map(({ id }) => id);
+    await models.SyncLog.destroy({ where: { DocumentId: ids } });
+    await models.Document.destroy({ where: { id: ids } });
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test(" restarts at extraction once the document was classified", async () => {
+    const document = await createDocument({ completed_stage: "classify" });
+
+    const response = await setType(document, "Bill");
+    expect(response.status).toBe(202);
+    const { jobId } = await response.json();
+
+    const job = await models.SyncLog.findByPk(jobId);
+    expect(job.payload).toEqual({ documentId: document.id, from: "extract" });
+    expect((await document.reload()).type).toBe("Bill");
+  });
+
+  test(" resumes documents that stopped before they were classified", async () => {
+    const document = await createDocument({
+      completed_stage: null,
+      status: "DeadLetter",
+    });
+
+    const response = await setType(document, "Receipt");
+    expect(response.status).toBe(202);
+    const { jobId } = await response.json();
+
+    const job = await models.SyncLog.findByPk(jobId);
+    expect(job.payload).toEqual({ documentId: document.id });
+    expect((await document.reload()).status).toBe("Inbox");
+  });
+
+  test(" waits for the job processing the document", async () => {
+    const document = await createDocument({ completed_stage: "convert" });
+    await new JobQueue().enqueue(
+      "ProcessDocument",
+      { documentId: document.id },
+      {
+        DocumentId: document.id,
+        CompanyId: source.CompanyId,
+        UserId: source.UserId,
+      },
+    );
+
+    const response = await setType(document, "Invoice");
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toContain("being processed");
+    expect((await document.reload()).type).toBeNull();
+  });
+});
@@ -0,0 +1,168 @@
+const Xero = require("../src/channels/xero/Class");
+const xeroApiClient = require("../src/channels/xero/apiClient/xeroApiClient");
+const { classifyError } = require("../src/services/queue/retryPolicy");
+const { startXeroMockServer } = require("./mocks/xeroServer");
+
+const sourceInvoice = {
+  InvoiceNumber: "INV-1001",
+  Date: "2024-03-01",
+  DueDate: "2024-03-31",
+  Currency: "USD",
+  Subtotal: 150,
+  DiscountTotal: 10,
+  SalesTaxAmount: 0,
+  TotalAmount: 140,
+  CustomerDetails: { CompanyName: "Globex" },
+  VendorDetails: { Name: "Our Company" },
+  Items: [
+    { Description: "Consulting", Quantity: 2, UnitPrice: 50, TotalAmount: 100 },
+    {
+      Description: "Setup",
+      Quantity: 1,
+      UnitPrice: 60,
+      Discount: 10,
+      TotalAmount: 50,
+    },
+  ],
+};
+
+const sourceReceipt = {
+  TransactionDate: "2024-03-05",
+  TotalAmount: 42.5,
+  PaymentType: "Cash",
+  VendorDetails: { Name: "Corner Cafe" },
+  PurchaseLines: [{ Amount: 42.5 }],
+};
+
+const xero = new Xero();
+
+describe(" - Transform extracted documents into Xero payloads ", () => {
+  test(" invoice lines multiply out and the discount is a negative line", () => {
+    const payload = xero.invoice.transform(sourceInvoice, "contact-1");
+
+    expect(payload.Type).toBe("ACCREC");
+    expect(payload.Contact).toEqual({ ContactID: "contact-1" });
+    expect(payload.LineItems).toEqual([
+      {
+        Description: "Consulting",
+        Quantity: 2,
+        UnitAmount: 50,
+        AccountCode: "200",
+      },
+      { Description: "Setup", Quantity: 1, UnitAmount: 50, AccountCode: "200" },
+      {
+        Description: "Discount",
+        Quantity: 1,
+        UnitAmount: -10,
+        AccountCode: "200",
+      },
+    ]);
+    expect(payload.LineAmountTypes).toBe("NoTax");
+    expect(xero.invoice.validate(payload)).toBe(true);
+  });
+
+  test(" receipt becomes a spend money bank transaction", () => {
+    const payload = xero.receipt.transform(sourceReceipt, "contact-2");
+
+    expect(payload.Type).toBe("SPEND");
+    expect(payload.BankAccount).toEqual({ Code: "090" });
+    expect(xero.receipt.validate(payload)).toBe(true);
+  });
+
+  test(" payload without a date is invalid", () => {
+    const payload = xero.invoice.transform(
+      { ...sourceInvoice, Date: undefined, DueDate: undefined },
+      "contact-1",
+    );
+    expect(xero.invoice.validate(payload)).toBe(false);
+  });
+});
+
+describe(" - Xero API client against the mock server ", () => {
+  let server;
+  let client;
+
+  beforeAll(async () => {
+    server = await startXeroMockServer();
+    const options = {
+      apiUrl: server.url,
+      identityUrl: server.url,
+      clientId: "client",
+      clientSecret: "secret",
+    };
+    const { token } = await new xeroApiClient({}, null, options).createToken(
+      "auth-code",
+    );
+    client = new xeroApiClient(token, null, options);
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  test(" connects to the authorised organisation", () => {
+    expect(client.tenantId).toBe(server.state.tenantId);
+    expect(client.isAccessTokenValid()).toBe(true);
+  });
+
+  test(" creates and finds contacts", async () => {
+    const contact = await client.contacts.create({
+      Name: "Globex",
+      IsCustomer: true,
+    });
+
+    expect(contact.ContactID).toBeDefined();
+    expect((await client.contacts.findByName("Globex")).ContactID).toBe(
+      contact.ContactID,
+    );
+    expect(await client.contacts.findByName("Initech")).toBeNull();
+  });
+
+  test(" pushes invoices, bills and bank transactions", async () => {
+    const customer = await client.contacts.findByName("Globex");
+    const supplier = await client.contacts.create({
+      Name: "Corner Cafe",
+      IsSupplier: true,
+    });
+
+    const invoice = await client.invoices.create(
+      xero.invoice.transform(sourceInvoice, customer.ContactID),
+    );
+    expect(invoice.Total).toBe(140);
+
+    // bills.create forces the ACCPAY type
+    const bill = await client.bills.create(
+      xero.invoice.transform(sourceInvoice, supplier.ContactID),
+    );
+    expect(bill.Type).toBe("ACCPAY");
+    expect((await client.bills.list()).bills).toHaveLength(1);
+    expect((await client.invoices.list()).invoices).toHaveLength(1);
+
+    const transaction = await client.bankTransactions.create(
+      xero.receipt.transform(sourceReceipt, supplier.ContactID),
+    );
+    expect(transaction.BankTransactionID).toBeDefined();
+  });
+
+  test(" validation errors look like a QuickBooks ValidationFault", async () => {
+    const payload = xero.invoice.transform(sourceInvoice, "missing-contact");
+
+    const error = await client.invoices.create(payload).catch((e) => e);
+
+    expect(error.status).toBe(400);
+    expect(error.fault.type).toBe("ValidationFault");
+    expect(error.fault.Error[0].Detail).toMatch(/Contact must be specified/);
+    expect(classifyError(error)).toBe("validation");
+  });
+
+  test(" refreshes an expired access token", async () => {
+    const previous = client.config.access_token;
+    client.config.createdAt = Date.now() - 3600 * 1000;
+
+    const accounts = await client.accounts.list('Type=="BANK"');
+
+    expect(accounts.map((account) => account.Code)).toEqual(["090"]);
+    expect(client.config.access_token).not.toBe(previous);
+    expect(client.isAccessTokenValid()).toBe(true);
+  });
+});
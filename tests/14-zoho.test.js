@@ -0,0 +1,132 @@
+const Zoho = require("../src/channels/zoho/Class");
+const { resolveRegion } = require("../src/channels/zoho/regions");
+
+const accounts = {
+  expense_account_id: "460000000000388",
+  paid_through_account_id: "460000000000358",
+};
+
+const sourceBill = {
+  BillNumber: "B-778",
+  BillDate: "2024-04-02",
+  Currency: "EUR",
+  TotalAmount: 95,
+  VendorDetails: { Name: "Stadtwerke" },
+  Items: [
+    { Description: "Electricity", Quantity: 1, UnitPrice: 80, TotalAmount: 80 },
+    { Description: "Meter fee", Quantity: 3, UnitPrice: 6, TotalAmount: 15 },
+  ],
+};
+
+const zoho = new Zoho();
+
+describe(" - Zoho Books data centers ", () => {
+  test(" uses the location sent on the callback", () => {
+    expect(resolveRegion({ location: "eu" })).toEqual({
+      region: "eu",
+      accountsServer: "https://accounts.zoho.eu",
+      apiDomain: "https://www.zohoapis.eu",
+    });
+  });
+
+  test(" recognises a known accounts server", () => {
+    expect(
+      resolveRegion({ accountsServer: "https://accounts.zoho.com.au" }).region,
+    ).toBe("au");
+  });
+
+  test(" ignores unknown domains", () => {
+    const { region, accountsServer } = resolveRegion({
+      location: "mars",
+      accountsServer: "https://accounts.example.com",
+    });
+    expect(region).toBe("us");
+    expect(accountsServer).toBe("https://accounts.zoho.com");
+  });
+});
+
+describe(" - Transform extracted documents into Zoho Books payloads ", () => {
+  test(" bill lines are booked to the default expense account", () => {
+    const payload = zoho.bill.transform(sourceBill, "vendor-1", accounts);
+
+    expect(payload.vendor_id).toBe("vendor-1");
+    expect(payload.due_date).toBe("2024-04-02");
+    expect(payload.line_items).toEqual([
+      {
+        account_id: accounts.expense_account_id,
+        description: "Electricity",
+        rate: 80,
+        quantity: 1,
+      },
+      // 3 x 6 does not make 15, sent as one unit of the line total
+      {
+        account_id: accounts.expense_account_id,
+        description: "Meter fee",
+        rate: 15,
+        quantity: 1,
+      },
+    ]);
+    expect(zoho.bill.validate(payload)).toBe(true);
+  });
+
+  test(" bills need an expense account and a bill number", () => {
+    expect(
+      zoho.bill.validate(zoho.bill.transform(sourceBill, "vendor-1")),
+    ).toBe(false);
+    expect(
+      zoho.bill.validate(
+        zoho.bill.transform(
+          { ...sourceBill, BillNumber: undefined },
+          "vendor-1",
+          accounts,
+        ),
+      ),
+    ).toBe(false);
+  });
+
+  test(" receipt becomes an expense paid through the default account", () => {
+    const payload = zoho.receipt.transform(
+      {
+        TransactionDate: "2024-04-03",
+        TotalAmount: 12.4,
+        VendorDetails: { Name: "Cafe Central" },
+        PurchaseLines: [{ Amount: 12.4 }],
+      },
+      "vendor-2",
+      accounts,
+    );
+
+    expect(payload).toMatchObject({
+      account_id: accounts.expense_account_id,
+      paid_through_account_id: accounts.paid_through_account_id,
+      vendor_id: "vendor-2",
+      amount: 12.4,
+    });
+    expect(zoho.receipt.validate(payload)).toBe(true);
+  });
+
+  test(" invoice discount is applied at entity level", () => {
+    const payload = zoho.invoice.transform(
+      {
+        InvoiceNumber: "INV-9",
+        Date: "2024-04-04",
+        DiscountTotal: 5,
+        CustomerDetails: { CompanyName: "Globex" },
+        Items: [
+          {
+            Description: "Support",
+            Quantity: 2,
+            UnitPrice: 25,
+            TotalAmount: 50,
+          },
+        ],
+      },
+      "customer-1",
+    );
+
+    expect(payload.discount).toBe(5);
+    expect(payload.discount_type).toBe("entity_level");
+    expect(payload.line_items[0]).toMatchObject({ rate: 25, quantity: 2 });
+    expect(zoho.invoice.validate(payload)).toBe(true);
+  });
+});
@@ -0,0 +1,158 @@
+const {
+  getChannel,
+  QuickBooksChannel,
+  XeroChannel,
+  ZohoChannel,
+} = require("../src/channels");
+const xeroApiClient = require("../src/channels/xero/apiClient/xeroApiClient");
+const { startXeroMockServer } = require("./mocks/xeroServer");
+
+const sourceInvoice = {
+  InvoiceNumber: "INV-2001",
+  Date: "2024-04-01",
+  DueDate: "2024-04-30",
+  TotalAmount: 100,
+  CustomerDetails: {
+    CompanyName: "Globex",
+    BillingAddress: { Line1: "1 Main St", City: "Springfield", State: "IL" },
+  },
+  VendorDetails: { Name: "Our Company" },
+  Items: [
+    { Description: "Consulting", Quantity: 2, UnitPrice: 50, TotalAmount: 100 },
+  ],
+};
+
+describe(" - Channel registry ", () => {
+  test(" picks the channel from the integration's service_type", () => {
+    expect(getChannel({ service_type: "Quickbooks" })).toBeInstanceOf(
+      QuickBooksChannel,
+    );
+    expect(getChannel({ service_type: "QuickBooks" })).toBeInstanceOf(
+      QuickBooksChannel,
+    );
+    expect(getChannel({ service_type: "Xero" })).toBeInstanceOf(XeroChannel);
+    expect(getChannel({ service_type: "Zoho" })).toBeInstanceOf(ZohoChannel);
+    expect(() => getChannel({ service_type: "Sage" })).toThrow(
+      "Unknown accounting channel: Sage",
+    );
+  });
+
+  test(" transforms and validates per document type", () => {
+    const quickbooks = getChannel({ service_type: "Quickbooks" });
+
+    const payload = quickbooks.transform("Invoice", sourceInvoice, "42");
+    expect(payload.CustomerRef).toEqual({ value: "42" });
+    expect(payload.BillAddr).toMatchObject({
+      Line1: "1 Main St",
+      CountrySubDivisionCode: "IL",
+    });
+    expect(quickbooks.validate("Invoice", payload)).toBe(true);
+    expect(() => quickbooks.validate("Invoice", {})).toThrow(
+      /Missing required field: CustomerRef/,
+    );
+  });
+
+  test(" books expenses to the integration's default accounts", () => {
+    const zoho = getChannel({
+      service_type: "Zoho",
+      credentials: JSON.stringify({
+        default_accounts: {
+          expense_account_id: "exp-1",
+          paid_through_account_id: "cash-1",
+        },
+      }),
+    });
+
+    const payload = zoho.transform(
+      "Receipt",
+      {
+        TransactionDate: "2024-04-02",
+        TotalAmount: 12,
+        VendorDetails: { Name: "Corner Cafe" },
+        PurchaseLines: [{ Amount: 12 }],
+      },
+      "vendor-1",
+    );
+    expect(payload.account_id).toBe("exp-1");
+    expect(payload.paid_through_account_id).toBe("cash-1");
+  });
+
+  test(" reports methods a channel does not implement", async () => {
+    const xero = getChannel({ service_type: "Xero" });
+    await expect(xero.attachFile("Invoice", "1", {})).rejects.toThrow(
+      "Xero channel does not implement attachFile",
+    );
+  });
+});
+
+describe(" - Xero channel against the mock server ", () => {
+  let server;
+  let channel;
+
+  beforeAll(async () => {
+    server = await startXeroMockServer();
+    const options = {
+      apiUrl: server.url,
+      identityUrl: server.url,
+      clientId: "client",
+      clientSecret: "secret",
+    };
+    const { token } = await new xeroApiClient({}, null, options).createToken(
+      "auth-code",
+    );
+    channel = getChannel(
+      { service_type: "Xero", credentials: token, CompanyId: 1, UserId: 1 },
+      options,
+    );
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  test(" finds an existing contact before creating one", async () => {
+    const created = await channel.findOrCreateContact("Customer", {
+      name: "Globex",
+      billingAddress: sourceInvoice.CustomerDetails.BillingAddress,
+    });
+    const found = await channel.findOrCreateContact("Vendor", {
+      name: "Globex",
+    });
+
+    expect(found).toBe(created);
+    expect(server.state.contacts).toHaveLength(1);
+    expect(server.state.contacts[0].Addresses[0].AddressLine1).toBe(
+      "1 Main St",
+    );
+  });
+
+  test(" pushes, updates and voids an invoice", async () => {
+    const contactId = await channel.findOrCreateContact("Customer", {
+      name: "Globex",
+    });
+    const payload = channel.transform("Invoice", sourceInvoice, contactId);
+    expect(channel.validate("Invoice", payload)).toBe(true);
+
+    const invoiceId = await channel.push("Invoice", payload);
+    await channel.updateInvoice(
+      invoiceId,
+      { invoice_number: "INV-2001-A", due_date: "2024-05-15" },
+      contactId,
+    );
+    let invoice = await channel.api.invoices.get(invoiceId);
+    expect(invoice.InvoiceNumber).toBe("INV-2001-A");
+    expect(invoice.DueDate).toBe("2024-05-15");
+
+    await channel.voidInvoice(invoiceId);
+    invoice = await channel.api.invoices.get(invoiceId);
+    expect(invoice.Status).toBe("VOIDED");
+  });
+
+  test(" imports the chart of accounts", async () => {
+    const accounts = await channel.importAccounts();
+
+    expect(accounts).toContainEqual(
+      expect.objectContaining({ code: "429", type: "EXPENSE", active: true }),
+    );
+  });
+});
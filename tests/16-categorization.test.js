@@ -0,0 +1,142 @@
+const {
+  chooseExpenseAccount,
+  choosePaymentAccount,
+} = require("../src/services/categorization");
+const { getChannel } = require("../src/channels");
+
+// Local Account rows with the QuickBooks ids from EntityMapping.
+const accounts = [
+  ["a-checking", "35", "Checking", "Bank", "Checking"],
+  ["a-visa", "41", "Visa", "Credit Card", "CreditCard"],
+  ["a-meals", "13", "Meals and Entertainment", "Expense", "EntertainmentMeals"],
+  ["a-travel", "58", "Travel", "Expense", "Travel"],
+  ["a-office", "92", "Office Expenses", "Expense", "SuppliesMaterials"],
+  ["a-cash", "93", "Petty Cash", "Bank", "CashOnHand"],
+  [
+    "a-uncategorized",
+    "31",
+    "Uncategorized Expense",
+    "Expense",
+    "OtherMiscellaneousServiceCost",
+  ],
+].map(([id, external_id, name, account_type, account_sub_type]) => ({
+  id,
+  external_id,
+  name,
+  fully_qualified_name: name,
+  account_type,
+  account_sub_type,
+}));
+
+const expenseAccount = (line, options = {}) => {
+  const choice = chooseExpenseAccount(line, { accounts, ...options });
+  return choice && { name: choice.account.name, source: choice.source };
+};
+
+describe(" - Expense categorization ", () => {
+  test(" books a line to the account named like the extracted category", () => {
+    expect(expenseAccount({ category: "Meals" })).toEqual({
+      name: "Meals and Entertainment",
+      source: "suggestion",
+    });
+    expect(expenseAccount({ category: "travel" })).toEqual({
+      name: "Travel",
+      source: "suggestion",
+    });
+  });
+
+  test(" prefers the vendor's default account over the keyword rules", () => {
+    const vendor = { name: "Corner Cafe", DefaultAccountId: "a-travel" };
+
+    expect(expenseAccount({ description: "Coffee" }, { vendor })).toEqual({
+      name: "Travel",
+      source: "vendor",
+    });
+    expect(
+      expenseAccount({ description: "Coffee" }, { vendor: { name: "Cafe" } }),
+    ).toEqual({ name: "Meals and Entertainment", source: "rule" });
+  });
+
+  test(" matches keyword rules on the description and vendor name", () => {
+    expect(expenseAccount({ description: "Taxi to the airport" })).toEqual({
+      name: "Travel",
+      source: "rule",
+    });
+    expect(expenseAccount({ description: "Printer paper" }).name).toBe(
+      "Office Expenses",
+    );
+    expect(
+      expenseAccount({}, { vendor: { name: "Shell Fuel Station" } }),
+    ).toEqual({ name: "Uncategorized Expense", source: "default" });
+  });
+
+  test(" falls back to the integration default, then Uncategorized Expense", () => {
+    expect(expenseAccount({ description: "Widgets" })).toEqual({
+      name: "Uncategorized Expense",
+      source: "default",
+    });
+    expect(
+      expenseAccount(
+        { description: "Widgets" },
+        { defaults: { expense_account_id: "92" } },
+      ),
+    ).toEqual({ name: "Office Expenses", source: "default" });
+    expect(chooseExpenseAccount({}, { accounts: accounts.slice(0, 2) })).toBe(
+      null,
+    );
+  });
+
+  test(" picks the payment account from the payment type", () => {
+    expect(choosePaymentAccount("Cash", { accounts }).name).toBe("Petty Cash");
+    expect(choosePaymentAccount("Check", { accounts }).name).toBe("Checking");
+    expect(choosePaymentAccount("CreditCard", { accounts }).name).toBe("Visa");
+    expect(
+      choosePaymentAccount("Cash", {
+        accounts,
+        defaults: { paid_through_account_id: "35" },
+      }).name,
+    ).toBe("Checking");
+  });
+});
+
+describe(" - QuickBooks expenses with categorized lines ", () => {
+  const quickbooks = getChannel({ service_type: "Quickbooks" });
+  const receipt = {
+    TransactionDate: "2024-05-02",
+    TotalAmount: 30,
+    PaymentType: "Cash",
+    VendorDetails: { Name: "Corner Cafe" },
+    PaymentAccountRef: { value: "93", name: "Petty Cash" },
+    PurchaseLines: [
+      {
+        Amount: 18,
+        AccountRef: { value: "13", name: "Meals and Entertainment" },
+      },
+      { Amount: 12, AccountRef: { value: "58", name: "Travel" } },
+    ],
+  };
+
+  test(" books each line to its account", () => {
+    const payload = quickbooks.transform("Receipt", receipt, "56");
+
+    expect(payload.AccountRef).toEqual({ value: "93", name: "Petty Cash" });
+    expect(
+      payload.Line.map(
+        (line) => line.AccountBasedExpenseLineDetail.AccountRef.value,
+      ),
+    ).toEqual(["13", "58"]);
+    expect(quickbooks.validate("Receipt", payload)).toBe(true);
+  });
+
+  test(" rejects lines without an account", () => {
+    const payload = quickbooks.transform(
+      "Receipt",
+      { ...receipt, PurchaseLines: [{ Amount: 30 }] },
+      "56",
+    );
+
+    expect(() => quickbooks.validate("Receipt", payload)).toThrow(
+      "Receipt has no account to book to",
+    );
+  });
+});
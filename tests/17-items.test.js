@@ -0,0 +1,156 @@
+const {
+  similarity,
+  matchItem,
+  chooseIncomeAccount,
+} = require("../src/services/items");
+const { getChannel } = require("../src/channels");
+const { startQuickBooksMockServer } = require("./mocks/quickbooksServer");
+
+// Local Item rows with the QuickBooks ids from EntityMapping.
+const items = [
+  ["i-services", "1", "Services", null],
+  ["i-hours", "2", "Hours", null],
+  ["i-logo", "7", "Logo Design", "LD-01"],
+  ["i-hosting", "8", "Web Hosting", "WH-12"],
+].map(([id, external_id, name, sku]) => ({
+  id,
+  external_id,
+  name,
+  fully_qualified_name: name,
+  sku,
+}));
+
+const matchedName = (description) => {
+  const match = matchItem(description, items);
+  return match && match.item.name;
+};
+
+describe(" - Item matching ", () => {
+  test(" scores similar descriptions higher", () => {
+    expect(similarity("Web Hosting", "web hosting")).toBe(1);
+    expect(similarity("Web hostng", "Web Hosting")).toBeGreaterThan(0.8);
+    expect(similarity("Consulting", "Web Hosting")).toBeLessThan(0.4);
+    expect(similarity("", "Web Hosting")).toBe(0);
+  });
+
+  test(" matches line descriptions to the closest item", () => {
+    expect(matchedName("Logo design - 3 drafts")).toBe("Logo Design");
+    expect(matchedName("Webhosting (annual)")).toBe("Web Hosting");
+    expect(matchedName("Consulting hours")).toBe("Hours");
+    expect(matchedName("Catering")).toBe(null);
+    expect(matchedName(undefined)).toBe(null);
+  });
+
+  test(" matches a SKU in the description exactly", () => {
+    expect(matchItem("Annual plan WH-12", items)).toEqual({
+      item: items[3],
+      score: 1,
+    });
+  });
+
+  test(" books created items to a service income account", () => {
+    const accounts = [
+      { external_id: "31", account_type: "Expense" },
+      { external_id: "80", account_type: "Income", account_sub_type: "Other" },
+      {
+        external_id: "79",
+        account_type: "Income",
+        account_sub_type: "ServiceFeeIncome",
+      },
+    ];
+
+    expect(chooseIncomeAccount(accounts).external_id).toBe("79");
+    expect(
+      chooseIncomeAccount(accounts, { income_account_id: "80" }).external_id,
+    ).toBe("80");
+    expect(chooseIncomeAccount(accounts.slice(0, 1))).toBe(null);
+  });
+});
+
+describe(" - QuickBooks invoices with items ", () => {
+  const invoice = {
+    InvoiceNumber: "INV-4001",
+    Date: "2024-06-01",
+    DueDate: "2024-06-30",
+    TotalAmount: 150,
+    CustomerDetails: { CompanyName: "Globex" },
+    VendorDetails: { Name: "Our Company" },
+    Items: [
+      {
+        Description: "Logo design",
+        Quantity: 1,
+        UnitPrice: 100,
+        TotalAmount: 100,
+        ItemRef: { value: "7", name: "Logo Design", source: "match" },
+      },
+      { Description: "Misc", Quantity: 1, UnitPrice: 50, TotalAmount: 50 },
+    ],
+  };
+
+  let server;
+  let channel;
+
+  beforeAll(async () => {
+    server = await startQuickBooksMockServer();
+    channel = getChannel(
+      { service_type: "Quickbooks", credentials: server.credentials() },
+      { apiUrl: server.url, tokenUrl: server.tokenUrl },
+    );
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  test(" sends the matched item of each line", () => {
+    const payload = channel.transform("Invoice", invoice, "42");
+    const itemRefs = payload.Line.filter(
+      (line) => line.DetailType === "SalesItemLineDetail",
+    ).map((line) => line.SalesItemLineDetail.ItemRef);
+
+    expect(itemRefs).toEqual([{ value: "7", name: "Logo Design" }, undefined]);
+    expect(
+      channel.documents.invoice.transform(invoice).Line[0].SalesItemLineDetail,
+    ).toEqual({ ItemRef: { value: "7", name: "Logo Design" } });
+  });
+
+  test(" finds an existing item before creating one", async () => {
+    const details = {
+      name: "Logo Design",
+      description: "Logo design",
+      unitPrice: 100,
+      incomeAccountId: "79",
+    };
+
+    expect(
+      await channel.findOrCreateItem({ ...details, name: "Services" }),
+    ).toBe("1");
+
+    const created = await channel.findOrCreateItem(details);
+    expect(await channel.findOrCreateItem(details)).toBe(created);
+    expect(
+      server.state.entities.Item.find(({ Id }) => Id === created),
+    ).toMatchObject({
+      Name: "Logo Design",
+      Type: "Service",
+      IncomeAccountRef: { value: "79" },
+    });
+  });
+
+  test(" rejects invoice lines with an unknown item", async () => {
+    const customerId = await channel.findOrCreateContact("Customer", {
+      name: "Globex",
+    });
+    const payload = channel.transform(
+      "Invoice",
+      {
+        ...invoice,
+        Items: [{ ...invoice.Items[0], ItemRef: { value: "999" } }],
+      },
+      customerId,
+    );
+
+    const error = await channel.push("Invoice", payload).catch((e) => e);
+    expect(error.fault.Error.map(({ code }) => code)).toEqual(["2500"]);
+  });
+});
@@ -0,0 +1,201 @@
+const {
+  extractedTax,
+  chooseTaxCode,
+  assignTaxCodes,
+} = require("../src/services/tax");
+const { getChannel } = require("../src/channels");
+const { startQuickBooksMockServer } = require("./mocks/quickbooksServer");
+
+// Local TaxCode rows with the QuickBooks ids from EntityMapping.
+const taxCode = (external_id, name, sales_rate, purchase_rate = null) => ({
+  id: `t-${external_id}`,
+  external_id,
+  name,
+  sales_rate,
+  purchase_rate,
+});
+
+const usTaxCodes = [
+  taxCode("TAX", "TAX", null),
+  taxCode("NON", "NON", null),
+  taxCode("2", "California", 8.5),
+  taxCode("5", "Nevada", 6.85),
+];
+
+const globalTaxCodes = [
+  taxCode("10", "20.0% S", 20, 20),
+  taxCode("11", "5.0% R", 5, 5),
+  taxCode("12", "0.0% Z", 0, 0),
+];
+
+const invoice = (tax = {}) => ({
+  InvoiceNumber: "INV-5001",
+  Date: "2024-07-01",
+  DueDate: "2024-07-31",
+  Subtotal: 200,
+  TotalAmount: 200 + (tax.SalesTaxAmount || 0),
+  CustomerDetails: { CompanyName: "Globex" },
+  Items: [
+    {
+      Description: "Consulting",
+      Quantity: 1,
+      UnitPrice: 150,
+      TotalAmount: 150,
+    },
+    { Description: "Hosting", Quantity: 1, UnitPrice: 50, TotalAmount: 50 },
+  ],
+  ...tax,
+});
+
+describe(" - Extracted tax ", () => {
+  test(" derives the rate from the amount and the other way round", () => {
+    expect(extractedTax("Invoice", invoice({ SalesTaxAmount: 17 }))).toEqual({
+      rate: 8.5,
+      amount: 17,
+    });
+    expect(extractedTax("Invoice", invoice({ SalesTaxRate: 0.085 }))).toEqual({
+      rate: 8.5,
+      amount: 17,
+    });
+    expect(extractedTax("Invoice", invoice())).toEqual({ rate: 0, amount: 0 });
+  });
+
+  test(" matches the closest sales or purchase rate", () => {
+    expect(chooseTaxCode(8.5, usTaxCodes).name).toBe("California");
+    expect(chooseTaxCode(8.42, usTaxCodes).name).toBe("California");
+    expect(chooseTaxCode(7.5, usTaxCodes)).toBe(null);
+    expect(chooseTaxCode(8.5, usTaxCodes, "purchase")).toBe(null);
+    expect(chooseTaxCode(20, globalTaxCodes, "purchase").name).toBe("20.0% S");
+  });
+});
+
+describe(" - Tax codes on documents ", () => {
+  test(" marks US invoice lines taxable and sets the sales tax code", () => {
+    const taxed = assignTaxCodes(
+      "Invoice",
+      invoice({ SalesTaxAmount: 17 }),
+      usTaxCodes,
+    );
+    expect(taxed.Items.map((item) => item.TaxCodeRef)).toEqual([
+      { value: "TAX" },
+      { value: "TAX" },
+    ]);
+    expect(taxed.TaxDetail).toEqual({
+      TaxCodeRef: { value: "2", name: "California" },
+      Rate: 8.5,
+      Amount: 17,
+    });
+
+    const untaxed = assignTaxCodes("Invoice", invoice(), usTaxCodes);
+    expect(untaxed.Items[0].TaxCodeRef).toEqual({ value: "NON" });
+    expect(untaxed.TaxDetail.TaxCodeRef).toBe(null);
+
+    const receipt = { TotalAmount: 10, PurchaseLines: [{ Amount: 10 }] };
+    expect(assignTaxCodes("Receipt", receipt, usTaxCodes)).toEqual(receipt);
+  });
+
+  test(" puts the tax code on each line of other companies", () => {
+    const bill = assignTaxCodes(
+      "Bill",
+      { ...invoice({ SalesTaxAmount: 40 }), Subtotal: undefined },
+      globalTaxCodes,
+    );
+    expect(bill.Items[1].TaxCodeRef).toEqual({ value: "10", name: "20.0% S" });
+    expect(bill.TaxDetail).toMatchObject({ Amount: 40, Inclusive: false });
+
+    const receipt = assignTaxCodes(
+      "Receipt",
+      {
+        TotalAmount: 10.5,
+        SalesTaxAmount: 0.5,
+        PurchaseLines: [{ Amount: 10.5 }],
+      },
+      globalTaxCodes,
+    );
+    expect(receipt.PurchaseLines[0].TaxCodeRef.name).toBe("5.0% R");
+    expect(receipt.TaxDetail.Inclusive).toBe(true);
+  });
+});
+
+describe(" - QuickBooks transactions with tax ", () => {
+  let server;
+  let channel;
+
+  beforeAll(async () => {
+    server = await startQuickBooksMockServer();
+    channel = getChannel(
+      { service_type: "Quickbooks", credentials: server.credentials() },
+      { apiUrl: server.url, tokenUrl: server.tokenUrl },
+    );
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  test(" pushes the invoice tax", async () => {
+    const customerId = await channel.findOrCreateContact("Customer", {
+      name: "Globex",
+    });
+    const json = assignTaxCodes(
+      "Invoice",
+      invoice({ SalesTaxAmount: 17 }),
+      usTaxCodes,
+    );
+    const payload = channel.transform("Invoice", json, customerId);
+
+    expect(payload.Line[0].SalesItemLineDetail.TaxCodeRef).toEqual({
+      value: "TAX",
+    });
+    expect(payload.TxnTaxDetail).toEqual({
+      TxnTaxCodeRef: { value: "2" },
+      TotalTax: 17,
+    });
+
+    const invoiceId = await channel.push("Invoice", payload);
+    expect((await channel.api.invoices.get(invoiceId)).TotalAmt).toBe(217);
+  });
+
+  test(" books expense and bill lines with their tax code", () => {
+    const receipt = channel.transform(
+      "Receipt",
+      assignTaxCodes(
+        "Receipt",
+        {
+          TransactionDate: "2024-07-02",
+          TotalAmount: 12,
+          SalesTaxAmount: 2,
+          PaymentType: "Cash",
+          VendorDetails: { Name: "Corner Cafe" },
+          PaymentAccountRef: { value: "35" },
+          PurchaseLines: [{ Amount: 12, AccountRef: { value: "13" } }],
+        },
+        globalTaxCodes,
+      ),
+      "56",
+    );
+    expect(receipt.Line[0].AccountBasedExpenseLineDetail.TaxCodeRef).toEqual({
+      value: "10",
+    });
+    expect(receipt).toMatchObject({
+      GlobalTaxCalculation: "TaxInclusive",
+      TxnTaxDetail: { TxnTaxCodeRef: { value: "10" }, TotalTax: 2 },
+    });
+    expect(channel.validate("Receipt", receipt)).toBe(true);
+
+    const bill = channel.transform(
+      "Bill",
+      {
+        BillNumber: "B-1",
+        VendorDetails: { Name: "Acme" },
+        TotalAmount: 100,
+        Items: [{ TotalAmount: 100, AccountRef: { value: "92" } }],
+      },
+      "56",
+    );
+    expect(bill.TxnTaxDetail).toBe(undefined);
+    expect(bill.Line[0].AccountBasedExpenseLineDetail.TaxCodeRef).toBe(
+      undefined,
+    );
+  });
+});
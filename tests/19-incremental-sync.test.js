@@ -0,0 +1,72 @@
+const quickbooksApiClient = require("../src/channels/quickbooks/apiClient/quickbooksApiClient");
+const { getChannel } = require("../src/channels");
+const { CDC_MAX_AGE_MS } = require("../src/services/sync");
+const { startQuickBooksMockServer } = require("./mocks/quickbooksServer");
+
+describe(" - QuickBooks Change Data Capture ", () => {
+  let server;
+  let client;
+  let channel;
+
+  beforeAll(async () => {
+    server = await startQuickBooksMockServer();
+    const options = { apiUrl: server.url, tokenUrl: server.tokenUrl };
+    client = new quickbooksApiClient(server.credentials(), null, options);
+    channel = getChannel(
+      { service_type: "Quickbooks", credentials: server.credentials() },
+      options,
+    );
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  test(" returns the records changed since the high-water mark", async () => {
+    const since = new Date();
+    server.state.entities.Customer.push({
+      Id: "1",
+      DisplayName: "Old Customer",
+      MetaData: { LastUpdatedTime: "2020-01-01T00:00:00.000Z" },
+    });
+
+    const customerId = await channel.findOrCreateContact("Customer", {
+      name: "Globex",
+    });
+    const vendorId = await channel.findOrCreateContact("Vendor", {
+      name: "Acme Supplies",
+    });
+
+    const changes = await client.cdc(["Customer", "Vendor", "Invoice"], since);
+    expect(changes.Customer.map(({ Id }) => Id)).toEqual([customerId]);
+    expect(changes.Vendor[0]).toMatchObject({
+      Id: vendorId,
+      DisplayName: "Acme Supplies",
+    });
+    expect(changes.Invoice).toBe(undefined);
+  });
+
+  test(" reports deleted records with their id only", async () => {
+    server.state.entities.Purchase.push({
+      Id: "70",
+      SyncToken: "0",
+      TotalAmt: 12,
+      MetaData: { LastUpdatedTime: "2020-01-01T00:00:00.000Z" },
+    });
+    const since = new Date();
+    await client.expenses.delete({ Id: "70", SyncToken: "0" });
+
+    const changes = await client.cdc(["Purchase"], since);
+    expect(changes.Purchase).toEqual([
+      expect.objectContaining({ Id: "70", status: "Deleted" }),
+    ]);
+  });
+
+  test(" rejects high-water marks older than 30 days", async () => {
+    const error = await client
+      .cdc(["Customer"], new Date(Date.now() - CDC_MAX_AGE_MS - 60000))
+      .catch((e) => e);
+    expect(error.status).toBe(400);
+    expect(error.fault.type).toBe("ValidationFault");
+  });
+});
@@ -4,11 +4,19 @@ dotenv.config();
 
 const { source, processed } = require("./doc.json");
 const DocumentProcessor = require("./../worker/index");
+const { FixtureProvider } = require("./../src/services/extraction");
 
-const processor = new DocumentProcessor(source);
+// Replays the extraction recorded in doc.json, no OpenAI calls.
+const processor = new DocumentProcessor(source, {
+  extractionProvider: new FixtureProvider(),
+});
 processor.processedImages = processed.processedImages;
 
 describe("Document Processor - Extract", () => {
+  beforeAll(async () => {
+    await processor.getDocument();
+  });
+
   test("should extract raw json from the document", async () => {
     await processor.extract();
     expect(processor.documentRawJSON).toBeDefined();
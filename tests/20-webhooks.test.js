@@ -0,0 +1,163 @@
+const express = require("express");
+const quickbooksApiClient = require("../src/channels/quickbooks/apiClient/quickbooksApiClient");
+const {
+  sign,
+  verifySignature,
+  verifyQuickBooksWebhook,
+  webhookEvents,
+  eventKey,
+} = require("../src/services/webhooks");
+const { startQuickBooksMockServer } = require("./mocks/quickbooksServer");
+const { webhookPayload, postWebhook } = require("./mocks/quickbooksWebhooks");
+
+const verifierToken = "test-verifier-token";
+const realmId = "9130350000000001";
+
+describe(" - Webhook signatures ", () => {
+  test(" accepts the HMAC-SHA256 of the raw body only", () => {
+    const body = JSON.stringify(
+      webhookPayload(realmId, [
+        { name: "Customer", id: "1", operation: "Update" },
+      ]),
+    );
+    const signature = sign(body, verifierToken);
+
+    expect(verifySignature(body, signature, verifierToken)).toBe(true);
+    expect(verifySignature(`${body} `, signature, verifierToken)).toBe(false);
+    expect(verifySignature(body, signature, "other-token")).toBe(false);
+    expect(verifySignature(body, undefined, verifierToken)).toBe(false);
+    expect(verifySignature(body, signature, undefined)).toBe(false);
+  });
+});
+
+describe(" - Webhook events ", () => {
+  test(" keeps the synced entities of every notification", () => {
+    const payload = webhookPayload(realmId, [
+      {
+        name: "Customer",
+        id: 5,
+        operation: "Merge",
+        deletedId: "4",
+        lastUpdated: "2024-08-01T10:00:00.000Z",
+      },
+      { name: "Payment", id: "9", operation: "Create" },
+      { name: "Vendor", id: "56", operation: "Delete" },
+    ]);
+
+    const events = webhookEvents(payload);
+    expect(events).toHaveLength(2);
+    expect(events[0]).toEqual({
+      realmId,
+      entity: "Customer",
+      id: "5",
+      operation: "Merge",
+      lastUpdated: "2024-08-01T10:00:00.000Z",
+      deletedId: "4",
+    });
+    expect(eventKey(events[0])).toBe(
+      `${realmId}:Customer:5:Merge:2024-08-01T10:00:00.000Z`,
+    );
+    expect(webhookEvents({})).toEqual([]);
+  });
+});
+
+describe(" - Webhook endpoint ", () => {
+  let server;
+  let url;
+  let received;
+
+  beforeAll(async () => {
+    process.env.QUICKBOOKS_WEBHOOK_VERIFIER_TOKEN = verifierToken;
+
+    // Parses the body like app.js does for the webhook route.
+    const app = express();
+    app.use(
+      express.json({
+        verify: (req, res, buf) => {
+          req.rawBody = buf;
+        },
+      }),
+    );
+    app.post("/quickbooks/webhooks", verifyQuickBooksWebhook, (req, res) => {
+      received.push(...webhookEvents(req.body));
+      res.sendStatus(200);
+    });
+
+    await new Promise((resolve) => {
+      server = app.listen(0, "127.0.0.1", resolve);
+    });
+    url = `http://127.0.0.1:${server.address().port}/quickbooks/webhooks`;
+  });
+
+  beforeEach(() => {
+    received = [];
+  });
+
+  afterAll(async () => {
+    delete process.env.QUICKBOOKS_WEBHOOK_VERIFIER_TOKEN;
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test(" accepts signed notifications", async () => {
+    const response = await postWebhook(
+      url,
+      webhookPayload(realmId, [
+        { name: "Invoice", id: "130", operation: "Update" },
+      ]),
+      verifierToken,
+    );
+
+    expect(response.status).toBe(200);
+    expect(received.map(({ entity, id }) => [entity, id])).toEqual([
+      ["Invoice", "130"],
+    ]);
+  });
+
+  test(" rejects unsigned and tampered notifications", async () => {
+    const payload = webhookPayload(realmId, [
+      { name: "Invoice", id: "130", operation: "Delete" },
+    ]);
+
+    const unsigned = await postWebhook(url, payload, verifierToken, {
+      signature: "",
+    });
+    const tampered = await postWebhook(url, payload, verifierToken, {
+      signature: sign(
+        JSON.stringify({ eventNotifications: [] }),
+        verifierToken,
+      ),
+    });
+    const wrongToken = await postWebhook(url, payload, "other-token");
+
+    expect([unsigned.status, tampered.status, wrongToken.status]).toEqual([
+      401, 401, 401,
+    ]);
+    expect(received).toEqual([]);
+  });
+});
+
+describe(" - Reading notified records ", () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startQuickBooksMockServer();
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  test(" reads any synced entity by id", async () => {
+    const client = new quickbooksApiClient(server.credentials(), null, {
+      apiUrl: server.url,
+      tokenUrl: server.tokenUrl,
+    });
+
+    expect(await client.read("Account", "35")).toMatchObject({
+      Id: "35",
+      Name: "Checking",
+    });
+    const error = await client.read("Vendor", "999").catch((e) => e);
+    expect(error.fault.Error[0].code).toBe("610");
+  });
+});
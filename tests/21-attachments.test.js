@@ -0,0 +1,84 @@
+const { getChannel } = require("../src/channels");
+const { contentTypeFor } = require("../src/services/storage");
+const { startQuickBooksMockServer } = require("./mocks/quickbooksServer");
+
+describe(" - Source file attachments ", () => {
+  let server;
+  let channel;
+
+  const file = {
+    buffer: Buffer.from("%PDF-1.4 receipt scan\r\n--not-a-boundary\r\n"),
+    fileName: "receipt-0042.pdf",
+    contentType: contentTypeFor("PDF"),
+  };
+
+  beforeAll(async () => {
+    server = await startQuickBooksMockServer();
+    channel = getChannel(
+      { service_type: "Quickbooks", credentials: server.credentials() },
+      { apiUrl: server.url, tokenUrl: server.tokenUrl },
+    );
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  test(" uploads the file and links it to the invoice", async () => {
+    const customerId = await channel.findOrCreateContact("Customer", {
+      name: "Globex",
+    });
+    const invoiceId = await channel.push(
+      "Invoice",
+      channel.transform(
+        "Invoice",
+        {
+          InvoiceNumber: "INV-6001",
+          Date: "2024-09-01",
+          DueDate: "2024-09-30",
+          TotalAmount: 80,
+          CustomerDetails: { CompanyName: "Globex" },
+          Items: [{ Description: "Hours", Quantity: 1, TotalAmount: 80 }],
+        },
+        customerId,
+      ),
+    );
+
+    const attachableId = await channel.attachFile("Invoice", invoiceId, file);
+
+    expect(await channel.api.read("Attachable", attachableId)).toMatchObject({
+      FileName: "receipt-0042.pdf",
+      ContentType: "application/pdf",
+      AttachableRef: [{ EntityRef: { type: "Invoice", value: invoiceId } }],
+    });
+    expect(server.state.files[attachableId].equals(file.buffer)).toBe(true);
+  });
+
+  test(" links receipts to their purchase", async () => {
+    server.state.entities.Purchase.push({ Id: "71", SyncToken: "0" });
+
+    const attachableId = await channel.attachFile("Receipt", "71", {
+      ...file,
+      fileName: "receipt.jpg",
+      contentType: contentTypeFor("jpg"),
+    });
+
+    const attachable = server.state.entities.Attachable.find(
+      ({ Id }) => Id === attachableId,
+    );
+    expect(attachable.AttachableRef[0].EntityRef).toEqual({
+      type: "Purchase",
+      value: "71",
+    });
+    expect(attachable.ContentType).toBe("image/jpeg");
+  });
+
+  test(" reports a rejected upload as a validation fault", async () => {
+    const error = await channel.attachFile("Bill", "999", file).catch((e) => e);
+
+    expect(error.status).toBe(400);
+    expect(error.fault.type).toBe("ValidationFault");
+    expect(error.fault.Error[0].code).toBe("610");
+    expect(contentTypeFor("docx")).toBe("application/octet-stream");
+  });
+});
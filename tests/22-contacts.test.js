@@ -0,0 +1,174 @@
+const { getChannel } = require("../src/channels");
+const {
+  CONTACT_MATCH_THRESHOLD,
+  normalizeName,
+  contactDetails,
+  scoreContact,
+  rankContacts,
+} = require("../src/services/contacts");
+const { startQuickBooksMockServer } = require("./mocks/quickbooksServer");
+
+describe(" - Contact scores ", () => {
+  test(" ignores case, punctuation and legal forms in names", () => {
+    expect(normalizeName("GOOGLE IRELAND LIMITED")).toBe("google ireland");
+    expect(normalizeName("Google Ireland Ltd.")).toBe("google ireland");
+    expect(normalizeName("Smith & Sons, Inc")).toBe("smith and sons");
+
+    expect(
+      scoreContact(
+        { name: "Google Ireland Ltd" },
+        { name: "GOOGLE IRELAND LIMITED" },
+      ),
+    ).toEqual({ score: 1, reasons: ["name"] });
+  });
+
+  test(" decides on tax id and bank account", () => {
+    expect(
+      scoreContact(
+        { name: "Acme", taxId: "ie 6388047V" },
+        { name: "Acme Holdings Europe", taxId: "IE6388047V" },
+      ),
+    ).toEqual({ score: 1, reasons: ["tax_id"] });
+
+    expect(
+      scoreContact(
+        {
+          name: "Initech",
+          bankDetails: {
+            AccountNumber: "0012-3456",
+            RoutingNumber: "021000021",
+          },
+        },
+        {
+          name: "Initrode Payments",
+          bankDetails: {
+            AccountNumber: "00123456",
+            RoutingNumber: "021000021",
+          },
+        },
+      ),
+    ).toEqual({ score: 1, reasons: ["bank_details"] });
+
+    // Same name, different company.
+    const conflict = scoreContact(
+      { name: "Acme Ltd", taxId: "GB123456789" },
+      { name: "Acme Limited", taxId: "US987654321" },
+    );
+    expect(conflict.score).toBeLessThan(0.5);
+  });
+
+  test(" raises the name score with shared email and address", () => {
+    const details = {
+      name: "Northwind Trading",
+      email: "billing@northwind.example",
+      address: { Line1: "1 Harbour St", ZipCode: "D02 X285" },
+    };
+
+    const byName = scoreContact(details, { name: "Northwind Traders" });
+    const byDomain = scoreContact(details, {
+      name: "Northwind Traders",
+      email: "ap@northwind.example",
+    });
+    const byEmail = scoreContact(details, {
+      name: "NW",
+      email: "Billing@Northwind.example",
+    });
+    const byAddress = scoreContact(details, {
+      name: "Northwind Traders",
+      address: JSON.stringify({ Line1: "1 harbour st.", ZipCode: "d02x285" }),
+    });
+
+    expect(byDomain.score).toBeGreaterThan(byName.score);
+    expect(byDomain.reasons).toContain("email_domain");
+    expect(byEmail.score).toBeGreaterThanOrEqual(0.95);
+    expect(byAddress.reasons).toContain("address");
+
+    // Free mail domains say nothing about the company.
+    expect(
+      scoreContact(
+        { name: "Northwind Trading", email: "a@gmail.com" },
+        { name: "Northwind Traders", email: "b@gmail.com" },
+      ).reasons,
+    ).not.toContain("email_domain");
+  });
+
+  test(" ranks candidates best first and drops unlikely ones", () => {
+    const contacts = [
+      { id: 1, name: "Globex Europe" },
+      { id: 2, name: "Umbrella" },
+      { id: 3, name: "Globex Corp", tax_id: "DE811907980" },
+    ];
+
+    const ranked = rankContacts(
+      { name: "Globex", taxId: "DE 811 907 980" },
+      contacts,
+    );
+    expect(ranked.map(({ contact }) => contact.id)).toEqual([3, 1]);
+    expect(ranked[0].score).toBeGreaterThanOrEqual(CONTACT_MATCH_THRESHOLD);
+  });
+
+  test(" reads the contact of each document type", () => {
+    expect(
+      contactDetails("Customer", {
+        CustomerDetails: { CompanyName: "Globex", TaxId: "DE811907980" },
+      }),
+    ).toMatchObject({ name: "Globex", taxId: "DE811907980" });
+    expect(
+      contactDetails("Vendor", {
+        VendorDetails: {
+          Name: "Initech",
+          BankDetails: { AccountNumber: "123" },
+        },
+      }),
+    ).toMatchObject({ name: "Initech", bankDetails: { AccountNumber: "123" } });
+  });
+});
+
+describe(" - QuickBooks contacts ", () => {
+  let server;
+  let channel;
+
+  beforeAll(async () => {
+    server = await startQuickBooksMockServer();
+    channel = getChannel(
+      { service_type: "Quickbooks", credentials: server.credentials() },
+      { apiUrl: server.url, tokenUrl: server.tokenUrl },
+    );
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  test(" reuses a contact spelled differently", async () => {
+    server.state.entities.Vendor.push({
+      Id: "90",
+      SyncToken: "0",
+      DisplayName: "Google Ireland Ltd",
+    });
+
+    const vendorId = await channel.findOrCreateContact("Vendor", {
+      name: "GOOGLE IRELAND LIMITED",
+    });
+
+    expect(vendorId).toBe("90");
+    expect(server.state.entities.Vendor).toHaveLength(1);
+  });
+
+  test(" creates a contact nothing matches", async () => {
+    server.state.entities.Customer.push({
+      Id: "91",
+      SyncToken: "0",
+      DisplayName: "Google Cloud EMEA",
+    });
+
+    const customerId = await channel.findOrCreateContact("Customer", {
+      name: "Google Ireland Ltd",
+    });
+
+    expect(customerId).not.toBe("91");
+    expect(
+      server.state.entities.Customer.map(({ DisplayName }) => DisplayName),
+    ).toEqual(["Google Cloud EMEA", "Google Ireland Ltd"]);
+  });
+});
@@ -0,0 +1,79 @@
+const {
+  applyCorrections,
+  correctedFields,
+  reviewReasons,
+} = require("../src/services/review");
+
+describe(" - Review corrections ", () => {
+  const extracted = {
+    TotalAmount: 100,
+    TransactionDate: "2024-09-01",
+    VendorDetails: { Name: "Acme", Address: { City: "Dublin" } },
+    Items: [
+      { Description: "Paper", TotalAmount: 60 },
+      { Description: "Ink", TotalAmount: 40 },
+    ],
+  };
+
+  test(" overlays corrected fields on the extraction", () => {
+    const corrected = applyCorrections(extracted, {
+      TotalAmount: 120,
+      VendorDetails: { Name: "Acme Supplies" },
+      Items: [{ Description: "Paper and ink", TotalAmount: 120 }],
+    });
+
+    expect(corrected).toEqual({
+      TotalAmount: 120,
+      TransactionDate: "2024-09-01",
+      VendorDetails: { Name: "Acme Supplies", Address: { City: "Dublin" } },
+      Items: [{ Description: "Paper and ink", TotalAmount: 120 }],
+    });
+    expect(extracted.VendorDetails.Name).toBe("Acme");
+    expect(applyCorrections(extracted, undefined)).toBe(extracted);
+  });
+
+  test(" lists the corrected field paths", () => {
+    expect(
+      correctedFields({
+        TotalAmount: 120,
+        VendorDetails: { Name: "Acme Supplies", Address: { City: "Cork" } },
+        Items: [],
+      }),
+    ).toEqual([
+      "TotalAmount",
+      "VendorDetails.Name",
+      "VendorDetails.Address.City",
+      "Items",
+    ]);
+    expect(correctedFields(null)).toEqual([]);
+  });
+});
+
+describe(" - Review policy ", () => {
+  const invoice = { id: "invoice-1", total_amount: "2500.00" };
+
+  test(" posts right away without a policy", async () => {
+    expect(await reviewReasons({}, invoice)).toEqual([]);
+    expect(
+      await reviewReasons(
+        { reviewAll: false, reviewAmountAbove: null, reviewNewVendors: true },
+        invoice,
+      ),
+    ).toEqual([]);
+  });
+
+  test(" holds every document or the ones above the amount", async () => {
+    expect(await reviewReasons({ reviewAll: true }, invoice)).toEqual([
+      "always",
+    ]);
+    expect(await reviewReasons({ reviewAmountAbove: "1000" }, invoice)).toEqual(
+      ["amount"],
+    );
+    expect(await reviewReasons({ reviewAmountAbove: "2500" }, invoice)).toEqual(
+      [],
+    );
+    expect(
+      await reviewReasons({ reviewAll: true, reviewAmountAbove: "0" }, invoice),
+    ).toEqual(["always", "amount"]);
+  });
+});
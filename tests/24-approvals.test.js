@@ -0,0 +1,83 @@
+const {
+  validatePolicySteps,
+  matchesPolicy,
+  chainStatus,
+} = require("../src/services/approvals");
+
+// Under 500 nothing, up to 5000 the manager, above that the controller too.
+const manager = {
+  name: "Manager",
+  min_amount: "500",
+  max_amount: "5000",
+  document_types: ["Receipt", "Bill"],
+  steps: [{ name: "Manager", approvers: ["manager-id"] }],
+};
+const controller = {
+  name: "Controller",
+  min_amount: "5000",
+  max_amount: null,
+  document_types: ["Receipt", "Bill"],
+  steps: [
+    { name: "Manager", approvers: ["manager-id"] },
+    {
+      name: "Controller",
+      approvers: ["controller-id"],
+      escalate_to: ["cfo-id"],
+    },
+  ],
+};
+
+describe(" - Approval policies ", () => {
+  test(" cover the amounts of their range", () => {
+    expect(matchesPolicy(manager, "Receipt", 499.99)).toBe(false);
+    expect(matchesPolicy(manager, "Receipt", 500)).toBe(true);
+    expect(matchesPolicy(manager, "Bill", 4999.99)).toBe(true);
+    expect(matchesPolicy(manager, "Bill", 5000)).toBe(false);
+    expect(matchesPolicy(controller, "Bill", 5000)).toBe(true);
+    expect(matchesPolicy(controller, "Bill", 1e9)).toBe(true);
+  });
+
+  test(" only cover their document types while active", () => {
+    expect(matchesPolicy(controller, "Invoice", 6000)).toBe(false);
+    expect(
+      matchesPolicy({ ...manager, document_types: ["Bill"] }, "Receipt", 600),
+    ).toBe(false);
+    expect(matchesPolicy({ ...manager, active: false }, "Receipt", 600)).toBe(
+      false,
+    );
+  });
+
+  test(" need an approver on every step", () => {
+    expect(() => validatePolicySteps(controller.steps)).not.toThrow();
+    expect(() => validatePolicySteps([])).not.toThrow();
+    expect(() => validatePolicySteps("manager")).toThrow(
+      "steps must be a list of approval steps",
+    );
+    expect(() =>
+      validatePolicySteps([
+        { name: "Manager", approvers: ["manager-id"] },
+        { name: "Controller", approvers: [] },
+      ]),
+    ).toThrow("Step 2 needs at least one approver");
+    expect(() =>
+      validatePolicySteps([
+        { name: "Manager", approvers: ["manager-id"], escalate_to: "cfo-id" },
+      ]),
+    ).toThrow("Step 1: escalate_to must be a list");
+  });
+});
+
+describe(" - Approval chains ", () => {
+  test(" complete once every step is approved", () => {
+    expect(chainStatus([])).toBe("none");
+    expect(chainStatus([{ status: "Approved" }, { status: "Pending" }])).toBe(
+      "pending",
+    );
+    expect(chainStatus([{ status: "Approved" }, { status: "Approved" }])).toBe(
+      "approved",
+    );
+    expect(chainStatus([{ status: "Rejected" }, { status: "Skipped" }])).toBe(
+      "rejected",
+    );
+  });
+});
@@ -0,0 +1,188 @@
+const {
+  validateRule,
+  matchesRule,
+  applyRules,
+} = require("../src/services/rules");
+const { getChannel } = require("../src/channels");
+
+const context = {
+  type: "Receipt",
+  vendor: { id: "vendor-uber" },
+  paymentType: "CreditCard",
+  currency: "EUR",
+};
+
+describe(" - Categorization rule conditions ", () => {
+  test(" match keywords as whole words of the description or category", () => {
+    const rule = { conditions: { keywords: ["taxi", "Uber"] }, actions: {} };
+
+    expect(matchesRule(rule, { Description: "UBER *TRIP" }, context)).toBe(
+      true,
+    );
+    expect(matchesRule(rule, { Category: "Taxi" }, context)).toBe(true);
+    expect(matchesRule(rule, { Description: "Taxidermy" }, context)).toBe(
+      false,
+    );
+    expect(matchesRule(rule, {}, context)).toBe(false);
+  });
+
+  test(" match the line amount, vendor, payment type and currency", () => {
+    const rule = {
+      conditions: {
+        vendor_ids: ["vendor-uber"],
+        min_amount: 10,
+        max_amount: "100",
+        payment_types: ["CreditCard"],
+        currencies: ["eur"],
+      },
+      actions: {},
+    };
+
+    expect(matchesRule(rule, { Amount: 10 }, context)).toBe(true);
+    expect(matchesRule(rule, { Amount: 9.99 }, context)).toBe(false);
+    expect(matchesRule(rule, { Amount: 100 }, context)).toBe(false);
+    expect(
+      matchesRule(rule, { Amount: 20 }, { ...context, vendor: { id: "x" } }),
+    ).toBe(false);
+    expect(
+      matchesRule(rule, { Amount: 20 }, { ...context, paymentType: "Cash" }),
+    ).toBe(false);
+    expect(
+      matchesRule(rule, { Amount: 20 }, { ...context, currency: "USD" }),
+    ).toBe(false);
+    expect(
+      matchesRule({ ...rule, active: false }, { Amount: 20 }, context),
+    ).toBe(false);
+    expect(
+      matchesRule(
+        { conditions: { min_amount: 10 } },
+        { TotalAmount: 20 },
+        { ...context, type: "Bill" },
+      ),
+    ).toBe(true);
+  });
+
+  test(" are validated with their actions", () => {
+    expect(() =>
+      validateRule({
+        conditions: { keywords: ["fuel"] },
+        actions: { account_ref: "56" },
+      }),
+    ).not.toThrow();
+    expect(() =>
+      validateRule({ conditions: { keywords: "fuel" }, actions: {} }),
+    ).toThrow("keywords must be a list");
+    expect(() =>
+      validateRule({ conditions: { vendor: "Uber" }, actions: {} }),
+    ).toThrow("Unknown condition: vendor");
+    expect(() => validateRule({ conditions: {}, actions: {} })).toThrow(
+      "actions must set at least one field",
+    );
+    expect(() =>
+      validateRule({ actions: { billable_status: "Maybe" } }),
+    ).toThrow("billable_status must be one of");
+  });
+});
+
+describe(" - Categorization rules ", () => {
+  const rules = [
+    {
+      id: "vendor",
+      priority: 0,
+      conditions: { vendor_ids: ["vendor-uber"] },
+      actions: { account_ref: "58", class_ref: "1", tax_code_ref: "5" },
+    },
+    {
+      id: "airport",
+      priority: 10,
+      conditions: { keywords: ["airport"] },
+      actions: {
+        class_ref: "2",
+        location_ref: "7",
+        billable_status: "Billable",
+        customer_ref: "21",
+      },
+    },
+    {
+      id: "small",
+      priority: 5,
+      conditions: { max_amount: 5 },
+      actions: { billable_status: "Billable" },
+    },
+  ];
+
+  const receipt = () => ({
+    PaymentType: "CreditCard",
+    PurchaseLines: [
+      {
+        Amount: 40,
+        Description: "Trip to the airport",
+        AccountRef: { value: "92", name: "Office Expenses" },
+        TaxCodeRef: { value: "3" },
+      },
+      { Amount: 12, Description: "City trip" },
+      { Amount: 4, Description: "Booking fee" },
+    ],
+  });
+
+  test(" set each field from the highest priority rule setting it", () => {
+    const json = applyRules("Receipt", receipt(), {
+      rules,
+      vendor: { id: "vendor-uber" },
+    });
+    const [airport, city, fee] = json.PurchaseLines;
+
+    expect(airport).toMatchObject({
+      AccountRef: { value: "58", source: "company_rule" },
+      ClassRef: { value: "2" },
+      TaxCodeRef: { value: "5" },
+      CustomerRef: { value: "21" },
+      BillableStatus: "Billable",
+      RuleIds: ["airport", "vendor"],
+    });
+    expect(city.ClassRef).toEqual({ value: "1" });
+    expect(city.BillableStatus).toBeUndefined();
+    expect(json.DepartmentRef).toEqual({ value: "7" });
+
+    // Billable needs a customer.
+    expect(fee.BillableStatus).toBeUndefined();
+    expect(fee.RuleIds).toEqual(["small", "vendor"]);
+  });
+
+  test(" leave the lines no rule matches", () => {
+    const json = applyRules("Receipt", receipt(), {
+      rules,
+      vendor: { id: "vendor-other" },
+    });
+
+    expect(json.PurchaseLines[1]).toEqual({
+      Amount: 12,
+      Description: "City trip",
+    });
+    expect(json.PurchaseLines[0].AccountRef.value).toBe("92");
+    expect(applyRules("Receipt", receipt(), { rules: [] })).toEqual(receipt());
+  });
+
+  test(" reach the QuickBooks receipt lines", () => {
+    const json = applyRules("Receipt", receipt(), {
+      rules,
+      vendor: { id: "vendor-uber" },
+    });
+    const payload = getChannel({ service_type: "Quickbooks" }).transform(
+      "Receipt",
+      { ...json, VendorDetails: { Name: "Uber" } },
+      "56",
+    );
+
+    expect(payload.DepartmentRef).toEqual({ value: "7" });
+    expect(payload.Line[0].AccountBasedExpenseLineDetail).toMatchObject({
+      AccountRef: { value: "58" },
+      ClassRef: { value: "2" },
+      CustomerRef: { value: "21" },
+      BillableStatus: "Billable",
+    });
+    expect(payload.Line[2].AccountBasedExpenseLineDetail.BillableStatus).toBe(
+      "NotBillable",
+    );
+  });
+});
@@ -0,0 +1,171 @@
+const {
+  correctedExtraction,
+  diffExtraction,
+  findContactInText,
+  buildExtractionHints,
+  accuracySummary,
+} = require("../src/services/learning");
+
+describe(" - Extraction examples ", () => {
+  const extracted = {
+    InvoiceNumber: "INV-0042",
+    Date: "2024-09-01",
+    TotalAmount: 100,
+    CustomerDetails: { CompanyName: "Globex Ltd" },
+    Items: [
+      { Description: "Consulting", Quantity: 2, UnitPrice: 50 },
+      { Description: "Travel", Quantity: 1, UnitPrice: 0 },
+    ],
+  };
+
+  test(" read the corrected fields of the edit routes", () => {
+    expect(
+      correctedExtraction(
+        "Invoice",
+        {
+          invoice_number: "INV-0042",
+          date: "2024-09-01T00:00:00.000Z",
+          total_amount: "120.00",
+          notes: "",
+          items: [{ id: "line-1", description: "Consulting", quantity: 2 }],
+        },
+        { contactName: "Globex Limited" },
+      ),
+    ).toEqual({
+      InvoiceNumber: "INV-0042",
+      Date: "2024-09-01T00:00:00.000Z",
+      TotalAmount: "120.00",
+      "CustomerDetails.CompanyName": "Globex Limited",
+      "Items[0].Description": "Consulting",
+      "Items[0].Quantity": 2,
+    });
+
+    expect(
+      correctedExtraction(
+        "Receipt",
+        {
+          txn_date: new Date("2024-05-02T00:00:00Z"),
+          total_amount: 30,
+          items: [{ amount: 18 }, { amount: 12 }],
+        },
+        { contactName: "Corner Cafe" },
+      ),
+    ).toEqual({
+      TransactionDate: "2024-05-02",
+      TotalAmount: 30,
+      "VendorDetails.Name": "Corner Cafe",
+      "PurchaseLines[0].Amount": 18,
+      "PurchaseLines[1].Amount": 12,
+    });
+
+    expect(
+      correctedExtraction(
+        "Bill",
+        {
+          bill_number: "B-77",
+          txn_date: new Date("2024-06-03T00:00:00Z"),
+          due_date: null,
+          total_amount: "450.00",
+        },
+        { contactName: "Acme Supplies" },
+      ),
+    ).toEqual({
+      BillNumber: "B-77",
+      BillDate: "2024-06-03",
+      TotalAmount: "450.00",
+      "VendorDetails.Name": "Acme Supplies",
+    });
+  });
+
+  test(" keep the fields the extraction got wrong", () => {
+    const { compared, corrections } = diffExtraction(extracted, {
+      InvoiceNumber: "INV-0042",
+      Date: "2024-09-01T00:00:00.000Z",
+      TotalAmount: "120.00",
+      "CustomerDetails.CompanyName": "GLOBEX LIMITED",
+      "Items[0].UnitPrice": "50",
+      "Items[1].UnitPrice": 20,
+      "Items[2].Description": "Parking",
+    });
+
+    expect(compared).toBe(7);
+    expect(corrections).toEqual([
+      { field: "TotalAmount", extracted: 100, corrected: "120.00" },
+      { field: "Items[1].UnitPrice", extracted: 0, corrected: 20 },
+      { field: "Items[2].Description", extracted: null, corrected: "Parking" },
+    ]);
+  });
+});
+
+describe(" - Extraction hints ", () => {
+  const contacts = [
+    { id: "acme", name: "Acme" },
+    { id: "acme-supplies", name: "Acme Supplies Ltd" },
+    { id: "initech", name: "Initech" },
+  ];
+
+  test(" find the contact named in the raw text", () => {
+    const raw =
+      "# INVOICE\n**ACME SUPPLIES LIMITED**, 1 Harbour St\nTotal: 120";
+
+    expect(findContactInText(raw, contacts).id).toBe("acme-supplies");
+    expect(findContactInText("Paid at Acmes Store", contacts)).toBeNull();
+    expect(findContactInText({ text: "Initech" }, contacts).id).toBe("initech");
+  });
+
+  test(" list the most corrected fields and the last corrected documents", () => {
+    const examples = [
+      {
+        fields: { TotalAmount: 120, "Items[0].UnitPrice": 60 },
+        corrections: [
+          { field: "TotalAmount", extracted: 100, corrected: 120 },
+          { field: "Items[0].UnitPrice", extracted: 6, corrected: 60 },
+        ],
+      },
+      { fields: { TotalAmount: 80 }, corrections: [] },
+      {
+        fields: { "Items[1].UnitPrice": 45 },
+        corrections: [
+          { field: "Items[1].UnitPrice", extracted: 4.5, corrected: 45 },
+        ],
+      },
+    ];
+
+    const prompt = buildExtractionHints("Acme Supplies Ltd", examples);
+
+    expect(prompt).toContain(
+      "- Items[].UnitPrice: corrected 2 time(s), last read as 6 instead of 60\n- TotalAmount: corrected 1 time(s)",
+    );
+    expect(prompt).toContain('{"TotalAmount":120,"Items[0].UnitPrice":60}');
+    expect(prompt).toContain('{"Items[1].UnitPrice":45}');
+    expect(prompt).not.toContain('{"TotalAmount":80}');
+    expect(buildExtractionHints("Acme", [examples[1]])).toBeNull();
+  });
+});
+
+describe(" - Extraction accuracy ", () => {
+  test(" compares recent and hinted documents with the others", () => {
+    const example = (fields_corrected, hinted) => ({
+      fields_compared: 10,
+      fields_corrected,
+      hinted,
+    });
+    // Most recent first: 10 hinted documents with 1 correction, then 2
+    // documents without hints and 5 corrections.
+    const examples = [
+      ...Array.from({ length: 10 }, () => example(1, true)),
+      example(5, false),
+      example(5, false),
+    ];
+
+    const summary = accuracySummary(examples);
+
+    expect(summary.documents).toBe(12);
+    expect(summary.accuracy).toBeCloseTo(1 - 20 / 120);
+    expect(summary.recent).toEqual({ documents: 10, accuracy: 0.9 });
+    expect(summary.earlier).toEqual({ documents: 2, accuracy: 0.5 });
+    expect(summary.hinted.accuracy).toBeCloseTo(0.9);
+    expect(summary.unhinted.accuracy).toBeCloseTo(0.5);
+    expect(accuracySummary([]).accuracy).toBeNull();
+  });
+});
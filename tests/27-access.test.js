@@ -0,0 +1,91 @@
+const dotenv = require("dotenv");
+// Load environment variables
+dotenv.config();
+
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const { source } = require("./doc.json");
+const models = require("./../src/db/models");
+const router = require("./../src/routes/index");
+
+const email = "access-test@example.com";
+const adminEmail = "access-test-admin@example.com";
+
+describe(" - Access to other companies ", () => {
+  let server;
+  let url;
+  let admin;
+
+  const token = (user) =>
+    jwt.sign({ id: user.id }, process.env.JWT_SECRET || "secret");
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use(router);
+    await new Promise((resolve) => {
+      server = app.listen(0, resolve);
+    });
+    url = `http://127.0.0.1:${server.address().port}`;
+
+    // An operator of another company, it owns none of the test documents.
+    admin = await models.User.create({
+      name: "Other Admin",
+      email: adminEmail,
+      password: "x",
+      role: "Admin",
+    });
+  });
+
+  afterAll(async () => {
+    await models.User.destroy({ where: { email: [email, adminEmail] } });
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test(" sign-up never grants the admin role", async () => {
+    const response = await fetch(`${url}/auth/register`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        name: "Mallory",
+        email,
+        password: "secret-password",
+        role: "Admin",
+      }),
+    });
+    expect(response.status).toBe(201);
+
+    const user = await models.User.findOne({ where: { email } });
+    expect(user.role).toBe("User");
+
+    const stages = await fetch(`${url}/admin/documents/${source.id}/stages`, {
+      headers: { Authorization: token(user) },
+    });
+    expect(stages.status).toBe(403);
+  });
+
+  test(" admins only reach the documents of their companies", async () => {
+    const stages = await fetch(`${url}/admin/documents/${source.id}/stages`, {
+      headers: { Authorization: token(admin) },
+    });
+    expect(stages.status).toBe(404);
+
+    const rerun = await fetch(
+      `${url}/admin/documents/${source.id}/stages/convert`,
+      {
+        method: "POST",
+        headers: {
+          Authorization: token(admin),
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({}),
+      },
+    );
+    expect(rerun.status).toBe(404);
+    expect(
+      await models.SyncLog.count({
+        where: { DocumentId: source.id, UserId: admin.id },
+      }),
+    ).toBe(0);
+  });
+});
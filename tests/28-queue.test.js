@@ -0,0 +1,145 @@
+const dotenv = require("dotenv");
+// Load environment variables
+dotenv.config();
+
+const os = require("os");
+const models = require("./../src/db/models");
+const JobQueue = require("./../src/services/queue");
+const QueueConsumer = require("./../worker/consumer");
+
+const description = "Queue test job";
+
+// Older than any real job, so the claims below only see the test jobs.
+const runAt = new Date("2000-01-01T00:00:00Z");
+
+const httpError = (status) =>
+  Object.assign(new Error(`HTTP ${status}`), { status });
+
+const enqueueJobs = (queue, count, options = {}) =>
+  Promise.all(
+    Array.from({ length: count }, (_, index) =>
+      queue.enqueue(
+        "RefreshEntity",
+        { index },
+        { runAt, text_job_description: description, ...options },
+      ),
+    ),
+  );
+
+afterEach(async () => {
+  await models.SyncLog.destroy({
+    where: { text_job_description: description },
+  });
+});
+
+describe(" - Job queue ", () => {
+  test(" never hands the same job to two claimers", async () => {
+    const first = new JobQueue({ workerId: "queue-test-1" });
+    const second = new JobQueue({ workerId: "queue-test-2" });
+    // Each claim locks up to five times what it asks for.
+    await enqueueJobs(first, 20);
+
+    const [a, b] = await Promise.all([first.claim(2), second.claim(2)]);
+    const ids = [...a, ...b].map((job) => job.id);
+
+    expect(a).toHaveLength(2);
+    expect(b).toHaveLength(2);
+    expect(new Set(ids).size).toBe(4);
+    expect(a.every((job) => job.locked_by === "queue-test-1")).toBe(true);
+    expect(b.every((job) => job.locked_by === "queue-test-2")).toBe(true);
+  });
+
+  test(" recovers only its own jobs, never those of another worker", async () => {
+    const defaultId = new JobQueue().workerId;
+    expect(defaultId).toBe(`${os.hostname()}:${process.pid}`);
+
+    // Two workers on the same host, the second one (re)starting.
+    const running = new JobQueue({ workerId: `${os.hostname()}:1001` });
+    const starting = new JobQueue({ workerId: `${os.hostname()}:1002` });
+    const [job] = await enqueueJobs(running, 1);
+    const [claimed] = await running.claim(1);
+    expect(claimed.id).toBe(job.id);
+
+    await starting.recover();
+    await job.reload();
+    expect(job.sync_status).toBe("Processing");
+    expect(job.locked_by).toBe(running.workerId);
+    expect(await running.heartbeat(claimed)).toBe(true);
+
+    await running.recover();
+    await job.reload();
+    expect(job.sync_status).toBe("Queued");
+    expect(job.locked_by).toBeNull();
+  });
+
+  test(" hands a job out again once its claim expired", async () => {
+    const crashed = new JobQueue({
+      workerId: "queue-test-1",
+      visibilityTimeout: 1,
+    });
+    const other = new JobQueue({ workerId: "queue-test-2" });
+    const [job] = await enqueueJobs(crashed, 1);
+
+    const [claimed] = await crashed.claim(1);
+    expect(claimed.id).toBe(job.id);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    const [reclaimed] = await other.claim(1);
+    expect(reclaimed.id).toBe(job.id);
+    expect(reclaimed.attempts).toBe(2);
+    expect(reclaimed.locked_by).toBe("queue-test-2");
+    expect(await other.heartbeat(reclaimed)).toBe(true);
+    expect(await crashed.heartbeat(claimed)).toBe(false);
+  });
+});
+
+describe(" - Queue consumer ", () => {
+  test(" retries a failing job, then dead-letters it", async () => {
+    const queue = new JobQueue({ workerId: "queue-test-1" });
+    const consumer = new QueueConsumer({
+      queue,
+      handlers: {
+        async RefreshEntity() {
+          throw httpError(503);
+        },
+      },
+    });
+    const [job] = await enqueueJobs(queue, 1, { maxAttempts: 2 });
+
+    await consumer.run((await queue.claim(1))[0]);
+    await job.reload();
+    expect(job.sync_status).toBe("Queued");
+    expect(job.failure_class).toBe("transient");
+    expect(job.run_at.getTime()).toBeGreaterThan(Date.now());
+
+    await job.update({ run_at: runAt });
+    await consumer.run((await queue.claim(1))[0]);
+    await job.reload();
+    expect(job.sync_status).toBe("DeadLetter");
+    expect(job.attempts).toBe(2);
+    expect(job.error_message).toBe("HTTP 503");
+    expect(job.finished_at).not.toBeNull();
+  });
+
+  test(" keeps running when the job cannot be updated", async () => {
+    const queue = new JobQueue({ workerId: "queue-test-1" });
+    queue.fail = async () => {
+      throw new Error("Connection terminated");
+    };
+    const consumer = new QueueConsumer({
+      queue,
+      handlers: {
+        async RefreshEntity() {
+          throw new Error("Entity not found");
+        },
+      },
+    });
+    const [job] = await enqueueJobs(queue, 1);
+
+    await expect(
+      consumer.run((await queue.claim(1))[0]),
+    ).resolves.toBeUndefined();
+    await job.reload();
+    expect(job.sync_status).toBe("Processing");
+  });
+});
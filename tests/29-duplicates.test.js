@@ -0,0 +1,196 @@
+const dotenv = require("dotenv");
+// Load environment variables
+dotenv.config();
+
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const { source } = require("./doc.json");
+const models = require("./../src/db/models");
+const router = require("./../src/routes/index");
+const DocumentProcessor = require("./../worker/index");
+const { hashFile } = require("./../src/services/fileops");
+const {
+  findContentDuplicate,
+  findSemanticDuplicate,
+  flagDuplicate,
+} = require("./../src/services/duplicates");
+
+const attributes = { CompanyId: source.CompanyId, UserId: source.UserId };
+
+describe(" - Duplicate documents ", () => {
+  let server;
+  let url;
+  const documents = [];
+
+  const createDocument = async (values) => {
+    const document = await models.Document.create({
+      ...attributes,
+      status: "Inbox",
+      ...values,
+    });
+    documents.push(document);
+    return document;
+  };
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use(router);
+    await new Promise((resolve) => {
+      server = app.listen(0, resolve);
+    });
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    const ids = documents.map(({ id }) => id);
+    await models.SyncLog.destroy({ where: { DocumentId: ids } });
+    await models.Bill.destroy({ where: { DocumentId: ids } });
+    // Duplicates reference their original.
+    for (const document of documents.reverse()) await document.destroy();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test(" hold a byte-identical re-upload", async () => {
+    const contentHash = hashFile(Buffer.from(`receipt ${Date.now()}`));
+    const original = await createDocument({
+      type: "Receipt",
+      content_hash: contentHash,
+    });
+    const upload = await createDocument({
+      type: "Receipt",
+      content_hash: contentHash,
+    });
+
+    expect((await findContentDuplicate(upload)).id).toBe(original.id);
+    await flagDuplicate(upload, original, "content_hash");
+
+    // Two pages, the split stage would describe them.
+    const processor = new DocumentProcessor(upload);
+    processor.documentObject = upload;
+    processor.documentImages = ["page-1", "page-2"];
+
+    expect(await processor.split()).toBe(false);
+    await upload.reload();
+    expect(upload.status).toBe("Duplicate");
+    expect(upload.error_message).toBe(`Duplicate of document ${original.id}`);
+  });
+
+  test(" flag a bill of the same vendor, number and amount", async () => {
+    const vendor = await models.Vendor.create({
+      ...attributes,
+      name: "Duplicate Supplies",
+    });
+    const original = await createDocument({
+      type: "Bill",
+      status: "Processed",
+    });
+    const bill = {
+      ...attributes,
+      VendorId: vendor.id,
+      bill_number: "B-1001",
+      txn_date: new Date("2024-06-01T00:00:00Z"),
+      total_amount: 250,
+    };
+    await models.Bill.create({ ...bill, DocumentId: original.id });
+    // Another scan of the same bill.
+    const upload = await createDocument({
+      type: "Bill",
+      content_hash: hashFile(Buffer.from(`bill ${Date.now()}`)),
+    });
+
+    expect(await findContentDuplicate(upload)).toBeNull();
+    expect(
+      (await findSemanticDuplicate(upload, { ...bill, DocumentId: upload.id }))
+        .id,
+    ).toBe(original.id);
+    expect(
+      await findSemanticDuplicate(upload, {
+        ...bill,
+        bill_number: "B-1002",
+        DocumentId: upload.id,
+      }),
+    ).toBeNull();
+
+    await models.Bill.destroy({ where: { DocumentId: original.id } });
+    await vendor.destroy();
+  });
+
+  test(" never flag an original re-run after its copy", async () => {
+    const vendor = await models.Vendor.create({
+      ...attributes,
+      name: "Rerun Supplies",
+    });
+    const contentHash = hashFile(Buffer.from(`rerun ${Date.now()}`));
+    const original = await createDocument({
+      type: "Bill",
+      content_hash: contentHash,
+    });
+    const bill = {
+      ...attributes,
+      VendorId: vendor.id,
+      bill_number: "B-2001",
+      txn_date: new Date("2024-07-01T00:00:00Z"),
+      total_amount: 80,
+    };
+    const originalBill = await models.Bill.create({
+      ...bill,
+      DocumentId: original.id,
+    });
+    // The copy is uploaded and transformed before the original re-runs.
+    const copy = await createDocument({
+      type: "Bill",
+      content_hash: contentHash,
+    });
+    await models.Bill.create({ ...bill, DocumentId: copy.id });
+
+    expect((await findContentDuplicate(copy)).id).toBe(original.id);
+    expect(
+      (await findSemanticDuplicate(copy, { ...bill, DocumentId: copy.id })).id,
+    ).toBe(original.id);
+    expect(await findContentDuplicate(original)).toBeNull();
+    expect(await findSemanticDuplicate(original, originalBill)).toBeNull();
+
+    await models.Bill.destroy({ where: { VendorId: vendor.id } });
+    await vendor.destroy();
+  });
+
+  test(" release an overridden duplicate into the pipeline", async () => {
+    const original = await createDocument({ type: "Receipt" });
+    const upload = await createDocument({
+      type: "Receipt",
+      status: "Duplicate",
+      DuplicateOfId: original.id,
+      duplicate_reason: "content_hash",
+    });
+
+    const response = await fetch(
+      `${url}/companies/${source.CompanyId}/documents/${upload.id}/duplicate-override`,
+      {
+        method: "POST",
+        headers: {
+          Authorization: jwt.sign(
+            { id: source.UserId },
+            process.env.JWT_SECRET || "secret",
+          ),
+        },
+      },
+    );
+    expect(response.status).toBe(202);
+    const { jobId } = await response.json();
+
+    await upload.reload();
+    expect(upload.status).toBe("Inbox");
+    expect(upload.duplicate_override).toBe(true);
+    const job = await models.SyncLog.findByPk(jobId);
+    expect(job).toMatchObject({
+      job_type: "ProcessDocument",
+      sync_status: "Queued",
+      payload: { documentId: upload.id },
+    });
+
+    const processor = new DocumentProcessor(upload);
+    processor.documentObject = upload;
+    expect(await processor.holdDuplicate()).toBe(false);
+  });
+});
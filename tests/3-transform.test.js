@@ -4,17 +4,25 @@ dotenv.config();
 
 const { source, processed } = require("./doc.json");
 const DocumentProcessor = require("./../worker/index");
+const { FixtureProvider } = require("./../src/services/extraction");
 
-const processor = new DocumentProcessor(source);
+// Replays the extraction recorded in doc.json, no OpenAI calls.
+const processor = new DocumentProcessor(source, {
+  extractionProvider: new FixtureProvider(),
+});
 processor.processedImages = processed.processedImages;
 let processed_data = JSON.parse(processed.processed_data);
 
 processor.documentRawJSON = processed_data.raw_json;
 
 describe("Document Processor - Transform", () => {
+  beforeAll(async () => {
+    await processor.getDocument();
+  });
+
   test("should transform raw json into a local sysem comptable valid json", async () => {
     await processor.transform();
     expect(processor.documentProcessedJSON).toBeDefined();
-    expect(processor.transformedInvoice).toBeDefined();
+    expect(processor.transformedPayload).toBeDefined();
   }, 30000); // Timeout of 30 seconds
 });
@@ -0,0 +1,1001 @@
+const dotenv = require("dotenv");
+// Load environment variables
+dotenv.config();
+
+const { source, processed } = require("./doc.json");
+const DocumentProcessor = require("./../worker/index");
+const QuickBooksSync = require("./../src/channels/quickbooks/index");
+const OAuthClient = require("intuit-oauth");
+const quickbooksApiClient = require("./../src/channels/quickbooks/apiClient/quickbooksApiClient");
+const models = require("./../src/db/models");
+const { getChannel } = require("./../src/channels");
+const { FixtureProvider } = require("./../src/services/extraction");
+const { classifyError } = require("./../src/services/queue/retryPolicy");
+const { refreshEntity, voidTransaction } = require("./../src/services/sync");
+const { receiveWebhook } = require("./../src/services/webhooks");
+const { approveDocument } = require("./../src/services/review");
+const {
+  REMINDER_AFTER_MS,
+  startApprovalChain,
+  approvalComplete,
+  decideApprovalStep,
+  pendingApprovals,
+  remindStaleApprovals,
+} = require("./../src/services/approvals");
+const JobQueue = require("./../src/services/queue");
+const {
+  recordCorrections,
+  ruleSuggestions,
+} = require("./../src/services/rules");
+const {
+  findContactMatches,
+  recordDetails,
+  mergeContacts,
+} = require("./../src/services/contacts");
+const {
+  correctedExtraction,
+  recordExtractionExample,
+  recordPostedExtraction,
+  extractionHints,
+  extractionAccuracy,
+} = require("./../src/services/learning");
+const { startQuickBooksMockServer } = require("./mocks/quickbooksServer");
+const { webhookPayload } = require("./mocks/quickbooksWebhooks");
+
+const customer = (index) => ({
+  Id: String(index),
+  SyncToken: "0",
+  DisplayName: `Customer ${index}`,
+  PrimaryEmailAddr: { Address: `customer${index}@example.com` },
+  BillAddr: { Line1: `${index} Main St`, City: "Springfield" },
+  Active: true,
+});
+
+// Token endpoint of intuit-oauth, the clients never change it.
+const defaultTokenEndpoint = OAuthClient.tokenEndpoint;
+
+let server;
+let options;
+
+beforeAll(async () => {
+  server = await startQuickBooksMockServer();
+  options = { apiUrl: server.url, tokenUrl: server.tokenUrl };
+});
+
+afterAll(async () => {
+  await server.close();
+});
+
+beforeEach(() => {
+  server.state.rateLimit.count = 0;
+});
+
+describe(" - QuickBooks client against the mock server ", () => {
+  test(" counts and pages through query results", async () => {
+    server.state.entities.Customer = Array.from({ length: 12 }, (_, index) =>
+      customer(index + 1),
+    );
+    const client = new quickbooksApiClient(server.credentials(), null, options);
+
+    expect(await client.count("Customer")).toBe(12);
+    expect((await client.customers.list(1, 10)).customers).toHaveLength(10);
+    expect((await client.customers.list(2, 10)).customers).toHaveLength(2);
+    expect((await client.customers.findByName("Customer 3")).Id).toBe("3");
+    expect((await client.vendors.list(1, 10)).vendors).toEqual([]);
+  });
+
+  test(" sparse updates bump the SyncToken and stale ones are rejected", async () => {
+    const client = new quickbooksApiClient(server.credentials(), null, options);
+    const { Vendor } = (
+      await client.vendors.create({ DisplayName: "Acme Supplies" })
+    ).body;
+
+    await client.vendors.update({
+      Id: Vendor.Id,
+      SyncToken: Vendor.SyncToken,
+      PrimaryEmailAddr: { Address: "billing@acme.test" },
+      sparse: true,
+    });
+    const [updated] = (await client.vendors.getVendor(Vendor.Id)).Vendor;
+    expect(updated).toMatchObject({
+      DisplayName: "Acme Supplies",
+      PrimaryEmailAddr: { Address: "billing@acme.test" },
+      SyncToken: "1",
+    });
+
+    const error = await client.vendors
+      .update({ Id: Vendor.Id, SyncToken: "0", Active: false, sparse: true })
+      .catch((e) => e);
+    expect(error.fault.Error[0].code).toBe("5010");
+    expect(classifyError(error)).toBe("validation");
+  });
+
+  test(" answers invalid documents with a ValidationFault", async () => {
+    const client = new quickbooksApiClient(server.credentials(), null, options);
+
+    const error = await client.invoices
+      .create({ CustomerRef: { value: "999" }, Line: [] })
+      .catch((e) => e);
+    expect(error.status).toBe(400);
+    expect(error.fault.type).toBe("ValidationFault");
+    expect(error.fault.Error.map(({ code }) => code)).toEqual(["2020", "2500"]);
+    expect(classifyError(error)).toBe("validation");
+  });
+
+  test(" refreshes an expired access token", async () => {
+    const client = new quickbooksApiClient(
+      server.credentials({ createdAt: Date.now() - 2 * 60 * 60 * 1000 }),
+      null,
+      options,
+    );
+    const expiredToken = client.config.access_token;
+
+    expect(await client.customers.findByName("Customer 1")).toBeTruthy();
+    expect(client.config.access_token).not.toBe(expiredToken);
+    expect(client.config.access_token).toBe(server.state.accessToken);
+  });
+
+  test(" keeps the token endpoint of each client", async () => {
+    const client = new quickbooksApiClient(
+      server.credentials({ createdAt: Date.now() - 2 * 60 * 60 * 1000 }),
+      null,
+      options,
+    );
+    // Another client with its own token endpoint, created after the mock
+    // one.
+    const other = new quickbooksApiClient(server.credentials(), null, {
+      tokenUrl: "http://127.0.0.1:9/oauth2/v1/tokens/bearer",
+    });
+
+    expect(await client.customers.findByName("Customer 1")).toBeTruthy();
+    expect(client.config.access_token).toBe(server.state.accessToken);
+    expect(other.tokenEndpoint).not.toBe(client.tokenEndpoint);
+    expect(OAuthClient.tokenEndpoint).toBe(defaultTokenEndpoint);
+  });
+
+  test(" reports rate limiting as a transient error", async () => {
+    server.state.rateLimit.limit = 1;
+    const client = new quickbooksApiClient(server.credentials(), null, options);
+
+    try {
+      await client.vendors.findByName("Acme Supplies");
+      const error = await client.vendors
+        .findByName("Acme Supplies")
+        .catch((e) => e);
+      expect(error.status).toBe(429);
+      expect(classifyError(error)).toBe("transient");
+    } finally {
+      server.state.rateLimit.limit = 500;
+    }
+  });
+
+  test(" pushes, updates and voids an invoice through the channel", async () => {
+    const channel = getChannel(
+      { service_type: "Quickbooks", credentials: server.credentials() },
+      options,
+    );
+    const customerId = await channel.findOrCreateContact("Customer", {
+      name: "Globex",
+    });
+    const payload = channel.transform(
+      "Invoice",
+      {
+        InvoiceNumber: "INV-3001",
+        Date: "2024-05-01",
+        DueDate: "2024-05-31",
+        TotalAmount: 100,
+        CustomerDetails: { CompanyName: "Globex" },
+        Items: [
+          {
+            Description: "Consulting",
+            Quantity: 2,
+            UnitPrice: 50,
+            TotalAmount: 100,
+          },
+        ],
+      },
+      customerId,
+    );
+
+    const invoiceId = await channel.push("Invoice", payload);
+    await channel.updateInvoice(invoiceId, { due_date: "2024-06-15" });
+    let invoice = await channel.api.invoices.get(invoiceId);
+    expect(invoice).toMatchObject({
+      DocNumber: "INV-3001",
+      DueDate: "2024-06-15",
+      TotalAmt: 100,
+      SyncToken: "1",
+    });
+
+    await channel.voidInvoice(invoiceId);
+    invoice = await channel.api.invoices.get(invoiceId);
+    expect(invoice.TotalAmt).toBe(0);
+  });
+
+  test(" updates the refs of an expense's edited lines", async () => {
+    const channel = getChannel(
+      { service_type: "Quickbooks", credentials: server.credentials() },
+      options,
+    );
+    const line = (amount) => ({
+      DetailType: "AccountBasedExpenseLineDetail",
+      Amount: amount,
+      AccountBasedExpenseLineDetail: { AccountRef: { value: "13" } },
+    });
+    const expenseId = await channel.pushExpense({
+      PaymentType: "Cash",
+      AccountRef: { value: "35" },
+      TxnDate: "2024-05-02",
+      Line: [line(18), line(12)],
+    });
+
+    await channel.updateExpense(expenseId, {
+      txn_date: "2024-05-03",
+      items: [{}, { account_ref: 58, billable_status: "NotBillable" }],
+    });
+    const expense = await channel.api.expenses.get(expenseId);
+    expect(expense).toMatchObject({ TxnDate: "2024-05-03", TotalAmt: 30 });
+    expect(expense.Line.map((l) => l.AccountBasedExpenseLineDetail)).toEqual([
+      { AccountRef: { value: "13" } },
+      { AccountRef: { value: "58" }, BillableStatus: "NotBillable" },
+    ]);
+  });
+});
+
+// The tests below need the database, like tests 0 to 4.
+describe(" - Sync against the mock server ", () => {
+  let integration;
+
+  beforeAll(async () => {
+    integration = await models.Integration.create({
+      name: "Quickbooks",
+      service_type: "Quickbooks",
+      status: "Connected",
+      credentials: JSON.stringify(server.credentials()),
+      CompanyId: source.CompanyId,
+      UserId: source.UserId,
+    });
+  });
+
+  afterAll(async () => {
+    if (!integration) return;
+    await models.SyncLog.destroy({ where: { IntegrationId: integration.id } });
+    await models.EntityMapping.destroy({
+      where: { IntegrationId: integration.id },
+    });
+    await models.Account.destroy({ where: { IntegrationId: integration.id } });
+    await models.Item.destroy({ where: { IntegrationId: integration.id } });
+    await models.TaxCode.destroy({ where: { IntegrationId: integration.id } });
+    await models.TaxRate.destroy({ where: { IntegrationId: integration.id } });
+    await integration.destroy();
+  });
+
+  test(" QuickBooksSync imports contacts, accounts, items and taxes once", async () => {
+    server.state.entities.Customer = Array.from({ length: 3 }, (_, index) =>
+      customer(index + 1),
+    );
+    const quickbooks = new QuickBooksSync(
+      server.credentials(),
+      source.CompanyId,
+      integration.id,
+      source.UserId,
+      options,
+    );
+
+    await quickbooks.sync();
+    await quickbooks.sync();
+
+    const mappings = await models.EntityMapping.findAll({
+      where: { IntegrationId: integration.id, entity_type: "Customer" },
+    });
+    expect(mappings.map(({ external_id }) => external_id).sort()).toEqual([
+      "1",
+      "2",
+      "3",
+    ]);
+
+    const accounts = await models.Account.findAll({
+      where: { IntegrationId: integration.id },
+    });
+    expect(accounts).toHaveLength(server.state.entities.Account.length);
+    expect(accounts).toContainEqual(
+      expect.objectContaining({
+        name: "Meals and Entertainment",
+        account_type: "Expense",
+        account_sub_type: "EntertainmentMeals",
+      }),
+    );
+
+    const items = await models.Item.findAll({
+      where: { IntegrationId: integration.id },
+    });
+    expect(items.map(({ name }) => name).sort()).toEqual(["Hours", "Services"]);
+    expect(items[0].income_account_ref).toBe("79");
+
+    const taxCode = await models.TaxCode.findOne({
+      where: { IntegrationId: integration.id, name: "California" },
+    });
+    expect(Number(taxCode.sales_rate)).toBe(8.5);
+    expect(taxCode.purchase_rate).toBe(null);
+  }, 30000);
+
+  test(" syncChanges applies the changes made in QuickBooks", async () => {
+    const since = new Date();
+    const now = new Date(Date.now() + 1000).toISOString();
+    const [first, second] = server.state.entities.Customer;
+    first.DisplayName = "Customer 1 Renamed";
+    first.MetaData = { LastUpdatedTime: now };
+    second.Active = false;
+    second.MetaData = { LastUpdatedTime: now };
+
+    const quickbooks = new QuickBooksSync(
+      server.credentials(),
+      source.CompanyId,
+      integration.id,
+      source.UserId,
+      options,
+    );
+    const summary = await quickbooks.syncChanges(since);
+    expect(summary.Customer).toEqual({ changed: 2, deleted: 0 });
+
+    const mappings = await models.EntityMapping.findAll({
+      where: {
+        IntegrationId: integration.id,
+        entity_type: "Customer",
+        external_id: ["1", "2"],
+      },
+      order: [["external_id", "ASC"]],
+    });
+    const customers = await Promise.all(
+      mappings.map(({ local_id }) => models.Customer.findByPk(local_id)),
+    );
+    expect(customers[0].name).toBe("Customer 1 Renamed");
+    expect(customers[1].active).toBe(false);
+  }, 30000);
+
+  test(" webhook events are queued once and refresh the record", async () => {
+    const [first] = server.state.entities.Customer;
+    first.DisplayName = "Customer 1 From Webhook";
+    const payload = webhookPayload(server.state.realmId, [
+      { name: "Customer", id: "1", operation: "Update" },
+    ]);
+
+    expect(await receiveWebhook(payload)).toEqual({ queued: 1, skipped: 0 });
+    expect(await receiveWebhook(payload)).toEqual({ queued: 0, skipped: 1 });
+
+    const jobs = await models.SyncLog.findAll({
+      where: { IntegrationId: integration.id, job_type: "RefreshEntity" },
+    });
+    expect(jobs).toHaveLength(1);
+
+    expect(await refreshEntity(jobs[0].payload, options)).toBe(true);
+    const mapping = await models.EntityMapping.findOne({
+      where: {
+        IntegrationId: integration.id,
+        entity_type: "Customer",
+        external_id: "1",
+      },
+    });
+    expect((await models.Customer.findByPk(mapping.local_id)).name).toBe(
+      "Customer 1 From Webhook",
+    );
+  }, 30000);
+
+  test(" voids pushed invoices, expenses and bills", async () => {
+    const channel = getChannel(integration, options);
+    const vendorId = await channel.findOrCreateContact("Vendor", {
+      name: "Void Supplies",
+    });
+    const customerId = await channel.findOrCreateContact("Customer", {
+      name: "Void Customer",
+    });
+    const line = {
+      DetailType: "AccountBasedExpenseLineDetail",
+      Amount: 40,
+      AccountBasedExpenseLineDetail: { AccountRef: { value: "13" } },
+    };
+    const pushed = {
+      Invoice: await channel.pushInvoice({
+        CustomerRef: { value: customerId },
+        Line: [
+          {
+            DetailType: "SalesItemLineDetail",
+            Amount: 40,
+            SalesItemLineDetail: {},
+          },
+        ],
+      }),
+      Receipt: await channel.pushExpense({
+        PaymentType: "Cash",
+        AccountRef: { value: "35" },
+        EntityRef: { value: vendorId },
+        Line: [line],
+      }),
+      Bill: await channel.pushBill({
+        VendorRef: { value: vendorId },
+        Line: [line],
+      }),
+    };
+
+    for (const [entityType, externalId] of Object.entries(pushed)) {
+      const localId = crypto.randomUUID();
+      await models.EntityMapping.create({
+        entity_type: entityType,
+        external_id: externalId,
+        local_id: localId,
+        IntegrationId: integration.id,
+        CompanyId: source.CompanyId,
+        UserId: source.UserId,
+      });
+
+      const mapping = await voidTransaction(
+        integration,
+        entityType,
+        localId,
+        options,
+      );
+      expect(mapping.sync_status).toBe("Deleted");
+      await expect(
+        voidTransaction(integration, entityType, localId, options),
+      ).rejects.toThrow(`${entityType} is already voided`);
+    }
+
+    expect((await channel.api.invoices.get(pushed.Invoice)).TotalAmt).toBe(0);
+    expect(server.state.deleted).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ entity: "Purchase", Id: pushed.Receipt }),
+        expect.objectContaining({ entity: "Bill", Id: pushed.Bill }),
+      ]),
+    );
+    await expect(
+      voidTransaction(integration, "Bill", crypto.randomUUID(), options),
+    ).rejects.toThrow("Bill is not synced with the accounting system");
+  });
+
+  test(" duplicate vendors are matched and merged", async () => {
+    const attributes = { CompanyId: source.CompanyId, UserId: source.UserId };
+    const target = await models.Vendor.create({
+      ...attributes,
+      name: "Google Ireland Ltd",
+    });
+    const duplicate = await models.Vendor.create({
+      ...attributes,
+      name: "GOOGLE IRELAND LIMITED",
+      tax_id: "IE6388047V",
+    });
+    await models.EntityMapping.create({
+      entity_type: "Vendor",
+      local_id: duplicate.id,
+      external_id: "90",
+      IntegrationId: integration.id,
+      CompanyId: source.CompanyId,
+      UserId: source.UserId,
+    });
+    const purchase = await models.Purchase.create({
+      ...attributes,
+      VendorId: duplicate.id,
+      txn_date: new Date(),
+      total_amount: 20,
+      payment_type: "Cash",
+    });
+    const correction = await models.CategorizationCorrection.create({
+      ...attributes,
+      field: "account_ref",
+      from_value: "92",
+      to_value: "58",
+      VendorId: duplicate.id,
+      PurchaseId: purchase.id,
+    });
+    const document = await models.Document.create({
+      ...attributes,
+      type: "Receipt",
+      status: "Processed",
+    });
+    const example = await models.ExtractionExample.create({
+      ...attributes,
+      document_type: "Receipt",
+      fields: { TotalAmount: 20 },
+      fields_compared: 1,
+      fields_corrected: 0,
+      DocumentId: document.id,
+      VendorId: duplicate.id,
+    });
+    const rule = await models.CategorizationRule.create({
+      CompanyId: source.CompanyId,
+      name: "Google ads",
+      conditions: { vendor_ids: [duplicate.id, target.id, "other-vendor"] },
+      actions: { account_ref: "58" },
+    });
+
+    const { candidates } = await findContactMatches(
+      "Vendor",
+      recordDetails(target),
+      source.CompanyId,
+      { exclude: [target.id] },
+    );
+    expect(candidates[0].contact.id).toBe(duplicate.id);
+
+    const result = await mergeContacts(
+      "Vendor",
+      target.id,
+      [duplicate.id],
+      source.CompanyId,
+    );
+    expect(result.unmappedExternalIds).toEqual([]);
+    expect(await models.Vendor.findByPk(duplicate.id)).toBeNull();
+    expect((await models.Vendor.findByPk(target.id)).tax_id).toBe("IE6388047V");
+    expect(
+      await models.EntityMapping.findOne({
+        where: { IntegrationId: integration.id, external_id: "90" },
+      }),
+    ).toMatchObject({ local_id: target.id });
+    expect((await correction.reload()).VendorId).toBe(target.id);
+    expect((await example.reload()).VendorId).toBe(target.id);
+    expect((await rule.reload()).conditions.vendor_ids).toEqual([
+      target.id,
+      "other-vendor",
+    ]);
+
+    await rule.destroy();
+    await purchase.destroy();
+    await document.destroy();
+    await models.Vendor.destroy({ where: { id: target.id } });
+  }, 30000);
+
+  test(" repeated line corrections suggest a categorization rule", async () => {
+    const attributes = { CompanyId: source.CompanyId, UserId: source.UserId };
+    const vendor = await models.Vendor.create({ ...attributes, name: "Uber" });
+    const purchases = [];
+    for (const amount of [12, 18]) {
+      const purchase = await models.Purchase.create({
+        ...attributes,
+        VendorId: vendor.id,
+        txn_date: new Date(),
+        total_amount: amount,
+        payment_type: "Cash",
+      });
+      await models.PurchaseLineItem.create({
+        amount,
+        account_ref: "92",
+        billable_status: "NotBillable",
+        PurchaseId: purchase.id,
+      });
+      purchases.push(purchase);
+    }
+
+    const [first] = await Promise.all(
+      purchases.map((purchase) =>
+        recordCorrections(
+          purchase,
+          [{ account_ref: "58", class_ref: "3", tax_code_ref: "" }],
+          {
+            userId: source.UserId,
+          },
+        ),
+      ),
+    );
+    expect(first.map(({ field }) => field)).toEqual([
+      "account_ref",
+      "class_ref",
+    ]);
+    expect(
+      (
+        await models.PurchaseLineItem.findOne({
+          where: { PurchaseId: purchases[0].id },
+        })
+      ).account_ref,
+    ).toBe("58");
+
+    const suggestion = (await ruleSuggestions(source.CompanyId)).find(
+      ({ VendorId, field }) =>
+        VendorId === vendor.id && field === "account_ref",
+    );
+    expect(suggestion).toMatchObject({
+      value: "58",
+      corrections: 2,
+      rule: {
+        conditions: { vendor_ids: [vendor.id] },
+        actions: { account_ref: "58" },
+      },
+    });
+
+    const rule = await models.CategorizationRule.create({
+      ...suggestion.rule,
+      CompanyId: source.CompanyId,
+    });
+    expect(
+      (await ruleSuggestions(source.CompanyId)).some(
+        ({ VendorId, field }) =>
+          VendorId === vendor.id && field === "account_ref",
+      ),
+    ).toBe(false);
+
+    await rule.destroy();
+    for (const purchase of purchases) await purchase.destroy();
+    await models.Vendor.destroy({ where: { id: vendor.id } });
+  }, 30000);
+
+  test(" corrected receipts teach the extraction of the vendor", async () => {
+    const attributes = { CompanyId: source.CompanyId, UserId: source.UserId };
+    const vendor = await models.Vendor.create({
+      ...attributes,
+      name: "Corner Cafe",
+    });
+    const corrected = await models.Document.create({
+      ...attributes,
+      type: "Receipt",
+      status: "MissingData",
+      processed_data: {
+        processed_json: {
+          TotalAmount: 3,
+          VendorDetails: { Name: "Corner Cafe" },
+          PurchaseLines: [{ Amount: 3 }],
+        },
+      },
+    });
+
+    const example = await recordExtractionExample(
+      corrected,
+      correctedExtraction(
+        "Receipt",
+        { total_amount: 30, items: [{ amount: 30 }] },
+        { contactName: vendor.name },
+      ),
+      { contactId: vendor.id, userId: source.UserId },
+    );
+    expect(example).toMatchObject({ fields_compared: 3, fields_corrected: 2 });
+
+    const next = await models.Document.create({
+      ...attributes,
+      type: "Receipt",
+      status: "Processing",
+    });
+    const hints = await extractionHints(
+      next,
+      "CORNER CAFE\n2 x Latte ... 7.00\nTOTAL 7.00",
+    );
+    expect(hints).toMatchObject({ ContactId: vendor.id, examples: 1 });
+    expect(hints.prompt).toContain("- TotalAmount: corrected 1 time(s)");
+    expect(await extractionHints(next, "Harbour Bakery")).toBeNull();
+
+    // Posted without corrections.
+    const posted = await models.Document.create({
+      ...attributes,
+      type: "Receipt",
+      status: "Processed",
+      processed_data: {
+        processed_json: {
+          TransactionDate: "2024-05-02",
+          TotalAmount: 7,
+          VendorDetails: { Name: "CORNER CAFE" },
+        },
+      },
+    });
+    const purchase = await models.Purchase.create({
+      ...attributes,
+      VendorId: vendor.id,
+      DocumentId: posted.id,
+      txn_date: new Date("2024-05-02T00:00:00Z"),
+      total_amount: 7,
+      payment_type: "Cash",
+    });
+    expect(await recordPostedExtraction(posted, purchase)).toMatchObject({
+      fields_compared: 3,
+      fields_corrected: 0,
+    });
+    expect(await recordPostedExtraction(posted, purchase)).toBeNull();
+
+    const [accuracy] = (await extractionAccuracy(source.CompanyId)).filter(
+      ({ VendorId }) => VendorId === vendor.id,
+    );
+    expect(accuracy).toMatchObject({ documents: 2, name: "Corner Cafe" });
+    expect(accuracy.accuracy).toBeCloseTo(1 - 2 / 6);
+
+    await purchase.destroy();
+    await models.Document.destroy({
+      where: { id: [corrected.id, next.id, posted.id] },
+    });
+    await models.Vendor.destroy({ where: { id: vendor.id } });
+  }, 30000);
+
+  test(" the review policy holds the invoice until it is approved", async () => {
+    const company = await models.Company.findByPk(source.CompanyId);
+    await company.update({ reviewAll: true });
+    const processor = new DocumentProcessor(source, {
+      extractionProvider: new FixtureProvider(),
+      channel: getChannel(integration, options),
+    });
+    processor.processedImages = processed.processedImages;
+    processor.documentRawJSON = JSON.parse(processed.processed_data).raw_json;
+    await processor.getDocument();
+    await processor.transform();
+
+    expect(await processor.review()).toBe(false);
+    expect(processor.documentObject.status).toBe("PendingReview");
+    expect(processor.documentObject.review_reasons).toEqual(["always"]);
+    expect(await processor.sync()).toBe(false);
+
+    const { review, job } = await approveDocument(
+      source.id,
+      source.CompanyId,
+      source.UserId,
+      { comment: "Checked against the PO" },
+    );
+    expect(review.action).toBe("Approve");
+    expect(review.payload).toEqual(processor.transformedPayload);
+    expect(job.payload).toEqual({ documentId: source.id });
+
+    await processor.documentObject.reload();
+    expect(await processor.review()).toBeUndefined();
+    expect(processor.documentObject.completed_stage).toBe("review");
+    await expect(
+      approveDocument(source.id, source.CompanyId, source.UserId),
+    ).rejects.toThrow("Document is not waiting for review");
+
+    await job.destroy();
+    await review.destroy();
+    await company.update({ reviewAll: false });
+  }, 30000);
+
+  test(" a replayed invoice passes validate and reaches review", async () => {
+    const provider = new FixtureProvider();
+    // The recorded line is misread (see tests/9), read it right so the
+    // amounts reconcile.
+    const fixture = provider.loadFixtures()[source.id];
+    fixture.processed_json = {
+      ...fixture.processed_json,
+      Items: [
+        { ...fixture.processed_json.Items[0], Quantity: 1, UnitPrice: 0.12 },
+      ],
+    };
+    const processor = new DocumentProcessor(source, {
+      extractionProvider: provider,
+      channel: getChannel(integration, options),
+    });
+    processor.documentRawJSON = JSON.parse(processed.processed_data).raw_json;
+    await processor.getDocument();
+    await processor.transform();
+
+    expect(processor.fieldConfidence.TotalAmount.confidence).toBe(0.95);
+    expect(await processor.validate()).toBeUndefined();
+    expect(processor.documentObject.status).toBe("Ready");
+    expect(await processor.review()).toBeUndefined();
+    expect(processor.documentObject.completed_stage).toBe("review");
+
+    // Documents extracted before scores were recorded are not held.
+    const { field_confidence, ...legacy } = processor.processedData();
+    await processor.documentObject.update({ processed_data: legacy });
+    processor.restore();
+    expect(processor.fieldConfidence).toBeNull();
+    expect(await processor.validate()).toBeUndefined();
+    expect(processor.documentObject.status).toBe("Ready");
+  }, 30000);
+
+  test(" expenses wait for every step of their approval chain", async () => {
+    const attributes = { CompanyId: source.CompanyId, UserId: source.UserId };
+    const policy = await models.ApprovalPolicy.create({
+      ...attributes,
+      name: "Manager and controller",
+      min_amount: 500,
+      steps: [
+        { name: "Manager", approvers: [source.UserId] },
+        {
+          name: "Controller",
+          approvers: [source.UserId],
+          escalate_to: ["cfo-id"],
+        },
+      ],
+    });
+    const document = await models.Document.create({
+      ...attributes,
+      type: "Receipt",
+      status: "Ready",
+    });
+    try {
+      const purchase = await models.Purchase.create({
+        ...attributes,
+        DocumentId: document.id,
+        txn_date: new Date(),
+        total_amount: 1200,
+        payment_type: "Cash",
+      });
+      const queue = new JobQueue();
+
+      expect(await approvalComplete(document, purchase)).toBe(false);
+      const steps = await startApprovalChain(document, purchase);
+      expect(steps.map(({ name, status }) => [name, status])).toEqual([
+        ["Manager", "Pending"],
+        ["Controller", "Waiting"],
+      ]);
+      expect(await startApprovalChain(document, purchase)).toHaveLength(2);
+
+      const first = await decideApprovalStep(steps[0].id, source.UserId, {
+        decision: "Approved",
+        comment: "Fine",
+        queue,
+      });
+      expect(first.next.id).toBe(steps[1].id);
+      expect(first.job).toBeNull();
+      expect(await approvalComplete(document, purchase)).toBe(false);
+
+      const later = (days) =>
+        new Date(Date.now() + days * REMINDER_AFTER_MS + 1000);
+      expect(await remindStaleApprovals(later(1))).toEqual({
+        reminded: 1,
+        escalated: 0,
+      });
+      expect(await remindStaleApprovals(later(2))).toEqual({
+        reminded: 1,
+        escalated: 1,
+      });
+      await steps[1].reload();
+      expect(steps[1].approver_ids).toEqual([source.UserId, "cfo-id"]);
+      expect(
+        steps[1].notifications.map(({ type, user_ids }) => [type, user_ids]),
+      ).toEqual([
+        ["Reminder", [source.UserId]],
+        ["Reminder", [source.UserId]],
+        ["Escalation", ["cfo-id"]],
+      ]);
+      const [pending] = (await pendingApprovals(source.UserId)).filter(
+        ({ id }) => id === steps[1].id,
+      );
+      expect(pending.notifications).toHaveLength(3);
+      expect(pending.notifications[2].message).toContain("escalated to you");
+
+      const last = await decideApprovalStep(steps[1].id, source.UserId, {
+        decision: "Approved",
+        queue,
+      });
+      expect(last.step.ApproverId).toBe(source.UserId);
+      expect(last.job.payload).toEqual({ documentId: document.id });
+      expect(await approvalComplete(document, purchase)).toBe(true);
+      await expect(
+        decideApprovalStep(steps[1].id, source.UserId, {
+          decision: "Rejected",
+          queue,
+        }),
+      ).rejects.toThrow("Approval step is not waiting for a decision");
+    } finally {
+      await models.SyncLog.destroy({ where: { DocumentId: document.id } });
+      await models.ApprovalStep.destroy({ where: { DocumentId: document.id } });
+      await models.Purchase.destroy({ where: { DocumentId: document.id } });
+      await document.destroy();
+      await policy.destroy();
+    }
+  }, 30000);
+
+  test(" processDocument pushes the invoice to QuickBooks once", async () => {
+    const processor = new DocumentProcessor(source, {
+      extractionProvider: new FixtureProvider(),
+      channel: getChannel(integration, options),
+    });
+    processor.processedImages = processed.processedImages;
+    processor.documentRawJSON = JSON.parse(processed.processed_data).raw_json;
+    await processor.getDocument();
+
+    await processor.transform();
+    await processor.sync();
+    await processor.sync();
+
+    const invoices = server.state.entities.Invoice.filter(
+      ({ DocNumber }) => DocNumber === "4948636466",
+    );
+    expect(invoices).toHaveLength(1);
+    expect(
+      server.state.entities.Customer.some(
+        ({ Id }) => Id === invoices[0].CustomerRef.value,
+      ),
+    ).toBe(true);
+  }, 30000);
+
+  test(" split children take the type of their pages", async () => {
+    const batch = await models.Document.create({
+      CompanyId: source.CompanyId,
+      UserId: source.UserId,
+      type: "Receipt",
+      status: "Processing",
+      content_hash: "batch-hash",
+    });
+    const pages = [
+      { DocumentType: "Invoice", DocumentNumber: "INV-1", PageNumber: 1 },
+      { DocumentType: "Invoice", DocumentNumber: "INV-1", PageNumber: 2 },
+      { DocumentType: "Other", DocumentNumber: "R-7", PageNumber: 1 },
+    ];
+
+    try {
+      const processor = new DocumentProcessor(batch, {
+        extractionProvider: { describePages: async () => pages },
+      });
+      await processor.getDocument();
+      processor.documentImages = ["page-1", "page-2", "page-3"];
+
+      expect(await processor.split()).toBe(false);
+      const children = await models.Document.findAll({
+        where: { ParentId: batch.id },
+      });
+      children.sort((a, b) => a.split_pages[0] - b.split_pages[0]);
+      expect(children.map(({ type }) => type)).toEqual(["Invoice", "Receipt"]);
+      expect(children[0].processed_image_file_paths).toEqual([
+        "page-1",
+        "page-2",
+      ]);
+      expect(children[0].content_hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(children[1].content_hash).not.toBe(children[0].content_hash);
+    } finally {
+      const children = await models.Document.findAll({
+        where: { ParentId: batch.id },
+      });
+      const ids = children.map(({ id }) => id);
+      await models.SyncLog.destroy({ where: { DocumentId: ids } });
+      await models.Document.destroy({ where: { id: ids } });
+      await batch.destroy();
+    }
+  }, 30000);
+
+  test(" split documents attach only their own pages", async () => {
+    const attributes = { CompanyId: source.CompanyId, UserId: source.UserId };
+    const storage = "https://del1.vultrobjects.com/akountofiles";
+    const batch = await models.Document.create({
+      ...attributes,
+      type: "Receipt",
+      status: "Split",
+      file_path: `${storage}/source/batch.pdf`,
+    });
+    const child = await models.Document.create({
+      ...attributes,
+      type: "Receipt",
+      status: "Processed",
+      file_path: batch.file_path,
+      processed_image_file_paths: [
+        `${storage}/processed/batch_page_2.jpeg`,
+        `${storage}/processed/batch_page_3.jpeg`,
+      ],
+      split_pages: [1, 2],
+      ParentId: batch.id,
+    });
+    server.state.entities.Purchase.push({ Id: "81", SyncToken: "0" });
+    const mapping = await models.EntityMapping.create({
+      ...attributes,
+      entity_type: "Receipt",
+      local_id: (
+        await models.Purchase.create({
+          ...attributes,
+          DocumentId: child.id,
+          txn_date: new Date(),
+          total_amount: 35,
+          payment_type: "Cash",
+        })
+      ).id,
+      external_id: "81",
+      IntegrationId: integration.id,
+    });
+
+    try {
+      const processor = new DocumentProcessor(child, {
+        extractionProvider: new FixtureProvider(),
+        channel: getChannel(integration, options),
+        downloadFile: async ({ fileName }) => Buffer.from(fileName),
+      });
+      await processor.getDocument();
+      await processor.attach();
+
+      const ids = (await mapping.reload()).attachable_id.split(",");
+      expect(ids).toHaveLength(2);
+      expect(server.state.files[ids[0]].toString()).toBe("batch_page_2");
+      expect(server.state.files[ids[1]].toString()).toBe("batch_page_3");
+      const attachables = server.state.entities.Attachable.filter(
+        ({ AttachableRef }) =>
+          AttachableRef.some(({ EntityRef }) => EntityRef.value === "81"),
+      );
+      expect(attachables.map(({ FileName }) => FileName)).toEqual([
+        "batch_page_2.jpeg",
+        "batch_page_3.jpeg",
+      ]);
+    } finally {
+      await models.Purchase.destroy({ where: { DocumentId: child.id } });
+      await child.destroy();
+      await batch.destroy();
+    }
+  }, 30000);
+});
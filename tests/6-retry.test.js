@@ -0,0 +1,63 @@
+const {
+  RETRY_POLICIES,
+  classifyError,
+  retryDelay,
+  retryDecision,
+} = require("../src/services/queue/retryPolicy");
+
+const httpError = (status) =>
+  Object.assign(new Error(`HTTP ${status}`), { status });
+
+describe(" - Retry policy for failed queue jobs ", () => {
+  test(" classifies QuickBooks ValidationFault as validation", () => {
+    const error = Object.assign(new Error("failed to create invoice"), {
+      status: 400,
+      fault: {
+        type: "ValidationFault",
+        Error: [{ Detail: "Required param missing" }],
+      },
+    });
+    expect(classifyError(error)).toBe("validation");
+  });
+
+  test(" classifies rate limits, 5xx and network errors as transient", () => {
+    expect(classifyError(httpError(429))).toBe("transient");
+    expect(classifyError(httpError(503))).toBe("transient");
+    expect(
+      classifyError(Object.assign(new Error("reset"), { code: "ECONNRESET" })),
+    ).toBe("transient");
+    expect(classifyError({ response: { status: 502 } })).toBe("transient");
+  });
+
+  test(" classifies other 4xx as permanent and the rest as unknown", () => {
+    expect(classifyError(httpError(400))).toBe("permanent");
+    expect(classifyError(new Error("Customer mapping not found"))).toBe(
+      "unknown",
+    );
+    expect(classifyError("failed")).toBe("unknown");
+  });
+
+  test(" backs off exponentially up to the max delay", () => {
+    const policy = RETRY_POLICIES.transient;
+    const noJitter = () => 0;
+
+    expect(retryDelay(policy, 1, noJitter)).toBe(policy.baseDelayMs);
+    expect(retryDelay(policy, 3, noJitter)).toBe(policy.baseDelayMs * 4);
+    expect(retryDelay(policy, 20, noJitter)).toBe(policy.maxDelayMs);
+    expect(retryDelay(policy, 1, () => 1)).toBe(policy.baseDelayMs * 1.2);
+  });
+
+  test(" retries transient errors until max attempts, then dead-letters", () => {
+    expect(retryDecision(httpError(429), 1, 5).retry).toBe(true);
+    expect(retryDecision(httpError(429), 5, 5)).toEqual({
+      failureClass: "transient",
+      retry: false,
+      delayMs: null,
+    });
+  });
+
+  test(" never retries validation faults", () => {
+    const error = { fault: { type: "ValidationFault" } };
+    expect(retryDecision(error, 1, 5).retry).toBe(false);
+  });
+});
@@ -0,0 +1,90 @@
+const { source } = require("./doc.json");
+const {
+  FixtureProvider,
+  OpenAIProvider,
+  getExtractionProvider,
+} = require("../src/services/extraction");
+const { invoiceJsonSchema } = require("../src/services/openai/schemas");
+
+const provider = new FixtureProvider();
+
+describe(" - Extraction providers ", () => {
+  const environment = {};
+
+  beforeEach(() => {
+    for (const name of ["EXTRACTION_PROVIDER", "openaikey"]) {
+      environment[name] = process.env[name];
+    }
+  });
+
+  afterEach(() => {
+    for (const [name, value] of Object.entries(environment)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  test(" fixture provider replays the raw extraction for a known document", async () => {
+    const raw = await provider.analyzeImages([], { document: source });
+    expect(raw).toContain("```json");
+  });
+
+  test(" fixture provider replays the structured json", async () => {
+    const json = await provider.extractJson("", invoiceJsonSchema, {
+      document: source,
+    });
+    expect(JSON.parse(json).InvoiceNumber).toBe("4948636466");
+  });
+
+  test(" fixture provider matches by content hash before id", async () => {
+    const byHash = new FixtureProvider();
+    byHash.loadFixtures()["abc123"] = { raw_json: "from hash" };
+
+    const raw = await byHash.analyzeImages([], {
+      document: { id: source.id, content_hash: "abc123" },
+    });
+    expect(raw).toBe("from hash");
+  });
+
+  test(" fixture provider fails for unknown documents", async () => {
+    await expect(
+      provider.analyzeImages([], { document: { id: "unknown" } }),
+    ).rejects.toThrow("No extraction fixture");
+  });
+
+  test(" company setting wins over the environment", () => {
+    process.env.EXTRACTION_PROVIDER = "openai";
+    expect(
+      getExtractionProvider({ extractionProvider: "fixture" }),
+    ).toBeInstanceOf(FixtureProvider);
+
+    process.env.EXTRACTION_PROVIDER = "fixture";
+    expect(getExtractionProvider(null)).toBeInstanceOf(FixtureProvider);
+    expect(getExtractionProvider({ extractionProvider: null })).toBeInstanceOf(
+      FixtureProvider,
+    );
+  });
+
+  test(" openai is the default provider", () => {
+    // The OpenAI client only needs a key to be created.
+    process.env.openaikey = "test-key";
+    delete process.env.EXTRACTION_PROVIDER;
+    expect(getExtractionProvider(null)).toBeInstanceOf(OpenAIProvider);
+
+    process.env.EXTRACTION_PROVIDER = "fixture";
+    const provider = getExtractionProvider({ extractionProvider: "openai" });
+    expect(provider).toBeInstanceOf(OpenAIProvider);
+    expect(provider.name).toBe("openai");
+  });
+
+  test(" unknown provider names are rejected", () => {
+    expect(() => getExtractionProvider({ extractionProvider: "nope" })).toThrow(
+      "Unknown extraction provider: nope",
+    );
+
+    process.env.EXTRACTION_PROVIDER = "other";
+    expect(() => getExtractionProvider(null)).toThrow(
+      "Unknown extraction provider: other",
+    );
+  });
+});
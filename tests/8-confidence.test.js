@@ -0,0 +1,55 @@
+const {
+  indexFieldConfidence,
+  lowConfidenceFields,
+} = require("../src/services/extraction/confidence");
+
+const fieldConfidence = indexFieldConfidence([
+  {
+    field: "TotalAmount",
+    confidence: 0.42,
+    page: 1,
+    bbox: [0.7, 0.8, 0.9, 0.85],
+  },
+  { field: "Date", confidence: 0.97, page: 0, bbox: [0.1, 0.1, 0.3, 0.12] },
+  { field: "CustomerDetails.CompanyName", confidence: 0.9, page: 0 },
+  { field: "Items[0].UnitPrice", confidence: 0.3, page: 0 },
+  { confidence: 0.1 },
+]);
+
+describe(" - Field confidence scores ", () => {
+  test(" indexes scores and locations by field path", () => {
+    expect(fieldConfidence.TotalAmount).toEqual({
+      confidence: 0.42,
+      page: 1,
+      bbox: [0.7, 0.8, 0.9, 0.85],
+    });
+    expect(fieldConfidence["CustomerDetails.CompanyName"].bbox).toBeNull();
+    expect(Object.keys(fieldConfidence)).toHaveLength(4);
+    expect(indexFieldConfidence(undefined)).toBeNull();
+  });
+
+  test(" flags critical fields below the threshold only", () => {
+    expect(lowConfidenceFields("Invoice", fieldConfidence, 0.8)).toEqual([
+      { field: "TotalAmount", confidence: 0.42 },
+    ]);
+    expect(lowConfidenceFields("Invoice", fieldConfidence, 0.4)).toEqual([]);
+  });
+
+  test(" flags critical fields without a score", () => {
+    const receipt = indexFieldConfidence([
+      { field: "TotalAmount", confidence: 0.95 },
+      { field: "TransactionDate", confidence: "unsure" },
+    ]);
+    expect(lowConfidenceFields("Receipt", receipt, 0.8)).toEqual([
+      { field: "TransactionDate", confidence: null },
+      { field: "VendorDetails.Name", confidence: null },
+    ]);
+    expect(lowConfidenceFields("Invoice", {}, 0.8)).toHaveLength(3);
+    expect(lowConfidenceFields("Invoice", {}, 0)).toEqual([]);
+  });
+
+  test(" skips documents without recorded scores", () => {
+    expect(lowConfidenceFields("Invoice", null, 0.8)).toEqual([]);
+    expect(lowConfidenceFields("Receipt", undefined, 0.8)).toEqual([]);
+  });
+});
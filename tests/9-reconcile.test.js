@@ -0,0 +1,81 @@
+const { processed } = require("./doc.json");
+const {
+  reconcileInvoice,
+  describeDiscrepancies,
+} = require("../src/services/reconciliation");
+
+const invoice = {
+  Subtotal: 0.12,
+  DiscountTotal: 0,
+  SalesTaxAmount: 0,
+  TotalAmount: 0.12,
+  AmountPaid: 0,
+  BalanceDue: 0.12,
+  Items: [
+    {
+      Quantity: 14,
+      UnitPrice: 0.4242857142857143,
+      Discount: 0,
+      TotalAmount: 5.94,
+    },
+    { Quantity: 1, UnitPrice: -5.82, Discount: 0, TotalAmount: -5.82 },
+  ],
+};
+
+const checks = (report) => report.discrepancies.map(({ check }) => check);
+
+describe(" - Reconcile extracted invoice amounts ", () => {
+  test(" balanced invoice has no discrepancies", () => {
+    expect(reconcileInvoice(invoice)).toEqual({
+      balanced: true,
+      discrepancies: [],
+    });
+  });
+
+  test(" line totals that do not add up to the subtotal", () => {
+    const report = reconcileInvoice({
+      ...invoice,
+      Subtotal: 1.12,
+      TotalAmount: 1.12,
+      BalanceDue: 1.12,
+    });
+    expect(checks(report)).toEqual(["line_sum"]);
+    expect(report.discrepancies[0]).toMatchObject({
+      expected: 0.12,
+      actual: 1.12,
+      difference: 1,
+    });
+  });
+
+  test(" subtotal - discount + tax that does not match the total", () => {
+    const report = reconcileInvoice({ ...invoice, SalesTaxAmount: 0.05 });
+    expect(checks(report)).toEqual(["total"]);
+  });
+
+  test(" amount paid + balance due that does not match the total", () => {
+    const report = reconcileInvoice({ ...invoice, AmountPaid: 0.12 });
+    expect(checks(report)).toEqual(["balance"]);
+  });
+
+  test(" accepts line discounts as amount or percentage", () => {
+    const items = [
+      { Quantity: 1, UnitPrice: 200, Discount: 10, TotalAmount: 190 },
+    ];
+    expect(reconcileInvoice({ Items: items }).balanced).toBe(true);
+    expect(
+      reconcileInvoice({ Items: [{ ...items[0], TotalAmount: 180 }] }).balanced,
+    ).toBe(true);
+    expect(
+      reconcileInvoice({ Items: [{ ...items[0], TotalAmount: 170 }] }).balanced,
+    ).toBe(false);
+  });
+
+  test(" flags the misread line in the recorded extraction", () => {
+    const { processed_json } = JSON.parse(processed.processed_data);
+    const report = reconcileInvoice(processed_json);
+
+    expect(checks(report)).toEqual(["line_total"]);
+    expect(report.discrepancies[0].line).toBe(0);
+    expect(describeDiscrepancies(report.discrepancies)).toContain("Line 1");
+  });
+});
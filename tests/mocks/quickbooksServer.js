@@ -0,0 +1,839 @@
+const express = require("express");
+const crypto = require("crypto");
+
+// In-memory stand-in for the QuickBooks Online Accounting API and the Intuit
+// OAuth token endpoint, enough for quickbooksApiClient and QuickBooksSync.
+// Point the client at it with
+// `new quickbooksApiClient(config, null, { apiUrl: url, tokenUrl })`, using
+// `server.tokenUrl` and `server.credentials()` for the config.
+//
+//   const server = await startQuickBooksMockServer();
+//   server.state.entities.Vendor.push({ Id: "56", DisplayName: "Bob's" });
+//   server.state.rateLimit.limit = 2;
+//   ...
+//   await server.close();
+const createState = () => ({
+  realmId: "9130350000000001",
+  accessToken: crypto.randomUUID(),
+  refreshToken: crypto.randomUUID(),
+  nextId: 100,
+  entities: {
+    Customer: [],
+    Vendor: [],
+    Invoice: [],
+    Purchase: [],
+    Bill: [],
+    Account: [
+      {
+        Id: "35",
+        Name: "Checking",
+        AccountType: "Bank",
+        AccountSubType: "Checking",
+        Classification: "Asset",
+        Active: true,
+      },
+      {
+        Id: "41",
+        Name: "Visa",
+        AccountType: "Credit Card",
+        AccountSubType: "CreditCard",
+        Classification: "Liability",
+        Active: true,
+      },
+      {
+        Id: "13",
+        Name: "Meals and Entertainment",
+        AccountType: "Expense",
+        AccountSubType: "EntertainmentMeals",
+        Classification: "Expense",
+        Active: true,
+      },
+      {
+        Id: "58",
+        Name: "Travel",
+        AccountType: "Expense",
+        AccountSubType: "Travel",
+        Classification: "Expense",
+        Active: true,
+      },
+      {
+        Id: "92",
+        Name: "Office Expenses",
+        AccountType: "Expense",
+        AccountSubType: "OfficeGeneralAdministrativeExpenses",
+        Classification: "Expense",
+        Active: true,
+      },
+      {
+        Id: "93",
+        Name: "Petty Cash",
+        AccountType: "Bank",
+        AccountSubType: "CashOnHand",
+        Classification: "Asset",
+        Active: true,
+      },
+      {
+        Id: "31",
+        Name: "Uncategorized Expense",
+        AccountType: "Expense",
+        AccountSubType: "OtherMiscellaneousServiceCost",
+        Classification: "Expense",
+        Active: true,
+      },
+      {
+        Id: "79",
+        Name: "Services",
+        AccountType: "Income",
+        AccountSubType: "ServiceFeeIncome",
+        Classification: "Revenue",
+        Active: true,
+      },
+    ],
+    Item: [
+      {
+        Id: "1",
+        Name: "Services",
+        Type: "Service",
+        IncomeAccountRef: { value: "79", name: "Services" },
+        Active: true,
+      },
+      {
+        Id: "2",
+        Name: "Hours",
+        Type: "Service",
+        IncomeAccountRef: { value: "79", name: "Services" },
+        Active: true,
+      },
+    ],
+    // A US company: "TAX" and "NON" mark invoice lines taxable or not,
+    // "California" combines the state and city sales tax.
+    TaxRate: [
+      { Id: "3", Name: "California", RateValue: 7.25, Active: true },
+      { Id: "4", Name: "San Francisco", RateValue: 1.25, Active: true },
+    ],
+    TaxCode: [
+      { Id: "TAX", Name: "TAX", Taxable: true, Active: true },
+      { Id: "NON", Name: "NON", Taxable: false, Active: true },
+      {
+        Id: "2",
+        Name: "California",
+        Taxable: true,
+        Active: true,
+        SalesTaxRateList: {
+          TaxRateDetail: [
+            { TaxRateRef: { value: "3" } },
+            { TaxRateRef: { value: "4" } },
+          ],
+        },
+        PurchaseTaxRateList: { TaxRateDetail: [] },
+      },
+    ],
+    Attachable: [],
+  },
+  // Uploaded file contents by Attachable Id.
+  files: {},
+  // QuickBooks allows 500 requests a minute per company.
+  rateLimit: { limit: 500, windowMs: 60 * 1000, windowStart: 0, count: 0 },
+  requests: [],
+  // Deleted records as { entity, Id, deletedAt } for Change Data Capture.
+  deleted: [],
+});
+
+// URL segment (`/invoice`, `/purchase`) to entity name.
+const ENTITIES = {
+  customer: "Customer",
+  vendor: "Vendor",
+  invoice: "Invoice",
+  purchase: "Purchase",
+  bill: "Bill",
+  account: "Account",
+  item: "Item",
+  taxrate: "TaxRate",
+  taxcode: "TaxCode",
+  attachable: "Attachable",
+};
+
+// Required fields and references checked on create, like the ValidationFaults
+// QuickBooks returns.
+const RULES = {
+  Customer: { required: ["DisplayName"], unique: "DisplayName" },
+  Vendor: { required: ["DisplayName"], unique: "DisplayName" },
+  Invoice: {
+    required: ["CustomerRef", "Line"],
+    refs: { CustomerRef: "Customer" },
+    lineRefs: { "SalesItemLineDetail.ItemRef": "Item" },
+  },
+  Purchase: {
+    required: ["AccountRef", "PaymentType", "Line"],
+    refs: { AccountRef: "Account", EntityRef: "Vendor" },
+  },
+  Bill: { required: ["VendorRef", "Line"], refs: { VendorRef: "Vendor" } },
+  Account: { required: ["Name", "AccountType"], unique: "Name" },
+  Item: {
+    required: ["Name", "Type"],
+    refs: { IncomeAccountRef: "Account" },
+    unique: "Name",
+  },
+};
+
+const fault = (res, status, type, errors) =>
+  res.status(status).json({
+    Fault: {
+      Error: errors.map(({ message, detail, code, element }) => ({
+        Message: message,
+        Detail: detail,
+        code,
+        element,
+      })),
+      type,
+    },
+    time: new Date().toISOString(),
+  });
+
+const validationFault = (res, errors) =>
+  fault(res, 400, "ValidationFault", errors);
+
+const requiredParamMissing = (field) => ({
+  message:
+    "Required param missing, need to supply the required value for the API",
+  detail: `Required parameter ${field} is missing in the request`,
+  code: "2020",
+  element: field,
+});
+
+const invalidReference = (field) => ({
+  message: "Invalid Reference Id",
+  detail: `Invalid Reference Id : ${field} assigned is not valid`,
+  code: "2500",
+  element: field,
+});
+
+const staleObject = (syncToken, current) => ({
+  message: "Stale Object Error",
+  detail: `Stale Object Error : You and another user were working on the same thing. SyncToken ${syncToken} is not the current one (${current.SyncToken}).`,
+  code: "5010",
+});
+
+const get = (record, path) =>
+  path.split(".").reduce((value, key) => value && value[key], record);
+
+const lineTotal = (lines = []) =>
+  lines.reduce((sum, line) => sum + (Number(line.Amount) || 0), 0);
+
+// Parses the subset of the QuickBooks query language the client sends:
+//   SELECT * | COUNT(*) FROM Entity
+//   [WHERE Field = 'value' [AND Field >= 'value' ...]]
+//   [STARTPOSITION n] [MAXRESULTS n]
+const QUERY =
+  /^\s*select\s+(count\(\*\)|\*)\s+from\s+(\w+)(?:\s+where\s+(.+?))?(?:\s+orderby\s+.+?)?(?:\s+startposition\s+(\d+))?(?:\s+maxresults\s+(\d+))?\s*$/i;
+const CONDITION = /^([\w.]+)\s*(=|<=|>=|<|>|like)\s*'((?:[^'\\]|\\.)*)'$/i;
+
+const parseQuery = (query) => {
+  const match = QUERY.exec(query);
+  if (!match) return null;
+
+  const [, select, entity, where, startPosition, maxResults] = match;
+  const conditions = where
+    ? where.split(/\s+and\s+/i).map((condition) => {
+        const parsed = CONDITION.exec(condition.trim());
+        if (!parsed) return null;
+        const [, field, operator, value] = parsed;
+        return {
+          field,
+          operator: operator.toLowerCase(),
+          value: value.replace(/\\(.)/g, "$1"),
+        };
+      })
+    : [];
+  if (conditions.includes(null)) return null;
+
+  return {
+    count: select !== "*",
+    entity,
+    conditions,
+    startPosition: parseInt(startPosition, 10) || 1,
+    maxResults: Math.min(parseInt(maxResults, 10) || 100, 1000),
+  };
+};
+
+const matches = (record, { field, operator, value }) => {
+  const actual = get(record, field);
+  if (actual === undefined || actual === null) return false;
+
+  switch (operator) {
+    case "=":
+      return String(actual) === value;
+    case "like": {
+      const pattern = value
+        .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+        .replace(/%/g, ".*");
+      return new RegExp(`^${pattern}$`, "i").test(String(actual));
+    }
+    default: {
+      const [left, right] = [String(actual), value];
+      if (operator === "<") return left < right;
+      if (operator === ">") return left > right;
+      if (operator === "<=") return left <= right;
+      return left >= right;
+    }
+  }
+};
+
+function createQuickBooksMockApp(state = createState()) {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  app.use((req, res, next) => {
+    state.requests.push({
+      method: req.method,
+      path: req.path,
+      query: req.query,
+      body: req.body,
+    });
+    next();
+  });
+
+  // Intuit OAuth 2.0 token endpoint, authorization code and refresh grants.
+  app.post("/oauth2/v1/tokens/bearer", (req, res) => {
+    const { grant_type, code, refresh_token } = req.body;
+
+    if (!req.headers.authorization?.startsWith("Basic ")) {
+      return res.status(401).json({ error: "invalid_client" });
+    }
+    if (grant_type === "authorization_code" && !code) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+    if (
+      grant_type === "refresh_token" &&
+      refresh_token !== state.refreshToken
+    ) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+    if (!["authorization_code", "refresh_token"].includes(grant_type)) {
+      return res.status(400).json({ error: "unsupported_grant_type" });
+    }
+
+    state.accessToken = crypto.randomUUID();
+    state.refreshToken = crypto.randomUUID();
+    res.json({
+      token_type: "bearer",
+      access_token: state.accessToken,
+      refresh_token: state.refreshToken,
+      expires_in: 3600,
+      x_refresh_token_expires_in: 8726400,
+    });
+  });
+
+  const api = express.Router({ mergeParams: true });
+
+  api.use((req, res, next) => {
+    if (req.headers.authorization !== `Bearer ${state.accessToken}`) {
+      return res.status(401).json({
+        fault: {
+          error: [
+            {
+              message:
+                "message=AuthenticationFailed; errorCode=003200; statusCode=401",
+              detail: "Token expired",
+              code: "3200",
+            },
+          ],
+          type: "AUTHENTICATION",
+        },
+      });
+    }
+    if (req.params.realmId !== state.realmId) {
+      return res.status(403).json({
+        Fault: {
+          Error: [
+            {
+              Message: "Forbidden",
+              Detail: "The realm id does not match the access token",
+              code: "403",
+            },
+          ],
+          type: "AuthorizationFault",
+        },
+      });
+    }
+    next();
+  });
+
+  api.use((req, res, next) => {
+    const { rateLimit } = state;
+    const now = Date.now();
+    if (now - rateLimit.windowStart >= rateLimit.windowMs) {
+      rateLimit.windowStart = now;
+      rateLimit.count = 0;
+    }
+    rateLimit.count++;
+
+    if (rateLimit.count > rateLimit.limit) {
+      res.set(
+        "Retry-After",
+        String(
+          Math.ceil((rateLimit.windowStart + rateLimit.windowMs - now) / 1000),
+        ),
+      );
+      return fault(res, 429, "SERVICE", [
+        {
+          message: "message=ThrottleExceeded; errorCode=003001; statusCode=429",
+          detail: "The request limit was reached.",
+          code: "3001",
+        },
+      ]);
+    }
+    next();
+  });
+
+  api.get("/query", (req, res) => {
+    const query = parseQuery(req.query.query || "");
+    if (!query || !state.entities[query.entity]) {
+      return fault(res, 400, "ValidationFault", [
+        {
+          message: "Error parsing query",
+          detail: `QueryParserError: Encountered an unsupported query: ${req.query.query}`,
+          code: "4000",
+        },
+      ]);
+    }
+
+    const records = state.entities[query.entity].filter((record) =>
+      query.conditions.every((condition) => matches(record, condition)),
+    );
+
+    if (query.count) {
+      return res.json({
+        QueryResponse: { totalCount: records.length },
+        time: new Date().toISOString(),
+      });
+    }
+
+    const page = records.slice(
+      query.startPosition - 1,
+      query.startPosition - 1 + query.maxResults,
+    );
+    // QuickBooks leaves the entity out of an empty result.
+    res.json({
+      QueryResponse: page.length
+        ? {
+            [query.entity]: page,
+            startPosition: query.startPosition,
+            maxResults: page.length,
+          }
+        : {},
+      time: new Date().toISOString(),
+    });
+  });
+
+  // Change Data Capture: the records of `entities` updated since
+  // `changedSince`, deleted ones as { Id, status: "Deleted" }.
+  api.get("/cdc", (req, res) => {
+    const entities = String(req.query.entities || "")
+      .split(",")
+      .filter(Boolean);
+    const since = new Date(req.query.changedSince);
+
+    if (
+      !entities.length ||
+      entities.some((entity) => !state.entities[entity]) ||
+      isNaN(since) ||
+      Date.now() - since > 30 * 24 * 60 * 60 * 1000
+    ) {
+      return validationFault(res, [
+        {
+          message: "Invalid CDC request",
+          detail:
+            "entities must be supported entities and changedSince at most 30 days ago",
+          code: "2030",
+        },
+      ]);
+    }
+
+    const changed = (entity) =>
+      state.entities[entity]
+        .filter(
+          (record) =>
+            record.MetaData &&
+            new Date(record.MetaData.LastUpdatedTime) >= since,
+        )
+        .concat(
+          state.deleted
+            .filter(
+              (record) =>
+                record.entity === entity && new Date(record.deletedAt) >= since,
+            )
+            .map(({ Id, deletedAt }) => ({
+              Id,
+              status: "Deleted",
+              MetaData: { LastUpdatedTime: deletedAt },
+            })),
+        );
+
+    res.json({
+      CDCResponse: [
+        {
+          QueryResponse: entities.map((entity) => {
+            const records = changed(entity);
+            return records.length
+              ? {
+                  [entity]: records,
+                  startPosition: 1,
+                  maxResults: records.length,
+                }
+              : {};
+          }),
+        },
+      ],
+      time: new Date().toISOString(),
+    });
+  });
+
+  // Parts of a multipart/form-data body as { name, filename, contentType,
+  // content }.
+  const multipartParts = (req) => {
+    const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(
+      req.headers["content-type"] || "",
+    );
+    if (!boundary || !Buffer.isBuffer(req.body)) return [];
+
+    const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+    const parts = [];
+    let start = req.body.indexOf(delimiter);
+    while (start !== -1) {
+      const next = req.body.indexOf(delimiter, start + delimiter.length);
+      if (next === -1) break;
+
+      const part = req.body.subarray(start + delimiter.length + 2, next - 2);
+      const headerEnd = part.indexOf("\r\n\r\n");
+      const headers = part.subarray(0, headerEnd).toString();
+      parts.push({
+        name: /name="([^"]*)"/.exec(headers)?.[1],
+        filename: /filename="([^"]*)"/.exec(headers)?.[1],
+        contentType: /content-type:\s*([^\r\n]+)/i.exec(headers)?.[1],
+        content: part.subarray(headerEnd + 4),
+      });
+      start = next;
+    }
+    return parts;
+  };
+
+  // Attachable upload, one file linked to the transactions of its metadata.
+  // Like QuickBooks, faults of a file come back with status 200.
+  api.post(
+    "/upload",
+    express.raw({ type: "multipart/form-data", limit: "100mb" }),
+    (req, res) => {
+      const parts = multipartParts(req);
+      const metadataPart = parts.find(
+        ({ name }) => name === "file_metadata_01",
+      );
+      const contentPart = parts.find(({ name }) => name === "file_content_01");
+      const metadata = metadataPart
+        ? JSON.parse(metadataPart.content.toString())
+        : {};
+      const refs = (metadata.AttachableRef || []).map(
+        ({ EntityRef }) => EntityRef,
+      );
+
+      const fileFault = (detail, code) =>
+        res.json({
+          AttachableResponse: [
+            {
+              Fault: {
+                Error: [{ Message: "Upload failed", Detail: detail, code }],
+                type: "ValidationFault",
+              },
+            },
+          ],
+          time: new Date().toISOString(),
+        });
+
+      if (!contentPart || !contentPart.content.length) {
+        return fileFault("The file is empty or missing", "6000");
+      }
+      const unknown = refs.find(
+        (ref) =>
+          !state.entities[ref.type] ||
+          !state.entities[ref.type].some((r) => r.Id === String(ref.value)),
+      );
+      if (unknown) {
+        return fileFault(
+          `Object Not Found : ${unknown.type} ${unknown.value}`,
+          "610",
+        );
+      }
+
+      const now = new Date().toISOString();
+      const attachable = {
+        Id: String(state.nextId++),
+        SyncToken: "0",
+        FileName: metadata.FileName || contentPart.filename,
+        ContentType: metadata.ContentType || contentPart.contentType,
+        Size: contentPart.content.length,
+        AttachableRef: metadata.AttachableRef || [],
+        MetaData: { CreateTime: now, LastUpdatedTime: now },
+      };
+      state.entities.Attachable.push(attachable);
+      state.files[attachable.Id] = Buffer.from(contentPart.content);
+
+      res.json({ AttachableResponse: [{ Attachable: attachable }], time: now });
+    },
+  );
+
+  const entityName = (req, res, next) => {
+    req.entity = ENTITIES[req.params.entity.toLowerCase()];
+    if (!req.entity) {
+      return fault(res, 400, "ValidationFault", [
+        {
+          message: "Unsupported Operation",
+          detail: `Operation ${req.params.entity} is not supported.`,
+          code: "500",
+        },
+      ]);
+    }
+    next();
+  };
+
+  const notFound = (res, entity, id) =>
+    validationFault(res, [
+      {
+        message: "Object Not Found",
+        detail: `Object Not Found : Something you're trying to use has been made inactive. Check the fields with accounts, customers, items, vendors or employees. (${entity} ${id})`,
+        code: "610",
+      },
+    ]);
+
+  api.get("/:entity/:id", entityName, (req, res) => {
+    const record = state.entities[req.entity].find(
+      (r) => r.Id === req.params.id,
+    );
+    if (!record) return notFound(res, req.entity, req.params.id);
+    res.json({ [req.entity]: record, time: new Date().toISOString() });
+  });
+
+  const validateCreate = (entity, record) => {
+    const rules = RULES[entity];
+    const errors = rules.required
+      .filter((field) => {
+        const value = record[field];
+        return (
+          value === undefined ||
+          value === null ||
+          value === "" ||
+          (Array.isArray(value) && !value.length)
+        );
+      })
+      .map(requiredParamMissing);
+
+    Object.entries(rules.refs || {}).forEach(([field, refEntity]) => {
+      const ref = record[field];
+      if (
+        ref &&
+        !state.entities[refEntity].some((r) => r.Id === String(ref.value))
+      ) {
+        errors.push(invalidReference(field));
+      }
+    });
+
+    Object.entries(rules.lineRefs || {}).forEach(([field, refEntity]) => {
+      (record.Line || []).forEach((line) => {
+        const ref = get(line, field);
+        if (
+          ref &&
+          !state.entities[refEntity].some((r) => r.Id === String(ref.value))
+        ) {
+          errors.push(invalidReference(`Line.${field}`));
+        }
+      });
+    });
+
+    if (
+      rules.unique &&
+      record[rules.unique] &&
+      state.entities[entity].some(
+        (r) => r[rules.unique] === record[rules.unique] && r.Id !== record.Id,
+      )
+    ) {
+      errors.push({
+        message: "Duplicate Name Exists Error",
+        detail: `The name supplied already exists. : ${record[rules.unique]}`,
+        code: "6240",
+      });
+    }
+
+    return errors;
+  };
+
+  const withTotals = (entity, record) => {
+    if (!["Invoice", "Purchase", "Bill"].includes(entity)) return record;
+
+    // Tax is added to the lines unless their amounts include it.
+    const tax =
+      record.GlobalTaxCalculation === "TaxInclusive"
+        ? 0
+        : Number(record.TxnTaxDetail?.TotalTax) || 0;
+    const total = lineTotal(record.Line) + tax;
+    return {
+      ...record,
+      TotalAmt: total,
+      ...(entity === "Purchase" ? {} : { Balance: total }),
+    };
+  };
+
+  const create = (req, res) => {
+    const record = req.body;
+    // Tax codes and rates are created through the TaxService endpoint.
+    if (!RULES[req.entity]) {
+      return validationFault(res, [
+        {
+          message: "Unsupported Operation",
+          detail: `Operation Create is not supported for ${req.entity}`,
+          code: "500",
+        },
+      ]);
+    }
+    const errors = validateCreate(req.entity, record);
+    if (errors.length) return validationFault(res, errors);
+
+    const now = new Date().toISOString();
+    const created = withTotals(req.entity, {
+      ...(["Customer", "Vendor", "Account", "Item"].includes(req.entity)
+        ? { Active: true }
+        : {}),
+      ...record,
+      Id: String(state.nextId++),
+      SyncToken: "0",
+      MetaData: { CreateTime: now, LastUpdatedTime: now },
+    });
+    state.entities[req.entity].push(created);
+    res.json({ [req.entity]: created, time: now });
+  };
+
+  // Full updates replace the entity, `sparse: true` only the fields sent.
+  // A SyncToken other than the current one is a stale object error.
+  const update = (req, res, current) => {
+    const { sparse, ...changes } = req.body;
+    if (changes.SyncToken === undefined) {
+      return validationFault(res, [requiredParamMissing("SyncToken")]);
+    }
+    if (String(changes.SyncToken) !== current.SyncToken) {
+      return validationFault(res, [staleObject(changes.SyncToken, current)]);
+    }
+
+    const merged = sparse
+      ? { ...current, ...changes }
+      : { Id: current.Id, MetaData: current.MetaData, ...changes };
+    const errors = validateCreate(req.entity, merged);
+    if (errors.length) return validationFault(res, errors);
+
+    const now = new Date().toISOString();
+    const updated = withTotals(req.entity, {
+      ...merged,
+      Id: current.Id,
+      SyncToken: String(Number(current.SyncToken) + 1),
+      MetaData: { ...current.MetaData, LastUpdatedTime: now },
+    });
+    const records = state.entities[req.entity];
+    records[records.indexOf(current)] = updated;
+    res.json({ [req.entity]: updated, time: now });
+  };
+
+  api.post("/:entity", entityName, (req, res) => {
+    const { operation } = req.query;
+    const { Id } = req.body;
+
+    const current =
+      Id !== undefined &&
+      state.entities[req.entity].find((r) => r.Id === String(Id));
+    if (Id !== undefined && !current) {
+      return notFound(res, req.entity, Id);
+    }
+
+    if (operation === "delete" || operation === "void") {
+      if (!current) return validationFault(res, [requiredParamMissing("Id")]);
+      if (String(req.body.SyncToken) !== current.SyncToken) {
+        return validationFault(res, [staleObject(req.body.SyncToken, current)]);
+      }
+
+      const now = new Date().toISOString();
+      const records = state.entities[req.entity];
+      if (operation === "delete") {
+        records.splice(records.indexOf(current), 1);
+        state.deleted.push({
+          entity: req.entity,
+          Id: current.Id,
+          deletedAt: now,
+        });
+        return res.json({
+          [req.entity]: { Id: current.Id, status: "Deleted", domain: "QBO" },
+          time: now,
+        });
+      }
+
+      if (req.entity !== "Invoice") {
+        return validationFault(res, [
+          {
+            message: "Operation void is not supported",
+            detail: `${req.entity} cannot be voided`,
+            code: "500",
+          },
+        ]);
+      }
+      const voided = {
+        ...current,
+        Line: (current.Line || []).map((line) => ({ ...line, Amount: 0 })),
+        TotalAmt: 0,
+        Balance: 0,
+        PrivateNote: "Voided",
+        SyncToken: String(Number(current.SyncToken) + 1),
+        MetaData: { ...current.MetaData, LastUpdatedTime: now },
+      };
+      records[records.indexOf(current)] = voided;
+      return res.json({ [req.entity]: voided, time: now });
+    }
+
+    if (current) return update(req, res, current);
+    create(req, res);
+  });
+
+  app.use("/v3/company/:realmId", api);
+
+  return app;
+}
+
+// Starts the mock on a free port. Resolves { url, tokenUrl, state,
+// credentials, close }, `credentials()` being Integration credentials for
+// the current tokens.
+function startQuickBooksMockServer(state = createState()) {
+  const app = createQuickBooksMockApp(state);
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        tokenUrl: `http://127.0.0.1:${port}/oauth2/v1/tokens/bearer`,
+        state,
+        credentials: (changes = {}) => ({
+          realmId: state.realmId,
+          token_type: "bearer",
+          access_token: state.accessToken,
+          refresh_token: state.refreshToken,
+          expires_in: 3600,
+          x_refresh_token_expires_in: 8726400,
+          createdAt: Date.now(),
+          ...changes,
+        }),
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+module.exports = {
+  createState,
+  createQuickBooksMockApp,
+  startQuickBooksMockServer,
+};
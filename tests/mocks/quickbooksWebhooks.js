@@ -0,0 +1,43 @@
+const { sign } = require("../../src/services/webhooks");
+
+// Builds and posts QuickBooks webhook notifications signed like Intuit's.
+//
+//   const payload = webhookPayload("9130350000000001", [
+//     { name: "Customer", id: "1", operation: "Update" },
+//   ]);
+//   const response = await postWebhook(url, payload, verifierToken);
+
+// `entities` are { name, id, operation, lastUpdated?, deletedId? }.
+const webhookPayload = (realmId, entities) => ({
+  eventNotifications: [
+    {
+      realmId,
+      dataChangeEvent: {
+        entities: entities.map((entity) => ({
+          lastUpdated: new Date().toISOString(),
+          ...entity,
+        })),
+      },
+    },
+  ],
+});
+
+// Posts `payload` with the intuit-signature header, `signature` overrides
+// the computed one. Resolves the fetch Response.
+const postWebhook = (url, payload, verifierToken, { signature } = {}) => {
+  const body = typeof payload === "string" ? payload : JSON.stringify(payload);
+
+  return fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "intuit-signature": signature ?? sign(body, verifierToken),
+    },
+    body,
+  });
+};
+
+module.exports = {
+  webhookPayload,
+  postWebhook,
+};
@@ -0,0 +1,325 @@
+const express = require("express");
+const crypto = require("crypto");
+
+// In-memory stand-in for the Xero identity and Accounting APIs, enough for
+// xeroApiClient and XeroSync. Point the client at it with
+// `new xeroApiClient(config, null, { apiUrl: url, identityUrl: url })`.
+//
+//   const server = await startXeroMockServer();
+//   server.state.contacts.push({ ContactID, Name, IsSupplier: true });
+//   ...
+//   await server.close();
+const createState = () => ({
+  tenantId: crypto.randomUUID(),
+  tenantName: "Demo Company (Global)",
+  accessToken: crypto.randomUUID(),
+  refreshToken: crypto.randomUUID(),
+  contacts: [],
+  invoices: [],
+  bankTransactions: [],
+  accounts: [
+    {
+      AccountID: crypto.randomUUID(),
+      Code: "090",
+      Name: "Business Bank Account",
+      Type: "BANK",
+    },
+    {
+      AccountID: crypto.randomUUID(),
+      Code: "200",
+      Name: "Sales",
+      Type: "REVENUE",
+    },
+    {
+      AccountID: crypto.randomUUID(),
+      Code: "429",
+      Name: "General Expenses",
+      Type: "EXPENSE",
+    },
+  ],
+  requests: [],
+});
+
+const validationError = (res, messages) =>
+  res.status(400).json({
+    ErrorNumber: 10,
+    Type: "ValidationException",
+    Message: "A validation exception occurred",
+    Elements: [
+      { ValidationErrors: messages.map((message) => ({ Message: message })) },
+    ],
+  });
+
+// Supports the `Field=="value"` filters the client sends.
+const filter = (records, where) => {
+  if (!where) return records;
+
+  const conditions = where.split("&&").map((condition) => {
+    const [field, value] = condition.split("==").map((part) => part.trim());
+    return { field, value: value.replace(/^"|"$/g, "").replace(/\\"/g, '"') };
+  });
+  return records.filter((record) =>
+    conditions.every(({ field, value }) => String(record[field]) === value),
+  );
+};
+
+const paginate = (records, query) => {
+  const pageSize = parseInt(query.pageSize, 10) || 100;
+  const page = parseInt(query.page, 10) || 1;
+  return records.slice((page - 1) * pageSize, page * pageSize);
+};
+
+const lineTotal = (lineItems) =>
+  lineItems.reduce(
+    (sum, line) => sum + (line.Quantity || 1) * (line.UnitAmount || 0),
+    0,
+  );
+
+function createXeroMockApp(state = createState()) {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  app.use((req, res, next) => {
+    state.requests.push({ method: req.method, path: req.path, body: req.body });
+    next();
+  });
+
+  app.post("/connect/token", (req, res) => {
+    const { grant_type, code, refresh_token } = req.body;
+
+    if (grant_type === "authorization_code" && !code) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+    if (
+      grant_type === "refresh_token" &&
+      refresh_token !== state.refreshToken
+    ) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+
+    state.accessToken = crypto.randomUUID();
+    state.refreshToken = crypto.randomUUID();
+    res.json({
+      access_token: state.accessToken,
+      refresh_token: state.refreshToken,
+      expires_in: 1800,
+      token_type: "Bearer",
+      scope: "accounting.transactions accounting.contacts offline_access",
+    });
+  });
+
+  const authenticate = (req, res, next) => {
+    if (req.headers.authorization !== `Bearer ${state.accessToken}`) {
+      return res.status(401).json({
+        Type: null,
+        Title: "Unauthorized",
+        Status: 401,
+        Detail: "TokenExpired: token expired",
+      });
+    }
+    next();
+  };
+
+  app.get("/connections", authenticate, (req, res) => {
+    res.json([
+      {
+        id: crypto.randomUUID(),
+        tenantId: state.tenantId,
+        tenantType: "ORGANISATION",
+        tenantName: state.tenantName,
+      },
+    ]);
+  });
+
+  const api = express.Router();
+  api.use(authenticate);
+  api.use((req, res, next) => {
+    if (req.headers["xero-tenant-id"] !== state.tenantId) {
+      return res.status(403).json({
+        Title: "Forbidden",
+        Status: 403,
+        Detail: "AuthenticationUnsuccessful",
+      });
+    }
+    next();
+  });
+
+  const findContact = (contact) =>
+    contact &&
+    state.contacts.find((record) => record.ContactID === contact.ContactID);
+
+  // Contacts
+  api.get("/Contacts", (req, res) => {
+    res.json({
+      Contacts: paginate(filter(state.contacts, req.query.where), req.query),
+    });
+  });
+  api.get("/Contacts/:id", (req, res) => {
+    const contact = state.contacts.find((c) => c.ContactID === req.params.id);
+    if (!contact) return res.status(404).json({ Title: "Not Found" });
+    res.json({ Contacts: [contact] });
+  });
+  api.put("/Contacts", (req, res) => {
+    const [contact] = req.body.Contacts || [];
+    if (!contact || !contact.Name) {
+      return validationError(res, ["The contact name must be specified."]);
+    }
+    if (state.contacts.some((record) => record.Name === contact.Name)) {
+      return validationError(res, [
+        `The contact name ${contact.Name} is already assigned to another contact.`,
+      ]);
+    }
+
+    const created = {
+      ContactStatus: "ACTIVE",
+      ...contact,
+      ContactID: crypto.randomUUID(),
+      UpdatedDateUTC: new Date().toISOString(),
+    };
+    state.contacts.push(created);
+    res.json({ Contacts: [created] });
+  });
+  api.post("/Contacts/:id", (req, res) => {
+    const contact = state.contacts.find((c) => c.ContactID === req.params.id);
+    if (!contact) return res.status(404).json({ Title: "Not Found" });
+    Object.assign(contact, req.body.Contacts[0], {
+      ContactID: contact.ContactID,
+      UpdatedDateUTC: new Date().toISOString(),
+    });
+    res.json({ Contacts: [contact] });
+  });
+
+  // Invoices (ACCREC) and bills (ACCPAY)
+  api.get("/Invoices", (req, res) => {
+    res.json({
+      Invoices: paginate(filter(state.invoices, req.query.where), req.query),
+    });
+  });
+  api.get("/Invoices/:id", (req, res) => {
+    const invoice = state.invoices.find((i) => i.InvoiceID === req.params.id);
+    if (!invoice) return res.status(404).json({ Title: "Not Found" });
+    res.json({ Invoices: [invoice] });
+  });
+  api.put("/Invoices", (req, res) => {
+    const [invoice] = req.body.Invoices || [];
+    const errors = [];
+    if (!invoice || !["ACCREC", "ACCPAY"].includes(invoice.Type)) {
+      errors.push("Invoice type must be ACCREC or ACCPAY.");
+    }
+    if (!findContact(invoice && invoice.Contact)) {
+      errors.push("A Contact must be specified for this type of transaction");
+    }
+    if (!invoice || !invoice.LineItems || !invoice.LineItems.length) {
+      errors.push("At least one line item must be specified.");
+    }
+    if (errors.length) return validationError(res, errors);
+
+    const total = lineTotal(invoice.LineItems);
+    const created = {
+      Status: "DRAFT",
+      ...invoice,
+      InvoiceID: crypto.randomUUID(),
+      Total: total,
+      AmountDue: total,
+      UpdatedDateUTC: new Date().toISOString(),
+    };
+    state.invoices.push(created);
+    res.json({ Invoices: [created] });
+  });
+  api.post("/Invoices/:id", (req, res) => {
+    const invoice = state.invoices.find((i) => i.InvoiceID === req.params.id);
+    if (!invoice) return res.status(404).json({ Title: "Not Found" });
+    if (invoice.Status === "PAID") {
+      return validationError(res, [
+        "Invoice not of valid status for modification",
+      ]);
+    }
+    Object.assign(invoice, req.body.Invoices[0], {
+      InvoiceID: invoice.InvoiceID,
+      UpdatedDateUTC: new Date().toISOString(),
+    });
+    res.json({ Invoices: [invoice] });
+  });
+
+  // Bank transactions (spend money)
+  api.get("/BankTransactions", (req, res) => {
+    res.json({
+      BankTransactions: paginate(
+        filter(state.bankTransactions, req.query.where),
+        req.query,
+      ),
+    });
+  });
+  api.get("/BankTransactions/:id", (req, res) => {
+    const transaction = state.bankTransactions.find(
+      (t) => t.BankTransactionID === req.params.id,
+    );
+    if (!transaction) return res.status(404).json({ Title: "Not Found" });
+    res.json({ BankTransactions: [transaction] });
+  });
+  api.put("/BankTransactions", (req, res) => {
+    const [transaction] = req.body.BankTransactions || [];
+    const errors = [];
+    if (!findContact(transaction && transaction.Contact)) {
+      errors.push("A Contact must be specified for this type of transaction");
+    }
+    const bankAccount = transaction && transaction.BankAccount;
+    if (
+      !bankAccount ||
+      !state.accounts.some(
+        (account) =>
+          account.Type === "BANK" &&
+          (account.Code === bankAccount.Code ||
+            account.AccountID === bankAccount.AccountID),
+      )
+    ) {
+      errors.push("A valid BankAccount must be specified");
+    }
+    if (errors.length) return validationError(res, errors);
+
+    const created = {
+      ...transaction,
+      BankTransactionID: crypto.randomUUID(),
+      Total: lineTotal(transaction.LineItems || []),
+      UpdatedDateUTC: new Date().toISOString(),
+    };
+    state.bankTransactions.push(created);
+    res.json({ BankTransactions: [created] });
+  });
+
+  // Accounts
+  api.get("/Accounts", (req, res) => {
+    res.json({ Accounts: filter(state.accounts, req.query.where) });
+  });
+  api.put("/Accounts", (req, res) => {
+    if (!req.body.Code || !req.body.Name || !req.body.Type) {
+      return validationError(res, ["Code, Name and Type are required."]);
+    }
+    const created = { ...req.body, AccountID: crypto.randomUUID() };
+    state.accounts.push(created);
+    res.json({ Accounts: [created] });
+  });
+
+  app.use("/api.xro/2.0", api);
+
+  return app;
+}
+
+// Starts the mock on a free port. Resolves { url, state, close }.
+function startXeroMockServer(state = createState()) {
+  const app = createXeroMockApp(state);
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        state,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+module.exports = { createState, createXeroMockApp, startXeroMockServer };
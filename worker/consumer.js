@@ -0,0 +1,195 @@
+const models = require("./../src/db/models");
+const JobQueue = require("./../src/services/queue");
+const DocumentProcessor = require("./index");
+const {
+  runIncrementalSync,
+  refreshEntity,
+  scheduleIncrementalSync,
+  scheduleIncrementalSyncs,
+} = require("./../src/services/sync");
+const {
+  remindStaleApprovals,
+  scheduleApprovalReminders,
+} = require("./../src/services/approvals");
+
+const dotenv = require("dotenv");
+// Load environment variables
+dotenv.config();
+
+const handlers = {
+  async ProcessDocument(job) {
+    const document = await models.Document.findByPk(job.payload.documentId);
+    if (!document) {
+      throw new Error(`Document ${job.payload.documentId} not found`);
+    }
+
+    try {
+      const processor = new DocumentProcessor(document);
+      await processor.process({
+        from: job.payload.from,
+        only: job.payload.only,
+      });
+    } catch (error) {
+      // The queue retries the job, only keep the error for now. The document
+      // moves to DeadLetter with the job once it has no attempts left, and
+      // keeps MissingData set by the pipeline, the user has to fix those.
+      await document.update({
+        error_message: String(error?.message || error).slice(0, 255),
+      });
+      throw error;
+    }
+  },
+
+  // Imports the QuickBooks changes and schedules the next run. A failed run
+  // is retried by the queue, its successor is only scheduled on success.
+  async IncrementalSync(job, queue) {
+    const summary = await runIncrementalSync(job.payload.integrationId);
+    if (!summary) {
+      console.log(
+        `Integration ${job.payload.integrationId} is disconnected, incremental sync stopped`,
+      );
+      return;
+    }
+
+    await job.update({ text_job_description: JSON.stringify(summary) });
+
+    const integration = await models.Integration.findByPk(
+      job.payload.integrationId,
+    );
+    await scheduleIncrementalSync(integration, {
+      queue,
+      excludeJobId: job.id,
+    });
+  },
+
+  // Applies an entity change notified by a QuickBooks webhook.
+  async RefreshEntity(job) {
+    const applied = await refreshEntity(job.payload);
+    console.log(
+      `${job.payload.entity} ${job.payload.externalId} ${applied ? "refreshed" : "skipped"}`,
+    );
+  },
+
+  // Reminds and escalates stale approval steps, then schedules the next run.
+  async ApprovalReminders(job, queue) {
+    const result = await remindStaleApprovals();
+    await job.update({ text_job_description: JSON.stringify(result) });
+    await scheduleApprovalReminders({ queue, excludeJobId: job.id });
+  },
+};
+
+class QueueConsumer {
+  constructor(options = {}) {
+    this.queue = options.queue || new JobQueue();
+    this.handlers = options.handlers || handlers;
+    this.concurrency =
+      options.concurrency || parseInt(process.env.QUEUE_CONCURRENCY, 10) || 2;
+    this.pollInterval =
+      options.pollInterval ||
+      parseInt(process.env.QUEUE_POLL_INTERVAL_MS, 10) ||
+      5000;
+
+    this.running = false;
+    this.active = new Set();
+  }
+
+  async start() {
+    this.running = true;
+    await this.queue.recover();
+
+    try {
+      await scheduleIncrementalSyncs(this.queue);
+    } catch (error) {
+      console.error("Error scheduling incremental syncs:", error);
+    }
+
+    try {
+      await scheduleApprovalReminders({ queue: this.queue, runAt: new Date() });
+    } catch (error) {
+      console.error("Error scheduling approval reminders:", error);
+    }
+
+    console.log(
+      `Worker ${this.queue.workerId} started (concurrency ${this.concurrency})`,
+    );
+
+    while (this.running) {
+      try {
+        const jobs = await this.queue.claim(
+          this.concurrency - this.active.size,
+        );
+        for (const job of jobs) {
+          const run = this.run(job).finally(() => this.active.delete(run));
+          this.active.add(run);
+        }
+      } catch (error) {
+        console.error("Error claiming jobs:", error);
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, this.pollInterval));
+    }
+  }
+
+  async stop() {
+    this.running = false;
+    await Promise.allSettled([...this.active]);
+  }
+
+  async run(job) {
+    const handler = this.handlers[job.job_type];
+
+    // Keep the job invisible to other workers while it is still running.
+    const heartbeat = setInterval(
+      () =>
+        this.queue
+          .heartbeat(job)
+          .catch((error) => console.error("Heartbeat failed:", error)),
+      Math.max(this.queue.visibilityTimeout / 3, 1000),
+    );
+
+    try {
+      try {
+        if (!handler) {
+          throw new Error(`No handler registered for job type ${job.job_type}`);
+        }
+
+        console.log(`Job ${job.id} (${job.job_type}) started`);
+        await handler(job, this.queue);
+      } catch (error) {
+        console.error(`Job ${job.id} (${job.job_type}) failed:`, error);
+        await this.queue.fail(job, error);
+        return;
+      }
+
+      await this.queue.complete(job);
+      console.log(`Job ${job.id} (${job.job_type}) completed`);
+    } catch (error) {
+      // The job stays Processing, it is claimed again once its visibility
+      // timeout expires.
+      console.error(`Job ${job.id} (${job.job_type}) not updated:`, error);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+}
+
+if (require.main === module) {
+  const consumer = new QueueConsumer();
+
+  const shutdown = async () => {
+    console.log("Shutting down worker, waiting for running jobs...");
+    await consumer.stop();
+    await models.sequelize.close();
+    process.exit(0);
+  };
+
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  consumer.start().catch((error) => {
+    console.error("Worker crashed:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = QueueConsumer;
@@ -4,19 +4,120 @@ const {
   uploadFileFromBuffer,
   generateFileKey,
   extractKeysFromURL,
+  contentTypeFor,
 } = require("./../src/services/storage");
-const AIService = require("./../src/services/openai");
-const Quickbooks = require("./../src/channels/quickbooks/Class");
+const { getExtractionProvider } = require("./../src/services/extraction");
+const {
+  indexFieldConfidence,
+  lowConfidenceFields,
+} = require("./../src/services/extraction/confidence");
+const { getChannel, getActiveIntegration } = require("./../src/channels");
+const {
+  invoiceJsonSchema,
+  purchaseJsonSchema,
+  billJsonSchema,
+} = require("./../src/services/openai/schemas");
+const {
+  createInvoice,
+  createReceipt,
+  createBill,
+} = require("./../src/services/processDocuments");
 
-const { convertPDFtoImages } = require("./../src/services/fileops");
+const {
+  findContentDuplicate,
+  findSemanticDuplicate,
+  flagDuplicate,
+  isBlockedDuplicate,
+} = require("./../src/services/duplicates");
+const {
+  reconcileInvoice,
+  describeDiscrepancies,
+} = require("./../src/services/reconciliation");
+const { groupPages } = require("./../src/services/splitting");
+const { resolveDocumentType } = require("./../src/services/classification");
+const {
+  applyCorrections,
+  correctedFields,
+  reviewReasons,
+} = require("./../src/services/review");
+const {
+  chainStatus,
+  startApprovalChain,
+  cancelApprovalChain,
+  approvalComplete,
+} = require("./../src/services/approvals");
+const {
+  extractionHints,
+  recordPostedExtraction,
+} = require("./../src/services/learning");
+const JobQueue = require("./../src/services/queue");
+const { classifyError } = require("./../src/services/queue/retryPolicy");
+const { convertPDFtoImages, hashFile } = require("./../src/services/fileops");
 
 const dotenv = require("dotenv");
 // Load environment variables
 dotenv.config();
+
+// Order matters: a document resumes at the stage after `completed_stage`.
+const STAGES = [
+  "convert",
+  "split",
+  "classify",
+  "extract",
+  "transform",
+  "validate",
+  "review",
+  "approve",
+  "sync",
+  "attach",
+];
+
+// Per document type: extraction schema, local record models and the
+// EntityMapping type of the synced record. Invoices and bills carry the
+// amounts checked by the reconciliation.
+const DOCUMENT_TYPES = {
+  Invoice: {
+    schema: invoiceJsonSchema,
+    model: "Invoice",
+    lineModels: ["InvoiceLineItem", "InvoiceTax"],
+    lineForeignKey: "InvoiceId",
+    entityType: "Invoice",
+    reconcile: true,
+  },
+  Receipt: {
+    schema: purchaseJsonSchema,
+    model: "Purchase",
+    lineModels: ["PurchaseLineItem"],
+    lineForeignKey: "PurchaseId",
+    entityType: "Receipt",
+    reconcile: false,
+  },
+  Bill: {
+    schema: billJsonSchema,
+    model: "Bill",
+    lineModels: ["BillLineItem"],
+    lineForeignKey: "BillId",
+    entityType: "Bill",
+    reconcile: true,
+  },
+};
+
+// How many times the extractor is asked to correct amounts that do not add
+// up before the document goes to MissingData. 0 disables re-prompting.
+const RECONCILIATION_REPROMPTS = parseInt(
+  process.env.RECONCILIATION_REPROMPTS ?? "1",
+  10,
+);
+
 class DocumentProcessor {
-  constructor(document) {
-    this.aiService = new AIService();
-    this.quickbooks = new Quickbooks();
+  // options.extractionProvider overrides the company/environment provider,
+  // options.channel the one of the company's connected integration and
+  // options.downloadFile the download of stored files.
+  constructor(document, options = {}) {
+    this.extractionProvider = options.extractionProvider || null;
+    this.channel = options.channel || null;
+    this.downloadFile = options.downloadFile || downloadFileAsBuffer;
+    this.integration = null; // company's connected QuickBooks, Xero or Zoho
 
     this.document = document; // id, file_path
     this.documentObject = {};
@@ -25,33 +126,140 @@ class DocumentProcessor {
 
     this.documentRawJSON = {};
     this.documentProcessedJSON = {};
+    this.fieldConfidence = null; // field path -> { confidence, page, bbox }
+    this.reconciliation = null; // { balanced, discrepancies, reprompts }
+    this.extractionHints = null; // { ContactId, examples, prompt }
 
-    this.transformedInvoice = {};
-    this.isValidInvoice = false;
+    this.transformedPayload = {};
+    this.isValid = false;
   }
 
-  async process() {
+  static get stages() {
+    return STAGES;
+  }
+
+  get documentType() {
+    const documentType = DOCUMENT_TYPES[this.documentObject.type];
+    if (!documentType) {
+      throw new Error(`Unsupported document type: ${this.documentObject.type}`);
+    }
+    return documentType;
+  }
+
+  // Runs the pipeline from the stage after the last checkpoint. `from`
+  // restarts at a given stage, `only` re-runs a single stage.
+  async process({ from, only } = {}) {
     await this.getDocument();
-    await this.convert();
-    await this.extract();
-    await this.transform();
-    await this.validate();
-    await this.sync();
+    this.restore();
+
+    let stages;
+    if (only) {
+      stages = [only];
+    } else if (from) {
+      stages = STAGES.slice(STAGES.indexOf(from));
+    } else {
+      stages = STAGES.slice(
+        STAGES.indexOf(this.documentObject.completed_stage) + 1,
+      );
+    }
+
+    for (const stage of stages) {
+      if (!STAGES.includes(stage)) {
+        throw new Error(`Unknown pipeline stage: ${stage}`);
+      }
+
+      console.log(`[${this.document.id}] Running stage: ${stage}`);
+      const proceed = await this[stage]();
+      if (proceed === false) {
+        console.log(`[${this.document.id}] Pipeline stopped at: ${stage}`);
+        return false;
+      }
+    }
+
+    return true;
   }
 
   async getDocument() {
     this.documentObject = await models.Document.findByPk(this.document.id);
+    if (!this.documentObject) {
+      throw new Error(`Document ${this.document.id} not found`);
+    }
+
+    if (!this.extractionProvider) {
+      const company = await models.Company.findByPk(
+        this.documentObject.CompanyId,
+      );
+      this.extractionProvider = getExtractionProvider(company);
+    }
+  }
+
+  // Loads the outputs of completed stages so later stages can run without
+  // repeating the earlier ones.
+  restore() {
+    const processedData = this.processedData();
+
+    this.documentImages = this.documentObject.processed_image_file_paths || [];
+    this.documentRawJSON = processedData.raw_json || {};
+    this.documentProcessedJSON = processedData.processed_json || {};
+    this.fieldConfidence = processedData.field_confidence || null;
+    this.reconciliation = processedData.reconciliation || null;
+    this.transformedPayload = this.documentObject.transformed_data || {};
+  }
+
+  // Persists a stage's output together with the stage marker. Re-running an
+  // earlier stage moves the marker back, so the stages after it are treated
+  // as stale and run again on the next resume.
+  async checkpoint(stage, attributes = {}, options = {}) {
+    await this.documentObject.update(
+      {
+        ...attributes,
+        completed_stage: stage,
+        stage_completed_at: new Date(),
+      },
+      { transaction: options.transaction },
+    );
+  }
+
+  // The accounting system the document is pushed to.
+  async getIntegration() {
+    if (this.integration) return this.integration;
+
+    this.integration = await getActiveIntegration(
+      this.documentObject.CompanyId,
+    );
+    if (!this.channel) {
+      this.channel = getChannel(this.integration);
+    }
+    return this.integration;
+  }
+
+  processedData(changes = {}) {
+    let processedData = this.documentObject.processed_data || {};
+    if (typeof processedData === "string") {
+      processedData = processedData ? JSON.parse(processedData) : {};
+    }
+    return { ...processedData, ...changes };
   }
 
   async convert() {
-    console.log("Downloading file from URL:", this.document.file_path);
+    if (this.documentObject.ParentId) {
+      throw new Error(
+        "Split documents reuse the page images of their parent, re-run convert on the parent document",
+      );
+    }
+
+    await this.documentObject.update({ status: "Processing" });
 
-    const fileKeys = extractKeysFromURL(this.document.file_path);
-    let file = await downloadFileAsBuffer(fileKeys);
+    console.log("Downloading file from URL:", this.documentObject.file_path);
+
+    const fileKeys = extractKeysFromURL(this.documentObject.file_path);
+    let file = await this.downloadFile(fileKeys);
 
     const isPDF = fileKeys.fileExtension === "pdf";
     let processedFileKey = `processed/${fileKeys.fileName}${isPDF ? "" : fileKeys.fileExtension}`;
 
+    this.documentImages = [];
+
     if (isPDF) {
       console.log(" - Converting PDF to images");
 
@@ -75,27 +283,487 @@ class DocumentProcessor {
       );
     }
     console.log("Processed files uploaded ---->>>>", this.documentImages);
+
+    await this.checkpoint("convert", {
+      content_hash: hashFile(file),
+      processed_image_file_paths: this.documentImages,
+    });
+
+    if (!this.documentObject.DuplicateOfId) {
+      const original = await findContentDuplicate(this.documentObject);
+      if (original) {
+        await flagDuplicate(this.documentObject, original, "content_hash");
+      }
+    }
+  }
+
+  // Stops the pipeline for duplicates the user has not overridden.
+  async holdDuplicate() {
+    if (!isBlockedDuplicate(this.documentObject)) return false;
+
+    await this.documentObject.update({
+      status: "Duplicate",
+      error_message: `Duplicate of document ${this.documentObject.DuplicateOfId}`,
+    });
+    return true;
+  }
+
+  // Splits a scan holding several documents into one child Document per
+  // logical document. Each child gets its own job starting at extract, the
+  // parent stops here with status Split.
+  async split() {
+    if (this.documentObject.ParentId || this.documentImages.length < 2) {
+      await this.checkpoint("split");
+      return;
+    }
+
+    // Same file as an earlier upload, no need to pay for the extraction.
+    if (
+      this.documentObject.duplicate_reason === "content_hash" &&
+      (await this.holdDuplicate())
+    ) {
+      return false;
+    }
+
+    const pages = await this.extractionProvider.describePages(
+      this.documentImages,
+      { document: this.documentObject },
+    );
+    if (!pages || pages.length !== this.documentImages.length) {
+      console.log(
+        `[${this.document.id}] No usable page descriptions, processing as one document`,
+      );
+      await this.checkpoint("split");
+      return;
+    }
+
+    const groups = groupPages(pages);
+    if (groups.length < 2) {
+      await this.checkpoint("split");
+      return;
+    }
+
+    console.log(
+      `[${this.document.id}] Splitting into ${groups.length} documents:`,
+      groups.map((group) => group.pages),
+    );
+
+    const queue = new JobQueue();
+    await models.sequelize.transaction(async (transaction) => {
+      for (const group of groups) {
+        const child = await models.Document.create(
+          {
+            // The type the page descriptions found, classify picks one
+            // for a child without.
+            type: group.documentType || this.documentObject.type,
+            status: "Inbox",
+            file_path: this.documentObject.file_path,
+            // Same pages of the same upload, e.g. when the batch is
+            // uploaded again.
+            content_hash:
+              this.documentObject.content_hash &&
+              hashFile(
+                `${this.documentObject.content_hash}:${group.pages.join(",")}`,
+              ),
+            processed_image_file_paths: group.pages.map(
+              (page) => this.documentImages[page],
+            ),
+            split_pages: group.pages,
+            completed_stage: "split",
+            stage_completed_at: new Date(),
+            ParentId: this.documentObject.id,
+            CompanyId: this.documentObject.CompanyId,
+            UserId: this.documentObject.UserId,
+            IntegrationId: this.documentObject.IntegrationId,
+          },
+          { transaction },
+        );
+
+        await queue.enqueue(
+          "ProcessDocument",
+          { documentId: child.id },
+          {
+            transaction,
+            text_job_description: `${child.type} - ${child.id} - Split from ${this.documentObject.id} (pages ${group.pages.map((page) => page + 1).join(", ")})`,
+            DocumentId: child.id,
+            CompanyId: child.CompanyId,
+            UserId: child.UserId,
+            IntegrationId: child.IntegrationId,
+          },
+        );
+      }
+
+      await this.checkpoint("split", { status: "Split" }, { transaction });
+    });
+
+    return false;
+  }
+
+  // Picks the type of documents uploaded as "auto", which decides the
+  // extraction schema and the records created for it. Documents with a type,
+  // given on upload or set by the user, skip the classifier.
+  async classify() {
+    if (this.documentObject.type) {
+      await this.checkpoint("classify");
+      return;
+    }
+
+    // Same file as an earlier upload, no need to pay for the classification.
+    if (
+      this.documentObject.duplicate_reason === "content_hash" &&
+      (await this.holdDuplicate())
+    ) {
+      return false;
+    }
+
+    const classification = await this.extractionProvider.classifyDocument(
+      this.documentImages,
+      { document: this.documentObject },
+    );
+    const { type, predictedType, confidence, reason } =
+      resolveDocumentType(classification);
+
+    console.log(
+      `[${this.document.id}] Classified as ${predictedType} (${confidence})`,
+    );
+
+    if (!type) {
+      const messages = {
+        unclassified: "Document type could not be determined",
+        unsupported: `${predictedType} documents are not supported`,
+        low_confidence: `Document looks like a ${predictedType} (confidence ${confidence}), set the type to continue`,
+      };
+
+      await this.documentObject.update({
+        status: reason === "unsupported" ? "Unsupported" : "MissingData",
+        predicted_type: predictedType,
+        predicted_type_confidence: confidence,
+        error_message: messages[reason],
+      });
+      return false;
+    }
+
+    await this.checkpoint("classify", {
+      type,
+      predicted_type: predictedType,
+      predicted_type_confidence: confidence,
+    });
   }
 
   async extract() {
-    this.documentRawJSON = await this.aiService.analyzeImages(
+    // Same file as an earlier upload, no need to pay for the extraction.
+    if (
+      this.documentObject.duplicate_reason === "content_hash" &&
+      (await this.holdDuplicate())
+    ) {
+      return false;
+    }
+
+    await this.documentObject.update({ status: "Extraction" });
+
+    this.documentRawJSON = await this.extractionProvider.analyzeImages(
       this.documentImages,
+      { document: this.documentObject },
+    );
+    if (!this.documentRawJSON) {
+      throw new Error("Failed to analyze document images");
+    }
+
+    await this.checkpoint("extract", {
+      processed_data: this.processedData({ raw_json: this.documentRawJSON }),
+    });
+  }
+
+  async extractStructuredData(feedback) {
+    const processedJSON = await this.extractionProvider.extractJson(
+      this.documentRawJSON,
+      this.documentType.schema,
+      {
+        document: this.documentObject,
+        feedback,
+        hints: this.extractionHints && this.extractionHints.prompt,
+      },
     );
+    if (!processedJSON) {
+      throw new Error("Failed to extract structured data from document");
+    }
+
+    // Scores are stored next to processed_json, not inside it, so they never
+    // reach the local records or the QuickBooks payload.
+    const { FieldConfidence, ...processedFields } = JSON.parse(processedJSON);
+    return {
+      processedFields,
+      fieldConfidence: indexFieldConfidence(FieldConfidence),
+    };
+  }
+
+  // Extracts the invoice or bill and checks its amounts add up, re-prompting the
+  // extractor with the discrepancies. The attempt with the fewest
+  // discrepancies is kept.
+  async extractReconciledInvoice() {
+    let best = await this.extractStructuredData();
+    best.report = reconcileInvoice(best.processedFields);
+
+    let reprompts = 0;
+    while (!best.report.balanced && reprompts < RECONCILIATION_REPROMPTS) {
+      reprompts++;
+      console.log(
+        `[${this.document.id}] Amounts do not reconcile, re-prompting (${reprompts}/${RECONCILIATION_REPROMPTS})`,
+      );
+
+      const attempt = await this.extractStructuredData(
+        `Your previous extraction was:\n${JSON.stringify(best.processedFields)}\n\n` +
+          `Its amounts do not add up:\n${describeDiscrepancies(best.report.discrepancies)}\n\n` +
+          "Re-read the document and correct the misread amounts. Do not change amounts to force them to add up if the document itself does not.",
+      );
+      attempt.report = reconcileInvoice(attempt.processedFields);
+
+      if (
+        attempt.report.discrepancies.length < best.report.discrepancies.length
+      ) {
+        best = attempt;
+      }
+    }
+
+    return { ...best, reprompts };
   }
 
   async transform() {
-    this.documentProcessedJSON = await this.aiService.extractJson(
+    this.extractionHints = await extractionHints(
+      this.documentObject,
       this.documentRawJSON,
     );
-    this.transformedInvoice = this.quickbooks.invoice.transform(
+
+    if (this.documentType.reconcile) {
+      const { processedFields, fieldConfidence, report, reprompts } =
+        await this.extractReconciledInvoice();
+      this.documentProcessedJSON = processedFields;
+      this.fieldConfidence = fieldConfidence;
+      this.reconciliation = { ...report, reprompts };
+    } else {
+      const { processedFields, fieldConfidence } =
+        await this.extractStructuredData();
+      this.documentProcessedJSON = processedFields;
+      this.fieldConfidence = fieldConfidence;
+      this.reconciliation = null;
+    }
+    this.applyReviewCorrections();
+
+    await this.removeLocalRecords();
+    await cancelApprovalChain(this.documentObject.id);
+    const integration = await this.getIntegration();
+
+    let localRecord;
+    if (this.documentObject.type === "Invoice") {
+      const invoice = await createInvoice(
+        this.documentProcessedJSON,
+        this.documentObject,
+        this.channel,
+      );
+      localRecord = invoice;
+
+      const customerEntity = await models.EntityMapping.findOne({
+        where: {
+          CompanyId: this.documentObject.CompanyId,
+          IntegrationId: integration.id,
+          entity_type: "Customer",
+          local_id: invoice.CustomerId,
+        },
+      });
+      if (!customerEntity) {
+        throw new Error("Customer mapping not found");
+      }
+
+      this.transformedPayload = this.channel.transform(
+        "Invoice",
+        this.documentProcessedJSON,
+        customerEntity.external_id,
+      );
+    } else {
+      const create =
+        this.documentObject.type === "Bill" ? createBill : createReceipt;
+      localRecord = await create(
+        this.documentProcessedJSON,
+        this.documentObject,
+        this.channel,
+      );
+
+      const vendorEntity = await models.EntityMapping.findOne({
+        where: {
+          CompanyId: this.documentObject.CompanyId,
+          IntegrationId: integration.id,
+          entity_type: "Vendor",
+          local_id: localRecord.VendorId,
+        },
+      });
+      if (!vendorEntity) {
+        throw new Error("Vendor mapping not found");
+      }
+
+      this.transformedPayload = this.channel.transform(
+        this.documentObject.type,
+        this.documentProcessedJSON,
+        vendorEntity.external_id,
+      );
+    }
+
+    await this.checkpoint("transform", {
+      // A new payload needs a new approval.
+      ...(this.documentObject.review_status === "Approved"
+        ? { review_status: null }
+        : {}),
+      processed_data: this.processedData({
+        processed_json: this.documentProcessedJSON,
+        field_confidence: this.fieldConfidence,
+        reconciliation: this.reconciliation,
+        extraction_hints: this.extractionHints && {
+          ContactId: this.extractionHints.ContactId,
+          examples: this.extractionHints.examples,
+        },
+      }),
+      transformed_data: this.transformedPayload,
+    });
+
+    if (!this.documentObject.DuplicateOfId) {
+      const original = await findSemanticDuplicate(
+        this.documentObject,
+        localRecord,
+      );
+      if (original) {
+        await flagDuplicate(this.documentObject, original, "semantic");
+      }
+    }
+  }
+
+  // Fields corrected in the review queue win over the extraction, and are
+  // no longer low confidence.
+  applyReviewCorrections() {
+    const { corrections } = this.processedData();
+    if (!corrections) return;
+
+    this.documentProcessedJSON = applyCorrections(
       this.documentProcessedJSON,
+      corrections,
     );
+    if (!this.fieldConfidence) return;
+    for (const field of correctedFields(corrections)) {
+      this.fieldConfidence[field] = {
+        ...this.fieldConfidence[field],
+        confidence: 1,
+      };
+    }
   }
 
   async validate() {
-    this.isValidInvoice = this.quickbooks.invoice.validate(
-      this.transformedInvoice,
+    let errorMessage = null;
+    await this.getIntegration();
+
+    // Channels return false for a payload missing required fields, or
+    // throw with the reason.
+    try {
+      this.isValid = this.channel.validate(
+        this.documentObject.type,
+        this.transformedPayload,
+      );
+    } catch (validationError) {
+      this.isValid = false;
+      errorMessage = validationError.message;
+    }
+    if (!this.isValid && !errorMessage) {
+      errorMessage = `${this.documentObject.type} is missing required fields`;
+    }
+
+    const lowConfidence = lowConfidenceFields(
+      this.documentObject.type,
+      this.fieldConfidence,
     );
+    if (this.isValid && this.reconciliation && !this.reconciliation.balanced) {
+      this.isValid = false;
+      errorMessage = `Amounts do not reconcile: ${this.reconciliation.discrepancies
+        .map(({ message }) => message)
+        .join("; ")}`;
+    }
+
+    if (this.isValid && lowConfidence.length) {
+      this.isValid = false;
+      errorMessage = `Low confidence in: ${lowConfidence
+        .map(
+          ({ field, confidence }) =>
+            `${field} (${confidence === null ? "no score" : confidence})`,
+        )
+        .join(", ")}`;
+    }
+
+    if (!this.isValid) {
+      await this.documentObject.update({
+        status: "MissingData",
+        error_message: errorMessage && errorMessage.slice(0, 255),
+        processed_data: this.processedData({
+          low_confidence_fields: lowConfidence.map(({ field }) => field),
+        }),
+      });
+      return false;
+    }
+
+    await this.documentObject.update({
+      status: "Ready",
+      error_message: null,
+      processed_data: this.processedData({ low_confidence_fields: [] }),
+    });
+    await this.checkpoint("validate");
+  }
+
+  // Holds the document in the review queue when the company's review policy
+  // asks for it. Approving it resumes the pipeline here, a document already
+  // in review stays there until it is approved.
+  async review() {
+    const { review_status } = this.documentObject;
+    if (review_status === "Rejected") {
+      console.log(`[${this.document.id}] Document was rejected in review`);
+      return false;
+    }
+
+    if (review_status !== "Approved") {
+      const reasons =
+        review_status === "Pending"
+          ? this.documentObject.review_reasons
+          : await reviewReasons(
+              await models.Company.findByPk(this.documentObject.CompanyId),
+              await this.findLocalRecord(),
+            );
+
+      if (reasons && reasons.length) {
+        await this.documentObject.update({
+          status: "PendingReview",
+          review_status: "Pending",
+          review_reasons: reasons,
+        });
+        return false;
+      }
+    }
+
+    await this.checkpoint("review");
+  }
+
+  // Receipts and bills wait here until the approval chain the company's
+  // approval policies pick for their amount is complete. The last approval
+  // resumes the pipeline here.
+  async approve() {
+    const steps = await startApprovalChain(
+      this.documentObject,
+      await this.findLocalRecord(),
+    );
+
+    switch (chainStatus(steps)) {
+      case "rejected":
+        console.log(`[${this.document.id}] Document was rejected in approval`);
+        return false;
+      case "pending":
+        await this.documentObject.update({ status: "PendingApproval" });
+        return false;
+      default:
+        await this.checkpoint("approve");
+    }
   }
 
   async save() {
@@ -103,9 +771,190 @@ class DocumentProcessor {
   }
 
   async sync() {
-    // Sync the transformed data to target system
-    console.log(`Syncing data to ${this.targetSystem}...`);
-    // Placeholder for sync logic
+    // Also when the stage is re-run on its own.
+    if (["Pending", "Rejected"].includes(this.documentObject.review_status)) {
+      console.log(
+        `[${this.document.id}] Not synced, review is ${this.documentObject.review_status.toLowerCase()}`,
+      );
+      return false;
+    }
+
+    const localRecord = await this.findLocalRecord();
+    if (!localRecord) {
+      throw new Error("Transformed record not found, re-run transform");
+    }
+    if (!(await approvalComplete(this.documentObject, localRecord))) {
+      console.log(`[${this.document.id}] Not synced, approval is not complete`);
+      return false;
+    }
+
+    const { entityType } = this.documentType;
+
+    // A crash between the push and the checkpoint must not push twice.
+    const existingMapping = await models.EntityMapping.findOne({
+      where: { entity_type: entityType, local_id: localRecord.id },
+    });
+    if (existingMapping) {
+      console.log(
+        `${entityType} ${localRecord.id} already synced as ${existingMapping.external_id}`,
+      );
+      await this.documentObject.update({ status: "Processed" });
+      await this.checkpoint("sync");
+      return;
+    }
+
+    if (await this.holdDuplicate()) {
+      return false;
+    }
+
+    const integration = await this.getIntegration();
+
+    let externalId;
+    try {
+      externalId = await this.channel.push(
+        this.documentObject.type,
+        this.transformedPayload,
+      );
+    } catch (error) {
+      console.error(`${integration.service_type} API Error:`, {
+        message: error.message,
+        fault: error.fault,
+        intuit_tid: error.intuit_tid,
+        correlation_id: error.correlation_id,
+      });
+
+      if (error.fault && error.fault.type === "ValidationFault") {
+        await this.documentObject.update({
+          status: "MissingData",
+          error_message: error.fault.Error[0].Detail,
+        });
+      }
+      // Rethrow as is, the queue picks the retry policy from the fault/status.
+      throw error;
+    }
+
+    await models.EntityMapping.create({
+      CompanyId: this.documentObject.CompanyId,
+      IntegrationId: integration.id,
+      entity_type: entityType,
+      local_id: localRecord.id,
+      external_id: externalId,
+      UserId: this.documentObject.UserId,
+    });
+
+    await this.documentObject.update({ status: "Processed" });
+    await this.checkpoint("sync");
+
+    // Posted as extracted (or as corrected in review), it counts towards
+    // the extraction accuracy of its customer or vendor.
+    try {
+      await recordPostedExtraction(this.documentObject, localRecord);
+    } catch (error) {
+      console.error(
+        `[${this.document.id}] Extraction example not recorded:`,
+        error,
+      );
+    }
+  }
+
+  // Attaches the source file to the pushed transaction so it can be seen in
+  // the accounting system. Only transient failures fail the job, the
+  // transaction is in the accounting system already; others are noted on the
+  // document.
+  async attach() {
+    const localRecord = await this.findLocalRecord();
+    const mapping =
+      localRecord &&
+      (await models.EntityMapping.findOne({
+        where: {
+          entity_type: this.documentType.entityType,
+          local_id: localRecord.id,
+        },
+      }));
+    if (!mapping) {
+      throw new Error("Document is not synced yet, re-run sync");
+    }
+
+    // Attachables already linked by an earlier run, in file order.
+    const attached = mapping.attachable_id
+      ? mapping.attachable_id.split(",")
+      : [];
+    const files = this.attachmentFiles().slice(attached.length);
+    if (files.length) {
+      await this.getIntegration();
+
+      try {
+        for (const filePath of files) {
+          const fileKeys = extractKeysFromURL(filePath);
+          attached.push(
+            await this.channel.attachFile(
+              mapping.entity_type,
+              mapping.external_id,
+              {
+                buffer: await this.downloadFile(fileKeys),
+                fileName: `${fileKeys.fileName}.${fileKeys.fileExtension}`,
+                contentType: contentTypeFor(fileKeys.fileExtension),
+              },
+            ),
+          );
+          await mapping.update({ attachable_id: attached.join(",") });
+        }
+      } catch (error) {
+        if (classifyError(error) === "transient") throw error;
+
+        console.error(`[${this.document.id}] Source file not attached:`, error);
+        await this.documentObject.update({
+          error_message: `Source file not attached: ${error.message}`.slice(
+            0,
+            255,
+          ),
+        });
+      }
+    }
+
+    await this.checkpoint("attach");
+  }
+
+  // The files attached to the pushed record: the upload, or the page images
+  // of a document split from a batch, which holds other documents too.
+  attachmentFiles() {
+    if (this.documentObject.ParentId) {
+      return this.documentObject.processed_image_file_paths || [];
+    }
+    return this.documentObject.file_path ? [this.documentObject.file_path] : [];
+  }
+
+  async findLocalRecord() {
+    return models[this.documentType.model].findOne({
+      where: { DocumentId: this.documentObject.id },
+    });
+  }
+
+  // Transform creates the local Invoice/Purchase/Bill, so re-running it
+  // replaces the previous records instead of duplicating them.
+  async removeLocalRecords() {
+    const { entityType, lineModels, lineForeignKey } = this.documentType;
+    const localRecord = await this.findLocalRecord();
+    if (!localRecord) return;
+
+    const mapping = await models.EntityMapping.findOne({
+      where: {
+        entity_type: entityType,
+        local_id: localRecord.id,
+      },
+    });
+    if (mapping) {
+      throw new Error(
+        "Document is already synced, edit it through the invoice, expense or bill routes instead",
+      );
+    }
+
+    for (const lineModel of lineModels) {
+      await models[lineModel].destroy({
+        where: { [lineForeignKey]: localRecord.id },
+      });
+    }
+    await localRecord.destroy();
   }
 }
 